@@ -0,0 +1,2 @@
+// The Flow version we use has no definitions for the ECMA-402 Intl object.
+declare var Intl: any;
@@ -16,7 +16,8 @@
 import { BabelNode } from "babel-types";
 
 declare module 'babel-generator' {
-  declare module.exports: (ast: BabelNode, opts: Object, code: string) => { code: string, map?: string };
+  // code is the input text, or, with several inputs, an object from their file names to their texts
+  declare module.exports: (ast: BabelNode, opts: Object, code?: string | { [filename: string]: string }) => { code: string, map?: Object };
 }
 
 /**
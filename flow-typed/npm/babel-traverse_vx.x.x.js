@@ -20,13 +20,19 @@ declare module 'babel-traverse' {
     getBindingIdentifierPaths(): { [key: string]: BabelTraversePath };
     getBindingIdentifiers(): { [key: string]: BabelNodeIdentifier };
     replaceWith(node: BabelNode): void;
+    getFunctionParent(): BabelTraversePath;
+    isArrowFunctionExpression(): boolean;
+    isExpressionStatement(): boolean;
     scope: BabelTraverseScope;
+    parentPath: BabelTraversePath;
     node: BabelNode;
     parent: BabelNode;
   }
 
   declare export class BabelTraverseScope {
     hasBinding(name: string, noGlobals: boolean): boolean;
+    getBinding(name: string): void | { scope: BabelTraverseScope };
+    getProgramParent(): BabelTraverseScope;
   }
 
   declare export default (
@@ -47,6 +47,7 @@ declare module "babel-types" {
 
   declare class BabelNodeSourceLocation {
     source: string | null;
+    filename: string | null;
     start: BabelNodePosition;
     end: BabelNodePosition;
   }
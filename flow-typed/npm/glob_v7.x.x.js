@@ -0,0 +1,16 @@
+// flow-typed signature: <<STUB>>
+// flow-typed version: <<STUB>>/glob_v^7.1.1/flow_v0.43.0
+
+declare module 'glob' {
+  declare type globOptions = {
+    cwd?: string,
+    nodir?: boolean,
+    nosort?: boolean,
+    dot?: boolean,
+  };
+
+  declare module.exports: {
+    sync(pattern: string, options?: globOptions): Array<string>,
+    hasMagic(pattern: string, options?: globOptions): boolean,
+  };
+}
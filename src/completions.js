@@ -12,6 +12,7 @@
 import { AbstractValue, Value } from "./values/index.js";
 import type { Effects, Realm } from "./realm.js";
 import invariant from "./invariant.js";
+import type { BabelNodeSourceLocation } from "babel-types";
 
 export class Completion {
   constructor(value: Value, target?: ?string) {
@@ -34,9 +35,12 @@ export class ThrowCompletion extends AbruptCompletion {
     invariant(value.getType() !== value.$Realm.intrinsics.__IntrospectionError ||
       this instanceof IntrospectionThrowCompletion);
     this.nativeStack = nativeStack || new Error().stack;
+    this.location = value.$Realm.currentLocation;
   }
 
   nativeStack: string;
+  // the node that was being evaluated when the value got thrown
+  location: ?BabelNodeSourceLocation;
 }
 export class IntrospectionThrowCompletion extends ThrowCompletion {
   reason: void | "readonly";
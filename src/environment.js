@@ -12,13 +12,14 @@
 import type { BabelNode } from "babel-types";
 import type { NormalCompletion } from "./completions.js";
 import type { Realm } from "./realm.js";
-import type { SourceType } from "./types.js";
+import type { SourceType, SourceTextModuleRecord } from "./types.js";
 
 import { AbruptCompletion, Completion, ComposedAbruptCompletion, JoinedAbruptCompletions, PossiblyNormalCompletion, ThrowCompletion } from "./completions.js";
 import { ExecutionContext } from "./realm.js";
 import { Value } from "./values/index.js";
 import { AbstractValue, NullValue, SymbolValue, BooleanValue, FunctionValue, StringValue, ObjectValue, AbstractObjectValue, UndefinedValue } from "./values/index.js";
 import parse from "./utils/parse.js";
+import { ParseModule, ModuleDeclarationInstantiation, ModuleEvaluation } from "./methods/module.js";
 import invariant from "./invariant.js";
 import traverse from "./traverse.js";
 import {
@@ -33,6 +34,10 @@ import {
   HasOwnProperty,
   IsDataDescriptor,
   ThrowIfMightHaveBeenDeleted,
+  HavocBinding,
+  IsHavocedBinding,
+  GetHavocedBinding,
+  SetHavocedBinding,
 } from "./methods/index.js";
 
 const sourceMap = require('source-map');
@@ -68,6 +73,10 @@ export type Binding = {
   initialized?: boolean;
   mutable?: boolean;
   deletable?: boolean;
+  // the target binding of an indirect binding created by CreateImportBinding
+  indirection?: { module: SourceTextModuleRecord, bindingName: string };
+  // set once a function that may assign the binding got passed to code that is not known
+  havoced?: boolean;
 }
 
 // ECMA262 8.1.1.1
@@ -149,6 +158,9 @@ export class DeclarativeEnvironmentRecord extends EnvironmentRecord {
     // 4. Record that the binding for N in envRec has been initialized.
     binding.initialized = true;
 
+    // A havoced binding that was not initialized yet only now gets its residual variable.
+    if (binding.havoced) HavocBinding(this.realm, binding, envRec);
+
     // 5. Return NormalCompletion(empty).
     return this.realm.intrinsics.empty;
   }
@@ -190,7 +202,8 @@ export class DeclarativeEnvironmentRecord extends EnvironmentRecord {
         Construct(realm, realm.intrinsics.ReferenceError, [new StringValue(realm, `${N} has not yet been initialized`)])
       );
     } else if (binding.mutable) { // 5. Else if the binding for N in envRec is a mutable binding, change its bound value to V.
-       realm.recordModifiedBinding(binding, envRec).value = V;
+      if (IsHavocedBinding(binding)) SetHavocedBinding(realm, binding, V);
+      else realm.recordModifiedBinding(binding, envRec).value = V;
     } else { // 6. Else,
       // a. Assert: This is an attempt to change the value of an immutable binding.
 
@@ -224,8 +237,9 @@ export class DeclarativeEnvironmentRecord extends EnvironmentRecord {
     }
 
     // 4. Return the value currently bound to N in envRec.
-    invariant(binding.value);
-    return binding.value;
+    let value = binding.value;
+    invariant(value);
+    return IsHavocedBinding(binding) ? GetHavocedBinding(realm, binding) : value;
   }
 
   // ECMA262 8.1.1.1.7
@@ -924,29 +938,90 @@ export class GlobalEnvironmentRecord extends EnvironmentRecord {
 
 // ECMA262 8.1.1.5
 export class ModuleEnvironmentRecord extends DeclarativeEnvironmentRecord {
-  // ECMA262 8.1.1.3.1
-  BindThisValue(V: NullValue | ObjectValue | AbstractObjectValue | UndefinedValue): NullValue | ObjectValue | AbstractObjectValue | UndefinedValue {
-    throw new Error("TODO: implement modules");
+  // ECMA262 8.1.1.5.1
+  GetBindingValue(N: string, S: boolean): Value {
+    let realm = this.realm;
+
+    // 1. Assert: S is true.
+    invariant(S, "module code is strict");
+
+    // 2. Let envRec be the module Environment Record for which the method was invoked.
+    let envRec = this;
+
+    // 3. Assert: envRec has a binding for N.
+    let binding = envRec.bindings[N];
+    invariant(binding, "expected binding");
+
+    // 4. If the binding for N is an indirect binding, then
+    let indirection = binding.indirection;
+    if (indirection !== undefined) {
+      // a. Let M and N2 be the indirection values provided when this binding for N was created.
+      let { module: M, bindingName: N2 } = indirection;
+
+      // b. Let targetEnv be M.[[Environment]].
+      let targetEnv = M.$Environment;
+
+      // c. If targetEnv is undefined, throw a ReferenceError exception.
+      if (targetEnv === undefined) {
+        throw realm.createErrorThrowCompletion(realm.intrinsics.ReferenceError, `${N} is imported from a module that has not been instantiated`);
+      }
+
+      // d. Let targetER be targetEnv's EnvironmentRecord.
+      let targetER = targetEnv.environmentRecord;
+
+      // e. Return ? targetER.GetBindingValue(N2, true).
+      return targetER.GetBindingValue(N2, true);
+    }
+
+    // 5. If the binding for N in envRec is an uninitialized binding, throw a ReferenceError exception.
+    if (!binding.initialized) {
+      throw realm.createErrorThrowCompletion(realm.intrinsics.ReferenceError, `${N} has not yet been initialized`);
+    }
+
+    // 6. Return the value currently bound to N in envRec.
+    invariant(binding.value);
+    return binding.value;
   }
 
-  // ECMA262 8.1.1.3.2
-  HasThisBinding(): boolean {
-    throw new Error("TODO: implement modules");
+  // ECMA262 8.1.1.5.2
+  DeleteBinding(N: string): boolean {
+    // 1. Assert: This method is never invoked. See 12.5.3.1.
+    invariant(false, "bindings of module environment records are never deleted");
   }
 
-  // ECMA262 8.1.1.3.3
-  HasSuperBinding(): boolean {
-    throw new Error("TODO: implement modules");
+  // ECMA262 8.1.1.5.3
+  HasThisBinding(): boolean {
+    // 1. Return true.
+    return true;
   }
 
-  // ECMA262 8.1.1.3.4
+  // ECMA262 8.1.1.5.4
   GetThisBinding(): NullValue | ObjectValue | AbstractObjectValue | UndefinedValue {
-    throw new Error("TODO: implement modules");
+    // 1. Return undefined.
+    return this.realm.intrinsics.undefined;
   }
 
-  // ECMA262 8.1.1.3.5
-  GetSuperBase(): NullValue | ObjectValue | UndefinedValue  {
-    throw new Error("TODO: implement modules");
+  // ECMA262 8.1.1.5.5
+  CreateImportBinding(N: string, M: SourceTextModuleRecord, N2: string): Value {
+    // 1. Let envRec be the module Environment Record for which the method was invoked.
+    let envRec = this;
+
+    // 2. Assert: envRec does not already have a binding for N.
+    invariant(!envRec.bindings[N], `shouldn't have the binding ${N}`);
+
+    // 3. Assert: M is a Module Record.
+    // 4. Assert: When M.[[Environment]] is instantiated it will have a direct binding for N2.
+
+    // 5. Create an immutable indirect binding in envRec for N that references M and N2 as its target binding and record that the binding is initialized.
+    this.bindings[N] = this.realm.recordModifiedBinding({
+      initialized: true,
+      strict: true,
+      deletable: false,
+      indirection: { module: M, bindingName: N2 }
+    }, envRec);
+
+    // 6. Return NormalCompletion(empty).
+    return this.realm.intrinsics.empty;
   }
 }
 
@@ -1026,6 +1101,34 @@ export class LexicalEnvironment {
     return GetValue(this.realm, res);
   }
 
+  // Parses code as the entry module of a module graph, then instantiates and evaluates the graph.
+  executeModule(code: string, filename: string, map: string = ""): AbruptCompletion | SourceTextModuleRecord {
+    let realm = this.realm;
+    let context = new ExecutionContext();
+    context.lexicalEnvironment = this;
+    context.variableEnvironment = this;
+    context.realm = realm;
+
+    realm.pushContext(context);
+    try {
+      let resolver = realm.moduleResolver;
+      let name = (resolver && resolver.resolve(filename)) || filename;
+      let module = ParseModule(realm, code, name);
+      if (map.length > 0) this.fixup_source_locations(module.$ECMAScriptCode, map);
+      realm.moduleRegistry.set(name, module);
+
+      // ECMA262 15.2.1.20
+      ModuleDeclarationInstantiation(realm, module);
+      ModuleEvaluation(realm, module);
+      return module;
+    } catch (e) {
+      if (e instanceof AbruptCompletion) return e;
+      throw e;
+    } finally {
+      realm.popContext(context);
+    }
+  }
+
   fixup_source_locations(ast: BabelNode, map: string) {
     const smc = new sourceMap.SourceMapConsumer(map);
     traverse(ast, function (node) {
@@ -1038,6 +1141,7 @@ export class LexicalEnvironment {
       new_pos.line = old_pos.line;
       new_pos.column = old_pos.column;
       loc.source = old_pos.source;
+      loc.filename = old_pos.source;
       return false;
     });
   }
@@ -13,7 +13,7 @@ import type { Realm } from "../realm.js";
 import type { LexicalEnvironment } from "../environment.js";
 import type { Value } from "../values/index.js";
 import type { Reference } from "../environment.js";
-import { FunctionCreate } from "../methods/index.js";
+import { FunctionCreate, AsyncFunctionCreate } from "../methods/index.js";
 import IsStrict from "../utils/strict.js";
 import * as t from "babel-types";
 import type { BabelNodeArrowFunctionExpression } from "babel-types";
@@ -25,6 +25,24 @@ export default function (ast: BabelNodeArrowFunctionExpression, strictCode: bool
     ConciseBody = t.blockStatement([t.returnStatement(ConciseBody)]);
   }
 
+  if (ast.async) {
+    // ECMA262 14.7.10
+    // 1. If the function code for this AsyncArrowFunction is strict mode code, let strict be true. Otherwise let strict be false.
+    let strict = strictCode || IsStrict(ast.body);
+
+    // 2. Let scope be the LexicalEnvironment of the running execution context.
+    let scope = env;
+
+    // 3. Let parameters be CoveredAsyncArrowHead of CoverCallExpressionAndAsyncArrowHead.
+    let parameters = ast.params;
+
+    // 4. Let closure be ! AsyncFunctionCreate(Arrow, parameters, AsyncConciseBody, scope, strict).
+    let closure = AsyncFunctionCreate(realm, "arrow", parameters, ConciseBody, scope, strict);
+
+    // 5. Return closure.
+    return closure;
+  }
+
   // 1. If the function code for this ArrowFunction is strict mode code, let strict be true. Otherwise let strict be false.
   let strict = strictCode || IsStrict(ast.body);
 
@@ -11,15 +11,241 @@
 
 import type { Realm } from "../realm.js";
 import type { LexicalEnvironment } from "../environment.js";
-import { Value, ObjectValue } from "../values/index.js";
+import type { IteratorRecord, PropertyKeyValue } from "../types.js";
+import { AbruptCompletion } from "../completions.js";
+import { Value, ObjectValue, UndefinedValue } from "../values/index.js";
 import { GetValue } from "../methods/index.js";
 import { Reference } from "../environment.js";
-import { PutValue, SetFunctionName, IsAnonymousFunctionDefinition, HasOwnProperty, GetReferencedName } from "../methods/index.js";
+import {
+  PutValue,
+  SetFunctionName,
+  IsAnonymousFunctionDefinition,
+  HasOwnProperty,
+  GetReferencedName,
+  RequireObjectCoercible,
+  HasCompatibleType,
+  EvalPropertyName,
+  GetV,
+  GetIterator,
+  IteratorClose,
+  IteratorStepValue,
+  ArrayCreate,
+  CreateDataProperty
+} from "../methods/index.js";
 import { IsIdentifierRef } from "../methods/is.js";
 import invariant from "../invariant.js";
-import type { BabelNodeAssignmentExpression, BabelBinaryOperator } from "babel-types";
+import type { BabelNode, BabelNodeAssignmentExpression, BabelBinaryOperator, BabelNodeExpression, BabelNodeLVal } from "babel-types";
 import { computeBinary } from "./BinaryExpression.js";
 
+// Babel parses ObjectLiteral and ArrayLiteral destructuring assignment targets as patterns.
+function IsAssignmentPattern(node: BabelNode): boolean {
+  return node.type === "ObjectPattern" || node.type === "ArrayPattern";
+}
+
+// ECMA262 12.15.5.2
+export function DestructuringAssignmentEvaluation(realm: Realm, pattern: BabelNodeLVal, value: Value, strictCode: boolean, env: LexicalEnvironment): Value {
+  if (pattern.type === "ObjectPattern") { // ObjectAssignmentPattern
+    // 1. Perform ? RequireObjectCoercible(value).
+    RequireObjectCoercible(realm, value);
+
+    // 2. Perform ? DestructuringAssignmentEvaluation for AssignmentPropertyList using value as the argument.
+    for (let property of pattern.properties) {
+      if (property.type !== "ObjectProperty") throw new Error(`TODO: ${property.type} in object patterns`);
+
+      // AssignmentProperty : IdentifierReference Initializer opt
+      //   1. Let P be StringValue of IdentifierReference.
+      // AssignmentProperty : PropertyName : AssignmentElement
+      //   1. Let name be the result of evaluating PropertyName.
+      // Babel represents an IdentifierReference property as a shorthand property whose key is the IdentifierReference.
+      let name = EvalPropertyName(realm, property, env, strictCode);
+
+      //   3. Return the result of performing KeyedDestructuringAssignmentEvaluation of AssignmentElement with value and name as the arguments.
+      KeyedDestructuringAssignmentEvaluation(realm, property.value, value, name, strictCode, env);
+    }
+
+    // 3. Return NormalCompletion(empty).
+    return realm.intrinsics.empty;
+  }
+
+  // ArrayAssignmentPattern
+  invariant(pattern.type === "ArrayPattern", "expected an assignment pattern");
+
+  // 1. Let iterator be ? GetIterator(value).
+  let iterator = GetIterator(realm, value);
+
+  // 2. Let iteratorRecord be Record {[[Iterator]]: iterator, [[Done]]: false}.
+  let iteratorRecord = { $Iterator: iterator, $Done: false };
+
+  // 3. Let result be the result of performing IteratorDestructuringAssignmentEvaluation of AssignmentElementList using iteratorRecord as the argument.
+  let result;
+  try {
+    result = IteratorDestructuringAssignmentEvaluation(realm, pattern.elements, iteratorRecord, strictCode, env);
+  } catch (error) {
+    // 4. If iteratorRecord.[[Done]] is false, return ? IteratorClose(iterator, result).
+    if (!iteratorRecord.$Done && error instanceof AbruptCompletion) throw IteratorClose(realm, iterator, error);
+    throw error;
+  }
+
+  // 4. If iteratorRecord.[[Done]] is false, return ? IteratorClose(iterator, result).
+  if (!iteratorRecord.$Done) return IteratorClose(realm, iterator, result);
+
+  // 5. Return result.
+  return result;
+}
+
+// The steps of IteratorDestructuringAssignmentEvaluation and KeyedDestructuringAssignmentEvaluation that follow
+// the evaluation of the DestructuringAssignmentTarget and of the value to assign to it.
+function AssignElement(realm: Realm, target: BabelNodeLVal, lref: void | Value | Reference, Initializer: void | BabelNodeExpression, value: Value, strictCode: boolean, env: LexicalEnvironment): void {
+  // If Initializer is present and value is undefined, then
+  let v = value;
+  let useInitializer = Initializer !== undefined && HasCompatibleType(realm, value, UndefinedValue);
+  if (Initializer && useInitializer) {
+    // a. Let defaultValue be the result of evaluating Initializer.
+    let defaultValue = env.evaluate(Initializer, strictCode);
+
+    // b. Let v be ? GetValue(defaultValue).
+    v = GetValue(realm, defaultValue);
+  }
+
+  // If DestructuringAssignmentTarget is an ObjectLiteral or an ArrayLiteral, then
+  if (IsAssignmentPattern(target)) {
+    // a. Let nestedAssignmentPattern be the parse of the source text corresponding to DestructuringAssignmentTarget using either AssignmentPattern or AssignmentPattern[Yield] as the goal symbol depending upon whether this AssignmentElement has the [Yield] parameter.
+    // b. Return the result of performing DestructuringAssignmentEvaluation of nestedAssignmentPattern with v as the argument.
+    DestructuringAssignmentEvaluation(realm, target, v, strictCode, env);
+    return;
+  }
+  invariant(lref !== undefined);
+
+  // If Initializer is present and value is undefined and IsAnonymousFunctionDefinition(Initializer) and IsIdentifierRef of DestructuringAssignmentTarget are both true, then
+  if (Initializer && useInitializer && IsAnonymousFunctionDefinition(realm, Initializer) && IsIdentifierRef(realm, target)) {
+    invariant(v instanceof ObjectValue);
+
+    // a. Let hasNameProperty be ? HasOwnProperty(v, "name").
+    let hasNameProperty = HasOwnProperty(realm, v, "name");
+
+    // b. If hasNameProperty is false, perform SetFunctionName(v, GetReferencedName(lref)).
+    if (!hasNameProperty) {
+      invariant(lref instanceof Reference);
+      SetFunctionName(realm, v, GetReferencedName(realm, lref));
+    }
+  }
+
+  // Return ? PutValue(lref, v).
+  PutValue(realm, lref, v);
+}
+
+// ECMA262 12.15.5.3
+function IteratorDestructuringAssignmentEvaluation(realm: Realm, elements: Array<?BabelNodeLVal>, iteratorRecord: IteratorRecord, strictCode: boolean, env: LexicalEnvironment): Value {
+  for (let element of elements) {
+    // AssignmentElisionElement : Elision AssignmentElement
+    if (!element) {
+      // 1. If iteratorRecord.[[Done]] is false, then
+      if (!iteratorRecord.$Done) IteratorStepValue(realm, iteratorRecord);
+
+      // 2. Return NormalCompletion(empty).
+      continue;
+    }
+
+    if (element.type === "RestElement") { // AssignmentRestElement : ... DestructuringAssignmentTarget
+      let target = element.argument;
+
+      // 1. If DestructuringAssignmentTarget is neither an ObjectLiteral nor an ArrayLiteral, then
+      let lref;
+      if (!IsAssignmentPattern(target)) {
+        // a. Let lref be the result of evaluating DestructuringAssignmentTarget.
+        lref = env.evaluate(target, strictCode);
+
+        // b. ReturnIfAbrupt(lref).
+      }
+
+      // 2. Let A be ArrayCreate(0).
+      let A = ArrayCreate(realm, 0);
+
+      // 3. Let n be 0.
+      let n = 0;
+
+      // 4. Repeat while iteratorRecord.[[Done]] is false,
+      while (!iteratorRecord.$Done) {
+        // a-d. Let nextValue be the next value of iteratorRecord.[[Iterator]].
+        let nextValue = IteratorStepValue(realm, iteratorRecord);
+        if (nextValue === undefined) break;
+
+        // e. Let status be CreateDataProperty(A, ! ToString(n), nextValue).
+        let status = CreateDataProperty(realm, A, n.toString(), nextValue);
+
+        // f. Assert: status is true.
+        invariant(status, "expected to create property");
+
+        // g. Increment n by 1.
+        n++;
+      }
+
+      // 5. If DestructuringAssignmentTarget is neither an ObjectLiteral nor an ArrayLiteral, then
+      if (lref !== undefined) {
+        // a. Return ? PutValue(lref, A).
+        PutValue(realm, lref, A);
+      } else { // 6. Let nestedAssignmentPattern be the parse of the source text corresponding to DestructuringAssignmentTarget using either AssignmentPattern or AssignmentPattern[Yield] as the goal symbol depending upon whether this AssignmentElement has the [Yield] parameter.
+        // 7. Return the result of performing DestructuringAssignmentEvaluation of nestedAssignmentPattern with A as the argument.
+        DestructuringAssignmentEvaluation(realm, target, A, strictCode, env);
+      }
+      continue;
+    }
+
+    // AssignmentElement : DestructuringAssignmentTarget Initializer opt
+    let target = element, Initializer;
+    if (element.type === "AssignmentPattern") {
+      target = ((element.left: any): BabelNodeLVal);
+      Initializer = element.right;
+    }
+
+    // 1. If DestructuringAssignmentTarget is neither an ObjectLiteral nor an ArrayLiteral, then
+    let lref;
+    if (!IsAssignmentPattern(target)) {
+      // a. Let lref be the result of evaluating DestructuringAssignmentTarget.
+      lref = env.evaluate(target, strictCode);
+
+      // b. ReturnIfAbrupt(lref).
+    }
+
+    // 2. If iteratorRecord.[[Done]] is false, then
+    let value;
+    if (!iteratorRecord.$Done) value = IteratorStepValue(realm, iteratorRecord);
+
+    // 3. If iteratorRecord.[[Done]] is true, let value be undefined.
+    if (value === undefined) value = realm.intrinsics.undefined;
+
+    // 4-7.
+    AssignElement(realm, target, lref, Initializer, value, strictCode, env);
+  }
+
+  return realm.intrinsics.empty;
+}
+
+// ECMA262 12.15.5.4
+function KeyedDestructuringAssignmentEvaluation(realm: Realm, element: BabelNodeLVal, value: Value, propertyName: PropertyKeyValue, strictCode: boolean, env: LexicalEnvironment) {
+  // AssignmentElement : DestructuringAssignmentTarget Initializer opt
+  let target = element, Initializer;
+  if (element.type === "AssignmentPattern") {
+    target = ((element.left: any): BabelNodeLVal);
+    Initializer = element.right;
+  }
+
+  // 1. If DestructuringAssignmentTarget is neither an ObjectLiteral nor an ArrayLiteral, then
+  let lref;
+  if (!IsAssignmentPattern(target)) {
+    // a. Let lref be the result of evaluating DestructuringAssignmentTarget.
+    lref = env.evaluate(target, strictCode);
+
+    // b. ReturnIfAbrupt(lref).
+  }
+
+  // 2. Let v be ? GetV(value, propertyName).
+  let v = GetV(realm, value, propertyName);
+
+  // 3-7.
+  AssignElement(realm, target, lref, Initializer, v, strictCode, env);
+}
+
 // ECMA262 12.15 Assignment Operators
 export default function (ast: BabelNodeAssignmentExpression, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Value | Reference {
   if ((!ast.hasOwnProperty("operator")) || (ast.operator === null))
@@ -32,7 +258,7 @@ export default function (ast: BabelNodeAssignmentExpression, strictCode: boolean
   // AssignmentExpression : LeftHandSideExpression = AssignmentExpression
   if (AssignmentOperator === "="){
     // 1. If LeftHandSideExpression is neither an ObjectLiteral nor an ArrayLiteral, then
-    if (LeftHandSideExpression.type !== "ObjectLiteral" && LeftHandSideExpression.type !== "ArrayLiteral") {
+    if (!IsAssignmentPattern(LeftHandSideExpression)) {
       // a. Let lref be the result of evaluating LeftHandSideExpression.
       let lref = env.evaluate(LeftHandSideExpression, strictCode);
       // b. ReturnIfAbrupt(lref). -- Not neccessary
@@ -57,13 +283,24 @@ export default function (ast: BabelNodeAssignmentExpression, strictCode: boolean
       // g. Return rval.
       return rval;
     }
-    throw new Error("Patterns aren't supported yet");
+
     // 2. Let assignmentPattern be the parse of the source text corresponding to LeftHandSideExpression using AssignmentPattern[?Yield] as the goal symbol.
+    // Babel already parses LeftHandSideExpression as an assignment pattern.
+    let assignmentPattern = LeftHandSideExpression;
+
     // 3. Let rref be the result of evaluating AssignmentExpression.
+    let rref = env.evaluate(AssignmentExpression, strictCode);
+
     // 4. Let rval be ? GetValue(rref).
+    let rval = GetValue(realm, rref);
+
     // 5. Let status be the result of performing DestructuringAssignmentEvaluation of assignmentPattern using rval as the argument.
+    DestructuringAssignmentEvaluation(realm, assignmentPattern, rval, strictCode, env);
+
     // 6. ReturnIfAbrupt(status).
+
     // 7. Return rval.
+    return rval;
   }
 
   // AssignmentExpression : LeftHandSideExpression AssignmentOperator AssignmentExpression
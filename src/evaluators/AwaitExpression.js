@@ -11,10 +11,27 @@
 
 import type { Realm } from "../realm.js";
 import type { LexicalEnvironment } from "../environment.js";
-import type { Value } from "../values/index.js";
 import type { Reference } from "../environment.js";
+import type { Resumable } from "../utils/resumable.js";
+import { AbruptCompletion } from "../completions.js";
+import { Value } from "../values/index.js";
+import { AsyncFunctionAwait } from "../methods/async.js";
+import { EvaluateResumableValue, andThen } from "../utils/resumable.js";
 import type { BabelNodeAwaitExpression } from "babel-types";
 
+// ECMA262 14.6.14
+// Await expressions suspend the running async function; they get evaluated by EvaluateResumable.
+export function EvaluateAwaitExpression(ast: BabelNodeAwaitExpression, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Resumable<Value> {
+  // 1. Let exprRef be the result of evaluating UnaryExpression.
+  // 2. Let value be ? GetValue(exprRef).
+  return andThen(EvaluateResumableValue(ast.argument, strictCode, env, realm), value =>
+    // 3. Return ? AsyncFunctionAwait(value).
+    andThen(AsyncFunctionAwait(realm, value, ast.loc), (resumptionValue: Value | AbruptCompletion) => {
+      if (resumptionValue instanceof AbruptCompletion) throw resumptionValue;
+      return resumptionValue;
+    }));
+}
+
 export default function (ast: BabelNodeAwaitExpression, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Value | Reference {
-  throw new Error("TODO: AwaitExpression");
+  throw new Error("TODO: await expressions in this position");
 }
@@ -11,9 +11,9 @@
 
 import type { Realm } from "../realm.js";
 import type { LexicalEnvironment } from "../environment.js";
-import { EnvironmentRecord } from "../environment.js";
+import { EnvironmentRecord, FunctionEnvironmentRecord } from "../environment.js";
 import type { Value } from "../values/index.js";
-import { ConcreteValue, AbstractValue, FunctionValue } from "../values/index.js";
+import { ConcreteValue, ObjectValue } from "../values/index.js";
 import { Reference } from "../environment.js";
 import { PerformEval } from "../methods/function.js";
 import {
@@ -25,14 +25,71 @@ import {
   IsPropertyReference,
   GetReferencedName,
   EvaluateDirectCall,
-  ArgumentListEvaluation
+  ArgumentListEvaluation,
+  GetThisEnvironment,
+  GetNewTarget,
+  IsConstructor,
+  Construct
 } from "../methods/index.js";
-import type { BabelNode, BabelNodeCallExpression, BabelNodeExpression, BabelNodeSpreadElement } from "babel-types";
+import type { BabelNode, BabelNodeCallExpression } from "babel-types";
 import invariant from "../invariant.js";
-import * as t from "babel-types";
-import { TypesDomain, ValuesDomain } from "../domains/index.js";
+
+// ECMA262 12.3.5.2
+function GetSuperConstructor(realm: Realm): ObjectValue {
+  // 1. Let envRec be GetThisEnvironment( ).
+  let envRec = GetThisEnvironment(realm);
+
+  // 2. Assert: envRec is a function Environment Record.
+  invariant(envRec instanceof FunctionEnvironmentRecord);
+
+  // 3. Let activeFunction be envRec.[[FunctionObject]].
+  let activeFunction = envRec.$FunctionObject;
+
+  // 4. Let superConstructor be ? activeFunction.[[GetPrototypeOf]]().
+  let superConstructor = activeFunction.$GetPrototypeOf();
+
+  // 5. If IsConstructor(superConstructor) is false, throw a TypeError exception.
+  if (!IsConstructor(realm, superConstructor)) {
+    throw realm.createErrorThrowCompletion(realm.intrinsics.TypeError, "super constructor is not a constructor");
+  }
+  invariant(superConstructor instanceof ObjectValue);
+
+  // 6. Return superConstructor.
+  return superConstructor;
+}
+
+// ECMA262 12.3.5.1
+function SuperCall(ast: BabelNodeCallExpression, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Value {
+  // 1. Let newTarget be GetNewTarget().
+  let newTarget = GetNewTarget(realm);
+
+  // 2. If newTarget is undefined, throw a ReferenceError exception.
+  if (!(newTarget instanceof ObjectValue)) {
+    throw realm.createErrorThrowCompletion(realm.intrinsics.ReferenceError, "super() is only valid in derived class constructors");
+  }
+
+  // 3. Let func be ? GetSuperConstructor().
+  let func = GetSuperConstructor(realm);
+
+  // 4. Let argList be ArgumentListEvaluation of Arguments.
+  let argList = ArgumentListEvaluation(realm, strictCode, env, ((ast.arguments: any): Array<BabelNode>));
+
+  // 5. ReturnIfAbrupt(argList).
+
+  // 6. Let result be ? Construct(func, argList, newTarget).
+  let result = Construct(realm, func, argList, newTarget);
+
+  // 7. Let thisER be GetThisEnvironment( ).
+  let thisER = GetThisEnvironment(realm);
+  invariant(thisER instanceof FunctionEnvironmentRecord);
+
+  // 8. Return ? thisER.BindThisValue(result).
+  return thisER.BindThisValue(result);
+}
 
 export default function (ast: BabelNodeCallExpression, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Value | Reference {
+  if (ast.callee.type === "Super") return SuperCall(ast, strictCode, env, realm);
+
   // ECMA262 12.3.4.1
   realm.setNextExecutionContextLocation(ast.loc);
 
@@ -42,20 +99,6 @@ export default function (ast: BabelNodeCallExpression, strictCode: boolean, env:
   // 2. Let func be ? GetValue(ref).
   let func = GetValue(realm, ref);
 
-  if (func instanceof AbstractValue && func.getType() === FunctionValue) {
-    let args =
-      [func].concat(ArgumentListEvaluation(realm, strictCode, env, ((ast.arguments: any): Array<BabelNode>)));
-    return realm.deriveAbstract(
-      new TypesDomain(AbstractValue),
-      ValuesDomain.topVal,
-      args,
-      (nodes) => {
-        let fun_args = ((nodes.slice(1): any): Array<BabelNodeExpression | BabelNodeSpreadElement>);
-        return t.callExpression(nodes[0], fun_args);
-      });
-  }
-  func = func.throwIfNotConcrete();
-
   // 3. If Type(ref) is Reference and IsPropertyReference(ref) is false and GetReferencedName(ref) is "eval", then
   if (ref instanceof Reference && !IsPropertyReference(realm, ref) && GetReferencedName(realm, ref) === "eval") {
     // a. If SameValue(func, %eval%) is true, then
@@ -11,10 +11,251 @@
 
 import type { Realm } from "../realm.js";
 import type { LexicalEnvironment } from "../environment.js";
-import type { Value } from "../values/index.js";
 import type { Reference } from "../environment.js";
-import type { BabelNodeClassDeclaration } from "babel-types";
+import { Value, FunctionValue, NullValue, ObjectValue, StringValue } from "../values/index.js";
+import {
+  NewDeclarativeEnvironment,
+  GetValue,
+  Get,
+  IsConstructor,
+  ObjectCreate,
+  MakeConstructor,
+  MakeClassConstructor,
+  CreateMethodProperty,
+  HasOwnProperty,
+  SetFunctionName,
+  InitializeBoundName
+} from "../methods/index.js";
+import { DefineMethod, PropertyDefinitionEvaluation } from "./ObjectExpression.js";
+import invariant from "../invariant.js";
+import * as t from "babel-types";
+import type { BabelNodeClassDeclaration, BabelNodeClassExpression, BabelNodeClassMethod } from "babel-types";
 
+// ECMA262 14.5.3
+function ConstructorMethod(ast: BabelNodeClassDeclaration | BabelNodeClassExpression): void | BabelNodeClassMethod {
+  for (let m of ast.body.body) {
+    if (m.type === "ClassMethod" && m.kind === "constructor") return m;
+  }
+  return undefined;
+}
+
+// ECMA262 14.5.10
+function NonConstructorMethodDefinitions(realm: Realm, ast: BabelNodeClassDeclaration | BabelNodeClassExpression): Array<BabelNodeClassMethod> {
+  let methods = [];
+  for (let m of ast.body.body) {
+    // Only methods are ClassElements, but parsers may support proposals for other kinds, such as class properties.
+    if (m.type !== "ClassMethod") throw realm.createErrorThrowCompletion(realm.intrinsics.__IntrospectionError, `TODO: class elements of type ${m.type}`);
+    if (m.kind !== "constructor") methods.push(m);
+  }
+  return methods;
+}
+
+// ECMA262 14.5.14
+export function ClassDefinitionEvaluation(realm: Realm, ast: BabelNodeClassDeclaration | BabelNodeClassExpression, className: void | string, env: LexicalEnvironment): FunctionValue {
+  // All parts of a class are strict mode code.
+  let strictCode = true;
+
+  // 1. Let lex be the LexicalEnvironment of the running execution context.
+  let lex = env;
+
+  // 2. Let classScope be NewDeclarativeEnvironment(lex).
+  let classScope = NewDeclarativeEnvironment(realm, lex);
+
+  // 3. Let classScopeEnvRec be classScope's EnvironmentRecord.
+  let classScopeEnvRec = classScope.environmentRecord;
+
+  // 4. If className is not undefined, then
+  if (className !== undefined) {
+    // a. Perform classScopeEnvRec.CreateImmutableBinding(className, true).
+    classScopeEnvRec.CreateImmutableBinding(className, true);
+  }
+
+  let protoParent, constructorParent;
+  let heritage = ast.superClass;
+  // 5. If ClassHeritage opt is not present, then
+  if (!heritage) {
+    // a. Let protoParent be the intrinsic object %ObjectPrototype%.
+    protoParent = realm.intrinsics.ObjectPrototype;
+
+    // b. Let constructorParent be the intrinsic object %FunctionPrototype%.
+    constructorParent = realm.intrinsics.FunctionPrototype;
+  } else { // 6. Else,
+    let context = realm.getRunningContext();
+    let oldEnv = context.lexicalEnvironment;
+
+    // a. Set the running execution context's LexicalEnvironment to classScope.
+    context.lexicalEnvironment = classScope;
+    let superclass;
+    try {
+      // b. Let superclass be the result of evaluating ClassHeritage.
+      superclass = GetValue(realm, classScope.evaluate(heritage, strictCode)).throwIfNotConcrete();
+    } finally {
+      // c. Set the running execution context's LexicalEnvironment to lex.
+      context.lexicalEnvironment = oldEnv;
+    }
+
+    // d. ReturnIfAbrupt(superclass).
+
+    // e. If superclass is null, then
+    if (superclass instanceof NullValue) {
+      // i. Let protoParent be null.
+      protoParent = realm.intrinsics.null;
+
+      // ii. Let constructorParent be the intrinsic object %FunctionPrototype%.
+      constructorParent = realm.intrinsics.FunctionPrototype;
+    } else if (!IsConstructor(realm, superclass)) { // f. Else if IsConstructor(superclass) is false, throw a TypeError exception.
+      throw realm.createErrorThrowCompletion(realm.intrinsics.TypeError, "class heritage is not a constructor");
+    } else { // g. Else,
+      invariant(superclass instanceof ObjectValue);
+
+      // i. Let protoParent be ? Get(superclass, "prototype").
+      protoParent = Get(realm, superclass, "prototype").throwIfNotConcrete();
+
+      // ii. If Type(protoParent) is neither Object nor Null, throw a TypeError exception.
+      if (!(protoParent instanceof ObjectValue) && !(protoParent instanceof NullValue)) {
+        throw realm.createErrorThrowCompletion(realm.intrinsics.TypeError, "class heritage has an invalid prototype");
+      }
+
+      // iii. Let constructorParent be superclass.
+      constructorParent = superclass;
+    }
+  }
+
+  // 7. Let proto be ObjectCreate(protoParent).
+  let proto = ObjectCreate(realm, protoParent);
+
+  // 8. If ClassBody opt is not present, let constructor be empty.
+  // 9. Else, let constructor be ConstructorMethod of ClassBody.
+  let constructor = ConstructorMethod(ast);
+
+  // 10. If constructor is empty, then,
+  if (constructor === undefined) {
+    // a. If ClassHeritage opt is present, then
+    if (ast.superClass) {
+      // i. Let constructor be the result of parsing the source text
+      //      constructor(... args){ super (...args);}
+      //    using the syntactic grammar with the goal symbol MethodDefinition.
+      constructor = t.classMethod("constructor", t.identifier("constructor"), [t.restElement(t.identifier("args"))], t.blockStatement([
+        t.expressionStatement(t.callExpression((t: any).super(), [t.spreadElement(t.identifier("args"))]))
+      ]));
+    } else { // b. Else,
+      // i. Let constructor be the result of parsing the source text
+      //      constructor( ){ }
+      //    using the syntactic grammar with the goal symbol MethodDefinition.
+      constructor = t.classMethod("constructor", t.identifier("constructor"), [], t.blockStatement([]));
+    }
+  }
+
+  let context = realm.getRunningContext();
+  let oldEnv = context.lexicalEnvironment;
+
+  // 11. Set the running execution context's LexicalEnvironment to classScope.
+  context.lexicalEnvironment = classScope;
+  let F;
+  try {
+    // 12. Let constructorInfo be the result of performing DefineMethod for constructor with arguments proto and constructorParent as the optional functionPrototype argument.
+    let constructorInfo = DefineMethod(realm, constructor, proto, classScope, strictCode, constructorParent);
+
+    // 13. Assert: constructorInfo is not an abrupt completion.
+
+    // 14. Let F be constructorInfo.[[Closure]].
+    F = constructorInfo.$Closure;
+    F.loc = ast.loc;
+
+    // 15. If ClassHeritage opt is present, set F's [[ConstructorKind]] internal slot to "derived".
+    if (ast.superClass) F.$ConstructorKind = "derived";
+
+    // 16. Perform MakeConstructor(F, false, proto).
+    MakeConstructor(realm, F, false, proto);
+
+    // Not in the spec: remember the class constructor, as the prototype object cannot be created independently of it.
+    proto.$ClassConstructor = F;
+
+    // 17. Perform MakeClassConstructor(F).
+    MakeClassConstructor(realm, F);
+
+    // 18. Perform CreateMethodProperty(proto, "constructor", F).
+    CreateMethodProperty(realm, proto, "constructor", F);
+
+    // 19. If ClassBody opt is not present, let methods be a new empty List.
+    // 20. Else, let methods be NonConstructorMethodDefinitions of ClassBody.
+    let methods = NonConstructorMethodDefinitions(realm, ast);
+
+    // 21. For each ClassElement m in order from methods
+    for (let m of methods) {
+      // a. If IsStatic of m is false, then
+      if (!m.static) {
+        // i. Let status be the result of performing PropertyDefinitionEvaluation for m with arguments proto and false.
+        PropertyDefinitionEvaluation(realm, m, proto, classScope, strictCode, false);
+      } else { // b. Else,
+        // i. Let status be the result of performing PropertyDefinitionEvaluation for m with arguments F and false.
+        PropertyDefinitionEvaluation(realm, m, F, classScope, strictCode, false);
+      }
+
+      // c. If status is an abrupt completion, then
+      //   i. Set the running execution context's LexicalEnvironment to lex.
+      //   ii. Return Completion(status).
+    }
+  } finally {
+    // 22. Set the running execution context's LexicalEnvironment to lex.
+    context.lexicalEnvironment = oldEnv;
+  }
+
+  // 23. If className is not undefined, then
+  if (className !== undefined) {
+    // a. Perform classScopeEnvRec.InitializeBinding(className, F).
+    classScopeEnvRec.InitializeBinding(className, F);
+  }
+
+  // 24. Return F.
+  return F;
+}
+
+// ECMA262 14.5.15
+export function BindingClassDeclarationEvaluation(realm: Realm, ast: BabelNodeClassDeclaration, env: LexicalEnvironment): FunctionValue {
+  if (!ast.id) {
+    // ClassDeclaration : class ClassTail
+    // 1. Let value be ? ClassDefinitionEvaluation of ClassTail with argument undefined.
+    let value = ClassDefinitionEvaluation(realm, ast, undefined, env);
+
+    // 2. Let hasNameProperty be ? HasOwnProperty(value, "name").
+    let hasNameProperty = HasOwnProperty(realm, value, "name");
+
+    // 3. If hasNameProperty is false, perform SetFunctionName(value, "default").
+    if (!hasNameProperty) SetFunctionName(realm, value, new StringValue(realm, "default"));
+
+    // 4. Return value.
+    return value;
+  }
+
+  // 1. Let className be StringValue of BindingIdentifier.
+  let className = ast.id.name;
+
+  // 2. Let value be ? ClassDefinitionEvaluation of ClassTail with argument className.
+  let value = ClassDefinitionEvaluation(realm, ast, className, env);
+
+  // 3. Let hasNameProperty be ? HasOwnProperty(value, "name").
+  let hasNameProperty = HasOwnProperty(realm, value, "name");
+
+  // 4. If hasNameProperty is false, perform SetFunctionName(value, className).
+  if (!hasNameProperty) SetFunctionName(realm, value, new StringValue(realm, className));
+
+  // 5. Let env be the running execution context's LexicalEnvironment.
+
+  // 6. Perform ? InitializeBoundName(className, value, env).
+  InitializeBoundName(realm, className, value, env);
+
+  // 7. Return value.
+  return value;
+}
+
+// ECMA262 14.5.16
 export default function (ast: BabelNodeClassDeclaration, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Value | Reference {
-  throw new Error("TODO: ClassDeclaration");
+  // 1. Let status be BindingClassDeclarationEvaluation of this ClassDeclaration.
+  BindingClassDeclarationEvaluation(realm, ast, env);
+
+  // 2. ReturnIfAbrupt(status).
+
+  // 3. Return NormalCompletion(empty).
+  return realm.intrinsics.empty;
 }
@@ -13,8 +13,34 @@ import type { Realm } from "../realm.js";
 import type { LexicalEnvironment } from "../environment.js";
 import type { Value } from "../values/index.js";
 import type { Reference } from "../environment.js";
+import { StringValue } from "../values/index.js";
+import { HasOwnProperty, SetFunctionName } from "../methods/index.js";
+import { ClassDefinitionEvaluation } from "./ClassDeclaration.js";
 import type { BabelNodeClassExpression } from "babel-types";
 
+// ECMA262 14.5.16
 export default function (ast: BabelNodeClassExpression, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Value | Reference {
-  throw new Error("TODO: ClassExpression");
+  // 1. If BindingIdentifier opt is not present, let className be undefined.
+  // 2. Else, let className be StringValue of BindingIdentifier.
+  let className = ast.id ? ast.id.name : undefined;
+
+  // 3. Let value be the result of ClassDefinitionEvaluation of ClassTail with argument className.
+  let value = ClassDefinitionEvaluation(realm, ast, className, env);
+
+  // 4. ReturnIfAbrupt(value).
+
+  // 5. If className is not undefined, then
+  if (className !== undefined) {
+    // a. Let hasNameProperty be ? HasOwnProperty(value, "name").
+    let hasNameProperty = HasOwnProperty(realm, value, "name");
+
+    // b. If hasNameProperty is false, then
+    if (!hasNameProperty) {
+      // i. Perform SetFunctionName(value, className).
+      SetFunctionName(realm, value, new StringValue(realm, className));
+    }
+  }
+
+  // 6. Return NormalCompletion(value).
+  return value;
 }
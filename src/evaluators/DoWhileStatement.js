@@ -13,14 +13,14 @@ import type { Realm } from "../realm.js";
 import type { LexicalEnvironment } from "../environment.js";
 import type { Value } from "../values/index.js";
 import type { Reference } from "../environment.js";
-import { EmptyValue } from "../values/index.js";
-import { ToBooleanPartial, GetValue, UpdateEmpty } from "../methods/index.js";
-import { LoopContinues, InternalGetResultValue } from "./ForOfStatement.js";
-import { AbruptCompletion } from "../completions.js";
+import { AbstractValue, EmptyValue } from "../values/index.js";
+import { ToBooleanPartial, GetValue, UpdateEmpty, evaluateLoopWithAbstractTest } from "../methods/index.js";
+import { LoopContinues, LoopCompletion, InternalGetResultValue } from "./ForOfStatement.js";
+import { AbruptCompletion, NormalCompletion } from "../completions.js";
 import invariant from "../invariant.js";
 import type { BabelNodeDoWhileStatement } from "babel-types";
 
-export default function (ast: BabelNodeDoWhileStatement, strictCode: boolean, env: LexicalEnvironment, realm: Realm, labelSet: ?Array<string>): Value | Reference {
+export default function (ast: BabelNodeDoWhileStatement, strictCode: boolean, env: LexicalEnvironment, realm: Realm, labelSet: ?Array<string>): NormalCompletion | Value | Reference {
   let { body, test } = ast;
 
   // 1. Let V be undefined.
@@ -34,7 +34,7 @@ export default function (ast: BabelNodeDoWhileStatement, strictCode: boolean, en
     // b. If LoopContinues(stmt, labelSet) is false, return Completion(UpdateEmpty(stmt, V)).
     if (LoopContinues(realm, stmt, labelSet) === false) {
       invariant(stmt instanceof AbruptCompletion);
-      throw UpdateEmpty(realm, stmt, V);
+      return LoopCompletion(realm, UpdateEmpty(realm, stmt, V));
     }
 
     // c. If stmt.[[Value]] is not empty, let V be stmt.[[Value]].
@@ -47,6 +47,13 @@ export default function (ast: BabelNodeDoWhileStatement, strictCode: boolean, en
     // e. Let exprValue be ? GetValue(exprRef).
     let exprValue = GetValue(realm, exprRef);
 
+    if (exprValue instanceof AbstractValue && exprValue.mightNotBeObject()) {
+      // The number of remaining iterations is not known, so they become a residual loop.
+      // The completion value of the residual iterations is not known, so V remains that of the unrolled ones.
+      return evaluateLoopWithAbstractTest(realm, exprValue, labelSet, () => env.evaluateAbstractCompletion(body, strictCode),
+        () => GetValue(realm, env.evaluate(test, strictCode)), V);
+    }
+
     // f. If ToBoolean(exprValue) is false, return NormalCompletion(V).
     if (ToBooleanPartial(realm, exprValue) === false) return V;
   }
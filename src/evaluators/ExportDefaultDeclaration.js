@@ -0,0 +1,72 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+/* @flow */
+
+import type { Realm } from "../realm.js";
+import type { LexicalEnvironment } from "../environment.js";
+import type { Reference } from "../environment.js";
+import { Value, ObjectValue, StringValue } from "../values/index.js";
+import { GetValue, HasOwnProperty, InitializeBoundName, IsAnonymousFunctionDefinition, SetFunctionName } from "../methods/index.js";
+import { BindingClassDeclarationEvaluation } from "./ClassDeclaration.js";
+import invariant from "../invariant.js";
+import type { BabelNodeExportDefaultDeclaration } from "babel-types";
+
+// ECMA262 15.2.3.11
+export default function (ast: BabelNodeExportDefaultDeclaration, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Value | Reference {
+  let declaration = ast.declaration;
+
+  if (declaration.type === "FunctionDeclaration") {
+    // export default HoistableDeclaration
+    // 1. Return NormalCompletion(empty).
+    return realm.intrinsics.empty;
+  }
+
+  if (declaration.type === "ClassDeclaration") {
+    // export default ClassDeclaration
+    // 1. Let value be ? BindingClassDeclarationEvaluation of ClassDeclaration.
+    let value = BindingClassDeclarationEvaluation(realm, declaration, env);
+
+    // 2. Let className be the sole element of BoundNames of ClassDeclaration.
+    // 3. If className is "*default*", then
+    if (!declaration.id) {
+      // a. Let env be the running execution context's LexicalEnvironment.
+      // b. Perform ? InitializeBoundName("*default*", value, env).
+      InitializeBoundName(realm, "*default*", value, env);
+    }
+
+    // 4. Return NormalCompletion(empty).
+    return realm.intrinsics.empty;
+  }
+
+  // export default AssignmentExpression;
+  // 1. Let rhs be the result of evaluating AssignmentExpression.
+  let rhs = env.evaluate(declaration, strictCode);
+
+  // 2. Let value be ? GetValue(rhs).
+  let value = GetValue(realm, rhs);
+
+  // 3. If IsAnonymousFunctionDefinition(AssignmentExpression) is true, then
+  if (IsAnonymousFunctionDefinition(realm, declaration)) {
+    invariant(value instanceof ObjectValue);
+
+    // a. Let hasNameProperty be ? HasOwnProperty(value, "name").
+    let hasNameProperty = HasOwnProperty(realm, value, "name");
+
+    // b. If hasNameProperty is false, perform SetFunctionName(value, "default").
+    if (!hasNameProperty) SetFunctionName(realm, value, new StringValue(realm, "default"));
+  }
+
+  // 4. Let env be the running execution context's LexicalEnvironment.
+  // 5. Perform ? InitializeBoundName("*default*", value, env).
+  InitializeBoundName(realm, "*default*", value, env);
+
+  // 6. Return NormalCompletion(empty).
+  return realm.intrinsics.empty;
+}
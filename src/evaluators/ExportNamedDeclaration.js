@@ -0,0 +1,33 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+/* @flow */
+
+import type { Realm } from "../realm.js";
+import type { LexicalEnvironment } from "../environment.js";
+import type { Value } from "../values/index.js";
+import type { Reference } from "../environment.js";
+import type { BabelNodeExportNamedDeclaration } from "babel-types";
+
+// ECMA262 15.2.3.11
+export default function (ast: BabelNodeExportNamedDeclaration, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Value | Reference {
+  let declaration = ast.declaration;
+
+  // export ExportClause FromClause; / export ExportClause;
+  // 1. Return NormalCompletion(empty).
+  if (!declaration) return realm.intrinsics.empty;
+
+  // export HoistableDeclaration
+  // 1. Return NormalCompletion(empty).
+  if (declaration.type === "FunctionDeclaration") return realm.intrinsics.empty;
+
+  // export VariableStatement / export Declaration
+  // 1. Return the result of evaluating VariableStatement / Declaration.
+  return env.evaluate(declaration, strictCode);
+}
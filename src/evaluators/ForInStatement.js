@@ -11,13 +11,14 @@
 
 import type { Realm } from "../realm.js";
 import type { Value } from "../values/index.js";
+import type { NormalCompletion } from "../completions.js";
 import type { LexicalEnvironment, Reference } from "../environment.js";
 import { ForInOfHeadEvaluation, ForInOfBodyEvaluation } from "./ForOfStatement.js";
 import { BoundNames } from "../methods/index.js";
 import type { BabelNodeForInStatement } from "babel-types";
 
 // ECMA262 13.7.5.11
-export default function (ast: BabelNodeForInStatement, strictCode: boolean, env: LexicalEnvironment, realm: Realm, labelSet: ?Array<string>): Value | Reference {
+export default function (ast: BabelNodeForInStatement, strictCode: boolean, env: LexicalEnvironment, realm: Realm, labelSet: ?Array<string>): NormalCompletion | Value | Reference {
   let { left, right, body } = ast;
 
   if (left.type === "VariableDeclaration") {
@@ -10,18 +10,26 @@
 /* @flow */
 
 import type { Realm } from "../realm.js";
-import type { LexicalEnvironment } from "../environment.js";
+import type { Binding, LexicalEnvironment } from "../environment.js";
 import { DeclarativeEnvironmentRecord } from "../environment.js";
 import { Reference } from "../environment.js";
-import { BreakCompletion, AbruptCompletion, ContinueCompletion } from "../completions.js";
-import { EmptyValue, ObjectValue, Value, NullValue, UndefinedValue } from "../values/index.js";
+import { BreakCompletion, AbruptCompletion, Completion, ContinueCompletion, NormalCompletion } from "../completions.js";
+import { AbstractValue, BooleanValue, EmptyValue, ObjectValue, Value, NullValue, UndefinedValue } from "../values/index.js";
+import { TypesDomain, ValuesDomain } from "../domains/index.js";
 import invariant from "../invariant.js";
+import * as t from "babel-types";
+import { DestructuringAssignmentEvaluation } from "./AssignmentExpression.js";
 import {
   InitializeReferencedBinding,
+  Get,
+  GetMethod,
   GetValue,
   PutValue,
-  IteratorStep,
+  IteratorNext,
   IteratorValue,
+  ToBooleanPartial,
+  evaluateLoopWithAbstractTest,
+  evaluateForInWithAbstractObject,
   NewDeclarativeEnvironment,
   ResolveBinding,
   IteratorClose,
@@ -67,6 +75,20 @@ export function LoopContinues(realm: Realm, completion: Reference | Value | Abru
   return false;
 }
 
+// ECMA262 13.1.7
+// Completes a loop whose iteration completed abruptly. Unlabelled breaks complete it normally.
+export function LoopCompletion(realm: Realm, completion: Value | Completion): Value {
+  invariant(completion instanceof AbruptCompletion);
+  // 2. If stmtResult.[[Type]] is break, then
+  //   a. If stmtResult.[[Target]] is empty, then
+  if (completion instanceof BreakCompletion && !completion.target) {
+    // i. If stmtResult.[[Value]] is empty, let stmtResult be NormalCompletion(undefined).
+    // ii. Else, let stmtResult be NormalCompletion(stmtResult.[[Value]]).
+    return completion.value instanceof EmptyValue ? realm.intrinsics.undefined : completion.value;
+  }
+  throw completion;
+}
+
 // ECMA262 13.7.5.10
 function BindingInstantiation(realm: Realm, ast: BabelNodeVariableDeclaration, env: LexicalEnvironment) {
   // ast = ForDeclaration : LetOrConst ForBinding
@@ -78,16 +100,14 @@ function BindingInstantiation(realm: Realm, ast: BabelNodeVariableDeclaration, e
   invariant(envRec instanceof DeclarativeEnvironmentRecord);
 
   // 3. For each element name of the BoundNames of ForBinding do
-  for (let decl of ast.declarations) {
-    if (decl.id.type !== "Identifier")
-      throw new Error("TODO: Patterns aren't supported yet");
+  for (let name of BoundNames(realm, ast)) {
     // a. If IsConstantDeclaration of LetOrConst is true, then
     if (ast.kind === "const") {
       // i. Perform ! envRec.CreateImmutableBinding(name, true).
-      envRec.CreateImmutableBinding(decl.id.name, true);
+      envRec.CreateImmutableBinding(name, true);
     } else { // b.
       // i. Perform ! envRec.CreateMutableBinding(name, false).
-      envRec.CreateMutableBinding(decl.id.name, false);
+      envRec.CreateMutableBinding(name, false);
     }
   }
 }
@@ -135,6 +155,9 @@ export function ForInOfHeadEvaluation(realm: Realm, env: LexicalEnvironment, TDZ
 
   // 6. If iterationKind is enumerate, then
   if (iterationKind === "enumerate") {
+    // The keys of an abstract value are not known, so the loop becomes a residual for-in loop over it.
+    if (exprValue instanceof AbstractValue) return exprValue;
+
     // a. If exprValue.[[Value]] is null or undefined, then
     if (HasSomeCompatibleType(realm, exprValue, NullValue, UndefinedValue)) {
       // i. Return Completion{[[Type]]: break, [[Value]]: empty, [[Target]]: empty}.
@@ -155,8 +178,120 @@ export function ForInOfHeadEvaluation(realm: Realm, env: LexicalEnvironment, TDZ
   }
 }
 
+// Steps 5.d to 5.h of ForIn/OfBodyEvaluation, which bind the next value for an iteration.
+// Returns the environment in which the loop body gets evaluated.
+export function ForInOfBindingInitialization(realm: Realm, oldEnv: LexicalEnvironment, lhs: BabelNodeVariableDeclaration | BabelNodeLVal, destructuring: boolean, iterator: void | ObjectValue, lhsKind: LhsKind, nextValue: Value, strictCode: boolean): LexicalEnvironment {
+  // d. If lhsKind is either assignment or varBinding, then
+  let iterationEnv: void | LexicalEnvironment;
+  let lhsRef;
+  if (lhsKind === "assignment" || lhsKind === "varBinding") {
+    // i. If destructuring is false, then
+    if (!destructuring) {
+      // 1. Let lhsRef be the result of evaluating lhs. (It may be evaluated repeatedly.)
+      lhsRef = oldEnv.evaluateCompletion(lhs, strictCode);
+    }
+  } else { // e. Else,
+    // i. Assert: lhsKind is lexicalBinding.
+    invariant(lhsKind === "lexicalBinding", "expected lhsKind to be lexicalBinding");
+    invariant(lhs.type === "VariableDeclaration");
+
+    // ii. Assert: lhs is a ForDeclaration.
+
+    // iii. Let iterationEnv be NewDeclarativeEnvironment(oldEnv).
+    iterationEnv = NewDeclarativeEnvironment(realm, oldEnv);
+
+    // iv. Perform BindingInstantiation for lhs passing iterationEnv as the argument.
+    BindingInstantiation(realm, lhs, iterationEnv);
+
+    // v. Set the running execution context's LexicalEnvironment to iterationEnv.
+    realm.getRunningContext().lexicalEnvironment = iterationEnv;
+
+    // vi. If destructuring is false, then
+    if (!destructuring) {
+      let names = BoundNames(realm, lhs);
+
+      // 1. Assert: lhs binds a single name.
+      invariant(names.length === 1, "expected single name");
+
+      // 2. Let lhsName be the sole element of BoundNames of lhs.
+      let lhsName = names[0];
+
+      // 3. Let lhsRef be ! ResolveBinding(lhsName).
+      lhsRef = ResolveBinding(realm, lhsName, strictCode);
+    }
+  }
+
+  // f. If destructuring is false, then
+  let status;
+  try {
+    if (!destructuring) {
+      // i. If lhsRef is an abrupt completion, then
+      if (lhsRef instanceof AbruptCompletion) {
+        // 1. Let status be lhsRef.
+        status = lhsRef;
+      } else if (lhsKind === "lexicalBinding") { // ii. Else if lhsKind is lexicalBinding, then
+        // 1. Let status be InitializeReferencedBinding(lhsRef, nextValue).
+        invariant(lhsRef instanceof Reference);
+        status = InitializeReferencedBinding(realm, lhsRef, nextValue);
+      } else { // iii. Else,
+        // 1. Let status be PutValue(lhsRef, nextValue).
+        invariant(lhsRef !== undefined);
+        status = PutValue(realm, lhsRef, nextValue);
+      }
+    } else { // g. Else,
+      // i. If lhsKind is assignment, then
+      if (lhsKind === "assignment") {
+        // 1. Let status be the result of performing DestructuringAssignmentEvaluation of assignmentPattern using nextValue as the argument.
+        invariant(lhs.type !== "VariableDeclaration");
+        status = DestructuringAssignmentEvaluation(realm, lhs, nextValue, strictCode, oldEnv);
+      } else if (lhsKind === "varBinding") { // ii. Else if lhsKind is varBinding, then
+        // 1. Assert: lhs is a ForBinding.
+
+        // 2. Let status be the result of performing BindingInitialization for lhs passing nextValue and undefined as the arguments.
+        status = BindingInitialization(realm, lhs, nextValue, strictCode, undefined);
+      } else { // iii. Else,
+        // 1. Assert: lhsKind is lexicalBinding.
+        invariant(lhsKind === "lexicalBinding");
+
+        // 2. Assert: lhs is a ForDeclaration.
+
+        // 3. Let status be the result of performing BindingInitialization for lhs passing nextValue and iterationEnv as arguments.
+        invariant(iterationEnv !== undefined);
+        status = BindingInitialization(realm, lhs, nextValue, strictCode, iterationEnv);
+      }
+    }
+  } catch (e) {
+    if (e instanceof AbruptCompletion) {
+      status = e;
+    } else {
+      throw e;
+    }
+  }
+
+  // h. If status is an abrupt completion, then
+  if (status instanceof AbruptCompletion) {
+    // i. Set the running execution context's LexicalEnvironment to oldEnv.
+    realm.getRunningContext().lexicalEnvironment = oldEnv;
+
+    // ii. Return ? IteratorClose(iterator, status).
+    // A residual for-in loop has no iterator, and the iterators of for-in loops have nothing to close anyway.
+    throw iterator === undefined ? status : IteratorClose(realm, iterator, status);
+  }
+
+  return iterationEnv || oldEnv;
+}
+
+// Returns whether an iterator with the given done value has another value.
+function IteratorNotDone(realm: Realm, done: Value): Value {
+  if (done instanceof AbstractValue && done.mightNotBeObject()) {
+    return realm.createAbstract(new TypesDomain(BooleanValue), ValuesDomain.topVal, [done],
+      ([node]) => t.unaryExpression("!", node));
+  }
+  return new BooleanValue(realm, !ToBooleanPartial(realm, done));
+}
+
 // ECMA262 13.7.5.13
-export function ForInOfBodyEvaluation(realm: Realm, env: LexicalEnvironment, lhs: BabelNodeVariableDeclaration | BabelNodeLVal, stmt: BabelNodeStatement, iterator: ObjectValue, lhsKind: LhsKind, labelSet: ?Array<string>, strictCode: boolean) {
+export function ForInOfBodyEvaluation(realm: Realm, env: LexicalEnvironment, lhs: BabelNodeVariableDeclaration | BabelNodeLVal, stmt: BabelNodeStatement, iterator: ObjectValue | AbstractValue, lhsKind: LhsKind, labelSet: ?Array<string>, strictCode: boolean): NormalCompletion | Value {
   // 1. Let oldEnv be the running execution context's LexicalEnvironment.
   let oldEnv = realm.getRunningContext().lexicalEnvironment;
 
@@ -171,113 +306,63 @@ export function ForInOfBodyEvaluation(realm: Realm, env: LexicalEnvironment, lhs
     // a. Assert: lhs is a LeftHandSideExpression.
 
     // b. Let assignmentPattern be the parse of the source text corresponding to lhs using AssignmentPattern as the goal symbol.
+    // Babel already parses lhs as an assignment pattern.
+  }
+
+  if (iterator instanceof AbstractValue) {
+    // The keys that the residual loop enumerates are not known.
+    return evaluateForInWithAbstractObject(realm, iterator, labelSet, key => {
+      let iterationEnv = ForInOfBindingInitialization(realm, oldEnv, lhs, destructuring, undefined, lhsKind, key, strictCode);
+      try {
+        return iterationEnv.evaluateAbstractCompletion(stmt, strictCode);
+      } finally {
+        realm.getRunningContext().lexicalEnvironment = oldEnv;
+      }
+    }, V);
   }
 
   // 5. Repeat
   while (true) {
     // a. Let nextResult be ? IteratorStep(iterator).
-    let nextResult = IteratorStep(realm, iterator);
+    // IteratorStep is inlined, so that the iterator can be done or not depending on abstract values.
+    let nextResult = IteratorNext(realm, iterator);
+    let done = Get(realm, nextResult, "done");
+
+    if (done instanceof AbstractValue && done.mightNotBeObject()) {
+      // The number of remaining iterations is not known, so they become a residual loop. The value for
+      // the next iteration gets carried over from the test of the previous one in a binding of its own.
+      let nextValueBinding: Binding = { value: IteratorValue(realm, nextResult), initialized: true, mutable: true };
+      let oldEnvRec = oldEnv.environmentRecord;
+      let entryTest = IteratorNotDone(realm, done);
+      invariant(entryTest instanceof AbstractValue);
+      let loopIterator = iterator;
+      // Residual iterations that leave the loop early would have to close the iterator.
+      let canExit = GetMethod(realm, iterator, "return") instanceof UndefinedValue;
+      // The completion value of the residual iterations is not known, so V remains that of the unrolled ones.
+      return evaluateLoopWithAbstractTest(realm, entryTest, labelSet, () => {
+        let nextValue = nextValueBinding.value;
+        invariant(nextValue !== undefined);
+        let iterationEnv = ForInOfBindingInitialization(realm, oldEnv, lhs, destructuring, loopIterator, lhsKind, nextValue, strictCode);
+        try {
+          return iterationEnv.evaluateAbstractCompletion(stmt, strictCode);
+        } finally {
+          realm.getRunningContext().lexicalEnvironment = oldEnv;
+        }
+      }, () => {
+        let iterResult = IteratorNext(realm, loopIterator);
+        realm.recordModifiedBinding(nextValueBinding, oldEnvRec).value = IteratorValue(realm, iterResult);
+        return IteratorNotDone(realm, Get(realm, iterResult, "done"));
+      }, V, canExit);
+    }
 
     // b. If nextResult is false, return NormalCompletion(V).
-    if (!nextResult) return V;
+    if (ToBooleanPartial(realm, done)) return V;
 
     // c. Let nextValue be ? IteratorValue(nextResult).
     let nextValue = IteratorValue(realm, nextResult);
 
-    // d. If lhsKind is either assignment or varBinding, then
-    let iterationEnv : LexicalEnvironment;
-    let lhsRef;
-    if (lhsKind === "assignment" || lhsKind === "varBinding") {
-      // i. If destructuring is false, then
-      if (!destructuring) {
-        // 1. Let lhsRef be the result of evaluating lhs. (It may be evaluated repeatedly.)
-        lhsRef = env.evaluateCompletion(lhs, strictCode);
-      }
-    } else { // e. Else,
-      // i. Assert: lhsKind is lexicalBinding.
-      invariant(lhsKind === "lexicalBinding", "expected lhsKind to be lexicalBinding");
-      invariant(lhs.type === "VariableDeclaration");
-
-      // ii. Assert: lhs is a ForDeclaration.
-
-      // iii. Let iterationEnv be NewDeclarativeEnvironment(oldEnv).
-      iterationEnv = NewDeclarativeEnvironment(realm, oldEnv);
-
-      // iv. Perform BindingInstantiation for lhs passing iterationEnv as the argument.
-      BindingInstantiation(realm, lhs, iterationEnv);
-
-      // v. Set the running execution context's LexicalEnvironment to iterationEnv.
-      realm.getRunningContext().lexicalEnvironment = iterationEnv;
-      env = iterationEnv;
-
-      // vi. If destructuring is false, then
-      if (!destructuring) {
-        let names = BoundNames(realm, lhs);
-
-        // 1. Assert: lhs binds a single name.
-        invariant(names.length === 1, "expected single name");
-
-        // 2. Let lhsName be the sole element of BoundNames of lhs.
-        let lhsName = names[0];
-
-        // 3. Let lhsRef be ! ResolveBinding(lhsName).
-        lhsRef = ResolveBinding(realm, lhsName, strictCode);
-      }
-    }
-
-    // f. If destructuring is false, then
-    let status;
-    try {
-      if (!destructuring) {
-        // i. If lhsRef is an abrupt completion, then
-        if (lhsRef instanceof AbruptCompletion) {
-          // 1. Let status be lhsRef.
-          status = lhsRef;
-        } else if (lhsKind === "lexicalBinding") { // ii. Else if lhsKind is lexicalBinding, then
-          // 1. Let status be InitializeReferencedBinding(lhsRef, nextValue).
-          invariant(lhsRef instanceof Reference);
-          status = InitializeReferencedBinding(realm, lhsRef, nextValue);
-        } else { // iii. Else,
-          // 1. Let status be PutValue(lhsRef, nextValue).
-          invariant(lhsRef !== undefined);
-          status = PutValue(realm, lhsRef, nextValue);
-        }
-      } else { // g. Else,
-        // i. If lhsKind is assignment, then
-        if (lhsKind === "assignment") {
-          // 1. Let status be the result of performing DestructuringAssignmentEvaluation of assignmentPattern using nextValue as the argument.
-        } else if (lhsKind === "varBinding") { // ii. Else if lhsKind is varBinding, then
-          // 1. Assert: lhs is a ForBinding.
-
-          // 2. Let status be the result of performing BindingInitialization for lhs passing nextValue and undefined as the arguments.
-          status = BindingInitialization(realm, lhs, nextValue, undefined);
-        } else { // iii. Else,
-          // 1. Assert: lhsKind is lexicalBinding.
-          invariant(lhsKind === "lexicalBinding");
-
-          // 2. Assert: lhs is a ForDeclaration.
-
-          // 3. Let status be the result of performing BindingInitialization for lhs passing nextValue and iterationEnv as arguments.
-          invariant(iterationEnv !== undefined);
-          status = BindingInitialization(realm, lhs, nextValue, iterationEnv);
-        }
-      }
-    } catch (e) {
-      if (e instanceof AbruptCompletion) {
-        status = e;
-      } else {
-        throw e;
-      }
-    }
-
-    // h. If status is an abrupt completion, then
-    if (status instanceof AbruptCompletion) {
-      // i. Set the running execution context's LexicalEnvironment to oldEnv.
-      realm.getRunningContext().lexicalEnvironment = oldEnv;
-
-      // ii. Return ? IteratorClose(iterator, status).
-      throw IteratorClose(realm, iterator, status);
-    }
+    // d. - h.
+    env = ForInOfBindingInitialization(realm, oldEnv, lhs, destructuring, iterator, lhsKind, nextValue, strictCode);
 
     // i. Let result be the result of evaluating stmt.
     let result = env.evaluateCompletion(stmt, strictCode);
@@ -291,7 +376,7 @@ export function ForInOfBodyEvaluation(realm: Realm, env: LexicalEnvironment, lhs
       invariant(result instanceof AbruptCompletion);
       result = UpdateEmpty(realm, result, V);
       invariant(result instanceof AbruptCompletion);
-      throw IteratorClose(realm, iterator, result);
+      return LoopCompletion(realm, IteratorClose(realm, iterator, result));
     }
 
     // l. If result.[[Value]] is not empty, let V be result.[[Value]].
@@ -303,7 +388,7 @@ export function ForInOfBodyEvaluation(realm: Realm, env: LexicalEnvironment, lhs
 }
 
 // ECMA262 13.7.5.11
-export default function (ast: BabelNodeForOfStatement, strictCode: boolean, env: LexicalEnvironment, realm: Realm, labelSet: ?Array<string>): Value | Reference {
+export default function (ast: BabelNodeForOfStatement, strictCode: boolean, env: LexicalEnvironment, realm: Realm, labelSet: ?Array<string>): NormalCompletion | Value | Reference {
   let { left, right, body } = ast;
 
   if (left.type === "VariableDeclaration") {
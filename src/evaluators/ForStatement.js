@@ -11,10 +11,10 @@
 
 import type { LexicalEnvironment, Reference } from "../environment.js";
 import type { Realm } from "../realm.js";
-import { Value, EmptyValue } from "../values/index.js";
-import { AbruptCompletion } from "../completions.js";
-import { BoundNames, NewDeclarativeEnvironment, GetValue, ToBooleanPartial, UpdateEmpty } from "../methods/index.js";
-import { LoopContinues, InternalGetResultValue } from "./ForOfStatement.js";
+import { AbstractValue, Value, EmptyValue } from "../values/index.js";
+import { AbruptCompletion, NormalCompletion } from "../completions.js";
+import { BoundNames, NewDeclarativeEnvironment, GetValue, ToBooleanPartial, UpdateEmpty, evaluateLoopWithAbstractTest } from "../methods/index.js";
+import { LoopContinues, LoopCompletion, InternalGetResultValue } from "./ForOfStatement.js";
 import invariant from "../invariant.js";
 import type { BabelNodeForStatement } from "babel-types";
 
@@ -51,7 +51,7 @@ export function CreatePerIterationEnvironment(realm: Realm, perIterationBindings
 }
 
 // ECMA262 13.7.4.8
-function ForBodyEvaluation(realm: Realm, test, increment, stmt, perIterationBindings: Array<string>, labelSet, strictCode: boolean): Value {
+function ForBodyEvaluation(realm: Realm, test, increment, stmt, perIterationBindings: Array<string>, labelSet, strictCode: boolean): NormalCompletion | Value {
   // 1. Let V be undefined.
   let V: Value = realm.intrinsics.undefined;
 
@@ -69,6 +69,20 @@ function ForBodyEvaluation(realm: Realm, test, increment, stmt, perIterationBind
       // ii. Let testValue be ? GetValue(testRef).
       let testValue = GetValue(realm, testRef);
 
+      if (testValue instanceof AbstractValue && testValue.mightNotBeObject()) {
+        // The number of remaining iterations is not known, so they become a residual loop.
+        // Its iterations share the environment of the current one, which only makes a difference
+        // to closures that capture it, and those must not outlive an iteration anyway.
+        // The increment belongs to the next test, since iterations that leave the loop do not evaluate it.
+        let loopEnv = env;
+        let loopTest = test;
+        // The completion value of the residual iterations is not known, so V remains that of the unrolled ones.
+        return evaluateLoopWithAbstractTest(realm, testValue, labelSet, () => loopEnv.evaluateAbstractCompletion(stmt, strictCode), () => {
+          if (increment) GetValue(realm, loopEnv.evaluate(increment, strictCode));
+          return GetValue(realm, loopEnv.evaluate(loopTest, strictCode));
+        }, V);
+      }
+
       // iii. If ToBoolean(testValue) is false, return NormalCompletion(V).
       if (!ToBooleanPartial(realm, testValue)) return V;
     }
@@ -79,7 +93,7 @@ function ForBodyEvaluation(realm: Realm, test, increment, stmt, perIterationBind
     // c. If LoopContinues(result, labelSet) is false, return Completion(UpdateEmpty(result, V)).
     if (!LoopContinues(realm, result, labelSet)) {
       invariant(result instanceof AbruptCompletion);
-      throw UpdateEmpty(realm, result, V);
+      return LoopCompletion(realm, UpdateEmpty(realm, result, V));
     }
 
     // d. If result.[[Value]] is not empty, let V be result.[[Value]].
@@ -104,7 +118,7 @@ function ForBodyEvaluation(realm: Realm, test, increment, stmt, perIterationBind
 }
 
 // ECMA262 13.7.4.7
-export default function (ast: BabelNodeForStatement, strictCode: boolean, env: LexicalEnvironment, realm: Realm, labelSet: ?Array<string>): Value | Reference {
+export default function (ast: BabelNodeForStatement, strictCode: boolean, env: LexicalEnvironment, realm: Realm, labelSet: ?Array<string>): NormalCompletion | Value | Reference {
   let { init, test, update, body } = ast;
 
   if (init && init.type === "VariableDeclaration") {
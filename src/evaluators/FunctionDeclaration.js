@@ -13,7 +13,7 @@ import type { Realm } from "../realm.js";
 import type { LexicalEnvironment } from "../environment.js";
 import type { Value } from "../values/index.js";
 import type { Reference } from "../environment.js";
-import { SetFunctionName, FunctionCreate, GeneratorFunctionCreate } from "../methods/function.js";
+import { SetFunctionName, FunctionCreate, GeneratorFunctionCreate, AsyncFunctionCreate } from "../methods/function.js";
 import { MakeConstructor } from "../methods/construct.js";
 import { ObjectCreate } from "../methods/create.js";
 import { DefinePropertyOrThrow } from "../methods/properties.js";
@@ -23,7 +23,30 @@ import type { BabelNodeFunctionDeclaration } from "babel-types";
 
 // ECMA262 14.1.20
 export default function (ast: BabelNodeFunctionDeclaration, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Value | Reference {
-  if (ast.generator) {
+  if (ast.async && ast.generator) throw new Error("TODO: async generator functions");
+
+  if (ast.async) {
+    // ECMA262 14.6.11
+    // 1. If the function code for AsyncFunctionDeclaration is strict mode code, let strict be true. Otherwise let strict be false.
+    let strict = strictCode || IsStrict(ast.body);
+
+    // 2. Let name be StringValue of BindingIdentifier.
+    let name;
+    if (ast.id) {
+      name = new StringValue(realm, ast.id.name);
+    } else {
+      name = new StringValue(realm, "default");
+    }
+
+    // 3. Let F be ! AsyncFunctionCreate(Normal, FormalParameters, AsyncFunctionBody, scope, strict).
+    let F = AsyncFunctionCreate(realm, "normal", ast.params, ast.body, env, strict);
+
+    // 4. Perform ! SetFunctionName(F, name).
+    SetFunctionName(realm, F, name);
+
+    // 5. Return F.
+    return F;
+  } else if (ast.generator) {
     // 1. If the function code for GeneratorDeclaration is strict mode code, let strict be true. Otherwise let strict be false.
     let strict = strictCode || IsStrict(ast.body);
 
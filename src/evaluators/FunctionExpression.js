@@ -15,7 +15,7 @@ import type { Value } from "../values/index.js";
 import type { Reference } from "../environment.js";
 import { NewDeclarativeEnvironment, SetFunctionName, FunctionCreate,  MakeConstructor } from "../methods/index.js";
 import { ObjectCreate } from "../methods/create.js";
-import { GeneratorFunctionCreate } from "../methods/function.js";
+import { GeneratorFunctionCreate, AsyncFunctionCreate } from "../methods/function.js";
 import { DefinePropertyOrThrow } from "../methods/properties.js";
 import { StringValue } from "../values/index.js";
 import IsStrict from "../utils/strict.js";
@@ -24,9 +24,43 @@ import invariant from "../invariant.js";
 
 export default function (ast: BabelNodeFunctionExpression, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Value | Reference {
   // ECMA262 14.1.21
+  if (ast.async && ast.generator) throw new Error("TODO: async generator functions");
 
   if (ast.id) {
-    if (ast.generator) {
+    if (ast.async) {
+      // ECMA262 14.6.14
+      // 1. If the function code for AsyncFunctionExpression is strict mode code, let strict be true. Otherwise let strict be false.
+      let strict = strictCode || IsStrict(ast.body);
+
+      // 2. Let scope be the LexicalEnvironment of the running execution context.
+      let scope = env;
+
+      // 3. Let funcEnv be ! NewDeclarativeEnvironment(scope).
+      let funcEnv = NewDeclarativeEnvironment(realm, scope);
+
+      // 4. Let envRec be funcEnv's EnvironmentRecord.
+      let envRec = funcEnv.environmentRecord;
+
+      // 5. Let name be StringValue of BindingIdentifier.
+      invariant(ast.id);
+      let name = ast.id.name;
+
+      // 6. Perform ! envRec.CreateImmutableBinding(name).
+      envRec.CreateImmutableBinding(name, false);
+
+      // 7. Let closure be ! AsyncFunctionCreate(Normal, FormalParameters, AsyncFunctionBody, funcEnv, strict).
+      let closure = AsyncFunctionCreate(realm, "normal", ast.params, ast.body, funcEnv, strict);
+      closure.loc = ast.loc;
+
+      // 8. Perform ! SetFunctionName(closure, name).
+      SetFunctionName(realm, closure, new StringValue(realm, name));
+
+      // 9. Perform ! envRec.InitializeBinding(name, closure).
+      envRec.InitializeBinding(name, closure);
+
+      // 10. Return closure.
+      return closure;
+    } else if (ast.generator) {
       // 1. If the function code for this GeneratorExpression is strict mode code, let strict be true. Otherwise let strict be false.
       let strict = strictCode || IsStrict(ast.body);
 
@@ -106,7 +140,20 @@ export default function (ast: BabelNodeFunctionExpression, strictCode: boolean,
       return closure;
     }
   } else {
-    if (ast.generator) {
+    if (ast.async) {
+      // ECMA262 14.6.14
+      // 1. If the function code for AsyncFunctionExpression is strict mode code, let strict be true. Otherwise let strict be false.
+      let strict = strictCode || IsStrict(ast.body);
+
+      // 2. Let scope be the LexicalEnvironment of the running execution context.
+      let scope = env;
+
+      // 3. Let closure be ! AsyncFunctionCreate(Normal, FormalParameters, AsyncFunctionBody, scope, strict).
+      let closure = AsyncFunctionCreate(realm, "normal", ast.params, ast.body, scope, strict);
+
+      // 4. Return closure.
+      return closure;
+    } else if (ast.generator) {
       // 1. If the function code for this GeneratorExpression is strict mode code, let strict be true. Otherwise let strict be false.
       let strict = strictCode || IsStrict(ast.body);
 
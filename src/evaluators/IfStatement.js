@@ -10,7 +10,7 @@
 /* @flow */
 
 import { AbruptCompletion, NormalCompletion } from "../completions.js";
-import type { Realm } from "../realm.js";
+import type { Effects, Realm } from "../realm.js";
 import { construct_empty_effects } from "../realm.js";
 import type { LexicalEnvironment } from "../environment.js";
 import { AbstractValue, ConcreteValue, Value } from "../values/index.js";
@@ -46,20 +46,21 @@ export function evaluateWithAbstractConditional(condValue: AbstractValue,
     consequent: BabelNode, alternate: ?BabelNode, strictCode: boolean,
     env: LexicalEnvironment, realm: Realm): NormalCompletion | Value | Reference {
   // Evaluate consequent and alternate in sandboxes and get their effects.
-  let [compl1, gen1, bindings1, properties1, createdObj1] =
-    realm.partially_evaluate_node(consequent, strictCode, env);
+  let effects1 = realm.partially_evaluate_node(consequent, strictCode, env);
+  let effects2 = alternate ?
+    realm.partially_evaluate_node(alternate, strictCode, env) :
+    construct_empty_effects(realm);
 
-  let [compl2, gen2, bindings2, properties2, createdObj2] =
-    alternate ?
-      realm.partially_evaluate_node(alternate, strictCode, env) :
-      construct_empty_effects(realm);
+  return joinAndApplyEffects(realm, condValue, effects1, effects2);
+}
 
+// Applies the join of the effects of two branches to the global state and
+// returns or throws the joined completion.
+export function joinAndApplyEffects(realm: Realm, condValue: AbstractValue,
+    effects1: Effects, effects2: Effects): NormalCompletion | Value | Reference {
   // Join the effects, creating an abstract view of what happened, regardless
   // of the actual value of condValue.
-  let joinedEffects =
-    joinEffects(realm, condValue,
-      [compl1, gen1, bindings1, properties1, createdObj1],
-      [compl2, gen2, bindings2, properties2, createdObj2]);
+  let joinedEffects = joinEffects(realm, condValue, effects1, effects2);
   let completion = joinedEffects[0];
   if (completion instanceof NormalCompletion) {
     // in this case one of the branches may complete abruptly, which means that
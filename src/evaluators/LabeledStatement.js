@@ -14,12 +14,12 @@ import type { LexicalEnvironment } from "../environment.js";
 import type { Value } from "../values/index.js";
 import { StringValue } from "../values/index.js";
 import type { Reference } from "../environment.js";
-import { BreakCompletion, ThrowCompletion } from "../completions.js";
+import { BreakCompletion, NormalCompletion, ThrowCompletion } from "../completions.js";
 import { Construct } from "../methods/construct.js";
 import type { BabelNodeLabeledStatement, BabelNode } from "babel-types";
 
 // ECMA262 13.13.14
-function LabelledEvaluation(labelSet: Array<string>, ast: BabelNode, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Value | Reference {
+function LabelledEvaluation(labelSet: Array<string>, ast: BabelNode, strictCode: boolean, env: LexicalEnvironment, realm: Realm): NormalCompletion | Value | Reference {
   // LabelledStatement:LabelIdentifier:LabelledItem
   switch (ast.type) {
     case 'LabeledStatement':
@@ -60,12 +60,12 @@ function LabelledEvaluation(labelSet: Array<string>, ast: BabelNode, strictCode:
       );
 
     default:
-      return env.evaluate(ast, strictCode, labelSet);
+      return env.evaluateAbstract(ast, strictCode, labelSet);
   }
 }
 
 // ECMA262 13.13.15
-export default function (ast: BabelNodeLabeledStatement, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Value | Reference {
+export default function (ast: BabelNodeLabeledStatement, strictCode: boolean, env: LexicalEnvironment, realm: Realm): NormalCompletion | Value | Reference {
   //1. Let newLabelSet be a new empty List.
   let newLabelSet = [];
 
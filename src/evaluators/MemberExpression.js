@@ -12,13 +12,64 @@
 import type { Realm } from "../realm.js";
 import type { LexicalEnvironment } from "../environment.js";
 import type { Value } from "../values/index.js";
-import { Reference } from "../environment.js";
-import { StringValue } from "../values/index.js";
-import { GetValue, ToPropertyKey, RequireObjectCoercible } from "../methods/index.js";
+import { Reference, FunctionEnvironmentRecord } from "../environment.js";
+import { StringValue, SymbolValue } from "../values/index.js";
+import { GetValue, ToPropertyKey, RequireObjectCoercible, GetThisEnvironment } from "../methods/index.js";
+import invariant from "../invariant.js";
 import type { BabelNodeMemberExpression } from "babel-types";
 
+// ECMA262 12.3.5.3
+function MakeSuperPropertyReference(realm: Realm, propertyKey: string | SymbolValue, strict: boolean): Reference {
+  // 1. Let env be GetThisEnvironment( ).
+  let env = GetThisEnvironment(realm);
+
+  // 2. If env.HasSuperBinding() is false, throw a ReferenceError exception.
+  if (!env.HasSuperBinding()) {
+    throw realm.createErrorThrowCompletion(realm.intrinsics.ReferenceError, "super is only valid in methods");
+  }
+  invariant(env instanceof FunctionEnvironmentRecord);
+
+  // 3. Let actualThis be ? env.GetThisBinding().
+  let actualThis = env.GetThisBinding();
+
+  // 4. Let baseValue be ? env.GetSuperBase().
+  let baseValue = env.GetSuperBase();
+
+  // 5. Let bv be ? RequireObjectCoercible(baseValue).
+  let bv = RequireObjectCoercible(realm, baseValue);
+
+  // 6. Return a value of type Reference that is a Super Reference whose base value component is bv, whose referenced name component is propertyKey, whose thisValue component is actualThis, and whose strict reference flag is strict.
+  return new Reference(bv, propertyKey, strict, actualThis);
+}
+
+// ECMA262 12.3.5.1
+function SuperProperty(ast: BabelNodeMemberExpression, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Reference {
+  let propertyKey;
+  if (ast.computed) {
+    // 1. Let propertyNameReference be the result of evaluating Expression.
+    let propertyNameReference = env.evaluate(ast.property, strictCode);
+
+    // 2. Let propertyNameValue be GetValue(propertyNameReference).
+    let propertyNameValue = GetValue(realm, propertyNameReference).throwIfNotConcrete();
+
+    // 3. Let propertyKey be ? ToPropertyKey(propertyNameValue).
+    propertyKey = ToPropertyKey(realm, propertyNameValue);
+  } else {
+    // 1. Let propertyKey be StringValue of IdentifierName.
+    propertyKey = ast.property.name;
+  }
+
+  // 4. If the code matched by the syntactic production that is being evaluated is strict mode code, let strict be true, else let strict be false.
+  let strict = strictCode;
+
+  // 5. Return ? MakeSuperPropertyReference(propertyKey, strict).
+  return MakeSuperPropertyReference(realm, propertyKey, strict);
+}
+
 // ECMA262 12.3.2.1
 export default function (ast: BabelNodeMemberExpression, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Value | Reference {
+  if (ast.object.type === "Super") return SuperProperty(ast, strictCode, env, realm);
+
   // 1. Let baseReference be the result of evaluating MemberExpression.
   let baseReference = env.evaluate(ast.object, strictCode);
 
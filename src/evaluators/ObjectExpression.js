@@ -14,180 +14,251 @@ import type { LexicalEnvironment } from "../environment.js";
 import type { Value } from "../values/index.js";
 import type { Reference } from "../environment.js";
 import type { PropertyKeyValue } from "../types.js";
-import { ObjectValue, StringValue } from "../values/index.js";
+import { FunctionValue, ObjectValue } from "../values/index.js";
 import {
   ObjectCreate,
   SetFunctionName,
   GetValue,
-  ToStringPartial,
-  ToPropertyKey,
+  EvalPropertyName,
   CreateDataPropertyOrThrow,
   IsAnonymousFunctionDefinition,
   HasOwnProperty,
   FunctionCreate,
+  GeneratorFunctionCreate,
+  AsyncFunctionCreate,
   DefinePropertyOrThrow,
   MakeMethod
 } from "../methods/index.js";
 import IsStrict from "../utils/strict.js";
 import invariant from "../invariant.js";
-import type { BabelNodeObjectExpression, BabelNodeObjectProperty, BabelNodeObjectMethod } from "babel-types";
+import type { BabelNodeObjectExpression, BabelNodeObjectProperty, BabelNodeObjectMethod, BabelNodeClassMethod } from "babel-types";
 
-// Returns the result of evaluating PropertyName.
-function EvalPropertyName(prop: BabelNodeObjectProperty | BabelNodeObjectMethod, env: LexicalEnvironment, realm: Realm, strictCode: boolean): PropertyKeyValue {
-  if (prop.computed) {
-    let propertyKeyName = GetValue(realm, env.evaluate(prop.key, strictCode)).throwIfNotConcrete();
-    return ToPropertyKey(realm, propertyKeyName);
-  } else {
-    if (prop.key.type === "Identifier") {
-      return new StringValue(realm, prop.key.name);
-    } else {
-      return ToStringPartial(realm, GetValue(realm, env.evaluate(prop.key, strictCode)));
-    }
-  }
+// ECMA262 14.3.8
+export function DefineMethod(realm: Realm, prop: BabelNodeObjectMethod | BabelNodeClassMethod, obj: ObjectValue, env: LexicalEnvironment, strictCode: boolean, functionPrototype?: ObjectValue): { $Key: PropertyKeyValue, $Closure: FunctionValue } {
+  // 1. Let propKey be the result of evaluating PropertyName.
+  let propKey = EvalPropertyName(realm, prop, env, strictCode);
+
+  // 2. ReturnIfAbrupt(propKey).
+
+  // 3. If the function code for this MethodDefinition is strict mode code, let strict be true. Otherwise let strict be false.
+  let strict = strictCode || IsStrict(prop.body);
+
+  // 4. Let scope be the running execution context's LexicalEnvironment.
+  let scope = env;
+
+  // 5. If functionPrototype was passed as a parameter, let kind be Normal; otherwise let kind be Method.
+  let kind = functionPrototype ? "normal" : "method";
+
+  // 6. Let closure be FunctionCreate(kind, StrictFormalParameters, FunctionBody, scope, strict). If functionPrototype was passed as a parameter, then pass its value as the prototype optional argument of FunctionCreate.
+  let closure = FunctionCreate(realm, kind, prop.params, prop.body, scope, strict, functionPrototype);
+
+  // 7. Perform MakeMethod(closure, object).
+  MakeMethod(realm, closure, obj);
+
+  // 8. Return the Record{[[Key]]: propKey, [[Closure]]: closure}.
+  return { $Key: propKey, $Closure: closure };
 }
 
-// ECMA262 12.2.6.8
-export default function (ast: BabelNodeObjectExpression, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Value | Reference {
-  // 1. Let obj be ObjectCreate(%ObjectPrototype%).
-  let obj = ObjectCreate(realm, realm.intrinsics.ObjectPrototype);
+// ECMA262 12.2.6.9, 14.3.9, 14.4.13, 14.6.10
+export function PropertyDefinitionEvaluation(realm: Realm, prop: BabelNodeObjectProperty | BabelNodeObjectMethod | BabelNodeClassMethod, obj: ObjectValue, env: LexicalEnvironment, strictCode: boolean, enumerable: boolean) {
+  if (prop.type !== "ObjectProperty" && prop.async && prop.generator) throw new Error("TODO: async generator methods");
 
-  // 2. Let status be the result of performing PropertyDefinitionEvaluation of PropertyDefinitionList with arguments obj and true.
-  for (let prop of ast.properties) {
-    if (prop.type === "ObjectProperty") {
-      // 1. Let propKey be the result of evaluating PropertyName.
-      let propKey = EvalPropertyName(prop, env, realm, strictCode);
+  if (prop.type === "ObjectProperty") {
+    // 1. Let propKey be the result of evaluating PropertyName.
+    let propKey = EvalPropertyName(realm, prop, env, strictCode);
 
-      // 2. ReturnIfAbrupt(propKey).
+    // 2. ReturnIfAbrupt(propKey).
 
-      // 3. Let exprValueRef be the result of evaluating AssignmentExpression.
-      let exprValueRef = env.evaluate(prop.value, strictCode);
+    // 3. Let exprValueRef be the result of evaluating AssignmentExpression.
+    let exprValueRef = env.evaluate(prop.value, strictCode);
 
-      // 4. Let propValue be ? GetValue(exprValueRef).
-      let propValue = GetValue(realm, exprValueRef);
+    // 4. Let propValue be ? GetValue(exprValueRef).
+    let propValue = GetValue(realm, exprValueRef);
 
-      // 5. If IsAnonymousFunctionDefinition(AssignmentExpression) is true, then
-      if (IsAnonymousFunctionDefinition(realm, prop.value)) {
-        invariant(propValue instanceof ObjectValue);
+    // 5. If IsAnonymousFunctionDefinition(AssignmentExpression) is true, then
+    if (IsAnonymousFunctionDefinition(realm, prop.value)) {
+      invariant(propValue instanceof ObjectValue);
 
-        // a. Let hasNameProperty be ? HasOwnProperty(propValue, "name").
-        let hasNameProperty = HasOwnProperty(realm, propValue, "name");
+      // a. Let hasNameProperty be ? HasOwnProperty(propValue, "name").
+      let hasNameProperty = HasOwnProperty(realm, propValue, "name");
 
-        // b. If hasNameProperty is false, perform SetFunctionName(propValue, propKey).
-        if (!hasNameProperty) SetFunctionName(realm, propValue, propKey);
-      }
+      // b. If hasNameProperty is false, perform SetFunctionName(propValue, propKey).
+      if (!hasNameProperty) SetFunctionName(realm, propValue, propKey);
+    }
 
-      // 6. Assert: enumerable is true.
+    // 6. Assert: enumerable is true.
 
-      // 7. Return CreateDataPropertyOrThrow(object, propKey, propValue).
-      CreateDataPropertyOrThrow(realm, obj, propKey, propValue);
-    } else if (prop.type === "ObjectMethod") {
-      if (prop.kind === "method") {
-        // 1. Let methodDef be DefineMethod of MethodDefinition with argument object.
-        let methodDef;
-        {
-          // 1. Let propKey be the result of evaluating PropertyName.
-          let propKey = EvalPropertyName(prop, env, realm, strictCode);
+    // 7. Return CreateDataPropertyOrThrow(object, propKey, propValue).
+    CreateDataPropertyOrThrow(realm, obj, propKey, propValue);
+  } else if (prop.kind === "method" && prop.generator) {
+    // 1. Let propKey be the result of evaluating PropertyName.
+    let propKey = EvalPropertyName(realm, prop, env, strictCode);
 
-          // 2. ReturnIfAbrupt(propKey).
+    // 2. ReturnIfAbrupt(propKey).
 
-          // 3. If the function code for this MethodDefinition is strict mode code, let strict be true. Otherwise let strict be false.
-          let strict = strictCode || IsStrict(prop.body);
+    // 3. If the function code for this GeneratorMethod is strict mode code, let strict be true. Otherwise let strict be false.
+    let strict = strictCode || IsStrict(prop.body);
 
-          // 4. Let scope be the running execution context's LexicalEnvironment.
-          let scope = env;
+    // 4. Let scope be the running execution context's LexicalEnvironment.
+    let scope = env;
 
-          // 5. If functionPrototype was passed as a parameter, let kind be Normal; otherwise let kind be Method.
-          let kind = "method";
+    // 5. Let closure be GeneratorFunctionCreate(Method, StrictFormalParameters, GeneratorBody, scope, strict).
+    let closure = GeneratorFunctionCreate(realm, "method", prop.params, prop.body, scope, strict);
 
-          // 6. Let closure be FunctionCreate(kind, StrictFormalParameters, FunctionBody, scope, strict). If functionPrototype was passed as a parameter, then pass its value as the prototype optional argument of FunctionCreate.
-          let closure = FunctionCreate(realm, kind, prop.params, prop.body, scope, strict);
+    // 6. Perform MakeMethod(closure, object).
+    MakeMethod(realm, closure, obj);
 
-          // 7. Perform MakeMethod(closure, object).
-          MakeMethod(realm, closure, obj);
+    // 7. Let prototype be ObjectCreate(%GeneratorPrototype%).
+    let prototype = ObjectCreate(realm, realm.intrinsics.GeneratorPrototype);
 
-          // 8. Return the Record{[[Key]]: propKey, [[Closure]]: closure}.
-          methodDef = { $Key: propKey, $Closure: closure };
-        }
+    // 8. Perform DefinePropertyOrThrow(closure, "prototype", PropertyDescriptor{[[Value]]: prototype, [[Writable]]: true, [[Enumerable]]: false, [[Configurable]]: false}).
+    DefinePropertyOrThrow(realm, closure, "prototype", {
+      value: prototype,
+      writable: true,
+      enumerable: false,
+      configurable: false
+    });
 
-        // 2. ReturnIfAbrupt(methodDef).
+    // 9. Perform SetFunctionName(closure, propKey).
+    SetFunctionName(realm, closure, propKey);
 
-        // 3. Perform SetFunctionName(methodDef.[[Closure]], methodDef.[[Key]]).
-        SetFunctionName(realm, methodDef.$Closure, methodDef.$Key);
+    // 10. Let desc be the PropertyDescriptor{[[Value]]: closure, [[Writable]]: true, [[Enumerable]]: enumerable, [[Configurable]]: true}.
+    let desc = {
+      value: closure,
+      writable: true,
+      enumerable: enumerable,
+      configurable: true
+    };
 
-        // 4. Let desc be the PropertyDescriptor{[[Value]]: methodDef.[[Closure]], [[Writable]]: true, [[Enumerable]]: enumerable, [[Configurable]]: true}.
-        let desc = {
-          value: methodDef.$Closure,
-          writable: true,
-          enumerable: true,
-          configurable: true
-        };
+    // 11. Return ? DefinePropertyOrThrow(object, propKey, desc).
+    DefinePropertyOrThrow(realm, obj, propKey, desc);
+  } else if (prop.kind === "method" && prop.async) {
+    // 1. Let propKey be the result of evaluating PropertyName.
+    let propKey = EvalPropertyName(realm, prop, env, strictCode);
 
-        // 5. Return ? DefinePropertyOrThrow(object, methodDef.[[Key]], desc).
-        DefinePropertyOrThrow(realm, obj, methodDef.$Key, desc);
-      } else if (prop.kind === "get") {
-        // 1. Let propKey be the result of evaluating PropertyName.
-        let propKey = EvalPropertyName(prop, env, realm, strictCode);
+    // 2. ReturnIfAbrupt(propKey).
 
-        // 2. ReturnIfAbrupt(propKey).
+    // 3. If the function code for this AsyncMethod is strict mode code, let strict be true. Otherwise let strict be false.
+    let strict = strictCode || IsStrict(prop.body);
 
-        // 3. If the function code for this MethodDefinition is strict mode code, let strict be true. Otherwise let strict be false.
-        let strict = strictCode || IsStrict(prop.body);
+    // 4. Let scope be the LexicalEnvironment of the running execution context.
+    let scope = env;
 
-        // 4. Let scope be the running execution context's LexicalEnvironment.
-        let scope = env;
+    // 5. Let closure be ! AsyncFunctionCreate(Method, UniqueFormalParameters, AsyncFunctionBody, scope, strict).
+    let closure = AsyncFunctionCreate(realm, "method", prop.params, prop.body, scope, strict);
 
-        // 5. Let formalParameterList be the production FormalParameters:[empty] .
-        let formalParameterList = [];
+    // 6. Perform ! MakeMethod(closure, object).
+    MakeMethod(realm, closure, obj);
 
-        // 6. Let closure be FunctionCreate(Method, formalParameterList, FunctionBody, scope, strict).
-        let closure = FunctionCreate(realm, "method", formalParameterList, prop.body, scope, strict);
+    // 7. Perform ! SetFunctionName(closure, propKey).
+    SetFunctionName(realm, closure, propKey);
 
-        // 7. Perform MakeMethod(closure, object).
-        MakeMethod(realm, closure, obj);
+    // 8. Let desc be the PropertyDescriptor{[[Value]]: closure, [[Writable]]: true, [[Enumerable]]: enumerable, [[Configurable]]: true}.
+    let desc = {
+      value: closure,
+      writable: true,
+      enumerable: enumerable,
+      configurable: true
+    };
 
-        // 8. Perform SetFunctionName(closure, propKey, "get").
-        SetFunctionName(realm, closure, propKey, "get");
+    // 9. Return ? DefinePropertyOrThrow(object, propKey, desc).
+    DefinePropertyOrThrow(realm, obj, propKey, desc);
+  } else if (prop.kind === "method") {
+    // 1. Let methodDef be DefineMethod of MethodDefinition with argument object.
+    let methodDef = DefineMethod(realm, prop, obj, env, strictCode);
 
-        // 9. Let desc be the PropertyDescriptor{[[Get]]: closure, [[Enumerable]]: enumerable, [[Configurable]]: true}.
-        let desc = {
-          get: closure,
-          enumerable: true,
-          configurable: true
-        };
+    // 2. ReturnIfAbrupt(methodDef).
 
-        // 10. Return ? DefinePropertyOrThrow(object, propKey, desc).
-        DefinePropertyOrThrow(realm, obj, propKey, desc);
-      } else {
-        // 1. Let propKey be the result of evaluating PropertyName.
-        let propKey = EvalPropertyName(prop, env, realm, strictCode);
+    // 3. Perform SetFunctionName(methodDef.[[Closure]], methodDef.[[Key]]).
+    SetFunctionName(realm, methodDef.$Closure, methodDef.$Key);
 
-        // 2. ReturnIfAbrupt(propKey).
+    // 4. Let desc be the PropertyDescriptor{[[Value]]: methodDef.[[Closure]], [[Writable]]: true, [[Enumerable]]: enumerable, [[Configurable]]: true}.
+    let desc = {
+      value: methodDef.$Closure,
+      writable: true,
+      enumerable: enumerable,
+      configurable: true
+    };
 
-        // 3. If the function code for this MethodDefinition is strict mode code, let strict be true. Otherwise let strict be false.
-        let strict = strictCode || IsStrict(prop.body);
+    // 5. Return ? DefinePropertyOrThrow(object, methodDef.[[Key]], desc).
+    DefinePropertyOrThrow(realm, obj, methodDef.$Key, desc);
+  } else if (prop.kind === "get") {
+    // 1. Let propKey be the result of evaluating PropertyName.
+    let propKey = EvalPropertyName(realm, prop, env, strictCode);
 
-        // 4. Let scope be the running execution context's LexicalEnvironment.
-        let scope = env;
+    // 2. ReturnIfAbrupt(propKey).
 
-        // 5. Let closure be FunctionCreate(Method, PropertySetParameterList, FunctionBody, scope, strict).
-        let closure = FunctionCreate(realm, "method", prop.params, prop.body, scope, strict);
+    // 3. If the function code for this MethodDefinition is strict mode code, let strict be true. Otherwise let strict be false.
+    let strict = strictCode || IsStrict(prop.body);
 
-        // 6. Perform MakeMethod(closure, object).
-        MakeMethod(realm, closure, obj);
+    // 4. Let scope be the running execution context's LexicalEnvironment.
+    let scope = env;
 
-        // 7. Perform SetFunctionName(closure, propKey, "set").
-        SetFunctionName(realm, closure, propKey, "set");
+    // 5. Let formalParameterList be the production FormalParameters:[empty] .
+    let formalParameterList = [];
 
-        // 8. Let desc be the PropertyDescriptor{[[Set]]: closure, [[Enumerable]]: enumerable, [[Configurable]]: true}.
-        let desc = {
-          set: closure,
-          enumerable: true,
-          configurable: true
-        };
+    // 6. Let closure be FunctionCreate(Method, formalParameterList, FunctionBody, scope, strict).
+    let closure = FunctionCreate(realm, "method", formalParameterList, prop.body, scope, strict);
+
+    // 7. Perform MakeMethod(closure, object).
+    MakeMethod(realm, closure, obj);
+
+    // 8. Perform SetFunctionName(closure, propKey, "get").
+    SetFunctionName(realm, closure, propKey, "get");
+
+    // 9. Let desc be the PropertyDescriptor{[[Get]]: closure, [[Enumerable]]: enumerable, [[Configurable]]: true}.
+    let desc = {
+      get: closure,
+      enumerable: enumerable,
+      configurable: true
+    };
+
+    // 10. Return ? DefinePropertyOrThrow(object, propKey, desc).
+    DefinePropertyOrThrow(realm, obj, propKey, desc);
+  } else {
+    invariant(prop.kind === "set");
 
-        // 9. Return ? DefinePropertyOrThrow(object, propKey, desc).
-        DefinePropertyOrThrow(realm, obj, propKey, desc);
-      }
+    // 1. Let propKey be the result of evaluating PropertyName.
+    let propKey = EvalPropertyName(realm, prop, env, strictCode);
+
+    // 2. ReturnIfAbrupt(propKey).
+
+    // 3. If the function code for this MethodDefinition is strict mode code, let strict be true. Otherwise let strict be false.
+    let strict = strictCode || IsStrict(prop.body);
+
+    // 4. Let scope be the running execution context's LexicalEnvironment.
+    let scope = env;
+
+    // 5. Let closure be FunctionCreate(Method, PropertySetParameterList, FunctionBody, scope, strict).
+    let closure = FunctionCreate(realm, "method", prop.params, prop.body, scope, strict);
+
+    // 6. Perform MakeMethod(closure, object).
+    MakeMethod(realm, closure, obj);
+
+    // 7. Perform SetFunctionName(closure, propKey, "set").
+    SetFunctionName(realm, closure, propKey, "set");
+
+    // 8. Let desc be the PropertyDescriptor{[[Set]]: closure, [[Enumerable]]: enumerable, [[Configurable]]: true}.
+    let desc = {
+      set: closure,
+      enumerable: enumerable,
+      configurable: true
+    };
+
+    // 9. Return ? DefinePropertyOrThrow(object, propKey, desc).
+    DefinePropertyOrThrow(realm, obj, propKey, desc);
+  }
+}
+
+// ECMA262 12.2.6.8
+export default function (ast: BabelNodeObjectExpression, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Value | Reference {
+  // 1. Let obj be ObjectCreate(%ObjectPrototype%).
+  let obj = ObjectCreate(realm, realm.intrinsics.ObjectPrototype);
+
+  // 2. Let status be the result of performing PropertyDefinitionEvaluation of PropertyDefinitionList with arguments obj and true.
+  for (let prop of ast.properties) {
+    if (prop.type === "ObjectProperty" || prop.type === "ObjectMethod") {
+      PropertyDefinitionEvaluation(realm, prop, obj, env, strictCode, true);
     } else {
       throw new Error("unknown property node");
     }
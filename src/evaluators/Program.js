@@ -44,7 +44,10 @@ function GlobalDeclarationInstantiation(realm: Realm, ast: BabelNodeProgram, env
       } else {
         lexNames = lexNames.concat(BoundNames(realm, node));
       }
-    } else if (node.type === "FunctionExpression" || node.type === "FunctionDeclaration") {
+    } else if (node.type === "ClassDeclaration") {
+      lexNames = lexNames.concat(BoundNames(realm, node));
+      return true;
+    } else if (node.type === "FunctionExpression" || node.type === "FunctionDeclaration" || node.type === "ClassExpression") {
       return true;
     }
     return false;
@@ -173,7 +176,7 @@ function GlobalDeclarationInstantiation(realm: Realm, ast: BabelNodeProgram, env
   // 15. Let lexDeclarations be the LexicallyScopedDeclarations of script.
   let lexDeclarations = [];
   for (let s of ast.body) {
-    if (s.type === "VariableDeclaration" && s.kind !== "var") {
+    if (s.type === "ClassDeclaration" || (s.type === "VariableDeclaration" && s.kind !== "var")) {
       lexDeclarations.push(s);
     }
   }
@@ -219,6 +222,19 @@ function GlobalDeclarationInstantiation(realm: Realm, ast: BabelNodeProgram, env
 }
 
 export default function (ast: BabelNodeProgram, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Value | Reference {
+  if (ast.sourceType === "module") {
+    // ECMA262 15.2.1.21
+    // Module declarations were instantiated by ModuleDeclarationInstantiation and module code is always strict mode code.
+    let moduleVal;
+    for (let node of ast.body) {
+      if (node.type !== "FunctionDeclaration") {
+        let potentialVal = env.evaluate(node, true);
+        if (!(potentialVal instanceof EmptyValue)) moduleVal = potentialVal;
+      }
+    }
+    return moduleVal || realm.intrinsics.undefined;
+  }
+
   strictCode = IsStrict(ast);
 
   GlobalDeclarationInstantiation(realm, ast, env, strictCode);
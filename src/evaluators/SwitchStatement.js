@@ -12,14 +12,16 @@
 import type { Realm } from "../realm.js";
 import type { LexicalEnvironment } from "../environment.js";
 import type { Reference } from "../environment.js";
-import { AbruptCompletion } from "../completions.js";
+import { AbruptCompletion, BreakCompletion, NormalCompletion } from "../completions.js";
 import { InternalGetResultValue } from "./ForOfStatement.js";
-import { EmptyValue, Value } from "../values/index.js";
+import { computeBinary } from "./BinaryExpression.js";
+import { joinAndApplyEffects } from "./IfStatement.js";
+import { AbstractValue, EmptyValue, Value } from "../values/index.js";
 import {
   GetValue,
   NewDeclarativeEnvironment,
   BlockDeclarationInstantiation,
-  StrictEqualityComparisonPartial,
+  ToBoolean,
   UpdateEmpty,
 } from "../methods/index.js";
 import type { BabelNodeSwitchStatement, BabelNodeSwitchCase, BabelNodeExpression } from "babel-types";
@@ -34,120 +36,110 @@ function CaseSelectorEvaluation(expression: BabelNodeExpression, strictCode: boo
   return GetValue(realm, exprRef);
 }
 
-function CaseBlockEvaluation(cases: Array<BabelNodeSwitchCase>, input: Value, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Reference | Value {
+function CaseBlockEvaluation(cases: Array<BabelNodeSwitchCase>, input: Value, strictCode: boolean, env: LexicalEnvironment, realm: Realm): NormalCompletion | Value | Reference {
 
-  let EvaluateCase = (c: BabelNodeSwitchCase): Reference | Value | AbruptCompletion => {
-    let r = realm.intrinsics.undefined;
+  let EvaluateCase = (c: BabelNodeSwitchCase): Value | AbruptCompletion => {
+    let r = realm.intrinsics.empty;
     for (let node of c.consequent) {
       let res = env.evaluateCompletion(node, strictCode);
+      if (res instanceof AbruptCompletion) {
+        UpdateEmpty(realm, res, r);
+        return res;
+      }
+      invariant(res instanceof Value);
       if (!(res instanceof EmptyValue)) r = res;
     }
     return r;
   };
 
-  let EvaluateCaseClauses = (A: Array<BabelNodeSwitchCase>, V: Value): [boolean, Value] => {
-    // 2. Let A be the List of CaseClause items in CaseClauses, in source text order.
-    // A is passed in
-
-    // 3. Let found be false.
-    let found = false;
+  // Evaluates the clauses from the matching one on, since evaluation falls through to the clauses
+  // that follow it in source text order, including the default clause.
+  let EvaluateCaseClausesFrom = (index: number): Value => {
+    // 1. Let V be undefined.
+    let V = realm.intrinsics.undefined;
 
-    // 4. Repeat for each CaseClause C in A,
-    for (let C of A) {
-      // a. If found is false, then
-      if (!found) {
-        // i. Let clauseSelector be the result of CaseSelectorEvaluation of C.
-        let test = C.test;
-        invariant(test);
-        let clauseSelector = CaseSelectorEvaluation(test, strictCode, env, realm);
+    // 2. Repeat for each CaseClause C from the matching one on
+    for (let C of cases.slice(index)) {
+      // a. Let R be the result of evaluating C.
+      let R = EvaluateCase(C);
 
-        // ii. ReturnIfAbrupt(clauseSelector).
-        // above will throw a Completion which will return
+      // b. If R.[[Value]] is not empty, let V be R.[[Value]].
+      let val = InternalGetResultValue(realm, R);
+      if (!(val instanceof EmptyValue)) V = val;
 
-        // iii. Let found be the result of performing Strict Equality Comparison input === clauseSelector.[[Value]].
-        found = StrictEqualityComparisonPartial(realm, input, clauseSelector);
+      // c. If R is an abrupt completion, return Completion(UpdateEmpty(R, V)).
+      if (R instanceof AbruptCompletion) {
+        throw UpdateEmpty(realm, R, V);
       }
-      if (found) { // b. If found is true, then
-        // i. Let R be the result of evaluating C.
-        let R = EvaluateCase(C);
+    }
 
-        // ii. If R.[[Value]] is not empty, let V be R.[[Value]].
-        V = InternalGetResultValue(realm, R);
+    // 3. Return NormalCompletion(V).
+    return V;
+  };
 
-        // iii. If R is an abrupt completion, return Completion(UpdateEmpty(R, V)).
-        if (R instanceof AbruptCompletion) {
-          throw UpdateEmpty(realm, R, V);
-        }
+  // Looks for the matching clause from the given index on. The CaseClauses before and after the DefaultClause
+  // get tested in source text order, and the DefaultClause matches if none of them do.
+  let SelectCaseClause = (index: number): NormalCompletion | Value | Reference => {
+    for (let i = index; i < cases.length; i++) {
+      let test = cases[i].test;
+      if (!test) continue;
+
+      // a. Let clauseSelector be the result of CaseSelectorEvaluation of C.
+      let clauseSelector = CaseSelectorEvaluation(test, strictCode, env, realm);
+
+      // b. ReturnIfAbrupt(clauseSelector).
+      // above will throw a Completion which will return
+
+      // c. Let found be the result of performing Strict Equality Comparison input === clauseSelector.[[Value]].
+      let found = computeBinary(realm, "===", input, clauseSelector);
+      if (found instanceof AbstractValue) {
+        // Whether this clause matches is not known, so both possibilities get evaluated and their effects joined.
+        let clauseIndex = i;
+        let effects1 = realm.partially_evaluate(() => EvaluateBreakable(realm, () => EvaluateCaseClausesFrom(clauseIndex)));
+        let effects2 = realm.partially_evaluate(() => EvaluateBreakable(realm, () => SelectCaseClause(clauseIndex + 1)));
+        return joinAndApplyEffects(realm, found, effects1, effects2);
       }
+
+      // d. If found is true, evaluate the clauses from C on.
+      if (ToBoolean(realm, found.throwIfNotConcrete())) return EvaluateCaseClausesFrom(i);
     }
-    return [found, V];
+
+    // If none of the CaseClauses match, evaluation starts at the DefaultClause, if there is one.
+    let default_case_num = cases.findIndex((clause) => {
+      return clause.test === null;
+    });
+    if (default_case_num === -1) return realm.intrinsics.undefined;
+
+    return EvaluateCaseClausesFrom(default_case_num);
   };
 
   // CaseBlock:{}
   // 1. Return NormalCompletion(undefined).
   if (cases.length === 0) return realm.intrinsics.undefined;
 
-  // CaseBlock:{CaseClauses DefaultClause CaseClauses}
-  let default_case_num = cases.findIndex((clause) => {
-    return clause.test === null;
-  });
-
-  if (default_case_num !== -1) {
-    // 2. Let A be the List of CaseClause items in the first CaseClauses, in source text order. If the first CaseClauses is not present, A is « ».
-    let A = cases.slice(0, default_case_num);
-
-    let V = realm.intrinsics.undefined;
-
-    // 4. Repeat for each CaseClause C in A
-    [, V] = EvaluateCaseClauses(A, V);
-
-    // 5. Let foundInB be false.
-    let foundInB = false;
-
-    // 6. Let B be the List containing the CaseClause items in the second CaseClauses, in source text order. If the second CaseClauses is not present, B is « ».
-    let B = cases.slice(default_case_num + 1);
-
-    [foundInB, V] = EvaluateCaseClauses(B, V);
-
-    // 8. If foundInB is true, return NormalCompletion(V).
-    if (foundInB) return V;
-
-    // 9. Let R be the result of evaluating DefaultClause.
-    let R = EvaluateCase(cases[default_case_num]);
-
-    // 10. If R.[[Value]] is not empty, let V be R.[[Value]].
-    V = InternalGetResultValue(realm, R);
-
-    // 11. If R is an abrupt completion, return Completion(UpdateEmpty(R, V)).
-    if (R instanceof AbruptCompletion) {
-      throw UpdateEmpty(realm, R, V);
-    }
-
-    // 12: Repeat for each CaseClause C in B (NOTE this is another complete iteration of the second CaseClauses)
-    for (let C of B) {
-      // a. Let R be the result of evaluating CaseClause C.
-      R = EvaluateCase(C);
-
-      // b. If R.[[Value]] is not empty, let V be R.[[Value]].
-      V = InternalGetResultValue(realm, R);
+  return SelectCaseClause(0);
+}
 
-      // c. If R is an abrupt completion, return Completion(UpdateEmpty(R, V)).
-      if (R instanceof AbruptCompletion) {
-        throw UpdateEmpty(realm, R, V);
-      }
+// ECMA262 13.1.7
+// Unlabelled breaks complete the switch statement normally.
+function EvaluateBreakable(realm: Realm, f: () => NormalCompletion | Value | Reference): NormalCompletion | Value | Reference | AbruptCompletion {
+  try {
+    return f();
+  } catch (stmtResult) {
+    // 2. If stmtResult.[[Type]] is break, then
+    //   a. If stmtResult.[[Target]] is empty, then
+    if (stmtResult instanceof BreakCompletion && !stmtResult.target) {
+      // i. If stmtResult.[[Value]] is empty, let stmtResult be NormalCompletion(undefined).
+      // ii. Else, let stmtResult be NormalCompletion(stmtResult.[[Value]]).
+      return stmtResult.value instanceof EmptyValue ? realm.intrinsics.undefined : stmtResult.value;
     }
-
-    // 13. Return NormalCompletion(V).
-    return V;
-  } else { // CaseBlock:{CaseClauses}
-    let V;
-    [, V] = EvaluateCaseClauses(cases, realm.intrinsics.undefined);
-    return V;
+    if (stmtResult instanceof AbruptCompletion) return stmtResult;
+    throw stmtResult;
   }
 }
 
 // 13.12.11
-export default function (ast: BabelNodeSwitchStatement, strictCode: boolean, env: LexicalEnvironment, realm: Realm, labelSet: Array<string>): Value | Reference {
+export default function (ast: BabelNodeSwitchStatement, strictCode: boolean, env: LexicalEnvironment, realm: Realm, labelSet: Array<string>): NormalCompletion | Value | Reference {
   let expression = ast.discriminant;
   let cases : Array<BabelNodeSwitchCase> = ast.cases;
 
@@ -174,12 +166,13 @@ export default function (ast: BabelNodeSwitchStatement, strictCode: boolean, env
   let R;
   try {
     // 7. Let R be the result of performing CaseBlockEvaluation of CaseBlock with argument switchValue.
-    R = CaseBlockEvaluation(cases, switchValue, strictCode, blockEnv, realm);
-
-    // 9. Return R.
-    return R;
+    R = EvaluateBreakable(realm, () => CaseBlockEvaluation(cases, switchValue, strictCode, blockEnv, realm));
   } finally {
     // 8. Set the running execution context's LexicalEnvironment to oldEnv.
     realm.getRunningContext().lexicalEnvironment = oldEnv;
   }
+
+  // 9. Return R.
+  if (R instanceof AbruptCompletion) throw R;
+  return R;
 }
@@ -9,40 +9,96 @@
 
 /* @flow */
 
-import type { Realm } from "../realm.js";
+import type { Effects, Realm } from "../realm.js";
 import type { LexicalEnvironment } from "../environment.js";
-import type { Reference } from "../environment.js";
-import { AbruptCompletion, IntrospectionThrowCompletion, ThrowCompletion } from "../completions.js";
+import { Reference } from "../environment.js";
+import { AbruptCompletion, Completion, IntrospectionThrowCompletion, JoinedAbruptCompletions, NormalCompletion,
+  PossiblyNormalCompletion, ThrowCompletion } from "../completions.js";
 import { Value } from "../values/index.js";
+import { joinEffects } from "../methods/index.js";
+import invariant from "../invariant.js";
 import type { BabelNodeTryStatement } from "babel-types";
 
-export default function (ast: BabelNodeTryStatement, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Value | Reference {
-  let completions = [];
+export default function (ast: BabelNodeTryStatement, strictCode: boolean, env: LexicalEnvironment, realm: Realm): NormalCompletion | Value | Reference {
+  let blockRes = env.evaluateAbstractCompletion(ast.block, strictCode);
+  invariant(!(blockRes instanceof Reference));
 
-  let blockRes = env.evaluateCompletion(ast.block, strictCode);
+  // Runs the catch clause if c is a throw completion and the finally clause in any case.
+  let completeTry = (c: Completion | Value): Completion | Value => {
+    // can't catch or run finally clauses on introspection errors
+    if (c instanceof IntrospectionThrowCompletion) return c;
 
-  // can't catch or run finally clauses on introspection errors
-  if (blockRes instanceof IntrospectionThrowCompletion) throw blockRes;
+    let result = c;
+    if (c instanceof ThrowCompletion && ast.handler) {
+      result = env.evaluateCompletion(ast.handler, strictCode, c);
+      invariant(!(result instanceof Reference));
+    }
 
-  if (blockRes instanceof ThrowCompletion && ast.handler) {
-    completions.unshift(env.evaluateCompletion(ast.handler, strictCode, blockRes));
-  } else {
-    completions.unshift(blockRes);
-  }
+    if (ast.finalizer) {
+      // use the completion of the finally clause if it is abrupt
+      let finalizerRes = env.evaluateCompletion(ast.finalizer, strictCode);
+      if (finalizerRes instanceof AbruptCompletion) result = finalizerRes;
+    }
+    return result;
+  };
 
-  if (ast.finalizer) {
-    completions.unshift(env.evaluateCompletion(ast.finalizer, strictCode));
-  }
+  if (blockRes instanceof PossiblyNormalCompletion || blockRes instanceof JoinedAbruptCompletions) {
+    // The try block completes differently depending on abstract values, so the catch and finally
+    // clauses get evaluated for each of the paths and their effects get joined.
+    let normalEffects;
+    if (blockRes instanceof PossiblyNormalCompletion) {
+      // The effects of the normal path since it split off got tracked separately. Undo them,
+      // so that the state is the one where the paths split.
+      normalEffects = realm.get_captured_effects(blockRes.value);
+      invariant(normalEffects !== undefined);
+      realm.stop_effect_capture();
+      realm.restoreBindings(normalEffects[2]);
+      realm.restoreProperties(normalEffects[3]);
+    }
 
-  // use the last completion record
-  for (let completion of completions) {
-    if (completion && completion instanceof AbruptCompletion) throw completion;
-  }
+    // Returns the effects of completing the try statement on the paths of c, after applying the effects
+    // that lead up to c from the current state.
+    let getCompletionEffects = (c: Completion | Value, effects: void | Effects): Effects => {
+      return realm.partially_evaluate(() => {
+        if (effects !== undefined) realm.apply_effects(copyEffects(effects));
+        if (!(c instanceof PossiblyNormalCompletion || c instanceof JoinedAbruptCompletions)) return completeTry(c);
 
-  // otherwise use the last returned value
-  for (let completion of completions) {
-    if (completion && completion instanceof Value) return completion;
+        // The effects of the paths of a joined abrupt completion are already part of the current state,
+        // whereas those of the abrupt paths of a possibly normal completion are not.
+        let getPathEffects = (path: Completion | Value, pathEffects: Effects): void | Effects => {
+          if (c instanceof JoinedAbruptCompletions || path instanceof PossiblyNormalCompletion) return undefined;
+          if (path instanceof AbruptCompletion) return pathEffects;
+          return normalEffects;
+        };
+        let joinedEffects = joinEffects(realm, c.joinCondition,
+          getCompletionEffects(c.consequent, getPathEffects(c.consequent, c.consequentEffects)),
+          getCompletionEffects(c.alternate, getPathEffects(c.alternate, c.alternateEffects)));
+        realm.apply_effects(joinedEffects);
+        return joinedEffects[0];
+      });
+    };
+    let effects = getCompletionEffects(blockRes, undefined);
+    let completion = effects[0];
+    if (completion instanceof PossiblyNormalCompletion) {
+      // Some of the paths still complete abruptly, so the changes along the normal ones have to be
+      // tracked until they all come together, just like after an if statement.
+      realm.capture_effects();
+    }
+    realm.apply_effects(effects);
+
+    if (completion instanceof AbruptCompletion) throw completion;
+    invariant(completion instanceof NormalCompletion || completion instanceof Value);
+    return completion;
   }
 
-  throw new Error("shouldn't meet this condition");
+  let completion = completeTry(blockRes);
+  if (completion instanceof AbruptCompletion) throw completion;
+  invariant(completion instanceof NormalCompletion || completion instanceof Value);
+  return completion;
+}
+
+// Effects can only be applied once, since applying them swaps the values of their bindings and properties.
+function copyEffects(effects: Effects): Effects {
+  let [result, generator, bindings, properties, createdObjects] = effects;
+  return [result, generator, new Map(bindings), new Map(properties), createdObjects];
 }
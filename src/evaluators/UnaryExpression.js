@@ -31,7 +31,7 @@ import {
   IsToNumberPure
 } from "../methods/index.js";
 import * as t from "babel-types";
-import type { BabelNodeUnaryExpression } from "babel-types";
+import type { BabelNodeUnaryExpression, BabelUnaryOperator } from "babel-types";
 
 function isInstance(proto, Constructor): boolean {
   return proto instanceof Constructor || proto === Constructor.prototype;
@@ -44,8 +44,12 @@ function computeAbstractly(realm, type, op, val) {
 
 export default function (ast: BabelNodeUnaryExpression, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Value | Reference {
   let expr = env.evaluate(ast.argument, strictCode);
+  return computeUnary(realm, ast.operator, expr);
+}
 
-  if (ast.operator === "-") {
+// Applies the operator to the result of evaluating the operand, which may be a reference for typeof and delete.
+export function computeUnary(realm: Realm, operator: BabelUnaryOperator, expr: Value | Reference): Value {
+  if (operator === "-") {
     // ECMA262 12.5.7.1
 
     // 1. Let expr be the result of evaluating UnaryExpression.
@@ -63,7 +67,7 @@ export default function (ast: BabelNodeUnaryExpression, strictCode: boolean, env
 
     // 4. Return the result of negating oldValue; that is, compute a Number with the same magnitude but opposite sign.
     return new NumberValue(realm, -oldValue);
-  } else if (ast.operator === "+") {
+  } else if (operator === "+") {
     // ECMA262 12.5.6.1
 
     // 1. Let expr be the result of evaluating UnaryExpression.
@@ -73,7 +77,7 @@ export default function (ast: BabelNodeUnaryExpression, strictCode: boolean, env
     let value = GetValue(realm, expr);
     if (value instanceof AbstractValue && IsToNumberPure(realm, value)) return computeAbstractly(realm, NumberValue, "+", value);
     return new NumberValue(realm, ToNumber(realm, value.throwIfNotConcrete()));
-  } else if (ast.operator === "~") {
+  } else if (operator === "~") {
     // ECMA262 12.5.8
 
     // 1. Let expr be the result of evaluating UnaryExpression.
@@ -86,7 +90,7 @@ export default function (ast: BabelNodeUnaryExpression, strictCode: boolean, env
 
     // 3. Return the result of applying bitwise complement to oldValue. The result is a signed 32-bit integer.
     return new NumberValue(realm, ~oldValue);
-  } else if (ast.operator === "!") {
+  } else if (operator === "!") {
     // ECMA262 12.6.9
 
     // 1. Let expr be the result of evaluating UnaryExpression.
@@ -102,7 +106,7 @@ export default function (ast: BabelNodeUnaryExpression, strictCode: boolean, env
 
     // 4. Return true.
     return realm.intrinsics.true;
-  } else if (ast.operator === "void") {
+  } else if (operator === "void") {
     // 1. Let expr be the result of evaluating UnaryExpression.
     expr;
 
@@ -111,7 +115,7 @@ export default function (ast: BabelNodeUnaryExpression, strictCode: boolean, env
 
     // 3. Return undefined.
     return realm.intrinsics.undefined;
-  } else if (ast.operator === "typeof") {
+  } else if (operator === "typeof") {
     // ECMA262 12.6.5
 
     // 1. Let val be the result of evaluating UnaryExpression.
@@ -152,7 +156,7 @@ export default function (ast: BabelNodeUnaryExpression, strictCode: boolean, env
         return computeAbstractly(realm, StringValue, "typeof", val);
       }
     }
-  } else if (ast.operator === "delete") {
+  } else if (operator === "delete") {
     // ECMA262 12.5.3.2
 
     // 1. Let ref be the result of evaluating UnaryExpression.
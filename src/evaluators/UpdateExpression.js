@@ -13,22 +13,35 @@ import type { Realm } from "../realm.js";
 import type { LexicalEnvironment } from "../environment.js";
 import type { Value } from "../values/index.js";
 import type { Reference } from "../environment.js";
-import { Add, GetValue, ToNumber, PutValue } from "../methods/index.js";
-import { NumberValue } from "../values/index.js";
-import type { BabelNodeUpdateExpression } from "babel-types";
+import { Add, GetValue, ToNumber, PutValue, dependsOnLoopVariable } from "../methods/index.js";
+import { AbstractValue, NumberValue } from "../values/index.js";
+import { computeBinary } from "./BinaryExpression.js";
+import type { BabelNodeUpdateExpression, BabelUpdateOperator } from "babel-types";
 
 export default function (ast: BabelNodeUpdateExpression, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Value | Reference {
   // ECMA262 12.4 Update Expressions
 
   // Let expr be the result of evaluating UnaryExpression.
   let expr = env.evaluate(ast.argument, strictCode);
+  return computeUpdate(realm, ast.operator, !!ast.prefix, expr);
+}
 
+// Updates the value that the result of evaluating the operand refers to.
+export function computeUpdate(realm: Realm, operator: BabelUpdateOperator, prefix: boolean, expr: Value | Reference): Value {
   // Let oldValue be ? ToNumber(? GetValue(expr)).
-  let oldExpr = GetValue(realm, expr).throwIfNotConcrete();
+  let value = GetValue(realm, expr);
+  if (value instanceof AbstractValue && !value.mightNotBeNumber() && dependsOnLoopVariable(value)) {
+    // Counters are what residual loops update most, so the values of their residual variables support this.
+    // ToNumber is the identity on numbers, so the new value is just an abstract sum.
+    let newValue = computeBinary(realm, operator === "++" ? "+" : "-", value, new NumberValue(realm, 1));
+    PutValue(realm, expr, newValue);
+    return prefix ? newValue : value;
+  }
+  let oldExpr = value.throwIfNotConcrete();
   let oldValue = ToNumber(realm, oldExpr);
 
-  if (ast.prefix) {
-    if (ast.operator === "++") {
+  if (prefix) {
+    if (operator === "++") {
       // ECMA262 12.4.6.1
 
       // 3. Let newValue be the result of adding the value 1 to oldValue, using the same rules as for the + operator (see 12.8.5)
@@ -39,7 +52,7 @@ export default function (ast: BabelNodeUpdateExpression, strictCode: boolean, en
 
       // 5. Return newValue.
       return newValue;
-    } else if (ast.operator === "--") {
+    } else if (operator === "--") {
       // ECMA262 12.4.7.1
 
       // 3. Let newValue be the result of subtracting the value 1 from oldValue, using the same rules as for the - operator (see 12.8.5).
@@ -52,7 +65,7 @@ export default function (ast: BabelNodeUpdateExpression, strictCode: boolean, en
       return newValue;
     }
   } else {
-    if (ast.operator === "++") {
+    if (operator === "++") {
       // ECMA262 12.4.4.1
 
       // 3. Let newValue be the result of adding the value 1 to oldValue, using the same rules as for the + operator (see 12.8.5).
@@ -63,7 +76,7 @@ export default function (ast: BabelNodeUpdateExpression, strictCode: boolean, en
 
       // 5. Return oldValue.
       return new NumberValue(realm, oldValue);
-    } else if (ast.operator === "--") {
+    } else if (operator === "--") {
       // ECMA262 12.4.5.1
 
       // 3. Let newValue be the result of subtracting the value 1 from oldValue, using the same rules as for the - operator (see 12.8.5).
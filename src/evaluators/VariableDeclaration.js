@@ -22,6 +22,7 @@ import {
   IsAnonymousFunctionDefinition,
   HasOwnProperty,
   SetFunctionName,
+  BindingInitialization,
 } from "../methods/index.js";
 import invariant from "../invariant.js";
 import type { BabelNodeVariableDeclaration } from "babel-types";
@@ -29,16 +30,30 @@ import type { BabelNodeVariableDeclaration } from "babel-types";
 // ECMA262 13.3.1.4
 function letAndConst (ast: BabelNodeVariableDeclaration, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Value | Reference {
   for (let declar of ast.declarations) {
-    if (declar.id.type !== "Identifier") {
-      throw new Error("TODO: Patterns aren't supported yet");
+    let Initializer = declar.init;
+    let id = declar.id;
+    if (id.type !== "Identifier") {
+      // LexicalBinding : BindingPattern Initializer
+      invariant(Initializer, "binding pattern without an initializer");
+
+      // 1. Let rhs be the result of evaluating Initializer.
+      let rhs = env.evaluate(Initializer, strictCode);
+
+      // 2. Let value be ? GetValue(rhs).
+      let value = GetValue(realm, rhs);
+
+      // 3. Let env be the running execution context's LexicalEnvironment.
+
+      // 4. Return the result of performing BindingInitialization for BindingPattern using value and env as the arguments.
+      BindingInitialization(realm, id, value, strictCode, env);
+      continue;
     }
 
-    let Initializer = declar.init;
     if (!Initializer) {
       invariant(ast.kind !== "const", "const without an initializer");
 
       // 1. Let lhs be ResolveBinding(StringValue of BindingIdentifier).
-      let bindingId = declar.id.name;
+      let bindingId = id.name;
       let lhs = ResolveBinding(realm, bindingId, strictCode);
 
       // 2. Return InitializeReferencedBinding(lhs, undefined).
@@ -47,7 +62,7 @@ function letAndConst (ast: BabelNodeVariableDeclaration, strictCode: boolean, en
     }
 
     // 1. Let bindingId be StringValue of BindingIdentifier.
-    let bindingId = declar.id.name;
+    let bindingId = id.name;
 
     // 2. Let lhs be ResolveBinding(bindingId).
     let lhs = ResolveBinding(realm, bindingId, strictCode);
@@ -83,15 +98,27 @@ export default function (ast: BabelNodeVariableDeclaration, strictCode: boolean,
   }
 
   for (let declar of ast.declarations) {
-    if (declar.id.type !== "Identifier") {
-      throw new Error("TODO: Patterns aren't supported yet");
+    let Initializer = declar.init;
+    let id = declar.id;
+    if (id.type !== "Identifier") {
+      // VariableDeclaration : BindingPattern Initializer
+      invariant(Initializer, "binding pattern without an initializer");
+
+      // 1. Let rhs be the result of evaluating Initializer.
+      let rhs = env.evaluate(Initializer, strictCode);
+
+      // 2. Let rval be ? GetValue(rhs).
+      let rval = GetValue(realm, rhs);
+
+      // 3. Return the result of performing BindingInitialization for BindingPattern passing rval and undefined as arguments.
+      BindingInitialization(realm, id, rval, strictCode, undefined);
+      continue;
     }
 
-    let Initializer = declar.init;
     if (!Initializer) continue;
 
     // 1. Let bindingId be StringValue of BindingIdentifier.
-    let bindingId = declar.id.name;
+    let bindingId = id.name;
 
     // 2. Let lhs be ? ResolveBinding(bindingId).
     let lhs = ResolveBinding(realm, bindingId, strictCode);
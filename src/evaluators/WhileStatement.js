@@ -13,10 +13,11 @@ import type { Realm } from "../realm.js";
 import type { LexicalEnvironment } from "../environment.js";
 import type { Value } from "../values/index.js";
 import type { Reference } from "../environment.js";
+import type { NormalCompletion } from "../completions.js";
 import type { BabelNodeWhileStatement, BabelNode } from "babel-types";
 
-export default function (ast: BabelNodeWhileStatement, strictCode: boolean, env: LexicalEnvironment, realm: Realm, labelSet: ?Array<string>): Value | Reference {
-  return env.evaluate((({
+export default function (ast: BabelNodeWhileStatement, strictCode: boolean, env: LexicalEnvironment, realm: Realm, labelSet: ?Array<string>): NormalCompletion | Value | Reference {
+  return env.evaluateAbstract((({
     type: "ForStatement",
     init: null,
     test: ast.test,
@@ -11,10 +11,133 @@
 
 import type { Realm } from "../realm.js";
 import type { LexicalEnvironment } from "../environment.js";
-import type { Value } from "../values/index.js";
 import type { Reference } from "../environment.js";
+import type { Resumable } from "../utils/resumable.js";
+import { AbruptCompletion, ThrowCompletion, ReturnCompletion } from "../completions.js";
+import { Value, ObjectValue, UndefinedValue } from "../values/index.js";
+import {
+  CreateIterResultObject,
+  GetIterator,
+  GetMethod,
+  IteratorNext,
+  IteratorComplete,
+  IteratorValue,
+  IteratorClose,
+  Call
+} from "../methods/index.js";
+import { GeneratorYield } from "../methods/generator.js";
+import { EvaluateResumableValue, andThen } from "../utils/resumable.js";
+import invariant from "../invariant.js";
 import type { BabelNodeYieldExpression } from "babel-types";
 
+function ReturnIfAbrupt(received: Value | AbruptCompletion): Value {
+  if (received instanceof AbruptCompletion) throw received;
+  return received;
+}
+
+// ECMA262 14.4.14, step 5 of YieldExpression : yield * AssignmentExpression
+function YieldDelegation(realm: Realm, iterator: ObjectValue, received: Value | AbruptCompletion): Resumable<Value> {
+  let innerResult;
+  // a. If received.[[Type]] is normal, then
+  if (received instanceof Value) {
+    // i. Let innerResult be ? IteratorNext(iterator, received.[[Value]]).
+    innerResult = IteratorNext(realm, iterator, received);
+
+    // ii. Let done be ? IteratorComplete(innerResult).
+    // iii. If done is true, then
+    if (IteratorComplete(realm, innerResult)) {
+      // 1. Return ? IteratorValue(innerResult).
+      return IteratorValue(realm, innerResult);
+    }
+  } else if (received instanceof ThrowCompletion) { // b. Else if received.[[Type]] is throw, then
+    // i. Let throw be ? GetMethod(iterator, "throw").
+    let throwMethod = GetMethod(realm, iterator, "throw");
+
+    // ii. If throw is not undefined, then
+    if (!(throwMethod instanceof UndefinedValue)) {
+      // 1. Let innerResult be ? Call(throw, iterator, « received.[[Value]] »).
+      // 2. NOTE: Exceptions from the inner iterator throw method are propagated. Normal completions from an inner throw method are processed similarly to an inner next.
+      innerResult = Call(realm, throwMethod, iterator, [received.value]);
+
+      // 3. If Type(innerResult) is not Object, throw a TypeError exception.
+      if (!(innerResult instanceof ObjectValue)) {
+        throw realm.createErrorThrowCompletion(realm.intrinsics.TypeError, "iterator result is not an object");
+      }
+
+      // 4. Let done be ? IteratorComplete(innerResult).
+      // 5. If done is true, then
+      if (IteratorComplete(realm, innerResult)) {
+        // a. Return ? IteratorValue(innerResult).
+        return IteratorValue(realm, innerResult);
+      }
+    } else { // iii. Else,
+      // 1. NOTE: If iterator does not have a throw method, this throw is going to terminate the yield* loop. But first we need to give iterator a chance to clean up.
+      // 2. Perform ? IteratorClose(iterator, Completion{[[Type]]: normal, [[Value]]: empty, [[Target]]: empty}).
+      IteratorClose(realm, iterator, realm.intrinsics.empty);
+
+      // 3. NOTE: The next step throws a TypeError to indicate that there was a yield* protocol violation: iterator does not have a throw method.
+      // 4. Throw a TypeError exception.
+      throw realm.createErrorThrowCompletion(realm.intrinsics.TypeError, "iterator does not have a throw method");
+    }
+  } else { // c. Else,
+    // i. Assert: received.[[Type]] is return.
+    invariant(received instanceof ReturnCompletion);
+
+    // ii. Let return be ? GetMethod(iterator, "return").
+    let returnMethod = GetMethod(realm, iterator, "return");
+
+    // iii. If return is undefined, return Completion(received).
+    if (returnMethod instanceof UndefinedValue) throw received;
+
+    // iv. Let innerReturnResult be ? Call(return, iterator, « received.[[Value]] »).
+    innerResult = Call(realm, returnMethod, iterator, [received.value]);
+
+    // v. If Type(innerReturnResult) is not Object, throw a TypeError exception.
+    if (!(innerResult instanceof ObjectValue)) {
+      throw realm.createErrorThrowCompletion(realm.intrinsics.TypeError, "iterator result is not an object");
+    }
+
+    // vi. Let done be ? IteratorComplete(innerReturnResult).
+    // vii. If done is true, then
+    if (IteratorComplete(realm, innerResult)) {
+      // 1. Let value be ? IteratorValue(innerReturnResult).
+      // 2. Return Completion{[[Type]]: return, [[Value]]: value, [[Target]]: empty}.
+      throw new ReturnCompletion(IteratorValue(realm, innerResult));
+    }
+  }
+
+  // Let received be GeneratorYield(innerResult).
+  return andThen(GeneratorYield(realm, innerResult), nextReceived => YieldDelegation(realm, iterator, nextReceived));
+}
+
+// ECMA262 14.4.14
+// Yield expressions suspend the running generator; they get evaluated by EvaluateResumable.
+export function EvaluateYieldExpression(ast: BabelNodeYieldExpression, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Resumable<Value> {
+  // YieldExpression : yield
+  if (!ast.argument) {
+    // 1. Return ? GeneratorYield(CreateIterResultObject(undefined, false)).
+    return andThen(GeneratorYield(realm, CreateIterResultObject(realm, realm.intrinsics.undefined, false)), ReturnIfAbrupt);
+  }
+
+  // 1. Let exprRef be the result of evaluating AssignmentExpression.
+  // 2. Let value be ? GetValue(exprRef).
+  return andThen(EvaluateResumableValue(ast.argument, strictCode, env, realm), value => {
+    // YieldExpression : yield * AssignmentExpression
+    if (ast.delegate) {
+      // 3. Let iterator be ? GetIterator(value).
+      let iterator = GetIterator(realm, value);
+
+      // 4. Let received be NormalCompletion(undefined).
+      // 5. Repeat
+      return YieldDelegation(realm, iterator, realm.intrinsics.undefined);
+    }
+
+    // YieldExpression : yield AssignmentExpression
+    // 3. Return ? GeneratorYield(CreateIterResultObject(value, false)).
+    return andThen(GeneratorYield(realm, CreateIterResultObject(realm, value, false)), ReturnIfAbrupt);
+  });
+}
+
 export default function (ast: BabelNodeYieldExpression, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Value | Reference {
-  throw new Error("TODO: YieldExpression");
+  throw new Error("TODO: yield expressions in this position");
 }
@@ -11,9 +11,9 @@
 
 import type { Realm } from "./realm.js";
 import { Value, StringValue, BooleanValue, ObjectValue, FunctionValue, NativeFunctionValue, AbstractValue, AbstractObjectValue, UndefinedValue } from "./values/index.js";
-import { ToStringPartial } from "./methods/index.js";
+import { IsCallable, ToNumber, ToStringPartial } from "./methods/index.js";
 import { ThrowCompletion } from "./completions.js";
-import { Construct, ObjectCreate } from "./methods/index.js";
+import { Construct, ObjectCreate, havocValues } from "./methods/index.js";
 import { TypesDomain, ValuesDomain } from "./domains/index.js";
 import buildExpressionTemplate from "./utils/builder.js";
 import * as t from "babel-types";
@@ -47,19 +47,65 @@ export default function (realm: Realm): ObjectValue {
     configurable: true
   });
 
+  // Timers are kept in a registry on the realm, from where they get fired or serialized.
+  function setTimer(repeat: boolean, [handler, timeout, ...args]: Array<Value>): ObjectValue {
+    if (realm.isEvaluatingSpeculatively()) {
+      // the registry is not part of the effects that get rolled back
+      throw realm.createErrorThrowCompletion(realm.intrinsics.__IntrospectionError, "TODO: set timers during speculative evaluation");
+    }
+    let callback = handler || realm.intrinsics.undefined;
+    if (!IsCallable(realm, callback)) {
+      // Node.js only accepts functions, while browsers compile anything else as code, which the residual timer does as well.
+      if (realm.compatibility === "node") {
+        throw realm.createErrorThrowCompletion(realm.intrinsics.TypeError, "callback argument must be a function");
+      }
+      callback = new StringValue(realm, ToStringPartial(realm, callback));
+    }
+
+    let delay = timeout === undefined ? 0 : ToNumber(realm, timeout.throwIfNotConcrete());
+    // negative and invalid delays mean no delay
+    if (!(delay > 0)) delay = 0;
+
+    let handle = ObjectCreate(realm, realm.intrinsics.ObjectPrototype);
+    // Hosts fire a timer 1ms after it was set at the earliest.
+    let timer = { callback, args, delay, due: realm.timerClock + Math.max(delay, 1), repeat };
+    handle.$Timer = timer;
+    realm.timers.set(handle, timer);
+    if (realm.generator) realm.generator.emitTimer(handle, timer);
+    return handle;
+  }
+
+  function clearTimer([handle]: Array<Value>): UndefinedValue {
+    if (realm.isEvaluatingSpeculatively()) {
+      throw realm.createErrorThrowCompletion(realm.intrinsics.__IntrospectionError, "TODO: clear timers during speculative evaluation");
+    }
+    if (handle instanceof ObjectValue && handle.$Timer !== undefined) realm.timers.delete(handle);
+    return realm.intrinsics.undefined;
+  }
+
   obj.$DefineOwnProperty("setTimeout", {
-    value: new NativeFunctionValue(realm, "global.setTimeout", "", 2, (context, args) => {
-      throw new Error("TODO: implement global.setTimeout");
-    }),
+    value: new NativeFunctionValue(realm, "global.setTimeout", "", 2, (context, args) => setTimer(false, args)),
     writable: true,
     enumerable: true,
     configurable: true
   });
 
   obj.$DefineOwnProperty("setInterval", {
-    value: new NativeFunctionValue(realm, "global.setInterval", "", 2, (context, args) => {
-      throw new Error("TODO: implement global.setInterval");
-    }),
+    value: new NativeFunctionValue(realm, "global.setInterval", "", 2, (context, args) => setTimer(true, args)),
+    writable: true,
+    enumerable: true,
+    configurable: true
+  });
+
+  obj.$DefineOwnProperty("clearTimeout", {
+    value: new NativeFunctionValue(realm, "global.clearTimeout", "", 1, (context, args) => clearTimer(args)),
+    writable: true,
+    enumerable: true,
+    configurable: true
+  });
+
+  obj.$DefineOwnProperty("clearInterval", {
+    value: new NativeFunctionValue(realm, "global.clearInterval", "", 1, (context, args) => clearTimer(args)),
     writable: true,
     enumerable: true,
     configurable: true
@@ -147,6 +193,7 @@ export default function (realm: Realm): ObjectValue {
   // that is computed by invoking function(arg0, arg1, ...) in the residual program and
   // where typeNameOrTemplate either either 'string', 'boolean', 'number', 'object', or an actual object defining known properties.
   // The function must not have side effects, and it must not access any state (besides the supplied arguments).
+  // Since the function is not known, the objects that are reachable from the arguments get havoced.
   // TODO: In some distant future, Prepack should be able to figure out automatically what computations need to remain part of the residual program.
   obj.$DefineOwnProperty("__residual", {
     value: new NativeFunctionValue(realm, "global.__residual", "__residual", 2, (context, [typeNameOrTemplate, f, ...args]) => {
@@ -165,6 +212,7 @@ export default function (realm: Realm): ObjectValue {
       }
       invariant(f instanceof FunctionValue);
       f.isResidual = true;
+      havocValues(realm, args);
 
       let types = new TypesDomain(type);
       let values = template ? new ValuesDomain(new Set([template])) : ValuesDomain.topVal;
@@ -331,6 +379,7 @@ export default function (realm: Realm): ObjectValue {
     "Uint32Array",
     "ArrayBuffer",
     "JSON",
+    "Intl",
     "__IntrospectionError"
   ];
   if (realm.compatibility !== "jsc")
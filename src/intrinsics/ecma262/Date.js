@@ -11,9 +11,9 @@
 
 import type { Realm } from "../../realm.js";
 import { NativeFunctionValue, NumberValue, StringValue, ObjectValue } from "../../values/index.js";
-import { ToInteger, ToNumber, ToPrimitive } from "../../methods/to.js";
+import { ToInteger, ToNumber, ToPrimitive, ToString } from "../../methods/to.js";
 import { OrdinaryCreateFromConstructor } from "../../methods/create.js";
-import { MakeTime, MakeDate, MakeDay, TimeClip, UTC, ToDateString, thisTimeValue } from "../../methods/date.js";
+import { MakeTime, MakeDate, MakeDay, TimeClip, UTC, ToDateString, ParseDate, thisTimeValue } from "../../methods/date.js";
 import { TypesDomain, ValuesDomain } from "../../domains/index.js";
 import invariant from "../../invariant.js";
 import buildExpressionTemplate from "../../utils/builder.js";
@@ -128,7 +128,7 @@ export default function (realm: Realm): NativeFunctionValue {
           if (v instanceof StringValue) {
             // 1. Let tv be the result of parsing v as a date, in exactly the same manner as for the parse
             //    method (20.3.3.2). If the parse resulted in an abrupt completion, tv is the Completion Record.
-            tv = new NumberValue(realm, (new Date(v.value)).getTime());
+            tv = new NumberValue(realm, ParseDate(realm, v.value));
 
             // 2. ReturnIfAbrupt(tv).
           } else { // iii. Else,
@@ -182,13 +182,18 @@ export default function (realm: Realm): NativeFunctionValue {
   });
 
   // ECMA262 20.3.3.1
-  func.defineNativeMethod("now", 0, (context) => {
+  realm.intrinsics.Date_now = new NativeFunctionValue(realm, "Date.now", "now", 0, (context) => {
     return getCurrentTime();
-  });
+  }, false);
+  func.defineNativeProperty("now", realm.intrinsics.Date_now);
 
   // ECMA262 20.3.3.2
   func.defineNativeMethod("parse", 1, (context, [string]) => {
-    throw new Error("TODO: Implement Date.parse");
+    // The function first converts its argument to a String value.
+    let S = ToString(realm, string.throwIfNotConcrete());
+
+    // If the String does not conform to a format that the implementation recognizes, the function returns NaN.
+    return new NumberValue(realm, ParseDate(realm, S));
   });
 
   // ECMA262 20.3.3.4
@@ -28,6 +28,10 @@ import {
   DateFromTime,
   MakeDate,
   ToDateString,
+  DateString,
+  TimeString,
+  TimeZoneString,
+  ToUTCString,
   HourFromTime,
   MinFromTime,
   Day,
@@ -39,6 +43,7 @@ import {
   UTC,
   Construct,
   OrdinaryToPrimitive,
+  ToLocaleDateTimeString,
 } from "../../methods/index.js";
 import invariant from "../../invariant.js";
 
@@ -667,7 +672,18 @@ export default function (realm: Realm, obj: ObjectValue): void {
 
   // ECMA262 20.3.4.35
   obj.defineNativeMethod("toDateString", 0, (context) => {
-    throw new Error("TODO: implement Date.prototype.toDateString");
+    // 1. Let O be this Date object.
+    // 2. Let tv be ? thisTimeValue(O).
+    let tv = thisTimeValue(realm, context).throwIfNotConcreteNumber().value;
+
+    // 3. If tv is NaN, return "Invalid Date".
+    if (isNaN(tv)) return new StringValue(realm, "Invalid Date");
+
+    // 4. Let t be LocalTime(tv).
+    let t = LocalTime(realm, tv);
+
+    // 5. Return DateString(t).
+    return new StringValue(realm, DateString(realm, t));
   });
 
   // ECMA262 20.3.4.36
@@ -698,18 +714,30 @@ export default function (realm: Realm, obj: ObjectValue): void {
   });
 
   // ECMA262 20.3.4.38
-  obj.defineNativeMethod("toLocaleDateString", 0, (context) => {
-    throw new Error("TODO: implement Date.prototype.toLocaleDateString");
+  obj.defineNativeMethod("toLocaleDateString", 0, (context, [locales, options]) => {
+    // ECMA402 13.3.1
+    // 1. Let x be ? thisTimeValue(this value).
+    let x = thisTimeValue(realm, context);
+
+    return ToLocaleDateTimeString(realm, x, "toLocaleDateString", locales, options);
   });
 
   // ECMA262 20.3.4.39
-  obj.defineNativeMethod("toLocaleString", 0, (context) => {
-    throw new Error("TODO: implement Date.prototype.toLocaleString");
+  obj.defineNativeMethod("toLocaleString", 0, (context, [locales, options]) => {
+    // ECMA402 13.3.2
+    // 1. Let x be ? thisTimeValue(this value).
+    let x = thisTimeValue(realm, context);
+
+    return ToLocaleDateTimeString(realm, x, "toLocaleString", locales, options);
   });
 
   // ECMA262 20.3.4.40
-  obj.defineNativeMethod("toLocaleTimeString", 0, (context) => {
-    throw new Error("TODO: implement Date.prototype.toLocaleTimeString");
+  obj.defineNativeMethod("toLocaleTimeString", 0, (context, [locales, options]) => {
+    // ECMA402 13.3.3
+    // 1. Let x be ? thisTimeValue(this value).
+    let x = thisTimeValue(realm, context);
+
+    return ToLocaleDateTimeString(realm, x, "toLocaleTimeString", locales, options);
   });
 
   // ECMA262 20.3.4.41
@@ -733,12 +761,27 @@ export default function (realm: Realm, obj: ObjectValue): void {
 
   // ECMA262 20.3.4.42
   obj.defineNativeMethod("toTimeString", 0, (context) => {
-    throw new Error("TODO: implement Date.prototype.toTimeString");
+    // 1. Let O be this Date object.
+    // 2. Let tv be ? thisTimeValue(O).
+    let tv = thisTimeValue(realm, context).throwIfNotConcreteNumber().value;
+
+    // 3. If tv is NaN, return "Invalid Date".
+    if (isNaN(tv)) return new StringValue(realm, "Invalid Date");
+
+    // 4. Let t be LocalTime(tv).
+    let t = LocalTime(realm, tv);
+
+    // 5. Return the string-concatenation of TimeString(t) and TimeZoneString(tv).
+    return new StringValue(realm, TimeString(realm, t) + TimeZoneString(realm, tv));
   });
 
   // ECMA262 20.3.4.43
   obj.defineNativeMethod("toUTCString", 0, (context) => {
-    throw new Error("TODO: implement Date.prototype.toUTCString");
+    // 1. Let O be this Date object.
+    // 2. Let tv be ? thisTimeValue(O).
+    let tv = thisTimeValue(realm, context).throwIfNotConcreteNumber().value;
+
+    return new StringValue(realm, ToUTCString(realm, tv));
   });
 
   // ECMA262 20.3.4.44
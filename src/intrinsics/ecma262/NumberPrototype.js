@@ -12,12 +12,9 @@
 import type { Realm } from "../../realm.js";
 import { ObjectValue, StringValue, UndefinedValue } from "../../values/index.js";
 import { ThrowCompletion } from "../../completions.js";
-import { Construct, ToInteger, ToString, thisNumberValue } from "../../methods/index.js";
-import { TypesDomain, ValuesDomain } from "../../domains/index.js";
+import { CallLocaleSensitiveMethod, Construct, ToInteger, ToString, thisNumberValue } from "../../methods/index.js";
 import invariant from "../../invariant.js";
-import buildExpressionTemplate from "../../utils/builder.js";
-
-let buildToLocaleString = buildExpressionTemplate("(VALUE).toLocaleString()");
+import * as t from "babel-types";
 
 export default function (realm: Realm, obj: ObjectValue): void {
   // ECMA262 20.1.3
@@ -88,16 +85,16 @@ export default function (realm: Realm, obj: ObjectValue): void {
   });
 
   // ECMA262 20.1.3.4
-  obj.defineNativeMethod("toLocaleString", 0, (context) => {
+  obj.defineNativeMethod("toLocaleString", 0, (context, [locales, options]) => {
+    // ECMA402 13.2.1
+    // 1. Let x be ? thisNumberValue(this value).
     let x = thisNumberValue(realm, context);
-    if (realm.isPartial) {
-      // The locale is environment-dependent
-      return realm.deriveAbstract(new TypesDomain(StringValue), ValuesDomain.topVal, [x], ([n]) => buildToLocaleString({
-        VALUE: n
-      }));
-    } else {
-      return new StringValue(realm, x.toLocaleString());
-    }
+
+    // 2. Let numberFormat be ? Construct(%NumberFormat%, « locales, options »).
+    // 3. Return FormatNumber(numberFormat, x).
+    return CallLocaleSensitiveMethod(realm, "NumberFormat", locales, options, StringValue, [x],
+      ([n], intlArgs) => t.callExpression(t.memberExpression(n, t.identifier("toLocaleString")), [...intlArgs]),
+      (intlArgs) => x.value.toLocaleString(intlArgs.locales, intlArgs.options));
   });
 
   // ECMA262 20.1.3.5
@@ -21,7 +21,9 @@ import { RegExpCreate } from "../../methods/regexp.js";
 import { ToString, ToStringPartial, thisStringValue, ToInteger, ToUint32, ToNumber, ToLength } from "../../methods/to.js";
 import { SplitMatch, RequireObjectCoercible } from "../../methods/abstract.js";
 import { HasSomeCompatibleType } from "../../methods/has.js";
+import { CallLocaleSensitiveMethod } from "../../methods/intl.js";
 import invariant from "../../invariant.js";
+import * as t from "babel-types";
 
 export default function (realm: Realm, obj: ObjectValue): ObjectValue {
   // ECMA262 21.1.3
@@ -293,17 +295,23 @@ export default function (realm: Realm, obj: ObjectValue): ObjectValue {
   });
 
   // ECMA262 21.1.3.10
-  obj.defineNativeMethod("localeCompare", 1, (context, [that]) => {
+  obj.defineNativeMethod("localeCompare", 1, (context, [that, locales, options]) => {
+    // ECMA402 13.1.1
     // 1. Let O be ? RequireObjectCoercible(this value).
     let O = RequireObjectCoercible(realm, context);
 
     // 2. Let S be ? ToString(O).
     let S = ToString(realm, O.throwIfNotConcrete());
 
-    // 3. Let That be ? ToString(that).
-    let That = ToStringPartial(realm, that);
+    // 3. Let thatValue be ? ToString(that).
+    let thatValue = ToStringPartial(realm, that);
 
-    return new NumberValue(realm, S.localeCompare(That));
+    // 4. Let collator be ? Construct(%Collator%, « locales, options »).
+    // 5. Return CompareStrings(collator, S, thatValue).
+    return CallLocaleSensitiveMethod(realm, "Collator", locales, options, NumberValue,
+      [new StringValue(realm, S), new StringValue(realm, thatValue)],
+      ([s, thatNode], intlArgs) => t.callExpression(t.memberExpression(s, t.identifier("localeCompare")), [thatNode, ...intlArgs]),
+      (intlArgs) => S.localeCompare(thatValue, intlArgs.locales, intlArgs.options));
   });
 
   // ECMA262 21.1.3.11
@@ -15,8 +15,6 @@ import { ThrowCompletion } from "../../completions.js";
 import { Construct, ToStringPartial } from "../../methods/index.js";
 import { SameValue } from "../../methods/abstract.js";
 
-let GlobalSymbolRegistry: Array<{$Key: string, $Symbol: SymbolValue}> = [];
-
 export default function (realm: Realm): NativeFunctionValue {
   // ECMA262 19.4.1.1
   let func = new NativeFunctionValue(realm, "Symbol", "Symbol", 0, (context, [description], argCount, NewTarget) => {
@@ -43,7 +41,7 @@ export default function (realm: Realm): NativeFunctionValue {
     let stringKey = ToStringPartial(realm, key);
 
     // 2. For each element e of the GlobalSymbolRegistry List,
-    for (let e of GlobalSymbolRegistry) {
+    for (let e of realm.globalSymbolRegistry) {
       // a. If SameValue(e.[[Key]], stringKey) is true, return e.[[Symbol]].
       if (e.$Key === stringKey) {
         return e.$Symbol;
@@ -56,7 +54,7 @@ export default function (realm: Realm): NativeFunctionValue {
     let newSymbol = new SymbolValue(realm, stringKey);
 
     // 5. Append the Record { [[Key]]: stringKey, [[Symbol]]: newSymbol } to the GlobalSymbolRegistry List.
-    GlobalSymbolRegistry.push({ $Key: stringKey, $Symbol: newSymbol });
+    realm.globalSymbolRegistry.push({ $Key: stringKey, $Symbol: newSymbol });
 
     // 6. Return newSymbol.
     return newSymbol;
@@ -72,7 +70,7 @@ export default function (realm: Realm): NativeFunctionValue {
     }
 
     // 2. For each element e of the GlobalSymbolRegistry List (see 19.4.2.1),
-    for (let e of GlobalSymbolRegistry) {
+    for (let e of realm.globalSymbolRegistry) {
       // a. If SameValue(e.[[Symbol]], sym) is true, return e.[[Key]].
       if (SameValue(realm, e.$Symbol, sym) === true) {
         return new StringValue(realm, e.$Key);
@@ -0,0 +1,37 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+/* @flow */
+
+import type { Realm } from "../../realm.js";
+import { NativeFunctionValue } from "../../values/index.js";
+import { OrdinaryCreateFromConstructor, InitializeIntlObject, SupportedLocalesOf } from "../../methods/index.js";
+
+export default function (realm: Realm): NativeFunctionValue {
+  // ECMA402 10.1.1
+  let func = new NativeFunctionValue(realm, "Intl.Collator", "Collator", 0, (context, [locales, options], argCount, NewTarget) => {
+    // 1. If NewTarget is undefined, let newTarget be the active function object, else let newTarget be NewTarget.
+    let newTarget = NewTarget || func;
+
+    // 2. Let obj be ? OrdinaryCreateFromConstructor(newTarget, "%CollatorPrototype%", internalSlotsList).
+    let obj = OrdinaryCreateFromConstructor(realm, newTarget, "IntlCollatorPrototype", {
+      $InitializedCollator: undefined
+    });
+
+    // 3. Return ? InitializeCollator(obj, locales, options).
+    return InitializeIntlObject(realm, obj, "Collator", locales, options);
+  });
+
+  // ECMA402 10.2.2
+  func.defineNativeMethod("supportedLocalesOf", 1, (context, [locales, options]) => {
+    return SupportedLocalesOf(realm, "Collator", locales, options);
+  });
+
+  return func;
+}
@@ -0,0 +1,43 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+/* @flow */
+
+import type { Realm } from "../../realm.js";
+import { ObjectValue, StringValue } from "../../values/index.js";
+import { CompareStrings, GetBoundIntlFunction, ResolvedOptions } from "../../methods/index.js";
+
+export default function (realm: Realm, obj: ObjectValue): void {
+  // ECMA402 10.3.3
+  obj.defineNativeGetter("compare", (context) => {
+    // 1. Let collator be this value.
+    // 2. If Type(collator) is not Object, throw a TypeError exception.
+    // 3. If collator does not have an [[InitializedCollator]] internal slot, throw a TypeError exception.
+    // 4. If collator.[[BoundCompare]] is undefined, then
+    //   a. Let F be a new built-in function object as defined in 10.3.3.1.
+    //   b. Set F.[[Collator]] to collator.
+    //   c. Set collator.[[BoundCompare]] to F.
+    // 5. Return collator.[[BoundCompare]].
+    return GetBoundIntlFunction(realm, context.throwIfNotConcrete(), "Collator", "compare", 2, (collator, [x, y]) => {
+      // ECMA402 10.3.3.1
+      // 5. Let X be ? ToString(x).
+      // 6. Let Y be ? ToString(y).
+      // 7. Return CompareStrings(collator, X, Y).
+      return CompareStrings(realm, collator, x, y);
+    });
+  });
+
+  // ECMA402 10.3.5
+  obj.defineNativeMethod("resolvedOptions", 0, (context) => {
+    return ResolvedOptions(realm, context.throwIfNotConcrete(), "Collator");
+  });
+
+  // ECMA402 10.3.2 Intl.Collator.prototype [ @@toStringTag ]
+  obj.defineNativeProperty(realm.intrinsics.SymbolToStringTag, new StringValue(realm, "Intl.Collator"), { writable: false });
+}
@@ -0,0 +1,37 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+/* @flow */
+
+import type { Realm } from "../../realm.js";
+import { NativeFunctionValue } from "../../values/index.js";
+import { OrdinaryCreateFromConstructor, InitializeIntlObject, SupportedLocalesOf } from "../../methods/index.js";
+
+export default function (realm: Realm): NativeFunctionValue {
+  // ECMA402 12.1.1
+  let func = new NativeFunctionValue(realm, "Intl.DateTimeFormat", "DateTimeFormat", 0, (context, [locales, options], argCount, NewTarget) => {
+    // 1. If NewTarget is undefined, let newTarget be the active function object, else let newTarget be NewTarget.
+    let newTarget = NewTarget || func;
+
+    // 2. Let obj be ? OrdinaryCreateFromConstructor(newTarget, "%DateTimeFormatPrototype%", internalSlotsList).
+    let obj = OrdinaryCreateFromConstructor(realm, newTarget, "IntlDateTimeFormatPrototype", {
+      $InitializedDateTimeFormat: undefined
+    });
+
+    // 3. Return ? InitializeDateTimeFormat(obj, locales, options).
+    return InitializeIntlObject(realm, obj, "DateTimeFormat", locales, options);
+  });
+
+  // ECMA402 12.2.2
+  func.defineNativeMethod("supportedLocalesOf", 1, (context, [locales, options]) => {
+    return SupportedLocalesOf(realm, "DateTimeFormat", locales, options);
+  });
+
+  return func;
+}
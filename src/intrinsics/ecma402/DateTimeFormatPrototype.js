@@ -0,0 +1,52 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+/* @flow */
+
+import type { Realm } from "../../realm.js";
+import { ObjectValue, StringValue, UndefinedValue } from "../../values/index.js";
+import { Call, FormatDateTime, GetBoundIntlFunction, ResolvedOptions } from "../../methods/index.js";
+
+export default function (realm: Realm, obj: ObjectValue): void {
+  // ECMA402 12.3.3
+  obj.defineNativeGetter("format", (context) => {
+    // 1. Let dtf be this value.
+    // 2. If Type(dtf) is not Object, throw a TypeError exception.
+    // 3. If dtf does not have an [[InitializedDateTimeFormat]] internal slot, throw a TypeError exception.
+    // 4. If dtf.[[BoundFormat]] is undefined, then
+    //   a. Let F be a new built-in function object as defined in DateTime Format Functions (12.1.5).
+    //   b. Set F.[[DateTimeFormat]] to dtf.
+    //   c. Set dtf.[[BoundFormat]] to F.
+    // 5. Return dtf.[[BoundFormat]].
+    return GetBoundIntlFunction(realm, context.throwIfNotConcrete(), "DateTimeFormat", "format", 1, (dtf, [date]) => {
+      // ECMA402 12.1.5
+      // 4. If date is not provided or is undefined, then
+      let x;
+      if (date instanceof UndefinedValue) {
+        // a. Let x be Call(%Date_now%, undefined).
+        x = Call(realm, realm.intrinsics.Date_now, realm.intrinsics.undefined);
+      } else {
+        // 5. Else,
+        // a. Let x be ? ToNumber(date).
+        x = date;
+      }
+
+      // 6. Return FormatDateTime(dtf, x).
+      return FormatDateTime(realm, dtf, x);
+    });
+  });
+
+  // ECMA402 12.3.5
+  obj.defineNativeMethod("resolvedOptions", 0, (context) => {
+    return ResolvedOptions(realm, context.throwIfNotConcrete(), "DateTimeFormat");
+  });
+
+  // ECMA402 12.3.2 Intl.DateTimeFormat.prototype [ @@toStringTag ]
+  obj.defineNativeProperty(realm.intrinsics.SymbolToStringTag, new StringValue(realm, "Intl.DateTimeFormat"), { writable: false });
+}
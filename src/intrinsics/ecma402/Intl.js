@@ -0,0 +1,28 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+/* @flow */
+
+import type { Realm } from "../../realm.js";
+import { ObjectValue } from "../../values/index.js";
+
+export default function (realm: Realm): ObjectValue {
+  let obj = new ObjectValue(realm, realm.intrinsics.ObjectPrototype, "Intl");
+
+  // ECMA402 8.2.1
+  obj.defineNativeProperty("Collator", realm.intrinsics.IntlCollator);
+
+  // ECMA402 8.2.2
+  obj.defineNativeProperty("NumberFormat", realm.intrinsics.IntlNumberFormat);
+
+  // ECMA402 8.2.3
+  obj.defineNativeProperty("DateTimeFormat", realm.intrinsics.IntlDateTimeFormat);
+
+  return obj;
+}
@@ -0,0 +1,42 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+/* @flow */
+
+import type { Realm } from "../../realm.js";
+import { ObjectValue, StringValue } from "../../values/index.js";
+import { FormatNumber, GetBoundIntlFunction, ResolvedOptions } from "../../methods/index.js";
+
+export default function (realm: Realm, obj: ObjectValue): void {
+  // ECMA402 11.3.3
+  obj.defineNativeGetter("format", (context) => {
+    // 1. Let nf be this value.
+    // 2. If Type(nf) is not Object, throw a TypeError exception.
+    // 3. If nf does not have an [[InitializedNumberFormat]] internal slot, throw a TypeError exception.
+    // 4. If nf.[[BoundFormat]] is undefined, then
+    //   a. Let F be a new built-in function object as defined in Number Format Functions (11.1.4).
+    //   b. Set F.[[NumberFormat]] to nf.
+    //   c. Set nf.[[BoundFormat]] to F.
+    // 5. Return nf.[[BoundFormat]].
+    return GetBoundIntlFunction(realm, context.throwIfNotConcrete(), "NumberFormat", "format", 1, (nf, [value]) => {
+      // ECMA402 11.1.4
+      // 4. Let x be ? ToNumber(value).
+      // 5. Return FormatNumber(nf, x).
+      return FormatNumber(realm, nf, value);
+    });
+  });
+
+  // ECMA402 11.3.5
+  obj.defineNativeMethod("resolvedOptions", 0, (context) => {
+    return ResolvedOptions(realm, context.throwIfNotConcrete(), "NumberFormat");
+  });
+
+  // ECMA402 11.3.2 Intl.NumberFormat.prototype [ @@toStringTag ]
+  obj.defineNativeProperty(realm.intrinsics.SymbolToStringTag, new StringValue(realm, "Intl.NumberFormat"), { writable: false });
+}
@@ -45,6 +45,9 @@ import initializeGenerator from "./ecma262/Generator.js";
 import initializeGeneratorFunction from "./ecma262/GeneratorFunction.js";
 import initializeGeneratorPrototype from "./ecma262/GeneratorPrototype.js";
 
+import initializeAsyncFunction from "./ecma262/AsyncFunction.js";
+import initializeAsyncFunctionPrototype from "./ecma262/AsyncFunctionPrototype.js";
+
 import initializeArray from "./ecma262/Array.js";
 import initializeArrayPrototype from "./ecma262/ArrayPrototype.js";
 
@@ -145,6 +148,14 @@ import initializeObjectProto_toString from "./ecma262/ObjectProto_toString.js";
 import initializeTypedArrayProto_values from "./ecma262/TypedArrayProto_values.js";
 import initializeThrowTypeError from "./ecma262/ThrowTypeError.js";
 
+import initializeIntl from "./ecma402/Intl.js";
+import initializeIntlCollator from "./ecma402/Collator.js";
+import initializeIntlCollatorPrototype from "./ecma402/CollatorPrototype.js";
+import initializeIntlNumberFormat from "./ecma402/NumberFormat.js";
+import initializeIntlNumberFormatPrototype from "./ecma402/NumberFormatPrototype.js";
+import initializeIntlDateTimeFormat from "./ecma402/DateTimeFormat.js";
+import initializeIntlDateTimeFormatPrototype from "./ecma402/DateTimeFormatPrototype.js";
+
 import initializeDocument from "./dom/document.js";
 import initialize__IntrospectionError from "./__IntrospectionError.js";
 import initialize__IntrospectionErrorPrototype from "./__IntrospectionErrorPrototype.js";
@@ -175,17 +186,17 @@ export function initialize(i: Intrinsics, realm: Realm): Intrinsics {
   i.SymbolPrototype = new ObjectValue(realm, i.ObjectPrototype, "Symbol.prototype");
 
   // initialize common symbols
-  i.SymbolIsConcatSpreadable = new SymbolValue(realm, "Symbol.isConcatSpreadable");
-  i.SymbolSpecies = new SymbolValue(realm, "Symbol.species");
-  i.SymbolReplace = new SymbolValue(realm, "Symbol.replace");
-  i.SymbolIterator = new SymbolValue(realm, "Symbol.iterator");
-  i.SymbolHasInstance = new SymbolValue(realm, "Symbol.hasInstance");
-  i.SymbolToPrimitive = new SymbolValue(realm, "Symbol.toPrimitive");
-  i.SymbolToStringTag = new SymbolValue(realm, "Symbol.toStringTag");
-  i.SymbolMatch = new SymbolValue(realm, "Symbol.match");
-  i.SymbolSplit = new SymbolValue(realm, "Symbol.split");
-  i.SymbolSearch = new SymbolValue(realm, "Symbol.search");
-  i.SymbolUnscopables = new SymbolValue(realm, "Symbol.unscopables");
+  i.SymbolIsConcatSpreadable = new SymbolValue(realm, "Symbol.isConcatSpreadable", "Symbol.isConcatSpreadable");
+  i.SymbolSpecies = new SymbolValue(realm, "Symbol.species", "Symbol.species");
+  i.SymbolReplace = new SymbolValue(realm, "Symbol.replace", "Symbol.replace");
+  i.SymbolIterator = new SymbolValue(realm, "Symbol.iterator", "Symbol.iterator");
+  i.SymbolHasInstance = new SymbolValue(realm, "Symbol.hasInstance", "Symbol.hasInstance");
+  i.SymbolToPrimitive = new SymbolValue(realm, "Symbol.toPrimitive", "Symbol.toPrimitive");
+  i.SymbolToStringTag = new SymbolValue(realm, "Symbol.toStringTag", "Symbol.toStringTag");
+  i.SymbolMatch = new SymbolValue(realm, "Symbol.match", "Symbol.match");
+  i.SymbolSplit = new SymbolValue(realm, "Symbol.split", "Symbol.split");
+  i.SymbolSearch = new SymbolValue(realm, "Symbol.search", "Symbol.search");
+  i.SymbolUnscopables = new SymbolValue(realm, "Symbol.unscopables", "Symbol.unscopables");
 
   //
   i.ArrayProto_values = initializeArrayProto_values(realm);
@@ -247,6 +258,11 @@ export function initialize(i: Intrinsics, realm: Realm): Intrinsics {
   i.ArrayIteratorPrototype = new ObjectValue(realm, i.IteratorPrototype, "ArrayIteratorPrototype");
   i.StringIteratorPrototype = new ObjectValue(realm, i.IteratorPrototype, "StringIteratorPrototype");
 
+  // Intl prototypes
+  i.IntlCollatorPrototype = new ObjectValue(realm, i.ObjectPrototype, "Intl.Collator.prototype");
+  i.IntlNumberFormatPrototype = new ObjectValue(realm, i.ObjectPrototype, "Intl.NumberFormat.prototype");
+  i.IntlDateTimeFormatPrototype = new ObjectValue(realm, i.ObjectPrototype, "Intl.DateTimeFormat.prototype");
+
   //
   initializeObjectPrototype(realm, i.ObjectPrototype);
   initializeFunctionPrototype(realm, i.FunctionPrototype);
@@ -292,6 +308,11 @@ export function initialize(i: Intrinsics, realm: Realm): Intrinsics {
   initializeMapIteratorPrototype(realm, i.MapIteratorPrototype);
   initializeSetIteratorPrototype(realm, i.SetIteratorPrototype);
 
+  // Intl prototypes
+  initializeIntlCollatorPrototype(realm, i.IntlCollatorPrototype);
+  initializeIntlNumberFormatPrototype(realm, i.IntlNumberFormatPrototype);
+  initializeIntlDateTimeFormatPrototype(realm, i.IntlDateTimeFormatPrototype);
+
   // browser
   i.document = initializeDocument(realm);
 
@@ -335,6 +356,12 @@ export function initialize(i: Intrinsics, realm: Realm): Intrinsics {
   i.Uint16Array = initializeUint16Array(realm);
   i.Uint32Array = initializeUint32Array(realm);
 
+  // Intl
+  i.IntlCollator = initializeIntlCollator(realm);
+  i.IntlNumberFormat = initializeIntlNumberFormat(realm);
+  i.IntlDateTimeFormat = initializeIntlDateTimeFormat(realm);
+  i.Intl = initializeIntl(realm);
+
   //
   i.Error = initializeError(realm);
   i.TypeError = initializeTypeError(realm);
@@ -376,7 +403,10 @@ export function initialize(i: Intrinsics, realm: Realm): Intrinsics {
     "Uint8ClampedArray",
     "Uint16Array",
     "Uint32Array",
-    "ArrayBuffer"
+    "ArrayBuffer",
+    "IntlCollator",
+    "IntlNumberFormat",
+    "IntlDateTimeFormat"
   ];
   if (realm.compatibility !== 'jsc') {
     builtins = builtins.concat(["WeakMap", "WeakSet", "TypedArray"]);
@@ -409,7 +439,7 @@ export function initialize(i: Intrinsics, realm: Realm): Intrinsics {
   }
 
   //
-  i.GeneratorPrototype = new ObjectValue(realm, i.FunctionPrototype, "Generator.prototype");
+  i.GeneratorPrototype = new ObjectValue(realm, i.IteratorPrototype, "Generator.prototype");
   initializeGeneratorPrototype(realm, i.GeneratorPrototype);
   i.Generator = new ObjectValue(realm, i.FunctionPrototype, "Generator");
   initializeGenerator(realm, i.Generator);
@@ -441,6 +471,24 @@ export function initialize(i: Intrinsics, realm: Realm): Intrinsics {
     configurable: true
   });
 
+  //
+  i.AsyncFunctionPrototype = new ObjectValue(realm, i.FunctionPrototype, "AsyncFunction.prototype");
+  initializeAsyncFunctionPrototype(realm, i.AsyncFunctionPrototype);
+  i.AsyncFunction = initializeAsyncFunction(realm);
+
+  i.AsyncFunction.$DefineOwnProperty("prototype", {
+    value: i.AsyncFunctionPrototype,
+    writable: false,
+    enumerable: false,
+    configurable: false
+  });
+  i.AsyncFunctionPrototype.$DefineOwnProperty("constructor", {
+    value: i.AsyncFunction,
+    writable: false,
+    enumerable: false,
+    configurable: true
+  });
+
   //
   i.isNaN = initializeIsNaN(realm);
   i.isFinite = initializeIsFinite(realm);
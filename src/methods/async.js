@@ -0,0 +1,189 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+/* @flow */
+
+import type { Realm } from "../realm.js";
+import type { Reference } from "../environment.js";
+import type { PromiseCapability } from "../types.js";
+import type { Resumable } from "../utils/resumable.js";
+import { ExecutionContext } from "../realm.js";
+import { AbruptCompletion, ReturnCompletion, ThrowCompletion, IntrospectionThrowCompletion } from "../completions.js";
+import { Value, ObjectValue, NativeFunctionValue } from "../values/index.js";
+import { Call } from "../methods/call.js";
+import { NewPromiseCapability, PerformPromiseThen } from "../methods/promise.js";
+import { EvaluateResumable, Suspension } from "../utils/resumable.js";
+import invariant from "../invariant.js";
+import type { BabelNodeBlockStatement, BabelNodeSourceLocation } from "babel-types";
+
+// Runs the evaluation of an async function body until it either suspends at an await or completes.
+function ContinueAsyncFunctionBody(realm: Realm, promiseCapability: PromiseCapability, asyncContext: ExecutionContext, evaluate: () => Resumable<Value | Reference>): Value {
+  let result;
+  try {
+    result = evaluate();
+  } catch (e) {
+    if (!(e instanceof AbruptCompletion)) throw e;
+    result = e;
+  }
+
+  if (result instanceof Suspension) {
+    // AsyncFunctionAwait has already removed asyncContext from the execution context stack.
+    let { continuation } = result;
+    asyncContext.codeEvaluationState = resumptionValue =>
+      ContinueAsyncFunctionBody(realm, promiseCapability, asyncContext, () => continuation(resumptionValue));
+    return realm.intrinsics.undefined;
+  }
+
+  // b. Assert: If we return here, the async function either threw an exception or performed an implicit or explicit return; all awaiting is done.
+  // c. Remove asyncContext from the execution context stack and restore the execution context that is at the top of the execution context stack as the running execution context.
+  realm.popContext(asyncContext);
+
+  // d. If result.[[Type]] is normal, then
+  if (!(result instanceof AbruptCompletion)) {
+    // i. Perform ! Call(promiseCapability.[[Resolve]], undefined, «undefined»).
+    Call(realm, promiseCapability.resolve, realm.intrinsics.undefined, [realm.intrinsics.undefined]);
+  } else if (result instanceof ReturnCompletion) { // e. Else if result.[[Type]] is return, then
+    // i. Perform ! Call(promiseCapability.[[Resolve]], undefined, «result.[[Value]]»).
+    Call(realm, promiseCapability.resolve, realm.intrinsics.undefined, [result.value]);
+  } else { // f. Else,
+    // i. Assert: result.[[Type]] is throw.
+    invariant(result instanceof ThrowCompletion);
+
+    // introspection errors are not exceptions of the async function
+    if (result instanceof IntrospectionThrowCompletion) throw result;
+
+    // ii. Perform ! Call(promiseCapability.[[Reject]], undefined, «result.[[Value]]»).
+    Call(realm, promiseCapability.reject, realm.intrinsics.undefined, [result.value]);
+  }
+
+  // g. Return.
+  return realm.intrinsics.undefined;
+}
+
+// ECMA262 25.5.5.2
+export function AsyncFunctionStart(realm: Realm, promiseCapability: PromiseCapability, asyncFunctionBody: BabelNodeBlockStatement): void {
+  // 1. Let runningContext be the running execution context.
+  let runningContext = realm.getRunningContext();
+
+  // 2. Let asyncContext be a copy of runningContext.
+  let asyncContext = new ExecutionContext();
+  asyncContext.caller = runningContext.caller;
+  asyncContext.function = runningContext.function;
+  asyncContext.realm = runningContext.realm;
+  asyncContext.loc = runningContext.loc;
+  asyncContext.ScriptOrModule = runningContext.ScriptOrModule;
+  asyncContext.variableEnvironment = runningContext.variableEnvironment;
+  asyncContext.lexicalEnvironment = runningContext.lexicalEnvironment;
+
+  // 3. Set the code evaluation state of asyncContext such that when evaluation is resumed for that execution context the following steps will be performed:
+  asyncContext.codeEvaluationState = () => {
+    // a. Let result be the result of evaluating asyncFunctionBody.
+    let F = asyncContext.function;
+    invariant(F);
+    let strictCode = F.$Strict;
+    return ContinueAsyncFunctionBody(realm, promiseCapability, asyncContext,
+      () => EvaluateResumable(asyncFunctionBody, strictCode, asyncContext.lexicalEnvironment, realm));
+  };
+
+  // 4. Push asyncContext onto the execution context stack; asyncContext is now the running execution context.
+  realm.pushContext(asyncContext);
+
+  // 5. Resume the suspended evaluation of asyncContext. Let result be the value returned by the resumed computation.
+  let result = asyncContext.resume(realm.intrinsics.undefined);
+
+  // 6. Assert: When we return here, asyncContext has already been removed from the execution context stack and runningContext is the currently running execution context.
+  invariant(realm.getRunningContext() === runningContext);
+
+  // 7. Assert: result is a normal completion with a value of undefined. The possible sources of completion values are AsyncFunctionAwait or, if the async function doesn't await anything, the step 3.g above.
+  invariant(result === realm.intrinsics.undefined);
+
+  // 8. Return.
+}
+
+// ECMA262 25.5.5.4, 25.5.5.5
+function CreateAwaitedFunction(realm: Realm, asyncContext: ExecutionContext, rejected: boolean): NativeFunctionValue {
+  let F = new NativeFunctionValue(realm, undefined, undefined, 1, (context, [value]) => {
+    // 1. Let F be the active function object.
+    // 2. Let asyncContext be F.[[AsyncContext]].
+    invariant(F.$AsyncContext === asyncContext);
+
+    // 3. Let prevContext be the running execution context.
+    let prevContext = realm.getRunningContext();
+
+    // 4. Suspend prevContext.
+    prevContext.suspend();
+
+    // 5. Push asyncContext onto the execution context stack; asyncContext is now the running execution context.
+    realm.pushContext(asyncContext);
+    realm.pendingAwaits.delete(asyncContext);
+
+    let result;
+    try {
+      // 6. Resume the suspended evaluation of asyncContext using NormalCompletion(value) as the result of the operation that suspended it. Let result be the value returned by the resumed computation.
+      // (For a rejected promise, use Completion{[[Type]]: throw, [[Value]]: reason, [[Target]]: empty} instead.)
+      result = asyncContext.resume(rejected ? new ThrowCompletion(value) : value);
+    } finally {
+      // 7. Assert: When we reach this step, asyncContext has already been removed from the execution context stack and prevContext is the currently running execution context.
+      invariant(realm.getRunningContext() === prevContext);
+      prevContext.resume();
+    }
+
+    // 8. Return Completion(result).
+    invariant(result !== undefined);
+    return result;
+  });
+  F.$AsyncContext = asyncContext;
+  return F;
+}
+
+// ECMA262 25.5.5.3
+// Not in the spec: awaitLocation is the location of the await expression, used to report async functions that never resume.
+export function AsyncFunctionAwait(realm: Realm, value: Value, awaitLocation: ?BabelNodeSourceLocation): Resumable<Value | AbruptCompletion> {
+  // 1. Let asyncContext be the running execution context.
+  let asyncContext = realm.getRunningContext();
+
+  // 2. Let promiseCapability be ! NewPromiseCapability(%Promise%).
+  let promiseCapability = NewPromiseCapability(realm, realm.intrinsics.Promise);
+
+  // 3. Perform ! Call(promiseCapability.[[Resolve]], undefined, « value »).
+  Call(realm, promiseCapability.resolve, realm.intrinsics.undefined, [value]);
+
+  // 4. Let stepsFulfilled be the algorithm steps defined in AsyncFunction Awaited Fulfilled.
+  // 5. Let onFulfilled be CreateBuiltinFunction(stepsFulfilled, « [[AsyncContext]] »).
+  // 6. Set onFulfilled.[[AsyncContext]] to asyncContext.
+  let onFulfilled = CreateAwaitedFunction(realm, asyncContext, false);
+
+  // 7. Let stepsRejected be the algorithm steps defined in AsyncFunction Awaited Rejected.
+  // 8. Let onRejected be CreateBuiltinFunction(stepsRejected, « [[AsyncContext]] »).
+  // 9. Set onRejected.[[AsyncContext]] to asyncContext.
+  let onRejected = CreateAwaitedFunction(realm, asyncContext, true);
+
+  // 10. Let throwawayCapability be ! NewPromiseCapability(%Promise%).
+  let throwawayCapability = NewPromiseCapability(realm, realm.intrinsics.Promise);
+
+  // 11. Set throwawayCapability.[[Promise]].[[PromiseIsHandled]] to true.
+  let throwawayPromise = throwawayCapability.promise;
+  invariant(throwawayPromise instanceof ObjectValue);
+  throwawayPromise.$PromiseIsHandled = true;
+
+  // 12. Perform ! PerformPromiseThen(promiseCapability.[[Promise]], onFulfilled, onRejected, throwawayCapability).
+  let promise = promiseCapability.promise;
+  invariant(promise instanceof ObjectValue);
+  PerformPromiseThen(realm, promise, onFulfilled, onRejected, throwawayCapability);
+
+  // 13. Remove asyncContext from the execution context stack and restore the execution context that is at the top of the execution context stack as the running execution context.
+  asyncContext.suspend();
+  realm.popContext(asyncContext);
+  realm.pendingAwaits.set(asyncContext, awaitLocation);
+
+  // 14. Set the code evaluation state of asyncContext such that when evaluation is resumed with a Completion resumptionValue the following steps will be performed:
+  //   a. Return resumptionValue.
+  // 15. Return.
+  return new Suspension(realm.intrinsics.undefined, resumptionValue => resumptionValue);
+}
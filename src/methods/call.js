@@ -28,11 +28,15 @@ import {
   IteratorStep,
   IteratorValue,
   HasSomeCompatibleType,
+  joinEffects,
   joinEffectsAndRemoveNestedReturnCompletions,
+  havocValues,
 } from "./index.js";
 import { GeneratorStart } from "../methods/generator.js";
+import { AsyncFunctionStart } from "../methods/async.js";
+import { NewPromiseCapability } from "../methods/promise.js";
 import { OrdinaryCreateFromConstructor } from "../methods/create.js";
-import { ThrowCompletion, ReturnCompletion, AbruptCompletion, ComposedAbruptCompletion, JoinedAbruptCompletions, PossiblyNormalCompletion } from "../completions.js";
+import { ThrowCompletion, IntrospectionThrowCompletion, ReturnCompletion, AbruptCompletion, ComposedAbruptCompletion, JoinedAbruptCompletions, PossiblyNormalCompletion } from "../completions.js";
 import { GetTemplateObject, GetV, GetThisValue } from "../methods/get.js";
 import { TypesDomain, ValuesDomain } from "../domains/index.js";
 import invariant from "../invariant.js";
@@ -288,7 +292,31 @@ export function OrdinaryCallEvaluateBody(realm: Realm, F: FunctionValue, argumen
     GeneratorStart(realm, G, F.$ECMAScriptCode);
 
     // 4. Return Completion{[[Type]]: return, [[Value]]: G, [[Target]]: empty}.
-    throw new ReturnCompletion(G);
+    return new ReturnCompletion(G);
+  } else if (F.$FunctionKind === "async") {
+    // 1. Let promiseCapability be ! NewPromiseCapability(%Promise%).
+    let promiseCapability = NewPromiseCapability(realm, realm.intrinsics.Promise);
+
+    try {
+      // 2. Let declResult be FunctionDeclarationInstantiation(functionObject, argumentsList).
+      FunctionDeclarationInstantiation(realm, F, argumentsList);
+    } catch (declResult) {
+      // 4. Else declResult is an abrupt completion,
+      if (!(declResult instanceof ThrowCompletion) || declResult instanceof IntrospectionThrowCompletion) throw declResult;
+
+      // a. Perform ! Call(promiseCapability.[[Reject]], undefined, « declResult.[[Value]] »).
+      Call(realm, promiseCapability.reject, realm.intrinsics.undefined, [declResult.value]);
+
+      // 5. Return Completion{[[Type]]: return, [[Value]]: promiseCapability.[[Promise]], [[Target]]: empty}.
+      return new ReturnCompletion(promiseCapability.promise);
+    }
+
+    // 3. If declResult is not an abrupt completion, then
+    //   a. Perform ! AsyncFunctionStart(promiseCapability, FunctionBody).
+    AsyncFunctionStart(realm, promiseCapability, F.$ECMAScriptCode);
+
+    // 5. Return Completion{[[Type]]: return, [[Value]]: promiseCapability.[[Promise]], [[Target]]: empty}.
+    return new ReturnCompletion(promiseCapability.promise);
   } else {
     // 1. Perform ? FunctionDeclarationInstantiation(F, argumentsList).
     FunctionDeclarationInstantiation(realm, F, argumentsList);
@@ -333,16 +361,10 @@ export function EvaluateDirectCall(realm: Realm, strictCode: boolean, env: Lexic
   // 1. Let argList be ? ArgumentListEvaluation(arguments).
   let argList = ArgumentListEvaluation(realm, strictCode, env, args);
 
-  if (func instanceof AbstractValue && func.getType() === FunctionValue) {
-    let fullArgs = [func].concat(argList);
-    return realm.deriveAbstract(
-      TypesDomain.topVal,
-      ValuesDomain.topVal,
-      fullArgs,
-      (nodes) => {
-        let fun_args = ((nodes.slice(1): any): Array<BabelNodeExpression | BabelNodeSpreadElement>);
-        return t.callExpression(nodes[0], fun_args);
-      });
+  if (func instanceof AbstractValue) {
+    // Call forks on the condition and checks each of the functions that func may be.
+    if (func.kind === "conditional") return Call(realm, func, thisValue, argList);
+    if (func.getType() === FunctionValue) return CallAbstractFunction(realm, func, argList);
   }
   func = func.throwIfNotConcrete();
 
@@ -396,6 +418,8 @@ export function Call(realm: Realm, F: Value, V: Value, argsList?: Array<Value>):
   // 1. If argumentsList was not passed, let argumentsList be a new empty List.
   argsList = argsList || [];
 
+  if (F instanceof AbstractValue && F.kind === "conditional") return CallConditional(realm, F, V, argsList);
+
   // 2. If IsCallable(F) is false, throw a TypeError exception.
   if (IsCallable(realm, F) === false) {
     throw new ThrowCompletion(
@@ -408,3 +432,42 @@ export function Call(realm: Realm, F: Value, V: Value, argsList?: Array<Value>):
   invariant(F.$Call, "no call method on this value");
   return F.$Call(V, argsList);
 }
+
+// Calls each of the values that the conditional value F may be and joins the effects of the calls.
+function CallConditional(realm: Realm, F: AbstractValue, V: Value, argsList: Array<Value>): Value {
+  let [condition, consequent, alternate] = F.args;
+  invariant(condition instanceof AbstractValue);
+  let getCallEffects = (func: Value) => realm.partially_evaluate(() => {
+    try {
+      if (func instanceof AbstractValue && func.kind !== "conditional" && func.getType() === FunctionValue) {
+        return CallAbstractFunction(realm, func, argsList);
+      }
+      return Call(realm, func, V, argsList);
+    } catch (e) {
+      if (e instanceof AbruptCompletion) return e;
+      throw e;
+    }
+  });
+  let joinedEffects = joinEffects(realm, condition, getCallEffects(consequent), getCallEffects(alternate));
+  let completion = joinedEffects[0];
+  // A call that only may throw has no value to stand for its result.
+  if (completion instanceof PossiblyNormalCompletion) return AbstractValue.throwIntrospectionError(condition);
+  realm.apply_effects(joinedEffects);
+  if (completion instanceof AbruptCompletion) throw completion;
+  invariant(completion instanceof Value);
+  return completion;
+}
+
+// Calls a function that is not known. Its result is not known either, and it may change anything
+// that the arguments give it access to.
+export function CallAbstractFunction(realm: Realm, F: AbstractValue, argsList: Array<Value>): Value {
+  havocValues(realm, argsList);
+  return realm.deriveAbstract(
+    TypesDomain.topVal,
+    ValuesDomain.topVal,
+    [F].concat(argsList),
+    (nodes) => {
+      let fun_args = ((nodes.slice(1): any): Array<BabelNodeExpression | BabelNodeSpreadElement>);
+      return t.callExpression(nodes[0], fun_args);
+    });
+}
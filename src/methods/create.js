@@ -242,6 +242,55 @@ export function CreateIterResultObject(realm: Realm, value: Value, done: boolean
   return obj;
 }
 
+// ECMA262 7.4.8
+export function CreateListIterator(realm: Realm, list: Array<Value>): ObjectValue {
+  // 1. Let iterator be ObjectCreate(%IteratorPrototype%, « [[IteratorNext]], [[IteratedList]], [[ListIteratorNextIndex]] »).
+  let iterator = ObjectCreate(realm, realm.intrinsics.IteratorPrototype);
+
+  // 2. Set iterator's [[IteratedList]] internal slot to list.
+  // 3. Set iterator's [[ListIteratorNextIndex]] internal slot to 0.
+  // The list iterator never escapes to user code, so the list and the index live in the closure of next.
+  let index = 0;
+
+  // 4. Let next be a new built-in function object as defined in ListIterator next (7.4.8.1).
+  let next = new NativeFunctionValue(realm, undefined, "next", 0, (context) => {
+    // ECMA262 7.4.8.1
+    // 1. Let O be the this value.
+    // 2. Let f be the active function object.
+    // 3. If O does not have a [[IteratorNext]] internal slot, throw a TypeError exception.
+    // 4. Let next be the value of the [[IteratorNext]] internal slot of O.
+    // 5. If SameValue(f, next) is false, throw a TypeError exception.
+    if (context !== iterator) {
+      throw realm.createErrorThrowCompletion(realm.intrinsics.TypeError);
+    }
+
+    // 6. If O does not have an [[IteratedList]] internal slot, throw a TypeError exception.
+    // 7. Let list be the value of the [[IteratedList]] internal slot of O.
+    // 8. Let index be the value of the [[ListIteratorNextIndex]] internal slot of O.
+    // 9. Let len be the number of elements of list.
+
+    // 10. If index ≥ len, then
+    if (index >= list.length) {
+      // a. Return CreateIterResultObject(undefined, true).
+      return CreateIterResultObject(realm, realm.intrinsics.undefined, true);
+    }
+
+    // 11. Set the value of the [[ListIteratorNextIndex]] internal slot of O to index+1.
+    let value = list[index++];
+
+    // 12. Return CreateIterResultObject(list[index], false).
+    return CreateIterResultObject(realm, value, false);
+  });
+
+  // 5. Set iterator's [[IteratorNext]] internal slot to next.
+
+  // 6. Perform CreateMethodProperty(iterator, "next", next).
+  CreateMethodProperty(realm, iterator, "next", next);
+
+  // 7. Return iterator.
+  return iterator;
+}
+
 // ECMA262 22.1.5.1
 export function CreateArrayIterator(realm: Realm, array: ObjectValue, kind: IterationKind): ObjectValue {
   // 1. Assert: Type(array) is Object.
@@ -553,6 +602,26 @@ export function CreateDataProperty(realm: Realm, O: ObjectValue, P: PropertyKeyV
   return O.$DefineOwnProperty(P, newDesc);
 }
 
+// ECMA262 7.3.5
+export function CreateMethodProperty(realm: Realm, O: ObjectValue, P: PropertyKeyValue, V: Value): boolean {
+  // 1. Assert: Type(O) is Object.
+  invariant(O instanceof ObjectValue, "Not an object value");
+
+  // 2. Assert: IsPropertyKey(P) is true.
+  invariant(IsPropertyKey(realm, P), "Not a property key");
+
+  // 3. Let newDesc be the PropertyDescriptor{[[Value]]: V, [[Writable]]: true, [[Enumerable]]: false, [[Configurable]]: true}.
+  let newDesc = {
+    value: V,
+    writable: true,
+    enumerable: false,
+    configurable: true
+  };
+
+  // 4. Return ? O.[[DefineOwnProperty]](P, newDesc).
+  return O.$DefineOwnProperty(P, newDesc);
+}
+
 // ECMA262 7.3.6
 export function CreateDataPropertyOrThrow(realm: Realm, O: Value, P: PropertyKeyValue, V: Value): boolean {
   // 1. Assert: Type(O) is Object.
@@ -658,7 +727,7 @@ export function CreateListFromArrayLike(realm: Realm, obj: Value, elementTypes?:
 }
 
 // ECMA262 19.2.1.1.1
-export function CreateDynamicFunction(realm: Realm, constructor: ObjectValue, newTarget: void | ObjectValue, kind: "normal" | "generator", args: Array<Value>): Value {
+export function CreateDynamicFunction(realm: Realm, constructor: ObjectValue, newTarget: void | ObjectValue, kind: "normal" | "generator" | "async", args: Array<Value>): Value {
   // 1. If newTarget is undefined, let newTarget be constructor.
   newTarget = !newTarget ? constructor : newTarget;
 
@@ -671,13 +740,22 @@ export function CreateDynamicFunction(realm: Realm, constructor: ObjectValue, ne
 
     // c. Let fallbackProto be "%FunctionPrototype%".
     fallbackProto = "FunctionPrototype";
-  } else { // 3. Else,
+  } else if (kind === "generator") { // 3. Else if kind is "generator", then
     // a. Let goal be the grammar symbol GeneratorBody.
 
     // b. Let parameterGoal be the grammar symbol FormalParameters[Yield].
 
     // c. Let fallbackProto be "%Generator%".
     fallbackProto = "Generator";
+  } else { // 4. Else,
+    // a. Assert: kind is "async".
+
+    // b. Let goal be the grammar symbol AsyncFunctionBody.
+
+    // c. Let parameterGoal be the grammar symbol FormalParameters[Await].
+
+    // d. Let fallbackProto be "%AsyncFunctionPrototype%".
+    fallbackProto = "AsyncFunctionPrototype";
   }
 
   // 4. Let argCount be the number of elements in args.
@@ -728,7 +806,7 @@ export function CreateDynamicFunction(realm: Realm, constructor: ObjectValue, ne
   // 11. Let body be the result of parsing bodyText, interpreted as UTF-16 encoded Unicode text as described in 6.1.4, using goal as the goal symbol. Throw a SyntaxError exception if the parse fails.
   let ast;
   try {
-    ast = parse(realm, "function" + (kind === "generator" ? "*" : "") + " _(" + P + "){" + bodyText + "}", "eval");
+    ast = parse(realm, (kind === "async" ? "async " : "") + "function" + (kind === "generator" ? "*" : "") + " _(" + P + "){" + bodyText + "}", "eval");
   } catch (e) {
     throw new ThrowCompletion(
       Construct(realm, realm.intrinsics.SyntaxError, [new StringValue(realm, "parse failed")])
@@ -782,6 +860,23 @@ export function CreateDynamicFunction(realm: Realm, constructor: ObjectValue, ne
         Construct(realm, realm.intrinsics.SyntaxError, [new StringValue(realm, "parse failed")])
       );
     }
+  } else if (kind === "async") { // If kind is "async", then
+    // a. If parameters Contains AwaitExpression is true, throw a SyntaxError exception.
+    let containsAwait = false;
+    for (let param of params) {
+      traverse(param, (node) => {
+        if (node.type === "AwaitExpression") {
+          containsAwait = true;
+          return true;
+        }
+        return false;
+      });
+    }
+    if (containsAwait) {
+      throw new ThrowCompletion(
+        Construct(realm, realm.intrinsics.SyntaxError, [new StringValue(realm, "parse failed")])
+      );
+    }
   }
 
   // 21. If strict is true, then
@@ -816,13 +911,15 @@ export function CreateDynamicFunction(realm: Realm, constructor: ObjectValue, ne
       enumerable: false,
       configurable: false
     });
-  } else { // 28. Else, perform MakeConstructor(F).
+  } else if (kind === "normal") { // 28. Else if kind is "normal", perform MakeConstructor(F).
     MakeConstructor(realm, F);
   }
 
-  // 29. Perform SetFunctionName(F, "anonymous").
+  // 29. NOTE: Async functions are not constructors and do not have a [[Construct]] internal method or a "prototype" property.
+
+  // 30. Perform SetFunctionName(F, "anonymous").
   SetFunctionName(realm, F, "anonymous");
 
-  // 30. Return F.
+  // 31. Return F.
   return F;
 }
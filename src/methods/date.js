@@ -23,7 +23,146 @@ export const msPerMinute      = msPerSecond * SecondsPerMinute;
 export const msPerHour        = msPerMinute * MinutesPerHour;
 export const msPerDay         = msPerHour * HoursPerDay;
 
-let LocalTZA = -(new Date(0)).getTimezoneOffset() * msPerMinute;
+// The time values that Date objects can represent.
+const maxTimeValue = 8.64e15;
+
+function modulo(x: number, y: number): number {
+  let r = x % y;
+  return r < 0 ? r + y : r;
+}
+
+// The time zone of a realm is either the one of the host, an offset from UTC that never changes, or a zone of the IANA
+// time zone database. The offsets of the host zone come from the Date implementation of the host. Those of IANA zones
+// come from its Intl implementation, so that they do not depend on the time zone of the machine that runs Prepack.
+export type TimeZone =
+  { kind: "fixed", offset: number } |
+  { kind: "host", names: void | [string, string] } |
+  { kind: "iana", name: string, offsetFormat: any, names: void | [string, string] };
+
+const timeZones: Map<string, void | TimeZone> = new Map();
+let hostTimeZone;
+
+// Returns undefined if the Intl implementation of the host does not know the zone, or cannot tell its offsets.
+function createIanaTimeZone(name: string): void | TimeZone {
+  if (typeof Intl !== "object" || typeof Intl.DateTimeFormat.prototype.formatToParts !== "function") return undefined;
+  try {
+    return {
+      kind: "iana",
+      name: new Intl.DateTimeFormat("en-US", { timeZone: name }).resolvedOptions().timeZone,
+      offsetFormat: new Intl.DateTimeFormat("en-US", {
+        timeZone: name, hourCycle: "h23", era: "short", year: "numeric", month: "numeric", day: "numeric",
+        hour: "numeric", minute: "numeric", second: "numeric",
+      }),
+      names: undefined,
+    };
+  } catch (e) {
+    if (!(e instanceof RangeError)) throw e;
+    return undefined;
+  }
+}
+
+// Parses a time zone option: an offset such as "+05:30" or "-0800", or an IANA time zone name such as "Europe/Berlin".
+// Returns undefined if it is neither.
+export function ParseTimeZone(name: string): void | TimeZone {
+  if (timeZones.has(name)) return timeZones.get(name);
+  let timeZone;
+  let match = /^(?:UTC|GMT)?([+-])(\d{2}):?(\d{2})?$/.exec(name);
+  if (match) {
+    let hours = +match[2], minutes = match[3] === undefined ? 0 : +match[3];
+    if (hours <= 23 && minutes <= 59) {
+      timeZone = { kind: "fixed", offset: (match[1] === "-" ? -1 : 1) * (hours * msPerHour + minutes * msPerMinute) };
+    }
+  } else {
+    timeZone = createIanaTimeZone(name);
+  }
+  timeZones.set(name, timeZone);
+  return timeZone;
+}
+
+function GetTimeZone(realm: Realm): TimeZone {
+  if (realm.timeZone === undefined) {
+    if (hostTimeZone === undefined) hostTimeZone = { kind: "host", names: undefined };
+    return hostTimeZone;
+  }
+  let timeZone = ParseTimeZone(realm.timeZone);
+  invariant(timeZone !== undefined, "the time zone of the realm is valid");
+  return timeZone;
+}
+
+// The name of the time zone of the realm that Intl understands, or undefined if the realm uses the time zone of the
+// host or if Intl has no name for it.
+export function GetIntlTimeZone(realm: Realm): void | string {
+  let timeZone = GetTimeZone(realm);
+  if (timeZone.kind === "host") return undefined;
+  if (timeZone.kind === "iana") return timeZone.name;
+  if (timeZone.offset % msPerHour === 0) {
+    // the signs of the Etc zones are inverted
+    let hours = timeZone.offset / msPerHour;
+    if (hours === 0) return "UTC";
+    if (hours >= -12 && hours <= 14) return `Etc/GMT${hours > 0 ? "-" : "+"}${Math.abs(hours)}`;
+  }
+  return undefined;
+}
+
+// The offset of local time from UTC at the time value t, including daylight saving time.
+function GetTimeZoneOffset(realm: Realm, t: number): number {
+  let timeZone = GetTimeZone(realm);
+  if (timeZone.kind === "fixed") return timeZone.offset;
+
+  // Outside of the range of time values, the offset at its end applies.
+  t = Math.max(-maxTimeValue, Math.min(maxTimeValue, t));
+  if (timeZone.kind === "host") return -new Date(t).getTimezoneOffset() * msPerMinute;
+  let fields = {};
+  for (let part of timeZone.offsetFormat.formatToParts(t)) fields[part.type] = part.value;
+  let year = fields.era === "BC" ? 1 - fields.year : +fields.year;
+  let day = MakeDay(realm, year, fields.month - 1, +fields.day);
+  // Hosts that ignore hourCycle use a 12-hour clock with a day period, which older ones call dayperiod.
+  // Some write midnight as 24.
+  let hour = +fields.hour % 24;
+  let dayPeriod = fields.dayPeriod || fields.dayperiod;
+  if (dayPeriod !== undefined) hour = hour % 12 + (/^p/i.test(dayPeriod) ? 12 : 0);
+  let local = MakeDate(realm, day, MakeTime(realm, hour, +fields.minute, +fields.second, 0));
+  return local - (t - modulo(t, msPerSecond));
+}
+
+// The names of standard and of daylight saving time in the time zone of the realm, as they are today.
+function GetTimeZoneNames(realm: Realm): void | [string, string] {
+  let timeZone = GetTimeZone(realm);
+  if (timeZone.kind === "fixed") return undefined;
+  if (timeZone.names === undefined) {
+    let getName;
+    if (timeZone.kind === "host") {
+      // the name that the host appends to the string of a date, if any
+      getName = t => {
+        let match = /\(([^)]+)\)$/.exec(new Date(t).toString());
+        return match ? match[1] : "";
+      };
+    } else {
+      let nameFormat = new Intl.DateTimeFormat("en-US", { timeZone: timeZone.name, timeZoneName: "long" });
+      getName = t => {
+        let name = "";
+        for (let part of nameFormat.formatToParts(t)) if (part.type === "timeZoneName") name = part.value;
+        return name;
+      };
+    }
+    let january = Date.UTC(2017, 0, 1), july = Date.UTC(2017, 6, 1);
+    let januaryName = getName(january), julyName = getName(july);
+    if (!januaryName || !julyName) return undefined;
+    timeZone.names = GetTimeZoneOffset(realm, january) <= GetTimeZoneOffset(realm, july) ?
+      [januaryName, julyName] : [julyName, januaryName];
+  }
+  return timeZone.names;
+}
+
+// ECMA262 20.3.1.7
+// The offset of standard time from UTC. Since time zones have changed their standard time over the years, this is
+// the smaller of the offsets at the start and in the middle of the year of t.
+function LocalTZA(realm: Realm, t: number): number {
+  let timeZone = GetTimeZone(realm);
+  if (timeZone.kind === "fixed") return timeZone.offset;
+  let year = TimeFromYear(realm, YearFromTime(realm, t));
+  return Math.min(GetTimeZoneOffset(realm, year), GetTimeZoneOffset(realm, year + 181 * msPerDay));
+}
 
 // ECMA262 20.3.1.2
 export function Day(realm: Realm, t: number): number {
@@ -32,7 +171,7 @@ export function Day(realm: Realm, t: number): number {
 
 // ECMA262 20.3.1.2
 export function TimeWithinDay(realm: Realm, t: number): number {
-  return t % msPerDay;
+  return modulo(t, msPerDay);
 }
 
 // ECMA262 20.3.1.3
@@ -151,19 +290,18 @@ export function DateFromTime(realm: Realm, t: number): number {
 
 // ECMA262 20.3.1.6
 export function WeekDay(realm: Realm, t: number): number {
-  return (Day(realm, t) + 4) % 7;
+  return modulo(Day(realm, t) + 4, 7);
 }
 
-// ECMA262 20.3.1.7
+// ECMA262 20.3.1.8
 export function DaylightSavingTA(realm: Realm, t: number): number {
-  // TODO: Implement DaylightSavingTA
-  return 0;
+  return GetTimeZoneOffset(realm, t) - LocalTZA(realm, t);
 }
 
 // ECMA262 20.3.1.9
 export function LocalTime(realm: Realm, t: number): number {
   // 1. Return t + LocalTZA + DaylightSavingTA(t).
-  return t + LocalTZA + DaylightSavingTA(realm, t);
+  return t + LocalTZA(realm, t) + DaylightSavingTA(realm, t);
 }
 
 // ECMA262 20.3.1.10
@@ -171,27 +309,33 @@ export function UTC(realm: Realm, t: number | Value): NumberValue {
   if (t instanceof Value) t = t.throwIfNotConcreteNumber().value;
 
   // 1. Return t - LocalTZA - DaylightSavingTA(t - LocalTZA).
-  return new NumberValue(realm, t - LocalTZA - DaylightSavingTA(realm, t - LocalTZA));
+  // A local time that occurs twice when the clocks go back, or not at all when they go forward, gets interpreted
+  // with the offset from before the transition.
+  let offsetBefore = GetTimeZoneOffset(realm, t - msPerDay);
+  if (GetTimeZoneOffset(realm, t - offsetBefore) === offsetBefore) return new NumberValue(realm, t - offsetBefore);
+  let offsetAfter = GetTimeZoneOffset(realm, t + msPerDay);
+  if (GetTimeZoneOffset(realm, t - offsetAfter) === offsetAfter) return new NumberValue(realm, t - offsetAfter);
+  return new NumberValue(realm, t - offsetBefore);
 }
 
 // ECMA262 20.3.1.11
 export function HourFromTime(realm: Realm, t: number): number {
-  return Math.floor(t / msPerHour) % HoursPerDay;
+  return modulo(Math.floor(t / msPerHour), HoursPerDay);
 }
 
 // ECMA262 20.3.1.11
 export function MinFromTime(realm: Realm, t: number): number {
-  return Math.floor(t / msPerMinute) % MinutesPerHour;
+  return modulo(Math.floor(t / msPerMinute), MinutesPerHour);
 }
 
 // ECMA262 20.3.1.11
 export function SecFromTime(realm: Realm, t: number): number {
-  return Math.floor(t / msPerSecond) % SecondsPerMinute;
+  return modulo(Math.floor(t / msPerSecond), SecondsPerMinute);
 }
 
 // ECMA262 20.3.1.11
 export function msFromTime(realm: Realm, t: number): number {
-  return t % msPerSecond;
+  return modulo(t, msPerSecond);
 }
 
 // ECMA262 20.3.1.12
@@ -314,7 +458,257 @@ export function ToDateString(realm: Realm, tv: number): string {
   // 2. If tv is NaN, return "Invalid Date".
   if (isNaN(tv)) return "Invalid Date";
 
-  // 3. Return an implementation-dependent String value that represents tv as a date and time in the current
-  //    time zone using a convenient, human-readable form.
-  return new Date(tv).toString();
+  // 3. Let t be LocalTime(tv).
+  let t = LocalTime(realm, tv);
+
+  // 4. Return the string-concatenation of DateString(t), the code unit 0x0020 (SPACE), TimeString(t), and
+  //    TimeZoneString(tv).
+  return `${DateString(realm, t)} ${TimeString(realm, t)}${TimeZoneString(realm, tv)}`;
+}
+
+const weekDayNames = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const monthNames = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+function padZeros(n: number, length: number): string {
+  let s = String(n);
+  while (s.length < length) s = "0" + s;
+  return s;
+}
+
+function YearString(realm: Realm, t: number): string {
+  // Let yv be YearFromTime(tv). If yv ≥ 0, let yearSign be the empty String; otherwise, let yearSign be "-".
+  // Let year be the String representation of abs(yv), formatted as a decimal number, padded to 4 digits.
+  let yv = YearFromTime(realm, t);
+  return (yv >= 0 ? "" : "-") + padZeros(Math.abs(yv), 4);
+}
+
+// ECMA262 20.3.4.41.2
+export function TimeString(realm: Realm, tv: number): string {
+  // 1. Assert: Type(tv) is Number.
+  // 2. Assert: tv is not NaN.
+  invariant(typeof tv === "number" && !isNaN(tv), "expected tv to be a number that is not NaN");
+
+  // 3. Let hour be the String representation of HourFromTime(tv), formatted as a two-digit decimal number, padded to
+  //    the left with a zero if necessary.
+  let hour = padZeros(HourFromTime(realm, tv), 2);
+
+  // 4. Let minute be the String representation of MinFromTime(tv), formatted as a two-digit decimal number, padded
+  //    to the left with a zero if necessary.
+  let minute = padZeros(MinFromTime(realm, tv), 2);
+
+  // 5. Let second be the String representation of SecFromTime(tv), formatted as a two-digit decimal number, padded
+  //    to the left with a zero if necessary.
+  let second = padZeros(SecFromTime(realm, tv), 2);
+
+  // 6. Return the string-concatenation of hour, ":", minute, ":", second, the code unit 0x0020 (SPACE), and "GMT".
+  return `${hour}:${minute}:${second} GMT`;
+}
+
+// ECMA262 20.3.4.41.3
+export function DateString(realm: Realm, tv: number): string {
+  // 1. Assert: Type(tv) is Number.
+  // 2. Assert: tv is not NaN.
+  invariant(typeof tv === "number" && !isNaN(tv), "expected tv to be a number that is not NaN");
+
+  // 3. Let weekday be the Name of the entry in Table 46 with the Number WeekDay(tv).
+  let weekday = weekDayNames[WeekDay(realm, tv)];
+
+  // 4. Let month be the Name of the entry in Table 47 with the Number MonthFromTime(tv).
+  let month = monthNames[MonthFromTime(realm, tv)];
+
+  // 5. Let day be the String representation of DateFromTime(tv), formatted as a two-digit decimal number, padded to
+  //    the left with a zero if necessary.
+  let day = padZeros(DateFromTime(realm, tv), 2);
+
+  // 6. Let yv be YearFromTime(tv).
+  // 7. If yv ≥ 0, let yearSign be the empty string; otherwise, let yearSign be "-".
+  // 8. Let year be the String representation of abs(yv), formatted as a decimal number.
+  // 9. Let paddedYear be ! StringPad(year, 4, "0", start).
+  let year = YearString(realm, tv);
+
+  // 10. Return the string-concatenation of weekday, the code unit 0x0020 (SPACE), month, the code unit 0x0020
+  //     (SPACE), day, the code unit 0x0020 (SPACE), yearSign, and paddedYear.
+  return `${weekday} ${month} ${day} ${year}`;
+}
+
+// ECMA262 20.3.4.41.4
+export function TimeZoneString(realm: Realm, tv: number): string {
+  // 1. Assert: Type(tv) is Number.
+  // 2. Assert: tv is not NaN.
+  invariant(typeof tv === "number" && !isNaN(tv), "expected tv to be a number that is not NaN");
+
+  // 3. Let offset be LocalTZA(tv, true).
+  let offset = GetTimeZoneOffset(realm, tv);
+
+  // 4. If offset ≥ 0, let offsetSign be "+"; otherwise, let offsetSign be "-".
+  let offsetSign = offset >= 0 ? "+" : "-";
+
+  // 5. Let offsetMin be the String representation of MinFromTime(abs(offset)), formatted as a two-digit decimal
+  //    number, padded to the left with a zero if necessary.
+  let offsetMin = padZeros(MinFromTime(realm, Math.abs(offset)), 2);
+
+  // 6. Let offsetHour be the String representation of HourFromTime(abs(offset)), formatted as a two-digit decimal
+  //    number, padded to the left with a zero if necessary.
+  let offsetHour = padZeros(HourFromTime(realm, Math.abs(offset)), 2);
+
+  // 7. Let tzName be an implementation-defined string, either the empty string or the string-concatenation of the
+  //    code unit 0x0020 (SPACE), the code unit 0x0028 (LEFT PARENTHESIS), an implementation-dependent timezone name,
+  //    and the code unit 0x0029 (RIGHT PARENTHESIS).
+  let tzName = "";
+  let names = GetTimeZoneNames(realm);
+  if (names !== undefined) tzName = ` (${names[DaylightSavingTA(realm, tv) === 0 ? 0 : 1]})`;
+
+  // 8. Return the string-concatenation of offsetSign, offsetHour, offsetMin, and tzName.
+  return `${offsetSign}${offsetHour}${offsetMin}${tzName}`;
+}
+
+// ECMA262 20.3.4.43
+export function ToUTCString(realm: Realm, tv: number): string {
+  // 3. If tv is NaN, return "Invalid Date".
+  if (isNaN(tv)) return "Invalid Date";
+
+  // 4. Let weekday be the Name of the entry in Table 46 with the Number WeekDay(tv).
+  let weekday = weekDayNames[WeekDay(realm, tv)];
+
+  // 5. Let month be the Name of the entry in Table 47 with the Number MonthFromTime(tv).
+  let month = monthNames[MonthFromTime(realm, tv)];
+
+  // 6. Let day be the String representation of DateFromTime(tv), formatted as a two-digit decimal number, padded to
+  //    the left with a zero if necessary.
+  let day = padZeros(DateFromTime(realm, tv), 2);
+
+  // 7-9. Let yearSign and paddedYear be as in DateString.
+  let year = YearString(realm, tv);
+
+  // 10. Return the string-concatenation of weekday, ",", the code unit 0x0020 (SPACE), day, the code unit 0x0020
+  //     (SPACE), month, the code unit 0x0020 (SPACE), yearSign, paddedYear, the code unit 0x0020 (SPACE), and
+  //     TimeString(tv).
+  return `${weekday}, ${day} ${month} ${year} ${TimeString(realm, tv)}`;
+}
+
+// ECMA262 20.3.1.16
+const isoDateFormat = /^([+-]\d{6}|\d{4})(?:-(\d{2})(?:-(\d{2}))?)?(?:T(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+// The tokens of the formats that toString, toUTCString and RFC 2822 use, and of dates such as "1/31/2017 10:00 PM".
+const legacyDateToken = /\s*(?:([A-Za-z]+)\.?|(\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?|(\d{1,2})\/(\d{1,2})\/(\d+)|([+-]?)(\d+)|,)/g;
+
+const legacyTimeZones = { UT: 0, UTC: 0, GMT: 0, Z: 0, EST: -5, EDT: -4, CST: -6, CDT: -5, MST: -7, MDT: -6, PST: -8, PDT: -7 };
+
+// ECMA262 20.3.3.2
+// Parses the Date Time String Format (20.3.1.16) and the formats that toString and toUTCString produce, as well as
+// the date and time format of RFC 2822. Returns NaN for anything else.
+export function ParseDate(realm: Realm, s: string): number {
+  s = s.trim();
+  let tv = isoDateFormat.test(s) ? parseISODate(realm, s) : parseLegacyDate(realm, s);
+  return TimeClip(realm, tv).value;
+}
+
+function parseFraction(digits: void | string): number {
+  return digits === undefined ? 0 : Math.floor(+(digits + "00").substring(0, 3));
+}
+
+function makeDateTime(realm: Realm, year: number, month: number, day: number, hour: number, minute: number,
+    second: number, ms: number): number {
+  if (month < 0 || month > 11 || day < 1 || day > 31 || minute > 59 || second > 59) return NaN;
+  if (hour > 24 || hour === 24 && (minute > 0 || second > 0 || ms > 0)) return NaN;
+  return MakeDate(realm, MakeDay(realm, year, month, day), MakeTime(realm, hour, minute, second, ms));
+}
+
+function parseISODate(realm: Realm, s: string): number {
+  let match = isoDateFormat.exec(s);
+  invariant(match);
+  let [, yearString, month, day, hour, minute, second, fraction, offset] = match;
+
+  // The year 0 is considered positive and hence prefixed with a + sign.
+  if (yearString === "-000000") return NaN;
+
+  // Absent fields are 1 for the month and day and 0 for the others.
+  let date = makeDateTime(realm, +yearString, month === undefined ? 0 : month - 1, day === undefined ? 1 : +day,
+    +(hour || 0), +(minute || 0), +(second || 0), parseFraction(fraction));
+  if (isNaN(date)) return NaN;
+
+  // Forms without a time are interpreted as a UTC time, date-time forms without an offset as a local time.
+  if (hour === undefined) return date;
+  if (offset === undefined) return UTC(realm, date).value;
+  if (offset === "Z") return date;
+  let offsetMinutes = +offset.substring(1, 3) * MinutesPerHour + +offset.substring(4, 6);
+  if (offsetMinutes > 23 * MinutesPerHour + 59) return NaN;
+  return date - (offset[0] === "-" ? -1 : 1) * offsetMinutes * msPerMinute;
+}
+
+function parseLegacyDate(realm: Realm, s: string): number {
+  // comments, such as the time zone name that toString appends, are ignored
+  s = s.replace(/\([^)]*\)/g, " ").trim();
+
+  let year, month, day, numbers = [];
+  let hour, minute = 0, second = 0, ms = 0, offset, afterZone = false, pm;
+  legacyDateToken.lastIndex = 0;
+  while (legacyDateToken.lastIndex < s.length) {
+    let start = legacyDateToken.lastIndex;
+    let match = legacyDateToken.exec(s);
+    if (match === null || match.index !== start) return NaN;
+    let [, word, tokenHour, tokenMinute, tokenSecond, fraction, slashMonth, slashDay, slashYear, sign, digits] = match;
+    let wasAfterZone = afterZone;
+    afterZone = false;
+    if (word !== undefined) {
+      let name = word.toUpperCase();
+      let monthIndex = monthNames.findIndex(m => name.startsWith(m.toUpperCase()));
+      if (monthIndex >= 0 && month === undefined) {
+        month = monthIndex;
+      } else if (weekDayNames.some(d => name.startsWith(d.toUpperCase()))) {
+        // the week day is implied by the date
+      } else if (name === "AM" || name === "PM") {
+        pm = name === "PM";
+      } else if (name in legacyTimeZones) {
+        offset = legacyTimeZones[name] * msPerHour;
+        afterZone = true;
+      } else {
+        return NaN;
+      }
+    } else if (tokenHour !== undefined) {
+      if (hour !== undefined) return NaN;
+      hour = +tokenHour;
+      minute = +tokenMinute;
+      second = +(tokenSecond || 0);
+      ms = parseFraction(fraction);
+    } else if (slashMonth !== undefined) {
+      if (month !== undefined) return NaN;
+      month = slashMonth - 1;
+      day = +slashDay;
+      year = +slashYear;
+    } else if (digits !== undefined) {
+      if (sign !== "" && (wasAfterZone || hour !== undefined)) {
+        // an offset such as +0100 or -05
+        let offsetMinutes = digits.length <= 2 ? +digits * MinutesPerHour : +digits.slice(0, -2) * MinutesPerHour + +digits.slice(-2);
+        offset = (offset || 0) + (sign === "-" ? -1 : 1) * offsetMinutes * msPerMinute;
+      } else {
+        numbers.push(+(sign + digits));
+      }
+    }
+  }
+
+  // The numbers that are not part of the time are the day and the year, in either order.
+  if (day === undefined) {
+    if (numbers.length !== 2 || month === undefined) return NaN;
+    if (numbers[0] > 31 || numbers[0] < 1) [year, day] = numbers;
+    else [day, year] = numbers;
+  } else if (numbers.length > 0) {
+    return NaN;
+  }
+  invariant(year !== undefined && month !== undefined);
+
+  // two digit years are in 1950 to 2049
+  if (year >= 0 && year < 50) year += 2000;
+  else if (year >= 50 && year < 100) year += 1900;
+
+  if (hour === undefined) hour = 0;
+  if (pm !== undefined) {
+    if (hour < 1 || hour > 12) return NaN;
+    if (hour === 12) hour = 0;
+    if (pm) hour += 12;
+  }
+
+  let date = makeDateTime(realm, year, month, day, hour, minute, second, ms);
+  if (isNaN(date)) return NaN;
+  return offset === undefined ? UTC(realm, date).value : date - offset;
 }
@@ -10,7 +10,8 @@
 /* @flow */
 
 import type { Realm } from "../realm.js";
-import { ThrowCompletion } from "../completions.js";
+import type { PropertyKeyValue, IteratorRecord } from "../types.js";
+import { AbruptCompletion, ThrowCompletion } from "../completions.js";
 import * as t from "babel-types";
 import invariant from "../invariant.js";
 import {
@@ -31,6 +32,7 @@ import {
   EnvironmentRecord,
   DeclarativeEnvironmentRecord,
   GlobalEnvironmentRecord,
+  ModuleEnvironmentRecord,
   Reference,
   LexicalEnvironment
 } from "../environment.js";
@@ -41,9 +43,33 @@ import {
   ToObjectPartial,
   PutValue,
   RequireObjectCoercible,
-  HasSomeCompatibleType
+  HasCompatibleType,
+  HasSomeCompatibleType,
+  HasOwnProperty,
+  GetIterator,
+  IteratorClose,
+  IteratorStepValue,
+  ArrayCreate,
+  CreateDataProperty,
+  IsAnonymousFunctionDefinition,
+  SetFunctionName,
+  ToPropertyKey,
+  ToStringPartial
 } from "./index.js";
-import type { BabelNode, BabelNodeVariableDeclaration, BabelNodeIdentifier, BabelNodeRestElement, BabelNodeObjectPattern, BabelNodeArrayPattern, BabelNodeStatement } from "babel-types";
+import type {
+  BabelNode,
+  BabelNodeVariableDeclaration,
+  BabelNodeIdentifier,
+  BabelNodeRestElement,
+  BabelNodeObjectPattern,
+  BabelNodeArrayPattern,
+  BabelNodeStatement,
+  BabelNodeLVal,
+  BabelNodeExpression,
+  BabelNodeObjectProperty,
+  BabelNodeObjectMethod,
+  BabelNodeClassMethod
+} from "babel-types";
 
 
 // ECMA262 6.2.3
@@ -257,7 +283,7 @@ export function BlockDeclarationInstantiation(realm: Realm, strictCode: boolean,
   // 3. Let declarations be the LexicallyScopedDeclarations of code.
   let declarations = [];
   for (let node of body) {
-    if (node.type === "FunctionDeclaration" || (node.type === "VariableDeclaration" && node.kind !== "var")) {
+    if (node.type === "FunctionDeclaration" || node.type === "ClassDeclaration" || (node.type === "VariableDeclaration" && node.kind !== "var")) {
       declarations.push(node);
     }
   }
@@ -335,6 +361,24 @@ export function NewGlobalEnvironment(realm: Realm, G: ObjectValue | AbstractObje
 }
 
 
+// ECMA262 8.1.2.6
+export function NewModuleEnvironment(realm: Realm, E: LexicalEnvironment): LexicalEnvironment {
+  // 1. Let env be a new Lexical Environment.
+  let env = new LexicalEnvironment(realm);
+
+  // 2. Let envRec be a new module Environment Record containing no bindings.
+  let envRec = new ModuleEnvironmentRecord(realm);
+
+  // 3. Set env's EnvironmentRecord to envRec.
+  env.environmentRecord = envRec;
+
+  // 4. Set the outer lexical environment reference of env to E.
+  env.parent = E;
+
+  // 5. Return env.
+  return env;
+}
+
 // ECMA262 8.1.2.3
 export function NewObjectEnvironment(realm: Realm, O: ObjectValue | AbstractObjectValue, E: LexicalEnvironment): LexicalEnvironment {
   // 1. Let env be a new Lexical Environment.
@@ -458,20 +502,62 @@ export function ResolveThisBinding(realm: Realm): NullValue | ObjectValue | Abst
   return envRec.GetThisBinding();
 }
 
-export function BindingInitialization(realm: Realm, node: BabelNode, value: Value, environment: void | LexicalEnvironment) {
+// Returns the result of evaluating PropertyName.
+export function EvalPropertyName(realm: Realm, prop: BabelNodeObjectProperty | BabelNodeObjectMethod | BabelNodeClassMethod, env: LexicalEnvironment, strictCode: boolean): PropertyKeyValue {
+  if (prop.computed) {
+    let propertyKeyName = GetValue(realm, env.evaluate(prop.key, strictCode)).throwIfNotConcrete();
+    return ToPropertyKey(realm, propertyKeyName);
+  } else {
+    if (prop.key.type === "Identifier") {
+      return new StringValue(realm, prop.key.name);
+    } else {
+      return ToStringPartial(realm, GetValue(realm, env.evaluate(prop.key, strictCode)));
+    }
+  }
+}
+
+export function BindingInitialization(realm: Realm, node: BabelNode, value: Value, strictCode: boolean, environment: void | LexicalEnvironment) {
   if (node.type === "ArrayPattern") { // ECMA262 13.3.3.5
     // 1. Let iterator be ? GetIterator(value).
+    let iterator = GetIterator(realm, value);
+
     // 2. Let iteratorRecord be Record {[[Iterator]]: iterator, [[Done]]: false}.
+    let iteratorRecord = { $Iterator: iterator, $Done: false };
+
     // 3. Let result be IteratorBindingInitialization for ArrayBindingPattern using iteratorRecord and environment as arguments.
+    let result;
+    try {
+      result = IteratorBindingInitialization(realm, ((node: any): BabelNodeArrayPattern).elements, iteratorRecord, strictCode, environment);
+    } catch (error) {
+      // 4. If iteratorRecord.[[Done]] is false, return ? IteratorClose(iterator, result).
+      if (!iteratorRecord.$Done && error instanceof AbruptCompletion) throw IteratorClose(realm, iterator, error);
+      throw error;
+    }
+
     // 4. If iteratorRecord.[[Done]] is false, return ? IteratorClose(iterator, result).
+    if (!iteratorRecord.$Done) return IteratorClose(realm, iterator, result);
+
     // 5. Return result.
-    throw new Error("TODO: Patterns aren't supported yet");
+    return result;
   } else if (node.type === "ObjectPattern") { // ECMA262 13.3.3.5
     // 1. Perform ? RequireObjectCoercible(value).
     RequireObjectCoercible(realm, value);
 
     // 2. Return the result of performing BindingInitialization for ObjectBindingPattern using value and environment as arguments.
-    throw new Error("TODO: Patterns aren't supported yet");
+    for (let property of ((node: any): BabelNodeObjectPattern).properties) {
+      if (property.type !== "ObjectProperty") throw new Error(`TODO: ${property.type} in object patterns`);
+
+      // BindingProperty : SingleNameBinding
+      //   1. Let name be the string that is the only element of BoundNames of SingleNameBinding.
+      // BindingProperty : PropertyName : BindingElement
+      //   1. Let P be the result of evaluating PropertyName.
+      // Babel represents a SingleNameBinding as a shorthand property whose key is the BindingIdentifier.
+      let P = EvalPropertyName(realm, property, realm.getRunningContext().lexicalEnvironment, strictCode);
+
+      //   2. Return ? KeyedBindingInitialization for BindingElement using value, environment, and P as the arguments.
+      KeyedBindingInitialization(realm, property.value, value, strictCode, environment, P);
+    }
+    return realm.intrinsics.empty;
   } else if (node.type === "Identifier") { // ECMA262 12.1.5
     // 1. Let name be StringValue of Identifier.
     let name = ((node: any): BabelNodeIdentifier).name;
@@ -480,8 +566,9 @@ export function BindingInitialization(realm: Realm, node: BabelNode, value: Valu
     return InitializeBoundName(realm, name, value, environment);
   } else if (node.type === "VariableDeclaration") { // ECMA262 13.7.5.9
     for (let decl of ((node: any): BabelNodeVariableDeclaration).declarations) {
-      BindingInitialization(realm, decl.id, value, environment);
+      BindingInitialization(realm, decl.id, value, strictCode, environment);
     }
+    return realm.intrinsics.empty;
   }
 
   throw new Error("Unknown node " + node.type);
@@ -533,42 +620,169 @@ export function IsDestructuring(ast: BabelNode) {
         }
       }
       return false;
-    case "ArrayLiteral":
-    case "ObjectLiteral":
+    case "ArrayPattern":
+    case "ObjectPattern":
       return true;
     default:
       return false;
   }
 }
 
-// ECMA262 13.3.3.7
-export function KeyedBindingInitialization(realm: Realm, value: Value, environment: ?LexicalEnvironment, propertyName: string) {
-  // 1. Let bindingId be StringValue of BindingIdentifier.
-  let bindingId = propertyName;
-
-  // if environment is undefined, the calling context is not strict
-  let strict = environment !== undefined;
-
-  // 2. Let lhs be ? ResolveBinding(bindingId, environment).
-  let lhs = ResolveBinding(realm, bindingId, strict, environment);
-
-  // 3. Let v be ? GetV(value, propertyName).
-  let v = GetV(realm, value, propertyName);
-
-  // 4. If Initializer is present and v is undefined, then
-  if (false) {
+// Evaluates the Initializer of a binding element when the value to bind is undefined.
+function GetBindingElementValue(realm: Realm, v: Value, Initializer: void | BabelNodeExpression, bindingId: void | string, strictCode: boolean): Value {
+  // If Initializer is present and v is undefined, then
+  if (Initializer && HasCompatibleType(realm, v, UndefinedValue)) {
     // a. Let defaultValue be the result of evaluating Initializer.
+    let defaultValue = realm.getRunningContext().lexicalEnvironment.evaluate(Initializer, strictCode);
+
     // b. Let v be ? GetValue(defaultValue).
+    v = GetValue(realm, defaultValue);
+
     // c. If IsAnonymousFunctionDefinition(Initializer) is true, then
+    if (bindingId !== undefined && IsAnonymousFunctionDefinition(realm, Initializer)) {
+      invariant(v instanceof ObjectValue);
+
       // i. Let hasNameProperty be ? HasOwnProperty(v, "name").
+      let hasNameProperty = HasOwnProperty(realm, v, "name");
+
       // ii. If hasNameProperty is false, perform SetFunctionName(v, bindingId).
+      if (!hasNameProperty) SetFunctionName(realm, v, new StringValue(realm, bindingId));
+    }
+  }
+  return v;
+}
+
+// ECMA262 13.3.3.6
+export function IteratorBindingInitialization(realm: Realm, formals: Array<?BabelNodeLVal>, iteratorRecord: IteratorRecord, strictCode: boolean, environment: void | LexicalEnvironment): Value {
+  for (let param of formals) {
+    // Elision
+    if (!param) {
+      // 1. If iteratorRecord.[[Done]] is false, then
+      if (!iteratorRecord.$Done) IteratorStepValue(realm, iteratorRecord);
+
+      // 2. Return NormalCompletion(empty).
+      continue;
+    }
+
+    if (param.type === "RestElement") {
+      // BindingRestElement : ... BindingIdentifier
+      // BindingRestElement : ... BindingPattern
+      let target = param.argument;
+
+      // 1. Let lhs be ? ResolveBinding(StringValue of BindingIdentifier, environment).
+      let lhs = target.type === "Identifier" ? ResolveBinding(realm, target.name, strictCode, environment) : undefined;
+
+      // 2. Let A be ArrayCreate(0).
+      let A = ArrayCreate(realm, 0);
+
+      // 3. Let n be 0.
+      let n = 0;
+
+      // 4. Repeat,
+      while (!iteratorRecord.$Done) {
+        // b-f. Let nextValue be the next value of iteratorRecord.[[Iterator]].
+        let nextValue = IteratorStepValue(realm, iteratorRecord);
+        if (nextValue === undefined) break;
+
+        // g. Let status be CreateDataProperty(A, ! ToString(n), nextValue).
+        let status = CreateDataProperty(realm, A, n.toString(), nextValue);
+
+        // h. Assert: status is true.
+        invariant(status, "expected to create property");
+
+        // i. Increment n by 1.
+        n++;
+      }
+
+      // a. If iteratorRecord.[[Done]] is true, then
+      if (lhs === undefined) {
+        // BindingPattern: Return the result of performing BindingInitialization of BindingPattern with A and environment as the arguments.
+        BindingInitialization(realm, target, A, strictCode, environment);
+      } else if (!environment) {
+        // i. If environment is undefined, return ? PutValue(lhs, A).
+        PutValue(realm, lhs, A);
+      } else {
+        // ii. Return InitializeReferencedBinding(lhs, A).
+        InitializeReferencedBinding(realm, lhs, A);
+      }
+      continue;
+    }
+
+    // SingleNameBinding : BindingIdentifier Initializer opt
+    // BindingElement : BindingPattern Initializer opt
+    let target = param, Initializer;
+    if (param.type === "AssignmentPattern") {
+      target = ((param.left: any): BabelNodeLVal);
+      Initializer = param.right;
+    }
+
+    // 1. Let bindingId be StringValue of BindingIdentifier.
+    let bindingId = target.type === "Identifier" ? target.name : undefined;
+
+    // 2. Let lhs be ? ResolveBinding(bindingId, environment).
+    let lhs = bindingId !== undefined ? ResolveBinding(realm, bindingId, strictCode, environment) : undefined;
+
+    // 3. If iteratorRecord.[[Done]] is false, then
+    let v;
+    if (!iteratorRecord.$Done) v = IteratorStepValue(realm, iteratorRecord);
+
+    // 4. If iteratorRecord.[[Done]] is true, let v be undefined.
+    if (v === undefined) v = realm.intrinsics.undefined;
+
+    // 5. If Initializer is present and v is undefined, then
+    v = GetBindingElementValue(realm, v, Initializer, bindingId, strictCode);
+
+    if (lhs === undefined) {
+      // BindingPattern: Return the result of performing BindingInitialization of BindingPattern with v and environment as the arguments.
+      BindingInitialization(realm, target, v, strictCode, environment);
+    } else if (!environment) {
+      // 6. If environment is undefined, return ? PutValue(lhs, v).
+      PutValue(realm, lhs, v);
+    } else {
+      // 7. Return InitializeReferencedBinding(lhs, v).
+      InitializeReferencedBinding(realm, lhs, v);
+    }
   }
 
-  // 5. If environment is undefined, return ? PutValue(lhs, v).
-  if (!environment) return PutValue(realm, lhs, v);
+  return realm.intrinsics.empty;
+}
+
+// ECMA262 13.3.3.7
+export function KeyedBindingInitialization(realm: Realm, node: BabelNodeLVal, value: Value, strictCode: boolean, environment: void | LexicalEnvironment, propertyName: PropertyKeyValue) {
+  // SingleNameBinding : BindingIdentifier Initializer opt
+  // BindingElement : BindingPattern Initializer opt
+  let target = node, Initializer;
+  if (node.type === "AssignmentPattern") {
+    target = ((node.left: any): BabelNodeLVal);
+    Initializer = node.right;
+  }
+
+  if (target.type === "Identifier") {
+    // 1. Let bindingId be StringValue of BindingIdentifier.
+    let bindingId = target.name;
+
+    // 2. Let lhs be ? ResolveBinding(bindingId, environment).
+    let lhs = ResolveBinding(realm, bindingId, strictCode, environment);
+
+    // 3. Let v be ? GetV(value, propertyName).
+    let v = GetV(realm, value, propertyName);
+
+    // 4. If Initializer is present and v is undefined, then
+    v = GetBindingElementValue(realm, v, Initializer, bindingId, strictCode);
+
+    // 5. If environment is undefined, return ? PutValue(lhs, v).
+    if (!environment) return PutValue(realm, lhs, v);
+
+    // 6. Return InitializeReferencedBinding(lhs, v).
+    return InitializeReferencedBinding(realm, lhs, v);
+  }
+
+  // 1. Let v be ? GetV(value, propertyName).
+  let v = GetV(realm, value, propertyName);
 
-  console.log(lhs, v);
+  // 2. If Initializer is present and v is undefined, then
+  v = GetBindingElementValue(realm, v, Initializer, undefined, strictCode);
 
-  // 6. Return InitializeReferencedBinding(lhs, v).
-  return InitializeReferencedBinding(realm, lhs, v);
+  // 3. Return the result of performing BindingInitialization for BindingPattern passing v and environment as arguments.
+  return BindingInitialization(realm, target, v, strictCode, environment);
 }
@@ -16,8 +16,8 @@ import { ThrowCompletion, ReturnCompletion, AbruptCompletion } from "../completi
 import { ExecutionContext } from "../realm.js";
 import { GlobalEnvironmentRecord, ObjectEnvironmentRecord } from "../environment.js";
 import { Value, BoundFunctionValue, EmptyValue, FunctionValue, ObjectValue, StringValue, SymbolValue, NumberValue } from "../values/index.js";
-import { DefinePropertyOrThrow, NewDeclarativeEnvironment, ResolveBinding } from "./index.js";
-import { OrdinaryCreateFromConstructor, CreateUnmappedArgumentsObject, CreateMappedArgumentsObject } from "./create.js";
+import { DefinePropertyOrThrow, NewDeclarativeEnvironment, ResolveBinding, IteratorBindingInitialization } from "./index.js";
+import { OrdinaryCreateFromConstructor, CreateUnmappedArgumentsObject, CreateMappedArgumentsObject, CreateListIterator } from "./create.js";
 import { OrdinaryCallEvaluateBody, OrdinaryCallBindThis, PrepareForOrdinaryCall, Call } from "./call.js";
 import { SameValue } from "../methods/abstract.js";
 import { Construct } from "../methods/construct.js";
@@ -285,43 +285,37 @@ export function FunctionDeclarationInstantiation(realm: Realm, func: FunctionVal
   }
 
   // 23. Let iteratorRecord be Record {[[Iterator]]: CreateListIterator(argumentsList), [[Done]]: false}.
-  let iteratorRecord = 0;
+  // A simple parameter list just binds the arguments in order, so the list iterator is only created when needed.
+  let iteratorRecord = simpleParameterList ? undefined : { $Iterator: CreateListIterator(realm, argumentsList), $Done: false };
 
   // 24. If hasDuplicates is true, then
   if (hasDuplicates === true) {
     // a. Perform ? IteratorBindingInitialization for formals with iteratorRecord and undefined as arguments.
-    for (let i = 0; i < func.$FormalParameters.length; ++i) {
-      let param = func.$FormalParameters[i];
-
-      switch (param.type) {
-      case "Identifier":
-        let value = argumentsList[iteratorRecord] || realm.intrinsics.undefined;
-        ++iteratorRecord;
+    if (iteratorRecord) {
+      IteratorBindingInitialization(realm, ((formals: any): Array<?BabelNodeLVal>), iteratorRecord, strict, undefined);
+    } else {
+      for (let i = 0; i < formals.length; ++i) {
+        let param = formals[i];
+        invariant(param.type === "Identifier");
+        let value = argumentsList[i] || realm.intrinsics.undefined;
         let lhs = ResolveBinding(realm, param.name, strict);
         PutValue(realm, lhs, value);
-        break;
-      default:
-        throw new ThrowCompletion(new StringValue(realm, "only plain identifiers are supported in parameter lists"));
       }
     }
   } else { // 25. Else,
     // a. Perform ? IteratorBindingInitialization for formals with iteratorRecord and env as arguments.
-    for (let i = 0; i < func.$FormalParameters.length; ++i) {
-      let param = func.$FormalParameters[i];
-
-      switch (param.type) {
-      case "Identifier":
-        let value = argumentsList[iteratorRecord] || realm.intrinsics.undefined;
-        ++iteratorRecord;
+    if (iteratorRecord) {
+      IteratorBindingInitialization(realm, ((formals: any): Array<?BabelNodeLVal>), iteratorRecord, strict, env);
+    } else {
+      for (let i = 0; i < formals.length; ++i) {
+        let param = formals[i];
+        invariant(param.type === "Identifier");
+        let value = argumentsList[i] || realm.intrinsics.undefined;
         envRec.InitializeBinding(param.name, value);
-        break;
-      default:
-        throw new ThrowCompletion(new StringValue(realm, "only plain identifiers are supported in parameter lists"));
       }
     }
   }
 
-
   // 26. If hasParameterExpressions is false, then
   let varEnv, varEnvRec;
   if (hasParameterExpressions === false) {
@@ -376,7 +370,7 @@ export function FunctionDeclarationInstantiation(realm: Realm, func: FunctionVal
 
         // 3. If n is not an element of parameterNames or if n is an element of functionNames, let initialValue be undefined.
         let initialValue;
-        if (parameterNames.indexOf(n) < 0 || functionNames.indexOf(n) < 0) {
+        if (parameterNames.indexOf(n) < 0 || functionNames.indexOf(n) >= 0) {
           initialValue = realm.intrinsics.undefined;
         } else { // 4. Else,
           // a. Let initialValue be ! envRec.GetBindingValue(n, false).
@@ -497,7 +491,7 @@ export function FunctionInitialize(realm: Realm, F: FunctionValue, kind: "normal
   // 2. Let len be the ExpectedArgumentCount of ParameterList.
   let len = 0;
   for (let FormalParameter of ParameterList) {
-    if (FormalParameter.type === 'AssignmentPattern') {
+    if (FormalParameter.type === 'AssignmentPattern' || FormalParameter.type === 'RestElement') {
       break;
     }
     len += 1;
@@ -551,6 +545,18 @@ export function GeneratorFunctionCreate(realm: Realm, kind: "normal" | "method",
   return FunctionInitialize(realm, F, kind, ParameterList, Body, Scope);
 }
 
+// ECMA262 9.2.8
+export function AsyncFunctionCreate(realm: Realm, kind: "normal" | "arrow" | "method", parameters: Array<BabelNodeLVal>, body: BabelNodeBlockStatement, Scope: LexicalEnvironment, Strict: boolean): FunctionValue {
+  // 1. Let functionPrototype be the intrinsic object %AsyncFunctionPrototype%.
+  let functionPrototype = realm.intrinsics.AsyncFunctionPrototype;
+
+  // 2. Let F be ! FunctionAllocate(functionPrototype, Strict, "async").
+  let F = FunctionAllocate(realm, functionPrototype, Strict, "async");
+
+  // 3. Return ! FunctionInitialize(F, kind, parameters, body, Scope).
+  return FunctionInitialize(realm, F, kind, parameters, body, Scope);
+}
+
 // ECMA262 9.2.7
 export function AddRestrictedFunctionProperties(F: FunctionValue, realm: Realm) {
   // 1. Assert: realm.[[Intrinsics]].[[%ThrowTypeError%]] exists and has been initialized.
@@ -576,7 +582,7 @@ export function $Call(realm: Realm, F: FunctionValue, thisArgument: Value, argsL
   invariant(F instanceof FunctionValue, "expected function value");
 
   // 2. If F's [[FunctionKind]] internal slot is "classConstructor", throw a TypeError exception.
-  if (F.$FunctionKind === "classConstructor") throw new ThrowCompletion(new StringValue(realm, "TypeError"));
+  if (F.$FunctionKind === "classConstructor") throw realm.createErrorThrowCompletion(realm.intrinsics.TypeError);
 
   // 3. Let callerContext be the running execution context.
   let callerContext = realm.getRunningContext();
@@ -691,7 +697,7 @@ export function $Construct(realm: Realm, F: FunctionValue, argumentsList: Array<
 
     // c. If result.[[Value]] is not undefined, throw a TypeError exception.
     if (!result.value.mightBeUndefined())
-      throw new ThrowCompletion(new StringValue(realm, "TypeError"));
+      throw realm.createErrorThrowCompletion(realm.intrinsics.TypeError);
     result.value.throwIfNotConcrete();
   } else if (result instanceof AbruptCompletion) { // 14. Else, ReturnIfAbrupt(result).
     throw result;
@@ -704,12 +710,12 @@ export function $Construct(realm: Realm, F: FunctionValue, argumentsList: Array<
 }
 
 // ECMA262 9.2.3
-export function FunctionAllocate(realm: Realm, functionPrototype: ObjectValue, strict: boolean, functionKind: "normal" | "non-constructor" | "generator"): FunctionValue {
+export function FunctionAllocate(realm: Realm, functionPrototype: ObjectValue, strict: boolean, functionKind: "normal" | "non-constructor" | "generator" | "async"): FunctionValue {
   // 1. Assert: Type(functionPrototype) is Object.
   invariant(functionPrototype instanceof ObjectValue, "expected functionPrototype to be an object");
 
-  // 2. Assert: functionKind is either "normal", "non-constructor" or "generator".
-  invariant(functionKind === "normal" || functionKind === "non-constructor" || functionKind === "generator", "invalid functionKind");
+  // 2. Assert: functionKind is either "normal", "non-constructor", "generator" or "async".
+  invariant(functionKind === "normal" || functionKind === "non-constructor" || functionKind === "generator" || functionKind === "async", "invalid functionKind");
 
   // 3. If functionKind is "normal", let needsConstruct be true.
   let needsConstruct;
@@ -1250,3 +1256,21 @@ export function MakeMethod(realm: Realm, F: FunctionValue, homeObject: ObjectVal
   // 4. Return NormalCompletion(undefined).
   return realm.intrinsics.undefined;
 }
+
+// ECMA 9.2.9
+export function MakeClassConstructor(realm: Realm, F: FunctionValue) {
+  // Note that F is a new object, and we can thus write to internal slots
+  invariant(realm.isNewObject(F));
+
+  // 1. Assert: F is an ECMAScript function object.
+  invariant(F instanceof FunctionValue, "F is an ECMAScript function object.");
+
+  // 2. Assert: F's [[FunctionKind]] internal slot is "normal".
+  invariant(F.$FunctionKind === "normal", "F's [[FunctionKind]] internal slot is normal.");
+
+  // 3. Set F's [[FunctionKind]] internal slot to "classConstructor".
+  F.$FunctionKind = "classConstructor";
+
+  // 4. Return NormalCompletion(undefined).
+  return realm.intrinsics.undefined;
+}
@@ -9,16 +9,63 @@
 
 /* @flow */
 
-import type { Realm } from "../realm.js";
-import { ThrowCompletion, AbruptCompletion } from "../completions.js";
-import { Value, ObjectValue, StringValue, UndefinedValue } from "../values/index.js";
+import type { Realm, ExecutionContext } from "../realm.js";
+import type { Reference } from "../environment.js";
+import type { Resumable } from "../utils/resumable.js";
+import { AbruptCompletion, ReturnCompletion } from "../completions.js";
+import { Value, ObjectValue, UndefinedValue } from "../values/index.js";
 import { CreateIterResultObject } from "../methods/create.js";
-import { Construct } from "../methods/construct.js";
 import { ThrowIfInternalSlotNotWritable } from "../methods/properties.js";
+import { EvaluateResumable, Suspension } from "../utils/resumable.js";
 import invariant from "../invariant.js";
 import type { BabelNodeBlockStatement } from "babel-types";
 
-// ECMA26225.3.3.1
+// Runs the evaluation of a generator body until it either suspends at a yield or completes.
+function ContinueGeneratorBody(realm: Realm, generator: ObjectValue, genContext: ExecutionContext, evaluate: () => Resumable<Value | Reference>): Value {
+  let result;
+  try {
+    result = evaluate();
+  } catch (e) {
+    if (!(e instanceof AbruptCompletion)) throw e;
+    result = e;
+  }
+
+  if (result instanceof Suspension) {
+    // GeneratorYield has already removed genContext from the execution context stack.
+    let { value, continuation } = result;
+    genContext.codeEvaluationState = resumptionValue =>
+      ContinueGeneratorBody(realm, generator, genContext, () => continuation(resumptionValue));
+    return value;
+  }
+
+  // b. Assert: If we return here, the generator either threw an exception or performed either an implicit or explicit return.
+  // c. Remove genContext from the execution context stack and restore the execution context that is at the top of the execution context stack as the running execution context.
+  realm.popContext(genContext);
+
+  // d. Set generator.[[GeneratorState]] to "completed".
+  ThrowIfInternalSlotNotWritable(realm, generator, "$GeneratorState").$GeneratorState = "completed";
+
+  // e. Once a generator enters the "completed" state it never leaves it and its associated execution context is never resumed. Any execution state associated with generator can be discarded at this point.
+  genContext.codeEvaluationState = undefined;
+
+  let resultValue;
+  // f. If result is a normal completion, let resultValue be undefined.
+  if (!(result instanceof AbruptCompletion)) {
+    resultValue = realm.intrinsics.undefined;
+  } else { // g. Else,
+    // i. If result.[[Type]] is return, let resultValue be result.[[Value]].
+    if (result instanceof ReturnCompletion) {
+      resultValue = result.value;
+    } else { // ii. Else, return Completion(result).
+      throw result;
+    }
+  }
+
+  // h. Return CreateIterResultObject(resultValue, true).
+  return CreateIterResultObject(realm, resultValue, true);
+}
+
+// ECMA262 25.3.3.1
 export function GeneratorStart(realm: Realm, generator: ObjectValue, generatorBody: BabelNodeBlockStatement): UndefinedValue {
   // Note that generator is a new object, and we can thus write to internal slots
   invariant(realm.isNewObject(generator));
@@ -30,19 +77,20 @@ export function GeneratorStart(realm: Realm, generator: ObjectValue, generatorBo
   let genContext = realm.getRunningContext();
 
   // 3. Set the Generator component of genContext to generator.
+  genContext.generator = generator;
 
   // 4. Set the code evaluation state of genContext such that when evaluation is resumed for that execution context the following steps will be performed:
-    // a. Let result be the result of evaluating generatorBody.
-    // b. Assert: If we return here, the generator either threw an exception or performed either an implicit or explicit return.
-    // c. Remove genContext from the execution context stack and restore the execution context that is at the top of the execution context stack as the running execution context.
-    // d. Set generator.[[GeneratorState]] to "completed".
-    // e. Once a generator enters the "completed" state it never leaves it and its associated execution context is never resumed. Any execution state associated with generator can be discarded at this point.
-    // f. If result is a normal completion, let resultValue be undefined.
-    // g. Else,
-      // i. If result.[[Type]] is return, let resultValue be result.[[Value]].
-      // ii. Else, return Completion(result).
-    // h. Return CreateIterResultObject(resultValue, true).
+  genContext.codeEvaluationState = resumptionValue => {
+    // A generator that has not started yet only gets resumed normally.
+    invariant(resumptionValue instanceof Value);
 
+    // a. Let result be the result of evaluating generatorBody.
+    let F = genContext.function;
+    invariant(F);
+    let strictCode = F.$Strict;
+    return ContinueGeneratorBody(realm, generator, genContext,
+      () => EvaluateResumable(generatorBody, strictCode, genContext.lexicalEnvironment, realm));
+  };
 
   // 5. Set generator.[[GeneratorContext]] to genContext.
   generator.$GeneratorContext = genContext;
@@ -54,20 +102,16 @@ export function GeneratorStart(realm: Realm, generator: ObjectValue, generatorBo
   return realm.intrinsics.undefined;
 }
 
-// ECMA26225.3.3.2
-export function GeneratorValidate(realm: Realm, generator: Value) {
+// ECMA262 25.3.3.2
+export function GeneratorValidate(realm: Realm, generator: Value): "suspendedStart" | "suspendedYield" | "executing" | "completed" {
   // 1. If Type(generator) is not Object, throw a TypeError exception.
   if (!(generator instanceof ObjectValue)) {
-    throw new ThrowCompletion(
-      Construct(realm, realm.intrinsics.SyntaxError, [new StringValue(realm, "Type(generator) is not Object")])
-    );
+    throw realm.createErrorThrowCompletion(realm.intrinsics.TypeError, "Type(generator) is not Object");
   }
 
   // 2. If generator does not have a [[GeneratorState]] internal slot, throw a TypeError exception.
   if (!('$GeneratorState' in generator)) {
-    throw new ThrowCompletion(
-      Construct(realm, realm.intrinsics.SyntaxError, [new StringValue(realm, "Type(generator) is not Object")])
-    );
+    throw realm.createErrorThrowCompletion(realm.intrinsics.TypeError, "generator does not have a [[GeneratorState]] internal slot");
   }
 
   // 3. Assert: generator also has a [[GeneratorContext]] internal slot.
@@ -75,90 +119,126 @@ export function GeneratorValidate(realm: Realm, generator: Value) {
 
   // 4. Let state be generator.[[GeneratorState]].
   let state = generator.$GeneratorState;
+  invariant(state !== undefined);
 
   // 5. If state is "executing", throw a TypeError exception.
   if (state === "executing") {
-    throw new ThrowCompletion(
-      Construct(realm, realm.intrinsics.SyntaxError, [new StringValue(realm, "Type(generator) is not Object")])
-    );
+    throw realm.createErrorThrowCompletion(realm.intrinsics.TypeError, "generator is already executing");
   }
 
   // 6. Return state.
   return state;
 }
 
-// ECMA26225.3.3.3
-export function GeneratorResume(realm: Realm, generator: Value, value: Value): Value {
-  // 1. Let state be ? GeneratorValidate(generator).
-  let state = GeneratorValidate(realm, generator);
-  invariant(generator instanceof ObjectValue);
-
-  // 2. If state is "completed", return CreateIterResultObject(undefined, true).
-  if (state === "completed") return CreateIterResultObject(realm, realm.intrinsics.undefined, true);
-
-  // 3. Assert: state is either "suspendedStart" or "suspendedYield".
-  invariant(state === "suspendedStart" || state === "suspendedYield", "state is either 'suspendedStart' or 'suspendedYield'");
-
-  // 4. Let genContext be generator.[[GeneratorContext]].
+// Steps shared by GeneratorResume and GeneratorResumeAbrupt that run the suspended generator.
+function ResumeGenerator(realm: Realm, generator: ObjectValue, resumptionValue: Value | AbruptCompletion): Value {
+  // Let genContext be generator.[[GeneratorContext]].
   let genContext = generator.$GeneratorContext; invariant(genContext);
 
-  // 5. Let methodContext be the running execution context.
+  // Let methodContext be the running execution context.
   let methodContext = realm.getRunningContext();
 
-  // 6. Suspend methodContext.
+  // Suspend methodContext.
   methodContext.suspend();
 
-  // 7. Set generator.[[GeneratorState]] to "executing".
+  // Set generator.[[GeneratorState]] to "executing".
   ThrowIfInternalSlotNotWritable(realm, generator, "$GeneratorState").$GeneratorState = "executing";
 
-  // 8. Push genContext onto the execution context stack; genContext is now the running execution context.
+  // Push genContext onto the execution context stack; genContext is now the running execution context.
   realm.pushContext(genContext);
 
-  // 9. Resume the suspended evaluation of genContext using NormalCompletion(value) as the result of the operation that suspended it. Let result be the value returned by the resumed computation.
+  let result;
+  try {
+    // Resume the suspended evaluation of genContext using resumptionValue as the result of the operation that suspended it. Let result be the value returned by the resumed computation.
+    result = genContext.resume(resumptionValue);
+  } finally {
+    // Assert: When we return here, genContext has already been removed from the execution context stack and methodContext is the currently running execution context.
+    invariant(realm.getRunningContext() === methodContext);
+    methodContext.resume();
+  }
 
-  // 10. Assert: When we return here, genContext has already been removed from the execution context stack and methodContext is the currently running execution context.
+  // Return Completion(result).
+  invariant(result !== undefined);
+  return result;
+}
 
-  // 11. Return Completion(result).
-  return realm.intrinsics.undefined;
+// ECMA262 25.3.3.3
+export function GeneratorResume(realm: Realm, generator: Value, value: Value): Value {
+  // 1. Let state be ? GeneratorValidate(generator).
+  let state = GeneratorValidate(realm, generator);
+  invariant(generator instanceof ObjectValue);
+
+  // 2. If state is "completed", return CreateIterResultObject(undefined, true).
+  if (state === "completed") return CreateIterResultObject(realm, realm.intrinsics.undefined, true);
+
+  // 3. Assert: state is either "suspendedStart" or "suspendedYield".
+  invariant(state === "suspendedStart" || state === "suspendedYield", "state is either 'suspendedStart' or 'suspendedYield'");
+
+  // 4. - 11.
+  return ResumeGenerator(realm, generator, value);
 }
 
-// ECMA26225.3.3.4
+// ECMA262 25.3.3.4
 export function GeneratorResumeAbrupt(realm: Realm, generator: Value, abruptCompletion: AbruptCompletion): Value {
   // 1. Let state be ? GeneratorValidate(generator).
+  let state = GeneratorValidate(realm, generator);
+  invariant(generator instanceof ObjectValue);
+
   // 2. If state is "suspendedStart", then
+  if (state === "suspendedStart") {
     // a. Set generator.[[GeneratorState]] to "completed".
+    ThrowIfInternalSlotNotWritable(realm, generator, "$GeneratorState").$GeneratorState = "completed";
+
     // b. Once a generator enters the "completed" state it never leaves it and its associated execution context is never resumed. Any execution state associated with generator can be discarded at this point.
+    let genContext = generator.$GeneratorContext; invariant(genContext);
+    genContext.codeEvaluationState = undefined;
+
     // c. Let state be "completed".
+    state = "completed";
+  }
+
   // 3. If state is "completed", then
+  if (state === "completed") {
     // a. If abruptCompletion.[[Type]] is return, then
+    if (abruptCompletion instanceof ReturnCompletion) {
       // i. Return CreateIterResultObject(abruptCompletion.[[Value]], true).
+      return CreateIterResultObject(realm, abruptCompletion.value, true);
+    }
+
     // b. Return Completion(abruptCompletion).
+    throw abruptCompletion;
+  }
+
   // 4. Assert: state is "suspendedYield".
-  // 5. Let genContext be generator.[[GeneratorContext]].
-  // 6. Let methodContext be the running execution context.
-  // 7. Suspend methodContext.
-  // 8. Set generator.[[GeneratorState]] to "executing".
-  // 9. Push genContext onto the execution context stack; genContext is now the running execution context.
-  // 10. Resume the suspended evaluation of genContext using abruptCompletion as the result of the operation that suspended it. Let result be the completion record returned by the resumed computation.
-  // 11. Assert: When we return here, genContext has already been removed from the execution context stack and methodContext is the currently running execution context.
-  // 12. Return Completion(result).
-  return realm.intrinsics.undefined;
+  invariant(state === "suspendedYield");
+
+  // 5. - 12.
+  return ResumeGenerator(realm, generator, abruptCompletion);
 }
 
-// ECMA26225.3.3.5
-export function GeneratorYield(realm: Realm, iterNextObj: ObjectValue): Value {
+// ECMA262 25.3.3.5
+export function GeneratorYield(realm: Realm, iterNextObj: ObjectValue): Resumable<Value | AbruptCompletion> {
   // 1. Assert: iterNextObj is an Object that implements the IteratorResult interface.
 
   // 2. Let genContext be the running execution context.
+  let genContext = realm.getRunningContext();
+
   // 3. Assert: genContext is the execution context of a generator.
   // 4. Let generator be the value of the Generator component of genContext.
+  let generator = genContext.generator;
+  invariant(generator !== undefined, "genContext is the execution context of a generator");
+
   // 5. Set generator.[[GeneratorState]] to "suspendedYield".
+  ThrowIfInternalSlotNotWritable(realm, generator, "$GeneratorState").$GeneratorState = "suspendedYield";
+
   // 6. Remove genContext from the execution context stack and restore the execution context that is at the top of the execution context stack as the running execution context.
+  genContext.suspend();
+  realm.popContext(genContext);
+
   // 7. Set the code evaluation state of genContext such that when evaluation is resumed with a Completion resumptionValue the following steps will be performed:
-    // a.  Return resumptionValue.
-    // b. NOTE: This returns to the evaluation of the YieldExpression production that originally called this abstract operation.
+  //   a. Return resumptionValue.
+  //   b. NOTE: This returns to the evaluation of the YieldExpression production that originally called this abstract operation.
   // 8. Return NormalCompletion(iterNextObj).
-  return realm.intrinsics.undefined;
-
   // 9. NOTE: This returns to the evaluation of the operation that had most previously resumed evaluation of genContext.
+  return new Suspension(iterNextObj, resumptionValue => resumptionValue);
 }
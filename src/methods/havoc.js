@@ -0,0 +1,241 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+/* @flow */
+
+import type { Realm } from "../realm.js";
+import type { Descriptor, PropertyKeyValue } from "../types.js";
+import type { Binding, EnvironmentRecord, LexicalEnvironment } from "../environment.js";
+import type { BabelNode } from "babel-types";
+import { DeclarativeEnvironmentRecord, FunctionEnvironmentRecord, GlobalEnvironmentRecord, ObjectEnvironmentRecord } from "../environment.js";
+import { AbstractValue, BoundFunctionValue, FunctionValue, ObjectValue, ProxyValue, StringValue, SymbolValue, Value } from "../values/index.js";
+import { TypesDomain, ValuesDomain } from "../domains/index.js";
+import { IsDataDescriptor, OrdinaryGetOwnProperty } from "./index.js";
+import { propertyKeyMemberExpression } from "../utils/generator.js";
+import traverse from "../traverse.js";
+import * as t from "babel-types";
+import invariant from "../invariant.js";
+
+// Internal slots whose state built-in functions change without going through properties,
+// so that there is no way to tell what code that is not known did to them.
+const mutableInternalSlots = ["$MapData", "$SetData", "$WeakMapData", "$WeakSetData", "$ArrayBufferData",
+  "$ViewedArrayBuffer", "$DateValue", "$PromiseState", "$GeneratorState", "$ParameterMap"];
+
+// Marks every object that is reachable from the given values as havoced, since they get passed to code
+// that is not known, such as an abstract or residual function, which may change them in any way.
+// That code may also call the functions among them, so the bindings that these functions may assign get havoced too.
+// If the realm is configured to, the objects that are reachable from the global object get havoced as well.
+// Intrinsic objects are assumed to be left alone.
+export function havocValues(realm: Realm, values: Array<Value>): void {
+  let visitedValues: Set<Value> = new Set();
+  let visitedRecords = new Set();
+
+  let visitDescriptor = (desc: void | Descriptor) => {
+    if (desc === undefined) return;
+    if (desc.value !== undefined) visitValue(desc.value);
+    if (desc.get !== undefined) visitValue(desc.get);
+    if (desc.set !== undefined) visitValue(desc.set);
+  };
+
+  let visitEnvironment = (env: null | LexicalEnvironment, assignedNames: void | Set<string>) => {
+    for (; env !== null; env = env.parent) {
+      let record = env.environmentRecord;
+      if (record instanceof GlobalEnvironmentRecord) record = record.$DeclarativeRecord;
+      if (record instanceof DeclarativeEnvironmentRecord) {
+        for (let name in record.bindings) {
+          if (assignedNames === undefined || assignedNames.has(name)) HavocBinding(realm, record.bindings[name], record);
+        }
+      }
+      if (!visitedRecords.has(record)) {
+        visitedRecords.add(record);
+        visitEnvironmentRecord(record);
+      }
+    }
+  };
+
+  let visitEnvironmentRecord = (record: EnvironmentRecord) => {
+    if (record instanceof DeclarativeEnvironmentRecord) {
+      for (let name in record.bindings) {
+        let value = record.bindings[name].value;
+        if (value !== undefined) visitValue(value);
+      }
+      if (record instanceof FunctionEnvironmentRecord) visitValue(record.$ThisValue);
+    } else if (record instanceof ObjectEnvironmentRecord) {
+      visitValue(record.object);
+    }
+  };
+
+  let visitValue = (value: Value) => {
+    if (visitedValues.has(value)) return;
+    visitedValues.add(value);
+
+    if (value instanceof AbstractValue) {
+      for (let arg of value.args) visitValue(arg);
+      return;
+    }
+    if (!(value instanceof ObjectValue) || value.isIntrinsic()) return;
+
+    if (value instanceof ProxyValue || mutableInternalSlots.some(slot => (value: any)[slot] !== undefined)) {
+      throw realm.createErrorThrowCompletion(realm.intrinsics.__IntrospectionError,
+        "TODO: havoc objects with internal state");
+    }
+    value.havoc();
+
+    for (let propertyBinding of value.properties.values()) visitDescriptor(propertyBinding.descriptor);
+    for (let propertyBinding of value.symbols.values()) visitDescriptor(propertyBinding.descriptor);
+    visitValue(value.$Prototype);
+
+    if (value instanceof BoundFunctionValue) {
+      visitValue(value.$BoundTargetFunction);
+      visitValue(value.$BoundThis);
+      for (let arg of value.$BoundArguments) visitValue(arg);
+    } else if (value instanceof FunctionValue) {
+      if (value.$HomeObject !== undefined) visitValue(value.$HomeObject);
+      visitEnvironment(value.$Environment, value.$ECMAScriptCode === undefined ? new Set() : getAssignedNames(value));
+    }
+  };
+
+  for (let value of values) visitValue(value);
+
+  if (realm.havocGlobalObject) {
+    let globalObject = realm.$GlobalObject;
+    invariant(globalObject instanceof ObjectValue);
+    for (let propertyBinding of globalObject.properties.values()) visitDescriptor(propertyBinding.descriptor);
+    let globalRecord = realm.$GlobalEnv.environmentRecord;
+    invariant(globalRecord instanceof GlobalEnvironmentRecord);
+    visitEnvironmentRecord(globalRecord.$DeclarativeRecord);
+  }
+}
+
+const assignedNames: WeakMap<BabelNode, void | Set<string>> = new WeakMap();
+
+// The names of the bindings that the code of a function may assign, including the code of the functions nested in it,
+// or undefined if the code calls eval, which may assign any of them.
+function getAssignedNames(func: FunctionValue): void | Set<string> {
+  let code = func.$ECMAScriptCode;
+  if (assignedNames.has(code)) return assignedNames.get(code);
+  let names = new Set();
+  let addNames = (node: BabelNode) => {
+    for (let name in t.getBindingIdentifiers(node)) names.add(name);
+  };
+  let callsEval = false;
+  let visit = (node: any) => {
+    if (node.type === "AssignmentExpression") {
+      addNames(node.left);
+    } else if (node.type === "UpdateExpression") {
+      addNames(node.argument);
+    } else if ((node.type === "ForInStatement" || node.type === "ForOfStatement") && node.left.type !== "VariableDeclaration") {
+      addNames(node.left);
+    } else if (node.type === "CallExpression" && node.callee.type === "Identifier" && node.callee.name === "eval") {
+      callsEval = true;
+    }
+    return false;
+  };
+  for (let param of func.$FormalParameters) traverse(param, visit);
+  traverse(code, visit);
+  let result = callsEval ? undefined : names;
+  assignedNames.set(code, result);
+  return result;
+}
+
+// Residual variables that hold the values of havoced bindings.
+const havocedBindingVariables: WeakSet<AbstractValue> = new WeakSet();
+
+// Code that is not known may assign a havoced binding whenever it calls a function that captures it.
+// So the value of the binding lives in a residual variable from then on, which reads and writes refer to.
+export function HavocBinding(realm: Realm, binding: Binding, record: EnvironmentRecord): void {
+  if (!binding.mutable || IsHavocedBinding(binding)) return;
+  binding.havoced = true;
+  if (!binding.initialized) return;
+  let value = binding.value;
+  invariant(value !== undefined);
+  let preludeGenerator = realm.preludeGenerator;
+  let generator = realm.generator;
+  invariant(preludeGenerator && generator);
+  let id = t.identifier(preludeGenerator.generateUid());
+  let variable = realm.createAbstract(TypesDomain.topVal, ValuesDomain.topVal, [], id);
+  variable.intrinsicName = id.name;
+  havocedBindingVariables.add(variable);
+  generator.emitVariableDeclaration(variable, value);
+  realm.recordModifiedBinding(binding, record).value = variable;
+}
+
+export function IsHavocedBinding(binding: Binding): boolean {
+  return binding.value instanceof AbstractValue && havocedBindingVariables.has(binding.value);
+}
+
+// Reading a havoced binding yields whatever its value is at the time of the read.
+export function GetHavocedBinding(realm: Realm, binding: Binding): Value {
+  invariant(IsHavocedBinding(binding));
+  let variable = binding.value;
+  invariant(variable instanceof AbstractValue);
+  return realm.deriveAbstract(TypesDomain.topVal, ValuesDomain.topVal, [variable], ([variableNode]) => variableNode);
+}
+
+export function SetHavocedBinding(realm: Realm, binding: Binding, V: Value): void {
+  invariant(IsHavocedBinding(binding));
+  let variable = binding.value;
+  invariant(variable instanceof AbstractValue);
+  let generator = realm.generator;
+  invariant(generator);
+  generator.emitVariableAssignment(variable, V);
+}
+
+// Reading a property of a havoced object yields whatever its value is at the time of the read.
+export function GetHavocedProperty(realm: Realm, O: ObjectValue, P: PropertyKeyValue, Receiver: Value): Value {
+  invariant(O.isHavoced());
+  if (Receiver !== O) return AbstractValue.throwIntrospectionError(O, P);
+  let key = P instanceof StringValue ? P.value : P;
+  return realm.deriveAbstract(TypesDomain.topVal, ValuesDomain.topVal, key instanceof SymbolValue ? [O, key] : [O],
+    ([objectNode, keyNode]) => propertyKeyMemberExpression(objectNode, key, keyNode));
+}
+
+// A property of a havoced object is only known to still be there if it is not configurable,
+// and its value is only known if it is not writable either.
+export function GetOwnHavocedProperty(realm: Realm, O: ObjectValue, P: PropertyKeyValue): void | Descriptor {
+  invariant(O.isHavoced());
+  let desc = OrdinaryGetOwnProperty(realm, O, P);
+  if (desc === undefined || desc.configurable) return AbstractValue.throwIntrospectionError(O, P);
+  if (!IsDataDescriptor(realm, desc) || !desc.writable) return desc;
+  return Object.assign({}, desc, { value: GetHavocedProperty(realm, O, P, O) });
+}
+
+export function HasHavocedProperty(realm: Realm, O: ObjectValue, P: PropertyKeyValue): boolean {
+  invariant(O.isHavoced());
+  let desc = OrdinaryGetOwnProperty(realm, O, P);
+  if (desc === undefined || desc.configurable) return AbstractValue.throwIntrospectionError(O, P);
+  return true;
+}
+
+// The properties of a havoced object no longer get tracked, since the object got serialized with
+// its state from before the code that is not known ran. Changes to them get emitted instead.
+export function SetHavocedProperty(realm: Realm, O: ObjectValue, P: PropertyKeyValue, V: Value, Receiver: Value): boolean {
+  invariant(O.isHavoced());
+  if (Receiver !== O) return AbstractValue.throwIntrospectionError(O, P);
+  let generator = realm.generator;
+  invariant(generator);
+  generator.emitPropertyAssignment(O, P instanceof StringValue ? P.value : P, V);
+  return true;
+}
+
+export function DefineOwnHavocedProperty(realm: Realm, O: ObjectValue, P: PropertyKeyValue, Desc: Descriptor): boolean {
+  invariant(O.isHavoced());
+  let generator = realm.generator;
+  invariant(generator);
+  generator.emitDefineProperty(O, P instanceof StringValue ? P.value : P, Desc);
+  return true;
+}
+
+export function DeleteHavocedProperty(realm: Realm, O: ObjectValue, P: PropertyKeyValue): boolean {
+  invariant(O.isHavoced());
+  let generator = realm.generator;
+  invariant(generator);
+  generator.emitPropertyDelete(O, P instanceof StringValue ? P.value : P);
+  return true;
+}
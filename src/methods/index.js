@@ -24,8 +24,11 @@ export * from "./integrity.js";
 export * from "./is.js";
 export * from "./iterator.js";
 export * from "./join.js";
+export * from "./widen.js";
+export * from "./havoc.js";
 export * from "./own.js";
 export * from "./properties.js";
 export * from "./regexp.js";
 export * from "./promise.js";
+export * from "./intl.js";
 export * from "./arraybuffer.js";
@@ -0,0 +1,381 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+/* @flow */
+
+import type { Realm } from "../realm.js";
+import type { IntlArguments, IntlObjectKind, IntlObjectRecord } from "../types.js";
+import { AbstractValue, BooleanValue, NativeFunctionValue, NumberValue, ObjectValue, StringValue, UndefinedValue, Value } from "../values/index.js";
+import { Get } from "./get.js";
+import { HasProperty } from "./has.js";
+import { ObjectCreate, CreateArrayFromList, CreateDataProperty } from "./create.js";
+import { ToBoolean, ToLength, ToNumber, ToObject, ToString } from "./to.js";
+import { GetIntlTimeZone } from "./date.js";
+import { TypesDomain, ValuesDomain } from "../domains/index.js";
+import invariant from "../invariant.js";
+import * as t from "babel-types";
+import type { BabelNodeExpression } from "babel-types";
+
+type IntlOptionType = "string" | "boolean" | "number";
+
+// The options that the constructors read, in the order in which they read them.
+const IntlOptions: { [kind: IntlObjectKind]: Array<[string, IntlOptionType]> } = {
+  // ECMA402 10.1.1.1
+  Collator: [
+    ["usage", "string"], ["localeMatcher", "string"], ["numeric", "boolean"], ["caseFirst", "string"],
+    ["sensitivity", "string"], ["ignorePunctuation", "boolean"],
+  ],
+  // ECMA402 11.1.1.1
+  NumberFormat: [
+    ["localeMatcher", "string"], ["style", "string"], ["currency", "string"], ["currencyDisplay", "string"],
+    ["minimumIntegerDigits", "number"], ["minimumFractionDigits", "number"], ["maximumFractionDigits", "number"],
+    ["minimumSignificantDigits", "number"], ["maximumSignificantDigits", "number"], ["useGrouping", "boolean"],
+  ],
+  // ECMA402 12.1.1.1
+  DateTimeFormat: [
+    ["localeMatcher", "string"], ["hour12", "boolean"], ["hourCycle", "string"], ["timeZone", "string"],
+    ["weekday", "string"], ["era", "string"], ["year", "string"], ["month", "string"], ["day", "string"],
+    ["hour", "string"], ["minute", "string"], ["second", "string"], ["timeZoneName", "string"],
+    ["formatMatcher", "string"], ["dateStyle", "string"], ["timeStyle", "string"],
+  ],
+};
+
+// Calls into the Intl implementation of the host, turning the errors it throws for bad arguments into errors of the
+// realm.
+export function callHostIntl<T>(realm: Realm, f: () => T): T {
+  try {
+    return f();
+  } catch (e) {
+    if (e instanceof RangeError) throw realm.createErrorThrowCompletion(realm.intrinsics.RangeError, e.message);
+    if (e instanceof TypeError) throw realm.createErrorThrowCompletion(realm.intrinsics.TypeError, e.message);
+    throw e;
+  }
+}
+
+// The grandfathered tags of RFC 5646, and the tags that the IANA registry gives as their preferred values.
+const GrandfatheredTags: { [tag: string]: void | string } = {
+  "art-lojban": "jbo", "cel-gaulish": undefined, "en-gb-oed": "en-GB-oxendict", "i-ami": "ami", "i-bnn": "bnn",
+  "i-default": undefined, "i-enochian": undefined, "i-hak": "hak", "i-klingon": "tlh", "i-lux": "lb",
+  "i-mingo": undefined, "i-navajo": "nv", "i-pwn": "pwn", "i-tao": "tao", "i-tay": "tay", "i-tsu": "tsu",
+  "no-bok": "nb", "no-nyn": "nn", "sgn-be-fr": "sfb", "sgn-be-nl": "vgt", "sgn-ch-de": "sgg", "zh-guoyu": "cmn",
+  "zh-hakka": "hak", "zh-min": undefined, "zh-min-nan": "nan", "zh-xiang": "hsn",
+};
+
+// The langtag and privateuse productions of RFC 5646, for lower case tags.
+const LanguageTagPattern = new RegExp("^(?:([a-z]{2,3}(?:-[a-z]{3}){0,3}|[a-z]{4,8})(?:-[a-z]{4})?(?:-(?:[a-z]{2}|[0-9]{3}))?" +
+  "((?:-(?:[a-z0-9]{5,8}|[0-9][a-z0-9]{3}))*)((?:-[0-9a-wyz](?:-[a-z0-9]{2,8})+)*)(?:-x(?:-[a-z0-9]{1,8})+)?|x(?:-[a-z0-9]{1,8})+)$");
+
+// ECMA402 6.2.2 and 6.2.3
+// Returns the canonical form of a language tag, or undefined if it is not structurally valid. This does not use the
+// host, since the hosts that Prepack runs on do not all have Intl.getCanonicalLocales, and so that the result does
+// not depend on which locales the host has data for.
+export function CanonicalizeLanguageTag(tag: string): void | string {
+  let lowerCaseTag = tag.toLowerCase();
+  if (lowerCaseTag in GrandfatheredTags) return GrandfatheredTags[lowerCaseTag] || lowerCaseTag;
+  let match = LanguageTagPattern.exec(lowerCaseTag);
+  if (match === null) return undefined;
+  if (match[1] === undefined) return lowerCaseTag;
+
+  // A tag with a duplicate variant or extension singleton is not valid.
+  let variants = match[2].split("-").slice(1);
+  let singletons = match[3].split("-").filter(subtag => subtag.length === 1);
+  if (variants.some((variant, i) => variants.indexOf(variant) !== i)) return undefined;
+  if (singletons.some((singleton, i) => singletons.indexOf(singleton) !== i)) return undefined;
+
+  // Scripts are title case and regions are upper case. Extensions are ordered by their singletons.
+  let [main, privateUse] = lowerCaseTag.split(/-x-/);
+  let subtags = main.split("-");
+  let firstSingleton = subtags.findIndex(subtag => subtag.length === 1);
+  if (firstSingleton < 0) firstSingleton = subtags.length;
+  let result = subtags.slice(0, firstSingleton).map((subtag, i) => {
+    if (i > 0 && /^[a-z]{4}$/.test(subtag)) return subtag[0].toUpperCase() + subtag.slice(1);
+    if (i > 0 && subtag.length === 2) return subtag.toUpperCase();
+    return subtag;
+  });
+  let extensions = [];
+  for (let subtag of subtags.slice(firstSingleton)) {
+    if (subtag.length === 1) extensions.push([subtag]);
+    else extensions[extensions.length - 1].push(subtag);
+  }
+  extensions.sort((a, b) => a[0] < b[0] ? -1 : 1);
+  for (let extension of extensions) result.push(...extension);
+  if (privateUse !== undefined) result.push("x", privateUse);
+  return result.join("-");
+}
+
+// ECMA402 9.2.1
+export function CanonicalizeLocaleList(realm: Realm, locales: Value): Array<string> {
+  // 1. If locales is undefined, then
+  if (locales instanceof UndefinedValue) {
+    // a. Return a new empty List.
+    return [];
+  }
+
+  // 2. Let seen be a new empty List.
+  let seen = [];
+
+  // 3. If Type(locales) is String, then
+  locales = locales.throwIfNotConcrete();
+  if (locales instanceof StringValue) {
+    // a. Let O be CreateArrayFromList(« locales »).
+    seen.push(locales.value);
+  } else {
+    // 4. Else, Let O be ? ToObject(locales).
+    let O = ToObject(realm, locales);
+
+    // 5. Let len be ? ToLength(? Get(O, "length")).
+    let len = ToLength(realm, Get(realm, O, "length").throwIfNotConcrete());
+
+    // 6. Let k be 0.
+    // 7. Repeat, while k < len
+    for (let k = 0; k < len; k++) {
+      // a. Let Pk be ToString(k).
+      let Pk = k + "";
+
+      // b. Let kPresent be ? HasProperty(O, Pk).
+      // c. If kPresent is true, then
+      if (HasProperty(realm, O, Pk)) {
+        // i. Let kValue be ? Get(O, Pk).
+        let kValue = Get(realm, O, Pk).throwIfNotConcrete();
+
+        // ii. If Type(kValue) is not String or Object, throw a TypeError exception.
+        if (!(kValue instanceof StringValue) && !(kValue instanceof ObjectValue)) {
+          throw realm.createErrorThrowCompletion(realm.intrinsics.TypeError, "locale is not a string or object");
+        }
+
+        // iii. Let tag be ? ToString(kValue).
+        seen.push(ToString(realm, kValue));
+      }
+    }
+  }
+
+  let result = [];
+  for (let tag of seen) {
+    // If IsStructurallyValidLanguageTag(tag) is false, throw a RangeError exception.
+    let canonicalizedTag = CanonicalizeLanguageTag(tag);
+    if (canonicalizedTag === undefined) {
+      throw realm.createErrorThrowCompletion(realm.intrinsics.RangeError, `Incorrect locale information provided: ${tag}`);
+    }
+
+    // If canonicalizedTag is not an element of seen, append canonicalizedTag as the last element of seen.
+    if (result.indexOf(canonicalizedTag) < 0) result.push(canonicalizedTag);
+  }
+  return result;
+}
+
+// Reads the locales and options that get passed to an Intl constructor, or to a method that creates an Intl object.
+// What the host computes from them depends on the version of its locale data, so the results of a partial realm are
+// always left to residual code. It gets the locale and time zone that the realm pins, if any.
+export function ResolveIntlArguments(realm: Realm, kind: IntlObjectKind, locales: void | Value, options: void | Value): IntlArguments {
+  let requestedLocales = CanonicalizeLocaleList(realm, locales || realm.intrinsics.undefined);
+
+  let hostOptions = {};
+  if (options !== undefined && !(options instanceof UndefinedValue)) {
+    let O = ToObject(realm, options.throwIfNotConcrete());
+    for (let [name, type] of IntlOptions[kind]) {
+      let value = Get(realm, O, name).throwIfNotConcrete();
+      if (value instanceof UndefinedValue) continue;
+      if (type === "string") hostOptions[name] = ToString(realm, value);
+      else if (type === "boolean") hostOptions[name] = ToBoolean(realm, value);
+      else hostOptions[name] = ToNumber(realm, value);
+    }
+  }
+
+  if (requestedLocales.length === 0 && realm.locale !== undefined) requestedLocales = [realm.locale];
+  if (kind === "DateTimeFormat" && hostOptions.timeZone === undefined) {
+    // Intl has no names for some fixed offsets, so those are left to the runtime.
+    let timeZone = GetIntlTimeZone(realm);
+    if (timeZone !== undefined) hostOptions.timeZone = timeZone;
+  }
+
+  // Bad options are an error no matter what the locale is.
+  callHostIntl(realm, () => new Intl[kind](requestedLocales, hostOptions));
+  return { locales: requestedLocales, options: hostOptions, dependsOnRuntime: realm.isPartial };
+}
+
+// Initializes the internal slot of an Intl object.
+export function InitializeIntlObject(realm: Realm, obj: ObjectValue, kind: IntlObjectKind, locales: void | Value, options: void | Value): ObjectValue {
+  let args = ResolveIntlArguments(realm, kind, locales, options);
+  let hostObject = args.dependsOnRuntime ? undefined : new Intl[kind](args.locales, args.options);
+  let record = { locales: args.locales, options: args.options, dependsOnRuntime: args.dependsOnRuntime, hostObject, boundFunction: undefined };
+  if (kind === "Collator") obj.$InitializedCollator = record;
+  else if (kind === "NumberFormat") obj.$InitializedNumberFormat = record;
+  else obj.$InitializedDateTimeFormat = record;
+  return obj;
+}
+
+// Returns the record of an Intl object, or throws a TypeError if value is not an Intl object of the given kind.
+export function thisIntlObjectRecord(realm: Realm, value: Value, kind: IntlObjectKind): IntlObjectRecord {
+  let record;
+  if (value instanceof ObjectValue) {
+    if (kind === "Collator") record = value.$InitializedCollator;
+    else if (kind === "NumberFormat") record = value.$InitializedNumberFormat;
+    else record = value.$InitializedDateTimeFormat;
+  }
+  if (record === undefined) {
+    throw realm.createErrorThrowCompletion(realm.intrinsics.TypeError, `not an Intl.${kind} object`);
+  }
+  return record;
+}
+
+// The arguments with which residual code passes the given locales and options on.
+export function buildIntlArguments(args: IntlArguments): Array<BabelNodeExpression> {
+  let nodes = [];
+  if (Object.keys(args.options).length > 0) nodes.push(t.valueToNode(args.options));
+  if (args.locales.length > 0) nodes.unshift(t.valueToNode(args.locales));
+  else if (nodes.length > 0) nodes.unshift(t.unaryExpression("void", t.numericLiteral(0)));
+  return nodes;
+}
+
+// Residual code that creates an Intl object with the same locales and options.
+export function buildIntlObject(kind: IntlObjectKind, args: IntlArguments): BabelNodeExpression {
+  return t.newExpression(t.memberExpression(t.identifier("Intl"), t.identifier(kind)), buildIntlArguments(args));
+}
+
+// ECMA402 9.2.8
+export function SupportedLocalesOf(realm: Realm, kind: IntlObjectKind, locales: Value, options: void | Value): Value {
+  // 1. Let requestedLocales be ? CanonicalizeLocaleList(locales).
+  let requestedLocales = CanonicalizeLocaleList(realm, locales);
+
+  // 2. If options is not undefined, then
+  let hostOptions = {};
+  if (options !== undefined && !(options instanceof UndefinedValue)) {
+    // a. Let options be ? ToObject(options).
+    let O = ToObject(realm, options.throwIfNotConcrete());
+
+    // b. Let matcher be ? GetOption(options, "localeMatcher", "string", « "lookup", "best fit" », "best fit").
+    let matcher = Get(realm, O, "localeMatcher").throwIfNotConcrete();
+    if (!(matcher instanceof UndefinedValue)) hostOptions.localeMatcher = ToString(realm, matcher);
+  }
+
+  // Which of the locales are available is up to the runtime.
+  if (realm.isPartial) {
+    let args = [t.valueToNode(requestedLocales)];
+    if (hostOptions.localeMatcher !== undefined) args.push(t.valueToNode(hostOptions));
+    return realm.deriveAbstract(new TypesDomain(ObjectValue), ValuesDomain.topVal, [], t.callExpression(
+      t.memberExpression(t.memberExpression(t.identifier("Intl"), t.identifier(kind)), t.identifier("supportedLocalesOf")), args));
+  }
+
+  let supportedLocales = callHostIntl(realm, () => Intl[kind].supportedLocalesOf(requestedLocales, hostOptions));
+  return CreateArrayFromList(realm, supportedLocales.map(locale => new StringValue(realm, locale)));
+}
+
+// Residual code that calls a method of an Intl object whose results depend on the runtime.
+function deriveIntlResult(realm: Realm, type: typeof Value, obj: ObjectValue, method: string, args: Array<Value>): Value {
+  return realm.deriveAbstract(new TypesDomain(type), ValuesDomain.topVal, [obj].concat(args), ([objNode, ...argNodes]) =>
+    t.callExpression(t.memberExpression(objNode, t.identifier(method)), [...argNodes]));
+}
+
+// ECMA402 10.3.4
+export function CompareStrings(realm: Realm, collator: ObjectValue, x: Value, y: Value): Value {
+  let record = thisIntlObjectRecord(realm, collator, "Collator");
+  if (!(x instanceof AbstractValue)) x = new StringValue(realm, ToString(realm, x.throwIfNotConcrete()));
+  if (!(y instanceof AbstractValue)) y = new StringValue(realm, ToString(realm, y.throwIfNotConcrete()));
+  if (record.hostObject === undefined || !(x instanceof StringValue) || !(y instanceof StringValue)) {
+    return deriveIntlResult(realm, NumberValue, collator, "compare", [x, y]);
+  }
+  return new NumberValue(realm, record.hostObject.compare(x.value, y.value));
+}
+
+// ECMA402 11.3.4
+export function FormatNumber(realm: Realm, numberFormat: ObjectValue, x: Value): Value {
+  let record = thisIntlObjectRecord(realm, numberFormat, "NumberFormat");
+  if (!(x instanceof AbstractValue)) x = new NumberValue(realm, ToNumber(realm, x.throwIfNotConcrete()));
+  if (record.hostObject === undefined || !(x instanceof NumberValue)) {
+    return deriveIntlResult(realm, StringValue, numberFormat, "format", [x]);
+  }
+  return new StringValue(realm, record.hostObject.format(x.value));
+}
+
+// ECMA402 12.3.4
+export function FormatDateTime(realm: Realm, dateTimeFormat: ObjectValue, x: Value): Value {
+  let record = thisIntlObjectRecord(realm, dateTimeFormat, "DateTimeFormat");
+  if (x instanceof AbstractValue) return deriveIntlResult(realm, StringValue, dateTimeFormat, "format", [x]);
+
+  // 1. If x is not a finite Number, throw a RangeError exception.
+  let tv = ToNumber(realm, x.throwIfNotConcrete());
+  if (!isFinite(tv)) throw realm.createErrorThrowCompletion(realm.intrinsics.RangeError, "Invalid time value");
+  if (record.hostObject === undefined) {
+    return deriveIntlResult(realm, StringValue, dateTimeFormat, "format", [new NumberValue(realm, tv)]);
+  }
+  return new StringValue(realm, record.hostObject.format(tv));
+}
+
+// ECMA402 10.3.5, 11.3.5, 12.3.5
+export function ResolvedOptions(realm: Realm, obj: Value, kind: IntlObjectKind): Value {
+  let record = thisIntlObjectRecord(realm, obj, kind);
+  invariant(obj instanceof ObjectValue);
+  if (record.hostObject === undefined) {
+    // Residual code reads the properties of the object that the runtime returns.
+    let template = ObjectCreate(realm, realm.intrinsics.ObjectPrototype);
+    template.makePartial();
+    template.makeSimple();
+    let result = realm.deriveAbstract(new TypesDomain(ObjectValue), new ValuesDomain(new Set([template])), [obj], ([objNode]) =>
+      t.callExpression(t.memberExpression(objNode, t.identifier("resolvedOptions")), []));
+    realm.rebuildNestedProperties(result, result.getIdentifier().name);
+    return result;
+  }
+
+  let resolved = record.hostObject.resolvedOptions();
+  let result = ObjectCreate(realm, realm.intrinsics.ObjectPrototype);
+  for (let key of Object.keys(resolved)) {
+    let value = resolved[key];
+    if (typeof value === "string") CreateDataProperty(realm, result, key, new StringValue(realm, value));
+    else if (typeof value === "number") CreateDataProperty(realm, result, key, new NumberValue(realm, value));
+    else if (typeof value === "boolean") CreateDataProperty(realm, result, key, new BooleanValue(realm, value));
+  }
+  return result;
+}
+
+// The function that the compare or format getter of an Intl object returns. It is created once per object.
+export function GetBoundIntlFunction(realm: Realm, obj: Value, kind: IntlObjectKind, name: string, length: number,
+    callback: (obj: ObjectValue, args: Array<Value>) => Value): NativeFunctionValue {
+  let record = thisIntlObjectRecord(realm, obj, kind);
+  invariant(obj instanceof ObjectValue);
+  let boundFunction = record.boundFunction;
+  if (boundFunction === undefined) {
+    let target = obj;
+    boundFunction = record.boundFunction = new NativeFunctionValue(realm, undefined, "", length, (context, args) => callback(target, args), false);
+    // residual code gets the same function from the same getter
+    boundFunction.getResidualBinding = () => ({ args: [target], buildNode: ([node]) => t.memberExpression(node, t.identifier(name)) });
+  }
+  return boundFunction;
+}
+
+// The locale-sensitive methods of strings, numbers and dates (ECMA402 13) behave as if they created an Intl object
+// from their locales and options. If the result depends on the runtime, residual code calls the method there, with
+// the locales and options resolved here.
+export function CallLocaleSensitiveMethod(realm: Realm, kind: IntlObjectKind, locales: void | Value, options: void | Value,
+    type: typeof Value, args: Array<Value>, buildNode: (Array<BabelNodeExpression>, Array<BabelNodeExpression>) => BabelNodeExpression,
+    callHost: (args: IntlArguments) => string | number): Value {
+  let intlArgs = ResolveIntlArguments(realm, kind, locales, options);
+  if (intlArgs.dependsOnRuntime || args.some(arg => arg instanceof AbstractValue)) {
+    return realm.deriveAbstract(new TypesDomain(type), ValuesDomain.topVal, args, nodes => buildNode(nodes, buildIntlArguments(intlArgs)));
+  }
+  let result = callHostIntl(realm, () => callHost(intlArgs));
+  return typeof result === "number" ? new NumberValue(realm, result) : new StringValue(realm, result);
+}
+
+// ECMA402 13.3.1, 13.3.2, 13.3.3
+export function ToLocaleDateTimeString(realm: Realm, x: Value, method: "toLocaleString" | "toLocaleDateString" | "toLocaleTimeString",
+    locales: void | Value, options: void | Value): Value {
+  // 2. If x is NaN, return "Invalid Date".
+  if (x instanceof NumberValue && isNaN(x.value)) return new StringValue(realm, "Invalid Date");
+
+  // 3. Let options be ? ToDateTimeOptions(options, required, defaults).
+  // 4. Let dateFormat be ? Construct(%DateTimeFormat%, « locales, options »).
+  // 5. Return FormatDateTime(dateFormat, x).
+  return CallLocaleSensitiveMethod(realm, "DateTimeFormat", locales, options, StringValue, [x],
+    ([timeNode], intlArgs) =>
+      t.callExpression(t.memberExpression(t.newExpression(t.identifier("Date"), [timeNode]), t.identifier(method)), [...intlArgs]),
+    (intlArgs) => {
+      invariant(x instanceof NumberValue);
+      return (new Date(x.value): any)[method](intlArgs.locales, intlArgs.options);
+    });
+}
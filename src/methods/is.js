@@ -95,6 +95,10 @@ export function IsCallable(realm: Realm, func: Value): boolean {
   if (HasCompatibleType(realm, func, FunctionValue)) return true;
 
   // 2. If argument has a [[Call]] internal method, return true.
+  if (func instanceof AbstractObjectValue && !func.values.isTop()) {
+    let elements = Array.from(func.values.getElements());
+    if (elements.every(element => element instanceof ObjectValue && element.$Call === undefined)) return false;
+  }
   func = func.throwIfNotConcreteObject();
   if (func.$Call) return true;
 
@@ -262,6 +266,7 @@ export function IsFunctionDefinition(realm: Realm, node: BabelNodeExpression): b
       return false;
     case "ArrowFunctionExpression":
     case "FunctionExpression":
+    case "ClassExpression":
       return true;
     default:
       throw Error("Unexpected AST form : " + node.type);
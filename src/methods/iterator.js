@@ -22,7 +22,7 @@ import {
   ObjectCreate,
 } from "./index.js";
 import invariant from "../invariant.js";
-import type { IterationKind } from "../types.js";
+import type { IterationKind, IteratorRecord } from "../types.js";
 
 // ECMA262 7.4.1
 export function GetIterator(realm: Realm, obj: Value = realm.intrinsics.undefined, method?: Value): ObjectValue {
@@ -59,6 +59,41 @@ export function IteratorStep(realm: Realm, iterator: Value): false | ObjectValue
   return result;
 }
 
+// ECMA262 13.3.3.6 and 12.15.5.3
+// Steps the iterator of iteratorRecord as done by array destructuring, setting [[Done]] when the iterator is
+// exhausted or throws. Returns undefined if there is no next value.
+export function IteratorStepValue(realm: Realm, iteratorRecord: IteratorRecord): void | Value {
+  // a. Let next be IteratorStep(iteratorRecord.[[Iterator]]).
+  let next;
+  try {
+    next = IteratorStep(realm, iteratorRecord.$Iterator);
+  } catch (e) {
+    // b. If next is an abrupt completion, set iteratorRecord.[[Done]] to true.
+    if (e instanceof AbruptCompletion) iteratorRecord.$Done = true;
+
+    // c. ReturnIfAbrupt(next).
+    throw e;
+  }
+
+  // d. If next is false, set iteratorRecord.[[Done]] to true.
+  if (next === false) {
+    iteratorRecord.$Done = true;
+    return undefined;
+  }
+
+  // e. Else,
+  try {
+    // i. Let v be IteratorValue(next).
+    return IteratorValue(realm, next);
+  } catch (e) {
+    // ii. If v is an abrupt completion, set iteratorRecord.[[Done]] to true.
+    if (e instanceof AbruptCompletion) iteratorRecord.$Done = true;
+
+    // iii. ReturnIfAbrupt(v).
+    throw e;
+  }
+}
+
 // ECMA262 7.4.4
 export function IteratorValue(realm: Realm, iterResult: ObjectValue): Value {
   // 1. Assert: Type(iterResult) is Object.
@@ -163,12 +198,12 @@ export function CreateSetIterator(realm: Realm, set: Value, kind: IterationKind)
 }
 
 // ECMA262 7.4.6
-export function IteratorClose(realm: Realm, iterator: ObjectValue, completion: AbruptCompletion): AbruptCompletion {
+export function IteratorClose<T: AbruptCompletion | Value>(realm: Realm, iterator: ObjectValue, completion: T): T {
   // 1. Assert: Type(iterator) is Object.
   invariant(iterator instanceof ObjectValue, "expected object");
 
   // 2. Assert: completion is a Completion Record.
-  invariant(completion instanceof AbruptCompletion, "expected completion record");
+  invariant(completion instanceof AbruptCompletion || completion instanceof Value, "expected completion record");
 
   // 3. Let return be ? GetMethod(iterator, "return").
   let ret = GetMethod(realm, iterator, "return");
@@ -258,7 +258,7 @@ export function joinValuesAsConditional(
   let values = ValuesDomain.joinValues(realm, v1, v2);
   return realm.createAbstract(types, values,
     [condition, v1 || realm.intrinsics.undefined, v2 || realm.intrinsics.undefined],
-    (args) => t.conditionalExpression(args[0], args[1], args[2]));
+    (args) => t.conditionalExpression(args[0], args[1], args[2]), "conditional");
 }
 
 export function joinPropertyBindings(realm: Realm, joinCondition: AbstractValue,
@@ -300,25 +300,33 @@ export function joinPropertyBindings(realm: Realm, joinCondition: AbstractValue,
 }
 
 // Returns a field by field join of two descriptors.
-// Descriptors with get/set are not yet supported.
+// A data property does not yet get joined with an accessor property.
 export function joinDescriptors(realm: Realm,
     d1: void | Descriptor, d2: void | Descriptor,
     getAbstractValue: (void | Value, void | Value) => AbstractValue): void | Descriptor {
-  function clone_with_abstract_value(d: Descriptor) {
-    if (!IsDataDescriptor(realm, d))
-      throw new Error("TODO: join computed properties");
+  function clone_with_abstract_values(d: Descriptor, joinValue: (Value) => AbstractValue) {
     let dc = cloneDescriptor(d);
     invariant(dc !== undefined);
-    dc.value = getAbstractValue(d.value, undefined);
+    if (IsDataDescriptor(realm, d)) {
+      invariant(d.value !== undefined);
+      dc.value = joinValue(d.value);
+    } else {
+      if (d.get !== undefined) dc.get = joinValue(d.get);
+      if (d.set !== undefined) dc.set = joinValue(d.set);
+    }
     return dc;
   }
+  function joinCallables(f1: void | Value, f2: void | Value): void | Value {
+    if (f1 === undefined && f2 === undefined) return undefined;
+    return joinValues(realm, f1 || realm.intrinsics.undefined, f2 || realm.intrinsics.undefined, getAbstractValue);
+  }
   if (d1 === undefined) {
     if (d2 === undefined) return undefined;
     // d2 is a new property created in only one branch, join with undefined
-    return clone_with_abstract_value(d2);
+    return clone_with_abstract_values(d2, (v) => getAbstractValue(undefined, v));
   } else if (d2 === undefined) {
     // d1 is a new property created in only one branch, join with undefined
-    return clone_with_abstract_value(d1);
+    return clone_with_abstract_values(d1, (v) => getAbstractValue(v, undefined));
   } else {
     let d3 : Descriptor = { };
     let writable = joinBooleans(d1.writable, d2.writable);
@@ -327,12 +335,17 @@ export function joinDescriptors(realm: Realm,
     if (enumerable !== undefined) d3.enumerable = enumerable;
     let configurable = joinBooleans(d1.configurable, d2.configurable);
     if (configurable !== undefined) d3.configurable = configurable;
-    if (IsDataDescriptor(realm, d1) || IsDataDescriptor(realm, d2))
+    if (IsDataDescriptor(realm, d1) !== IsDataDescriptor(realm, d2))
+      throw new Error("TODO: join data and accessor properties");
+    if (IsDataDescriptor(realm, d1)) {
       d3.value = joinValues(realm, d1.value, d2.value, getAbstractValue);
-    if (d1.hasOwnProperty("get") || d2.hasOwnProperty("get"))
-      throw new Error("TODO: join callables");
-    if (d1.hasOwnProperty("set") || d2.hasOwnProperty("set"))
-      throw new Error("TODO: join callables");
+    } else {
+      // The joined getter and setter are conditional values, calls to which fork on the join condition.
+      let get = joinCallables(d1.get, d2.get);
+      if (get !== undefined) d3.get = (get: any);
+      let set = joinCallables(d1.set, d2.set);
+      if (set !== undefined) d3.set = (set: any);
+    }
     return d3;
   }
 }
@@ -0,0 +1,656 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+/* @flow */
+
+import type { Realm } from "../realm.js";
+import type { SourceTextModuleRecord, ImportEntryRecord, ExportEntryRecord, ResolvedBindingRecord } from "../types.js";
+import { ExecutionContext } from "../realm.js";
+import { AbruptCompletion } from "../completions.js";
+import { ModuleEnvironmentRecord } from "../environment.js";
+import { ObjectValue, ModuleNamespaceExotic, StringValue, Value } from "../values/index.js";
+import { BoundNames, NewModuleEnvironment } from "./environment.js";
+import { FindVarScopedDeclarations } from "./function.js";
+import { OrdinaryDefineOwnProperty } from "./properties.js";
+import parse from "../utils/parse.js";
+import invariant from "../invariant.js";
+import type { BabelNode, BabelNodeProgram, BabelNodeExportDefaultDeclaration, BabelNodeVariableDeclaration } from "babel-types";
+
+// ECMA262 15.2.1.8, 15.2.2.5, 15.2.3.8
+function ModuleRequests(body: BabelNodeProgram): Array<string> {
+  let requests = [];
+  for (let item of body.body) {
+    if (item.type === "ImportDeclaration" || item.type === "ExportAllDeclaration" || item.type === "ExportNamedDeclaration") {
+      let source = item.source;
+      if (!source) continue;
+      let specifier = source.value;
+      if (requests.indexOf(specifier) < 0) requests.push(specifier);
+    }
+  }
+  return requests;
+}
+
+// ECMA262 15.2.1.6, 15.2.2.3, 15.2.2.4
+function ImportEntries(body: BabelNodeProgram): Array<ImportEntryRecord> {
+  let entries = [];
+  for (let item of body.body) {
+    if (item.type !== "ImportDeclaration") continue;
+    let module = item.source.value;
+    for (let specifier of item.specifiers) {
+      let importName;
+      if (specifier.type === "ImportDefaultSpecifier") {
+        importName = "default";
+      } else if (specifier.type === "ImportNamespaceSpecifier") {
+        importName = "*";
+      } else {
+        invariant(specifier.type === "ImportSpecifier");
+        importName = specifier.imported.name;
+      }
+      entries.push({ $ModuleRequest: module, $ImportName: importName, $LocalName: specifier.local.name });
+    }
+  }
+  return entries;
+}
+
+// The names bound by a declaration that is exported by default are "*default*" unless it is a named function or class declaration.
+function ModuleBoundNames(realm: Realm, item: BabelNode): Array<string> {
+  if (item.type === "ExportDefaultDeclaration") {
+    let declaration = ((item: any): BabelNodeExportDefaultDeclaration).declaration;
+    if ((declaration.type === "FunctionDeclaration" || declaration.type === "ClassDeclaration") && declaration.id) {
+      return [declaration.id.name];
+    }
+    return ["*default*"];
+  }
+  return BoundNames(realm, item);
+}
+
+// ECMA262 15.2.3.5
+function ExportEntries(realm: Realm, body: BabelNodeProgram): Array<ExportEntryRecord> {
+  let entries = [];
+  for (let item of body.body) {
+    if (item.type === "ExportAllDeclaration") {
+      // export * FromClause;
+      entries.push({ $ModuleRequest: item.source.value, $ImportName: "*", $LocalName: null, $ExportName: null });
+    } else if (item.type === "ExportDefaultDeclaration") {
+      // export default HoistableDeclaration / ClassDeclaration / AssignmentExpression;
+      let localName = ModuleBoundNames(realm, item)[0];
+      entries.push({ $ModuleRequest: null, $ImportName: null, $LocalName: localName, $ExportName: "default" });
+    } else if (item.type === "ExportNamedDeclaration") {
+      let declaration = item.declaration;
+      if (declaration) {
+        // export VariableStatement / Declaration
+        for (let name of BoundNames(realm, declaration)) {
+          entries.push({ $ModuleRequest: null, $ImportName: null, $LocalName: name, $ExportName: name });
+        }
+      } else {
+        // export ExportClause FromClause; / export ExportClause;
+        let module = item.source ? item.source.value : null;
+        for (let specifier of item.specifiers) {
+          if (specifier.type !== "ExportSpecifier") throw new Error(`TODO: ${specifier.type}`);
+          let sourceName = specifier.local.name;
+          let exportName = specifier.exported.name;
+          if (module === null) {
+            entries.push({ $ModuleRequest: null, $ImportName: null, $LocalName: sourceName, $ExportName: exportName });
+          } else {
+            entries.push({ $ModuleRequest: module, $ImportName: sourceName, $LocalName: null, $ExportName: exportName });
+          }
+        }
+      }
+    }
+  }
+  return entries;
+}
+
+// ECMA262 15.2.1.16.1
+export function ParseModule(realm: Realm, sourceText: string, hostDefined: string): SourceTextModuleRecord {
+  // 1. Assert: sourceText is an ECMAScript source text.
+
+  // 2. Parse sourceText using Module as the goal symbol and analyze the parse result for any Early Error conditions. If the parse was successful and no early errors were found, let body be the resulting parse tree. Otherwise, let body be a List of one or more SyntaxError or ReferenceError objects representing the parsing errors and/or early errors.
+  // 3. If body is a List of errors, then return body.
+  let body = parse(realm, sourceText, hostDefined, "module").program;
+
+  // 4. Let requestedModules be the ModuleRequests of body.
+  let requestedModules = ModuleRequests(body);
+
+  // 5. Let importEntries be ImportEntries of body.
+  let importEntries = ImportEntries(body);
+
+  // 6. Let importedBoundNames be ImportedLocalNames(importEntries).
+  let importedBoundNames = importEntries.map(ie => ie.$LocalName);
+
+  // 7. Let indirectExportEntries be a new empty List.
+  let indirectExportEntries = [];
+
+  // 8. Let localExportEntries be a new empty List.
+  let localExportEntries = [];
+
+  // 9. Let starExportEntries be a new empty List.
+  let starExportEntries = [];
+
+  // 10. Let exportEntries be ExportEntries of body.
+  let exportEntries = ExportEntries(realm, body);
+
+  // 11. For each record ee in exportEntries, do
+  for (let ee of exportEntries) {
+    // a. If ee.[[ModuleRequest]] is null, then
+    if (ee.$ModuleRequest === null) {
+      let localName = ee.$LocalName;
+      invariant(localName !== null);
+
+      // i. If ee.[[LocalName]] is not an element of importedBoundNames, then
+      if (importedBoundNames.indexOf(localName) < 0) {
+        // 1. Append ee to localExportEntries.
+        localExportEntries.push(ee);
+      } else { // ii. Else,
+        // 1. Let ie be the element of importEntries whose [[LocalName]] is the same as ee.[[LocalName]].
+        let ie = importEntries[importedBoundNames.indexOf(localName)];
+
+        // 2. If ie.[[ImportName]] is "*", then
+        if (ie.$ImportName === "*") {
+          // a. Assert: this is a re-export of an imported module namespace object.
+          // b. Append ee to localExportEntries.
+          localExportEntries.push(ee);
+        } else { // 3. Else this is a re-export of a single name,
+          // a. Append to indirectExportEntries the Record {[[ModuleRequest]]: ie.[[ModuleRequest]], [[ImportName]]: ie.[[ImportName]], [[LocalName]]: null, [[ExportName]]: ee.[[ExportName]] }.
+          indirectExportEntries.push({ $ModuleRequest: ie.$ModuleRequest, $ImportName: ie.$ImportName, $LocalName: null, $ExportName: ee.$ExportName });
+        }
+      }
+    } else if (ee.$ImportName === "*") { // b. Else, if ee.[[ImportName]] is "*", then
+      // i. Append ee to starExportEntries.
+      starExportEntries.push(ee);
+    } else { // c. Else,
+      // i. Append ee to indirectExportEntries.
+      indirectExportEntries.push(ee);
+    }
+  }
+
+  // 12. Return Source Text Module Record {[[Realm]]: realm, [[Environment]]: undefined, [[HostDefined]]: hostDefined, [[Namespace]]: undefined, [[Evaluated]]: false, [[ECMAScriptCode]]: body, [[RequestedModules]]: requestedModules, [[ImportEntries]]: importEntries, [[LocalExportEntries]]: localExportEntries, [[StarExportEntries]]: starExportEntries, [[IndirectExportEntries]]: indirectExportEntries}.
+  return {
+    $Realm: realm,
+    $Environment: undefined,
+    $HostDefined: hostDefined,
+    $Namespace: undefined,
+    $Evaluated: false,
+    $ECMAScriptCode: body,
+    $RequestedModules: requestedModules,
+    $ImportEntries: importEntries,
+    $LocalExportEntries: localExportEntries,
+    $StarExportEntries: starExportEntries,
+    $IndirectExportEntries: indirectExportEntries
+  };
+}
+
+// ECMA262 15.2.1.17
+// Modules are looked up by the canonical name the realm's module resolver gives them, and parsed at most once.
+export function HostResolveImportedModule(realm: Realm, referencingModule: SourceTextModuleRecord, specifier: string): SourceTextModuleRecord {
+  let resolver = realm.moduleResolver;
+  if (resolver === undefined) {
+    throw realm.createErrorThrowCompletion(realm.intrinsics.Error, `cannot import '${specifier}' without a module resolver`);
+  }
+
+  let name = resolver.resolve(specifier, referencingModule.$HostDefined);
+  if (name === undefined) {
+    throw realm.createErrorThrowCompletion(realm.intrinsics.Error, `cannot find module '${specifier}' imported from ${referencingModule.$HostDefined}`);
+  }
+
+  let module = realm.moduleRegistry.get(name);
+  if (module === undefined) {
+    module = ParseModule(realm, resolver.load(name), name);
+    realm.moduleRegistry.set(name, module);
+  }
+  return module;
+}
+
+// ECMA262 15.2.1.16.2
+export function GetExportedNames(realm: Realm, module: SourceTextModuleRecord, exportStarSet: Array<SourceTextModuleRecord>): Array<string> {
+  // 1. Let module be this Source Text Module Record.
+
+  // 2. If exportStarSet contains module, then
+  if (exportStarSet.indexOf(module) >= 0) {
+    // a. Assert: We've reached the starting point of an import * circularity.
+    // b. Return a new empty List.
+    return [];
+  }
+
+  // 3. Append module to exportStarSet.
+  exportStarSet.push(module);
+
+  // 4. Let exportedNames be a new empty List.
+  let exportedNames = [];
+
+  // 5. For each ExportEntry Record e in module.[[LocalExportEntries]], do
+  for (let e of module.$LocalExportEntries) {
+    // a. Assert: module provides the direct binding for this export.
+    // b. Append e.[[ExportName]] to exportedNames.
+    invariant(e.$ExportName !== null);
+    exportedNames.push(e.$ExportName);
+  }
+
+  // 6. For each ExportEntry Record e in module.[[IndirectExportEntries]], do
+  for (let e of module.$IndirectExportEntries) {
+    // a. Assert: module imports a specific binding for this export.
+    // b. Append e.[[ExportName]] to exportedNames.
+    invariant(e.$ExportName !== null);
+    exportedNames.push(e.$ExportName);
+  }
+
+  // 7. For each ExportEntry Record e in module.[[StarExportEntries]], do
+  for (let e of module.$StarExportEntries) {
+    invariant(e.$ModuleRequest !== null);
+
+    // a. Let requestedModule be ? HostResolveImportedModule(module, e.[[ModuleRequest]]).
+    let requestedModule = HostResolveImportedModule(realm, module, e.$ModuleRequest);
+
+    // b. Let starNames be ? requestedModule.GetExportedNames(exportStarSet).
+    let starNames = GetExportedNames(realm, requestedModule, exportStarSet);
+
+    // c. For each element n of starNames, do
+    for (let n of starNames) {
+      // i. If SameValue(n, "default") is false, then
+      if (n !== "default") {
+        // 1. If n is not an element of exportedNames, then
+        if (exportedNames.indexOf(n) < 0) {
+          // a. Append n to exportedNames.
+          exportedNames.push(n);
+        }
+      }
+    }
+  }
+
+  // 8. Return exportedNames.
+  return exportedNames;
+}
+
+// ECMA262 15.2.1.16.3
+export function ResolveExport(realm: Realm, module: SourceTextModuleRecord, exportName: string,
+    resolveSet: Array<{ $Module: SourceTextModuleRecord, $ExportName: string }>,
+    exportStarSet: Array<SourceTextModuleRecord>): null | "ambiguous" | ResolvedBindingRecord {
+  // 1. Let module be this Source Text Module Record.
+
+  // 2. For each Record {[[Module]], [[ExportName]]} r in resolveSet, do:
+  for (let r of resolveSet) {
+    // a. If module and r.[[Module]] are the same Module Record and SameValue(exportName, r.[[ExportName]]) is true, then
+    if (module === r.$Module && exportName === r.$ExportName) {
+      // i. Assert: This is a circular import request.
+      // ii. Return null.
+      return null;
+    }
+  }
+
+  // 3. Append the Record {[[Module]]: module, [[ExportName]]: exportName} to resolveSet.
+  resolveSet.push({ $Module: module, $ExportName: exportName });
+
+  // 4. For each ExportEntry Record e in module.[[LocalExportEntries]], do
+  for (let e of module.$LocalExportEntries) {
+    // a. If SameValue(exportName, e.[[ExportName]]) is true, then
+    if (exportName === e.$ExportName) {
+      // i. Assert: module provides the direct binding for this export.
+      invariant(e.$LocalName !== null);
+
+      // ii. Return Record{[[Module]]: module, [[BindingName]]: e.[[LocalName]]}.
+      return { $Module: module, $BindingName: e.$LocalName };
+    }
+  }
+
+  // 5. For each ExportEntry Record e in module.[[IndirectExportEntries]], do
+  for (let e of module.$IndirectExportEntries) {
+    // a. If SameValue(exportName, e.[[ExportName]]) is true, then
+    if (exportName === e.$ExportName) {
+      // i. Assert: module imports a specific binding for this export.
+      let moduleRequest = e.$ModuleRequest, importName = e.$ImportName;
+      invariant(moduleRequest !== null && importName !== null);
+
+      // ii. Let importedModule be ? HostResolveImportedModule(module, e.[[ModuleRequest]]).
+      let importedModule = HostResolveImportedModule(realm, module, moduleRequest);
+
+      // iii. Return ? importedModule.ResolveExport(e.[[ImportName]], resolveSet, exportStarSet).
+      return ResolveExport(realm, importedModule, importName, resolveSet, exportStarSet);
+    }
+  }
+
+  // 6. If SameValue(exportName, "default") is true, then
+  if (exportName === "default") {
+    // a. Assert: A default export was not explicitly defined by this module.
+    // b. Return null.
+    // c. NOTE A default export cannot be provided by an export *.
+    return null;
+  }
+
+  // 7. If exportStarSet contains module, return null.
+  if (exportStarSet.indexOf(module) >= 0) return null;
+
+  // 8. Append module to exportStarSet.
+  exportStarSet.push(module);
+
+  // 9. Let starResolution be null.
+  let starResolution = null;
+
+  // 10. For each ExportEntry Record e in module.[[StarExportEntries]], do
+  for (let e of module.$StarExportEntries) {
+    invariant(e.$ModuleRequest !== null);
+
+    // a. Let importedModule be ? HostResolveImportedModule(module, e.[[ModuleRequest]]).
+    let importedModule = HostResolveImportedModule(realm, module, e.$ModuleRequest);
+
+    // b. Let resolution be ? importedModule.ResolveExport(exportName, resolveSet, exportStarSet).
+    let resolution = ResolveExport(realm, importedModule, exportName, resolveSet, exportStarSet);
+
+    // c. If resolution is "ambiguous", return "ambiguous".
+    if (resolution === "ambiguous") return "ambiguous";
+
+    // d. If resolution is not null, then
+    if (resolution !== null) {
+      // i. If starResolution is null, let starResolution be resolution.
+      if (starResolution === null) {
+        starResolution = resolution;
+      } else { // ii. Else,
+        // 1. Assert: There is more than one * import that includes the requested name.
+        // 2. If resolution.[[Module]] and starResolution.[[Module]] are not the same Module Record or SameValue(resolution.[[BindingName]], starResolution.[[BindingName]]) is false, return "ambiguous".
+        if (resolution.$Module !== starResolution.$Module || resolution.$BindingName !== starResolution.$BindingName) {
+          return "ambiguous";
+        }
+      }
+    }
+  }
+
+  // 11. Return starResolution.
+  return starResolution;
+}
+
+// ECMA262 15.2.1.16.4
+export function ModuleDeclarationInstantiation(realm: Realm, module: SourceTextModuleRecord): void {
+  // 1. Let module be this Source Text Module Record.
+
+  // 2. Let realm be module.[[Realm]].
+  // 3. Assert: realm is not undefined.
+  invariant(module.$Realm === realm);
+
+  // 4. Let code be module.[[ECMAScriptCode]].
+  let code = module.$ECMAScriptCode;
+
+  // 5. If module.[[Environment]] is not undefined, return NormalCompletion(empty).
+  if (module.$Environment !== undefined) return;
+
+  // 6. Let env be NewModuleEnvironment(realm.[[GlobalEnv]]).
+  let env = NewModuleEnvironment(realm, realm.$GlobalEnv);
+
+  // 7. Set module.[[Environment]] to env.
+  module.$Environment = env;
+
+  // 8. For each String required that is an element of module.[[RequestedModules]] do,
+  for (let required of module.$RequestedModules) {
+    // a. NOTE: Before instantiating a module, all of the modules it requested must be available. An implementation may perform this test at any time prior to this point.
+
+    // b. Let requiredModule be ? HostResolveImportedModule(module, required).
+    let requiredModule = HostResolveImportedModule(realm, module, required);
+
+    // c. Perform ? requiredModule.ModuleDeclarationInstantiation().
+    ModuleDeclarationInstantiation(realm, requiredModule);
+  }
+
+  // 9. For each ExportEntry Record e in module.[[IndirectExportEntries]], do
+  for (let e of module.$IndirectExportEntries) {
+    let exportName = e.$ExportName;
+    invariant(exportName !== null);
+
+    // a. Let resolution be ? module.ResolveExport(e.[[ExportName]], « », « »).
+    let resolution = ResolveExport(realm, module, exportName, [], []);
+
+    // b. If resolution is null or resolution is "ambiguous", throw a SyntaxError exception.
+    if (resolution === null || resolution === "ambiguous") {
+      throw realm.createErrorThrowCompletion(realm.intrinsics.SyntaxError, `cannot resolve export ${exportName} of ${module.$HostDefined}`);
+    }
+  }
+
+  // 10. Assert: All named exports from module are resolvable.
+
+  // 11. Let envRec be env's EnvironmentRecord.
+  let envRec = env.environmentRecord;
+  invariant(envRec instanceof ModuleEnvironmentRecord);
+
+  // 12. For each ImportEntry Record in in module.[[ImportEntries]], do
+  for (let entry of module.$ImportEntries) {
+    // a. Let importedModule be ! HostResolveImportedModule(module, in.[[ModuleRequest]]).
+    // b. NOTE: The above call cannot fail because imported module requests are a subset of module.[[RequestedModules]], and these have been resolved earlier in this algorithm.
+    let importedModule = HostResolveImportedModule(realm, module, entry.$ModuleRequest);
+
+    // c. If in.[[ImportName]] is "*", then
+    if (entry.$ImportName === "*") {
+      // i. Let namespace be ? GetModuleNamespace(importedModule).
+      let namespace = GetModuleNamespace(realm, importedModule);
+
+      // ii. Perform ! envRec.CreateImmutableBinding(in.[[LocalName]], true).
+      envRec.CreateImmutableBinding(entry.$LocalName, true);
+
+      // iii. Call envRec.InitializeBinding(in.[[LocalName]], namespace).
+      envRec.InitializeBinding(entry.$LocalName, namespace);
+    } else { // d. Else,
+      // i. Let resolution be ? importedModule.ResolveExport(in.[[ImportName]], « », « »).
+      let resolution = ResolveExport(realm, importedModule, entry.$ImportName, [], []);
+
+      // ii. If resolution is null or resolution is "ambiguous", throw a SyntaxError exception.
+      if (resolution === null || resolution === "ambiguous") {
+        throw realm.createErrorThrowCompletion(realm.intrinsics.SyntaxError, `cannot resolve import ${entry.$ImportName} of ${importedModule.$HostDefined}`);
+      }
+
+      // iii. Call envRec.CreateImportBinding(in.[[LocalName]], resolution.[[Module]], resolution.[[BindingName]]).
+      envRec.CreateImportBinding(entry.$LocalName, resolution.$Module, resolution.$BindingName);
+    }
+  }
+
+  // Exported declarations are declared by the declarations they export.
+  let items: Array<BabelNode> = code.body.map(item =>
+    item.type === "ExportNamedDeclaration" && item.declaration ? item.declaration : item);
+
+  // 13. Let varDeclarations be the VarScopedDeclarations of code.
+  let varDeclarations = [];
+  for (let item of items) {
+    for (let d of FindVarScopedDeclarations(item)) {
+      // Function declarations at the top level of a module are lexically scoped.
+      if (d.type === "VariableDeclaration") varDeclarations.push(d);
+    }
+  }
+
+  // 14. Let declaredVarNames be a new empty List.
+  let declaredVarNames = [];
+
+  // 15. For each element d in varDeclarations do
+  for (let d of varDeclarations) {
+    // a. For each element dn of the BoundNames of d do
+    for (let dn of BoundNames(realm, d)) {
+      // i. If dn is not an element of declaredVarNames, then
+      if (declaredVarNames.indexOf(dn) < 0) {
+        // 1. Perform ! envRec.CreateMutableBinding(dn, false).
+        envRec.CreateMutableBinding(dn, false);
+
+        // 2. Call envRec.InitializeBinding(dn, undefined).
+        envRec.InitializeBinding(dn, realm.intrinsics.undefined);
+
+        // 3. Append dn to declaredVarNames.
+        declaredVarNames.push(dn);
+      }
+    }
+  }
+
+  // 16. Let lexDeclarations be the LexicallyScopedDeclarations of code.
+  let lexDeclarations = items.filter(d =>
+    d.type === "FunctionDeclaration" || d.type === "ClassDeclaration" || d.type === "ExportDefaultDeclaration" ||
+    (d.type === "VariableDeclaration" && ((d: any): BabelNodeVariableDeclaration).kind !== "var"));
+
+  // 17. For each element d in lexDeclarations do
+  for (let d of lexDeclarations) {
+    // a. For each element dn of the BoundNames of d do
+    for (let dn of ModuleBoundNames(realm, d)) {
+      // i. If IsConstantDeclaration of d is true, then
+      if (d.type === "VariableDeclaration" && ((d: any): BabelNodeVariableDeclaration).kind === "const") {
+        // 1. Perform ! envRec.CreateImmutableBinding(dn, true).
+        envRec.CreateImmutableBinding(dn, true);
+      } else { // ii. Else,
+        // 1. Perform ! envRec.CreateMutableBinding(dn, false).
+        envRec.CreateMutableBinding(dn, false);
+      }
+
+      // iii. If d is a GeneratorDeclaration production or a FunctionDeclaration production, then
+      let f = d.type === "ExportDefaultDeclaration" ? ((d: any): BabelNodeExportDefaultDeclaration).declaration : d;
+      if (f.type === "FunctionDeclaration") {
+        // 1. Let fo be the result of performing InstantiateFunctionObject for d with argument env.
+        let fo = env.evaluate(f, true);
+        invariant(fo instanceof Value);
+
+        // 2. Call envRec.InitializeBinding(dn, fo).
+        envRec.InitializeBinding(dn, fo);
+      }
+    }
+  }
+
+  // 18. Return NormalCompletion(empty).
+}
+
+// ECMA262 15.2.1.16.5
+export function ModuleEvaluation(realm: Realm, module: SourceTextModuleRecord): void {
+  // 1. Let module be this Source Text Module Record.
+
+  // 2. Assert: ModuleDeclarationInstantiation has already been invoked on module and successfully completed.
+  let env = module.$Environment;
+  invariant(env !== undefined);
+
+  // 3. Assert: module.[[Realm]] is not undefined.
+  invariant(module.$Realm === realm);
+
+  // 4. If module.[[Evaluated]] is true, return undefined.
+  if (module.$Evaluated) return;
+
+  // 5. Set module.[[Evaluated]] to true.
+  module.$Evaluated = true;
+
+  // 6. For each String required that is an element of module.[[RequestedModules]] do,
+  for (let required of module.$RequestedModules) {
+    // a. Let requiredModule be ! HostResolveImportedModule(module, required).
+    // b. NOTE: ModuleDeclarationInstantiation must be completed prior to invoking this method, so every requested module is guaranteed to resolve successfully.
+    let requiredModule = HostResolveImportedModule(realm, module, required);
+
+    // c. Perform ? requiredModule.ModuleEvaluation().
+    ModuleEvaluation(realm, requiredModule);
+  }
+
+  // 7. Let moduleCxt be a new ECMAScript code execution context.
+  let moduleCxt = new ExecutionContext();
+
+  // 8. Set the Function of moduleCxt to null.
+
+  // 9. Set the Realm of moduleCxt to module.[[Realm]].
+  moduleCxt.realm = realm;
+
+  // 10. Set the ScriptOrModule of moduleCxt to module.
+  moduleCxt.ScriptOrModule = module;
+
+  // 11. Assert: module has been linked and declarations in its module environment have been instantiated.
+
+  // 12. Set the VariableEnvironment of moduleCxt to module.[[Environment]].
+  moduleCxt.variableEnvironment = env;
+
+  // 13. Set the LexicalEnvironment of moduleCxt to module.[[Environment]].
+  moduleCxt.lexicalEnvironment = env;
+
+  // 14. Suspend the currently running execution context.
+  // 15. Push moduleCxt on to the execution context stack; moduleCxt is now the running execution context.
+  realm.pushContext(moduleCxt);
+
+  let result;
+  try {
+    // 16. Let result be the result of evaluating module.[[ECMAScriptCode]].
+    result = env.evaluateCompletion(module.$ECMAScriptCode, true);
+  } finally {
+    // 17. Suspend moduleCxt and remove it from the execution context stack.
+    // 18. Resume the context that is now on the top of the execution context stack as the running execution context.
+    realm.popContext(moduleCxt);
+  }
+
+  // 19. Return Completion(result).
+  if (result instanceof AbruptCompletion) throw result;
+}
+
+// ECMA262 15.2.1.18
+export function GetModuleNamespace(realm: Realm, module: SourceTextModuleRecord): ObjectValue {
+  // 1. Assert: module is an instance of a concrete subclass of Module Record.
+
+  // 2. Let namespace be module.[[Namespace]].
+  let namespace = module.$Namespace;
+
+  // 3. If namespace is undefined, then
+  if (namespace === undefined) {
+    // a. Let exportedNames be ? module.GetExportedNames(« »).
+    let exportedNames = GetExportedNames(realm, module, []);
+
+    // b. Let unambiguousNames be a new empty List.
+    let unambiguousNames = [];
+
+    // c. For each name that is an element of exportedNames,
+    for (let name of exportedNames) {
+      // i. Let resolution be ? module.ResolveExport(name, « », « »).
+      let resolution = ResolveExport(realm, module, name, [], []);
+
+      // ii. If resolution is null, throw a SyntaxError exception.
+      if (resolution === null) {
+        throw realm.createErrorThrowCompletion(realm.intrinsics.SyntaxError, `cannot resolve export ${name} of ${module.$HostDefined}`);
+      }
+
+      // iii. If resolution is not "ambiguous", append name to unambiguousNames.
+      if (resolution !== "ambiguous") unambiguousNames.push(name);
+    }
+
+    // d. Let namespace be ModuleNamespaceCreate(module, unambiguousNames).
+    namespace = ModuleNamespaceCreate(realm, module, unambiguousNames);
+  }
+
+  // 4. Return namespace.
+  return namespace;
+}
+
+// ECMA262 9.4.6.12
+export function ModuleNamespaceCreate(realm: Realm, module: SourceTextModuleRecord, exports: Array<string>): ModuleNamespaceExotic {
+  // 1. Assert: module is a Module Record.
+
+  // 2. Assert: module.[[Namespace]] is undefined.
+  invariant(module.$Namespace === undefined);
+
+  // 3. Assert: exports is a List of String values.
+
+  // 4. Let M be a newly created object.
+  // 5. Set M's essential internal methods to the definitions specified in 9.4.6.
+  // 6. Set M.[[Module]] to module.
+  // 7. Set M.[[Exports]] to exports.
+  let M = new ModuleNamespaceExotic(realm, module, exports.slice().sort());
+
+  // 8. Create own properties of M corresponding to the definitions in 26.3.
+  OrdinaryDefineOwnProperty(realm, M, realm.intrinsics.SymbolToStringTag, {
+    value: new StringValue(realm, "Module"),
+    writable: false,
+    enumerable: false,
+    configurable: true
+  });
+  M.setExtensible(false);
+
+  // 9. Set module.[[Namespace]] to M.
+  module.$Namespace = M;
+
+  // 10. Return M.
+  return M;
+}
+
+// The exported names of module paired with the bindings they resolve to, skipping ambiguous star exports.
+export function ResolveExportedBindings(realm: Realm, module: SourceTextModuleRecord): Array<[string, ResolvedBindingRecord]> {
+  let bindings = [];
+  for (let name of GetExportedNames(realm, module, [])) {
+    let resolution = ResolveExport(realm, module, name, [], []);
+    if (resolution === null || resolution === "ambiguous") continue;
+    bindings.push([name, resolution]);
+  }
+  return bindings;
+}
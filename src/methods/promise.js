@@ -11,8 +11,8 @@
 
 import type { Realm } from "../realm.js";
 import type { ResolvingFunctions, PromiseCapability, PromiseReaction } from "../types.js";
-import { AbruptCompletion, ThrowCompletion } from "../completions.js";
-import { Value, ObjectValue, StringValue, NativeFunctionValue, FunctionValue } from "../values/index.js";
+import { AbruptCompletion, IntrospectionThrowCompletion, ThrowCompletion } from "../completions.js";
+import { Value, ObjectValue, StringValue, NativeFunctionValue, FunctionValue, UndefinedValue } from "../values/index.js";
 import { SameValue } from "../methods/abstract.js";
 import { Construct } from "../methods/construct.js";
 import { Get } from "../methods/get.js";
@@ -22,10 +22,45 @@ import { IsCallable, IsConstructor, IsPromise } from "../methods/is.js";
 import { IteratorStep, IteratorValue } from "../methods/iterator.js";
 import { ThrowIfInternalSlotNotWritable } from "../methods/properties.js";
 import invariant from "../invariant.js";
+import * as t from "babel-types";
 
 
 // ECMA262 8.4.1
 export function EnqueueJob(realm: Realm, queueName: string, job: Function, args: Array<any>) {
+  // Pending jobs are not part of the effects that get rolled back or joined,
+  // so jobs cannot be enqueued while the effects might still get discarded.
+  if (realm.isEvaluatingSpeculatively()) {
+    throw realm.createErrorThrowCompletion(realm.intrinsics.__IntrospectionError, "TODO: enqueue jobs during speculative evaluation");
+  }
+
+  // 1. Assert: Type(queueName) is String and its value is the name of a Job Queue recognized by this implementation.
+  invariant(typeof queueName === "string", "queueName is a string");
+
+  // 2. Assert: job is the name of a Job.
+  invariant(typeof job === "function", "job is the name of a Job");
+
+  // 3. Assert: arguments is a List that has the same number of elements as the number of parameters required by job.
+  invariant(args.length === job.length - 1, "arguments has the same number of elements as the number of parameters required by job");
+
+  // 4. Let callerContext be the running execution context.
+  let callerContext = realm.getRunningContext();
+
+  // 5. Let callerRealm be callerContext's Realm.
+  let callerRealm = callerContext.realm || realm;
+
+  // 6. Let callerScriptOrModule be callerContext's ScriptOrModule.
+  let callerScriptOrModule = callerContext.ScriptOrModule;
+
+  // 7. Let pending be PendingJob{ [[Job]]: job, [[Arguments]]: arguments, [[Realm]]: callerRealm, [[ScriptOrModule]]: callerScriptOrModule, [[HostDefined]]: undefined }.
+  let pending = { $Job: job, $Arguments: args, $Realm: callerRealm, $ScriptOrModule: callerScriptOrModule };
+
+  // 8. Perform any implementation or host environment defined processing of pending.
+
+  // 9. Add pending at the back of the Job Queue named by queueName.
+  realm.getJobQueue(queueName).push(pending);
+
+  // 10. Return NormalCompletion(empty).
+  return realm.intrinsics.empty;
 }
 
 // ECMA262 25.4.1.5
@@ -84,6 +119,21 @@ export function NewPromiseCapability(realm: Realm, C: Value): PromiseCapability
   // 5. Set the [[Capability]] internal slot of executor to promiseCapability.
   executor.$Capability = promiseCapability;
 
+  // Residual code cannot get at the capability, but once the executor was called, all it can still do is throw.
+  executor.getResidualBinding = () => {
+    let resolve = t.identifier("resolve");
+    let reject = t.identifier("reject");
+    if (promiseCapability.resolve instanceof UndefinedValue && promiseCapability.reject instanceof UndefinedValue) {
+      return { args: [], buildNode: () => t.functionExpression(null, [resolve, reject], t.blockStatement([])) };
+    }
+    return {
+      args: [realm.intrinsics.TypeError],
+      buildNode: ([typeError]) => t.functionExpression(null, [resolve, reject], t.blockStatement([
+        t.throwStatement(t.newExpression(typeError, [t.stringLiteral("promiseCapability.[[Resolve]] is not undefined")]))
+      ]))
+    };
+  };
+
   // 6. Let promise be ? Construct(C, « executor »).
   let promise = Construct(realm, C, [executor]);
 
@@ -332,7 +382,7 @@ export function PerformPromiseThen(realm: Realm, promise: ObjectValue, onFulfill
   }
 
   // 4. If IsCallable(onRejected) is false, then
-  if (IsCallable(realm, onRejected)) {
+  if (IsCallable(realm, onRejected) === false) {
     // a. Let onRejected be "Thrower".
     onRejected = new StringValue(realm, "Thrower");
   }
@@ -377,8 +427,40 @@ export function PerformPromiseThen(realm: Realm, promise: ObjectValue, onFulfill
 }
 
 // ECMA262 25.4.2.1
-export function PromiseReactionJob(realm: Realm, reaction: Function, argument: Value): Value {
-  return realm.intrinsics.undefined;
+export function PromiseReactionJob(realm: Realm, reaction: PromiseReaction, argument: Value): Value {
+  // 1. Assert: reaction is a PromiseReaction Record.
+  invariant(reaction.capabilities, "reaction is a PromiseReaction Record");
+
+  // 2. Let promiseCapability be reaction.[[Capabilities]].
+  let promiseCapability = reaction.capabilities;
+
+  // 3. Let handler be reaction.[[Handler]].
+  let handler = reaction.handler;
+
+  let handlerResult;
+  try {
+    if (handler instanceof StringValue && handler.value === "Identity") {
+      // 4. If handler is "Identity", let handlerResult be NormalCompletion(argument).
+      handlerResult = argument;
+    } else if (handler instanceof StringValue && handler.value === "Thrower") {
+      // 5. Else if handler is "Thrower", let handlerResult be Completion{[[Type]]: throw, [[Value]]: argument, [[Target]]: empty}.
+      throw new ThrowCompletion(argument);
+    } else {
+      // 6. Else, let handlerResult be Call(handler, undefined, « argument »).
+      handlerResult = Call(realm, handler, realm.intrinsics.undefined, [argument]);
+    }
+  } catch (e) {
+    if (e instanceof IntrospectionThrowCompletion || !(e instanceof AbruptCompletion)) throw e;
+
+    // 7. If handlerResult is an abrupt completion, then
+    //   a. Let status be Call(promiseCapability.[[Reject]], undefined, « handlerResult.[[Value]] »).
+    //   b. NextJob Completion(status).
+    return Call(realm, promiseCapability.reject, realm.intrinsics.undefined, [e.value]);
+  }
+
+  // 8. Let status be Call(promiseCapability.[[Resolve]], undefined, « handlerResult.[[Value]] »).
+  // 9. NextJob Completion(status).
+  return Call(realm, promiseCapability.resolve, realm.intrinsics.undefined, [handlerResult]);
 }
 
 // ECMA262 25.4.1.3.2
@@ -421,7 +503,7 @@ function createResolveFunction(realm) {
     } catch (e) { // 9. If then is an abrupt completion, then
       if (e instanceof AbruptCompletion) {
         // a. Return RejectPromise(promise, then.[[Value]]).
-        return RejectPromise(realm, promise, e);
+        return RejectPromise(realm, promise, e.value);
       } else
         throw e;
     }
@@ -430,7 +512,7 @@ function createResolveFunction(realm) {
     let thenAction = then;
 
     // 11. If IsCallable(thenAction) is false, then
-    if (IsCallable(realm, thenAction)) {
+    if (IsCallable(realm, thenAction) === false) {
       // a. Return FulfillPromise(promise, resolution).
       return FulfillPromise(realm, promise, resolution);
     }
@@ -492,6 +574,9 @@ export function CreateResolvingFunctions(realm: Realm, promise: ObjectValue): Re
   // 7. Set the [[AlreadyResolved]] internal slot of reject to alreadyResolved.
   reject.$AlreadyResolved = alreadyResolved;
 
+  // Not in the spec: tells the serializer which of the two resolving functions reject is.
+  reject.$PromiseRejectFunction = true;
+
   // 8. Return a new Record { [[Resolve]]: resolve, [[Reject]]: reject }.
   return { resolve: resolve, reject: reject };
 }
@@ -526,7 +611,7 @@ export function RejectPromise(realm: Realm, promise: ObjectValue, reason: Value)
   invariant(promise.$PromiseState === "pending");
 
   // 2. Let reactions be promise.[[PromiseRejectReactions]].
-  let reactions = promise.$PromiseFulfillReactions; invariant(reactions);
+  let reactions = promise.$PromiseRejectReactions; invariant(reactions);
 
   // 3. Set promise.[[PromiseResult]] to reason.
   ThrowIfInternalSlotNotWritable(realm, promise, "$PromiseResult").$PromiseResult = reason;
@@ -560,9 +645,31 @@ export function TriggerPromiseReactions(realm: Realm, reactions: Array<PromiseRe
 
 // ECMA262 25.4.1.9
 export function HostPromiseRejectionTracker(realm: Realm, promise: ObjectValue, operation: "reject" | "handle") {
+  // Rejections are tracked so that the ones that are still unhandled after all jobs have run can be reported.
+  // Promises that are rejected during speculative evaluation might get discarded again, so they are not tracked.
+  if (realm.isEvaluatingSpeculatively()) return;
+  if (operation === "reject") realm.unhandledRejections.add(promise);
+  else realm.unhandledRejections.delete(promise);
 }
 
 // ECMA262 25.4.2.2
-export function PromiseResolveThenableJob(realm: Realm, promiseToResolve: ObjectValue, thenable: Value, then: Value) {
+export function PromiseResolveThenableJob(realm: Realm, promiseToResolve: ObjectValue, thenable: Value, then: Value): Value {
+  // 1. Let resolvingFunctions be CreateResolvingFunctions(promiseToResolve).
+  let resolvingFunctions = CreateResolvingFunctions(realm, promiseToResolve);
+
+  // 2. Let thenCallResult be Call(then, thenable, « resolvingFunctions.[[Resolve]], resolvingFunctions.[[Reject]] »).
+  let thenCallResult;
+  try {
+    thenCallResult = Call(realm, then, thenable, [resolvingFunctions.resolve, resolvingFunctions.reject]);
+  } catch (e) {
+    if (e instanceof IntrospectionThrowCompletion || !(e instanceof AbruptCompletion)) throw e;
+
+    // 3. If thenCallResult is an abrupt completion,
+    //   a. Let status be Call(resolvingFunctions.[[Reject]], undefined, « thenCallResult.[[Value]] »).
+    //   b. NextJob Completion(status).
+    return Call(realm, resolvingFunctions.reject, realm.intrinsics.undefined, [e.value]);
+  }
 
+  // 4. NextJob Completion(thenCallResult).
+  return thenCallResult;
 }
@@ -88,20 +88,19 @@ function InternalUpdatedProperty(realm: Realm, O: ObjectValue, P: PropertyKeyVal
   if (!O.isIntrinsic()) return;
   let generator = realm.generator;
   if (!generator) return;
-  if (P instanceof SymbolValue) return;
   if (P instanceof StringValue) P = P.value;
   let propertyBinding = InternalGetPropertiesMap(O, P).get(P);
   let desc = propertyBinding === undefined ? undefined : propertyBinding.descriptor;
   if (desc === undefined) {
-    if (O === realm.$GlobalObject) {
+    if (O === realm.$GlobalObject && typeof P === "string") {
       generator.emitGlobalDelete(P);
     } else {
       generator.emitPropertyDelete(O, P);
     }
-  } else if (!desc.configurable && desc.enumerable && O === realm.$GlobalObject && desc.value !== undefined) {
+  } else if (!desc.configurable && desc.enumerable && O === realm.$GlobalObject && typeof P === "string" && desc.value !== undefined) {
     generator.emitGlobalDeclaration(P, desc.value);
   } else if (desc.configurable && desc.enumerable && desc.value !== undefined) {
-    if (O === realm.$GlobalObject) {
+    if (O === realm.$GlobalObject && typeof P === "string") {
       generator.emitGlobalAssignment(P, desc.value);
     } else {
       generator.emitPropertyAssignment(O, P, desc.value);
@@ -263,7 +262,7 @@ export function OrdinarySet(realm: Realm, O: ObjectValue, P: PropertyKeyValue, V
     return false;
 
   // 8. Perform ? Call(setter, Receiver, « V »).
-  Call(realm, setter.throwIfNotConcrete(), Receiver, [V]);
+  Call(realm, setter, Receiver, [V]);
 
   // 9. Return true.
   return true;
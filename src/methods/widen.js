@@ -0,0 +1,529 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+/* @flow */
+
+import type { Binding } from "../environment.js";
+import type { Bindings, Effects, PropertyBindings, CreatedObjects, Realm } from "../realm.js";
+import type { PropertyBinding } from "../types.js";
+
+import { AbruptCompletion, BreakCompletion, Completion, ContinueCompletion, IntrospectionThrowCompletion,
+  JoinedAbruptCompletions, NormalCompletion, PossiblyNormalCompletion, ReturnCompletion } from "../completions.js";
+import { TypesDomain, ValuesDomain } from "../domains/index.js";
+import { Reference } from "../environment.js";
+import { cloneDescriptor, IsDataDescriptor, StrictEqualityComparison, joinEffects, joinValues,
+  joinValuesAsConditional } from "../methods/index.js";
+import { Generator } from "../utils/generator.js";
+import { AbstractValue, BooleanValue, ObjectValue, StringValue, Value } from "../values/index.js";
+
+import invariant from "../invariant.js";
+import * as t from "babel-types";
+import type { BabelNodeIdentifier } from "babel-types";
+
+type Update = [AbstractValue, Value];
+
+// Bindings of their own through which the iterations of a residual loop record whether they leave it,
+// and what they return from the enclosing function if they do so by returning.
+type LoopExits = {
+  labelSet: ?Array<string>;
+  // Whether the iteration leaves the loop. It is false at the start of every iteration.
+  exit: Binding;
+  returned: Binding;
+  returnValue: Binding;
+}
+
+// The effects of an iteration evaluated from the widened state, once evaluating it from there modifies nothing new.
+type LoopAnalysis = {
+  bodyEffects: Effects;
+  bodyFreshBindings: Set<Binding>;
+  testEffects: void | Effects;
+  testFreshBindings: Set<Binding>;
+  widenedBindings: Map<Binding, AbstractValue>;
+  widenedProperties: Map<PropertyBinding, AbstractValue>;
+  exits: LoopExits;
+  // The derived values that are known ahead of the loop
+  knownDerivedIds: Set<BabelNodeIdentifier>;
+}
+
+type ResidualLoop = { kind: "while", entryTest: AbstractValue } | { kind: "for-in", key: AbstractValue, object: AbstractValue };
+
+// Evaluates the remaining iterations of a loop whose test evaluated to the abstract value entryTest.
+// The bindings and properties that an iteration modifies get widened to abstract values that stand for
+// residual variables, until evaluating body and test from the widened state modifies nothing new.
+// The iterations are then emitted as a residual loop over those variables, which are also what the
+// modified bindings and properties hold after the loop.
+// body evaluates the loop body and returns its completion. An iteration may leave the loop by breaking out of it
+// or by returning, unless canExit is false. test evaluates whatever precedes the next test, and then the test,
+// and returns its value. Returns the completion of the loop, given the value V of the iterations before.
+export function evaluateLoopWithAbstractTest(realm: Realm, entryTest: AbstractValue, labelSet: ?Array<string>,
+    body: () => Completion | Value | Reference, test: () => Value, V: Value, canExit: boolean = true): NormalCompletion | Value {
+  let analysis = analyzeLoop(realm, labelSet, body, test);
+  if (!canExit && getExitValue(realm, analysis) !== undefined) {
+    throw realm.createErrorThrowCompletion(realm.intrinsics.__IntrospectionError,
+      "TODO: loop with abstract test that leaves an iterator with a return method early");
+  }
+  emitLoop(realm, analysis, { kind: "while", entryTest });
+  return completeLoop(realm, analysis, V);
+}
+
+// Evaluates a for-in loop over an abstract value, whose keys are not known, into a residual for-in loop.
+// body evaluates the loop body for the given key and returns its completion.
+export function evaluateForInWithAbstractObject(realm: Realm, object: AbstractValue, labelSet: ?Array<string>,
+    body: Value => Completion | Value | Reference, V: Value): NormalCompletion | Value {
+  let key = createResidualVariable(realm, new TypesDomain(StringValue));
+  let analysis = analyzeLoop(realm, labelSet, () => body(key), undefined);
+  emitLoop(realm, analysis, { kind: "for-in", key, object });
+  return completeLoop(realm, analysis, V);
+}
+
+// How often the iterations of a loop get evaluated at most until the state of the loop reaches a fixed point.
+const maxWideningRounds = 10;
+
+function analyzeLoop(realm: Realm, labelSet: ?Array<string>, body: () => Completion | Value | Reference,
+    test: void | () => Value): LoopAnalysis {
+  let exits = {
+    labelSet,
+    exit: { value: realm.intrinsics.false, initialized: true, mutable: true },
+    returned: { value: realm.intrinsics.false, initialized: true, mutable: true },
+    returnValue: { value: realm.intrinsics.undefined, initialized: true, mutable: true },
+  };
+  let widenedBindings: Map<Binding, AbstractValue> = new Map();
+  let widenedProperties: Map<PropertyBinding, AbstractValue> = new Map();
+  let preludeGenerator = realm.preludeGenerator;
+  invariant(preludeGenerator);
+  let knownDerivedIds = new Set(preludeGenerator.derivedIds);
+
+  // Every binding and property gets widened at most twice, see widen, but the residual variables of nested loops
+  // are new in every round, so a fixed point is not guaranteed.
+  for (let round = 0; round < maxWideningRounds; round++) {
+    let [bodyEffects, bodyFreshBindings] = evaluateIteration(realm, exits, body, widenedBindings, widenedProperties);
+    let testEffects, testFreshBindings = new Set();
+    if (test !== undefined) {
+      [testEffects, testFreshBindings] = evaluateIteration(realm, exits, test, widenedBindings, widenedProperties);
+    }
+
+    let changed = widenBindings(bodyEffects[2], bodyFreshBindings, widenedBindings, realm);
+    changed = widenProperties(bodyEffects[3], bodyEffects[4], widenedProperties, realm) || changed;
+    if (testEffects !== undefined) {
+      changed = widenBindings(testEffects[2], testFreshBindings, widenedBindings, realm) || changed;
+      changed = widenProperties(testEffects[3], testEffects[4], widenedProperties, realm) || changed;
+    }
+    if (!changed) {
+      return { bodyEffects, bodyFreshBindings, testEffects, testFreshBindings, widenedBindings, widenedProperties,
+        exits, knownDerivedIds };
+    }
+  }
+  throw realm.createErrorThrowCompletion(realm.intrinsics.__IntrospectionError,
+    "TODO: loop whose state does not reach a fixed point");
+}
+
+// Returns effects that set the widened bindings and properties to their widened values.
+function getWidenedEffects(realm: Realm, generator: Generator,
+    widenedBindings: Map<Binding, AbstractValue>, widenedProperties: Map<PropertyBinding, AbstractValue>): Effects {
+  let bindings: Bindings = new Map();
+  widenedBindings.forEach((variable, binding) => {
+    bindings.set(binding, variable);
+  });
+  let properties: PropertyBindings = new Map();
+  widenedProperties.forEach((variable, propertyBinding) => {
+    let desc = cloneDescriptor(propertyBinding.descriptor);
+    invariant(desc !== undefined);
+    desc.value = variable;
+    properties.set(propertyBinding, desc);
+  });
+  return [realm.intrinsics.undefined, generator, bindings, properties, new Set()];
+}
+
+// Evaluates an iteration in a sandbox, starting from the widened state. Returns the effects of the iteration,
+// along with the bindings that it created rather than modified. If the iteration completes abruptly, or might
+// do so, the effects record that in the bindings of exits, and complete normally.
+function evaluateIteration(realm: Realm, exits: LoopExits, iteration: () => Completion | Value | Reference,
+    widenedBindings: Map<Binding, AbstractValue>, widenedProperties: Map<PropertyBinding, AbstractValue>): [Effects, Set<Binding>] {
+  let freshBindings = new Set([exits.exit]);
+  let context = realm.getRunningContext();
+  let savedEffects = context.savedEffects;
+  let effects = realm.partially_evaluate(() => {
+    let widenedEffects = getWidenedEffects(realm, new Generator(realm), widenedBindings, widenedProperties);
+    widenedEffects[2].set(exits.exit, realm.intrinsics.false);
+    realm.apply_effects(widenedEffects);
+
+    let result;
+    try {
+      result = iteration();
+    } catch (e) {
+      if (!(e instanceof Completion)) throw e;
+      result = e;
+    }
+
+    // If the iteration did not join up into a single flow, the effects after the split got captured separately.
+    let capturedEffects = realm.get_captured_effects();
+    if (context.savedEffects !== savedEffects) {
+      invariant(capturedEffects !== undefined);
+      realm.stop_effect_capture();
+      realm.restoreBindings(capturedEffects[2]);
+      realm.restoreProperties(capturedEffects[3]);
+    } else {
+      capturedEffects = undefined;
+    }
+
+    try {
+      if (!(result instanceof Completion) || result instanceof IntrospectionThrowCompletion) {
+        // Fold the captured effects into those of the iteration, so that they get rolled back with those.
+        if (capturedEffects !== undefined) realm.apply_effects(capturedEffects);
+      } else if (capturedEffects !== undefined) {
+        realm.apply_effects(joinExits(realm, exits, result, capturedEffects));
+        result = realm.intrinsics.undefined;
+      } else {
+        invariant(result instanceof AbruptCompletion);
+        recordExit(realm, exits, getExitValues(realm, exits, result));
+        result = realm.intrinsics.undefined;
+      }
+    } catch (e) {
+      if (!(e instanceof IntrospectionThrowCompletion)) throw e;
+      result = e;
+    }
+
+    // Bindings that did not have a value before the iteration got created by it.
+    let modifiedBindings = realm.modifiedBindings;
+    invariant(modifiedBindings !== undefined);
+    modifiedBindings.forEach((value, binding) => {
+      if (value === undefined) freshBindings.add(binding);
+    });
+    return result;
+  });
+  if (effects[0] instanceof IntrospectionThrowCompletion) {
+    // Like in a branch, the error object and whatever led to it become part of the state.
+    realm.apply_effects(effects);
+    throw effects[0];
+  }
+  return [effects, freshBindings];
+}
+
+// Returns the values of the bindings of exits after an iteration with the given completion.
+function getExitValues(realm: Realm, exits: LoopExits, c: AbruptCompletion): [Value, Value, Value] {
+  if (c instanceof JoinedAbruptCompletions) {
+    let joinCondition = c.joinCondition;
+    let join = (v1: Value, v2: Value) =>
+      v1 === v2 ? v1 : joinValues(realm, v1, v2, (x, y) => joinValuesAsConditional(realm, joinCondition, x, y));
+    let [exit1, returned1, returnValue1] = getExitValues(realm, exits, c.consequent);
+    let [exit2, returned2, returnValue2] = getExitValues(realm, exits, c.alternate);
+    return [join(exit1, exit2), join(returned1, returned2), join(returnValue1, returnValue2)];
+  }
+  let returned = exits.returned.value;
+  let returnValue = exits.returnValue.value;
+  invariant(returned !== undefined && returnValue !== undefined);
+  let targetsLoop = !c.target || (exits.labelSet != null && exits.labelSet.indexOf(c.target) >= 0);
+  if (c instanceof ContinueCompletion && targetsLoop) return [realm.intrinsics.false, returned, returnValue];
+  if (c instanceof BreakCompletion && targetsLoop) return [realm.intrinsics.true, returned, returnValue];
+  if (c instanceof ReturnCompletion) return [realm.intrinsics.true, realm.intrinsics.true, c.value];
+  throw realm.createErrorThrowCompletion(realm.intrinsics.__IntrospectionError,
+    "TODO: loop with abstract test whose body throws or jumps out of an enclosing statement");
+}
+
+function recordExit(realm: Realm, exits: LoopExits, values: [Value, Value, Value]) {
+  let envRec = realm.getRunningContext().lexicalEnvironment.environmentRecord;
+  [exits.exit, exits.returned, exits.returnValue].forEach((binding, i) => {
+    if (binding.value !== values[i]) realm.recordModifiedBinding(binding, envRec).value = values[i];
+  });
+}
+
+// Joins the effects of the paths of an iteration that complete abruptly with the effects e of the path
+// that completes normally, which is what joinEffectsAndRemoveNestedReturnCompletions does for function bodies.
+function joinExits(realm: Realm, exits: LoopExits, c: Completion | Value, e: Effects, nestedEffects?: Effects): Effects {
+  if (c instanceof Value) return e;
+  if (c instanceof PossiblyNormalCompletion) {
+    let e1 = joinExits(realm, exits, c.consequent, e, c.consequentEffects);
+    let e2 = joinExits(realm, exits, c.alternate, e, c.alternateEffects);
+    return joinEffects(realm, c.joinCondition, e1, e2);
+  }
+  invariant(c instanceof AbruptCompletion && nestedEffects !== undefined);
+  let [, generator, bindings, properties, createdObjects] = nestedEffects;
+  let values = getExitValues(realm, exits, c);
+  bindings = new Map(bindings);
+  [exits.exit, exits.returned, exits.returnValue].forEach((binding, i) => {
+    if (binding.value !== values[i]) bindings.set(binding, values[i]);
+  });
+  return [realm.intrinsics.empty, generator, bindings, properties, createdObjects];
+}
+
+const residualVariables: WeakSet<AbstractValue> = new WeakSet();
+
+// Creates the abstract value for a residual variable that can hold the given values.
+function createResidualVariable(realm: Realm, types: TypesDomain): AbstractValue {
+  let preludeGenerator = realm.preludeGenerator;
+  invariant(preludeGenerator);
+  let id = t.identifier(preludeGenerator.generateUid());
+  let result = realm.createAbstract(types, ValuesDomain.topVal, [], id);
+  result.intrinsicName = id.name;
+  residualVariables.add(result);
+  return result;
+}
+
+// Whether the value is computed from the residual variables of a loop.
+export function dependsOnLoopVariable(value: Value): boolean {
+  let result = false;
+  visitValue(value, v => {
+    if (v instanceof AbstractValue && residualVariables.has(v)) result = true;
+  });
+  return result;
+}
+
+// Widens the given binding or property, unless its widened value already can hold the new value.
+// Returns true if the widened state changed.
+function widen<K>(realm: Realm, widened: Map<K, AbstractValue>, key: K, initialValue: Value, newValue: Value): boolean {
+  let current = widened.get(key);
+  if (current === newValue) return false;
+  if (current === undefined && !(initialValue instanceof AbstractValue) && !(newValue instanceof AbstractValue) &&
+      StrictEqualityComparison(realm, initialValue.throwIfNotConcrete(), newValue.throwIfNotConcrete())) return false;
+  let types = TypesDomain.joinValues(current || initialValue, newValue);
+  if (current !== undefined && current.types.getType() === types.getType()) return false;
+  // A value that does not fit what it got widened to already gets widened to any value, which fits everything.
+  if (current !== undefined) types = TypesDomain.topVal;
+  widened.set(key, createResidualVariable(realm, types));
+  return true;
+}
+
+function widenBindings(bindings: Bindings, freshBindings: Set<Binding>,
+    widenedBindings: Map<Binding, AbstractValue>, realm: Realm): boolean {
+  let changed = false;
+  bindings.forEach((value, binding) => {
+    // Bindings created by an iteration belong to that iteration.
+    if (freshBindings.has(binding)) return;
+    let initialValue = binding.value;
+    invariant(value !== undefined && initialValue !== undefined);
+    changed = widen(realm, widenedBindings, binding, initialValue, value) || changed;
+  });
+  return changed;
+}
+
+function widenProperties(properties: PropertyBindings, createdObjects: CreatedObjects,
+    widenedProperties: Map<PropertyBinding, AbstractValue>, realm: Realm): boolean {
+  let changed = false;
+  properties.forEach((desc, propertyBinding) => {
+    // Objects created by an iteration belong to that iteration.
+    if (createdObjects.has(propertyBinding.object)) return;
+    let initialDesc = propertyBinding.descriptor;
+    if (desc === undefined || initialDesc === undefined || !IsDataDescriptor(realm, desc) || !IsDataDescriptor(realm, initialDesc) ||
+        desc.writable !== initialDesc.writable || desc.enumerable !== initialDesc.enumerable ||
+        desc.configurable !== initialDesc.configurable) {
+      throw realm.createErrorThrowCompletion(realm.intrinsics.__IntrospectionError,
+        "TODO: loop with abstract test that adds, deletes or redefines properties");
+    }
+    let value = desc.value;
+    let initialValue = initialDesc.value;
+    invariant(value instanceof Value && initialValue instanceof Value);
+    changed = widen(realm, widenedProperties, propertyBinding, initialValue, value) || changed;
+  });
+  return changed;
+}
+
+// Returns the assignments of new values to residual variables that the given effects call for.
+function getUpdates(effects: Effects, freshBindings: Set<Binding>,
+    widenedBindings: Map<Binding, AbstractValue>, widenedProperties: Map<PropertyBinding, AbstractValue>): Array<Update> {
+  let updates = [];
+  effects[2].forEach((value, binding) => {
+    let variable = widenedBindings.get(binding);
+    if (freshBindings.has(binding) || variable === undefined) return;
+    invariant(value !== undefined);
+    if (value !== variable) updates.push([variable, value]);
+  });
+  effects[3].forEach((desc, propertyBinding) => {
+    let variable = widenedProperties.get(propertyBinding);
+    if (variable === undefined) return;
+    invariant(desc !== undefined && desc.value instanceof Value);
+    if (desc.value !== variable) updates.push([variable, desc.value]);
+  });
+  return updates;
+}
+
+// Calls visit on the given value and on the values that it is computed from.
+function visitValue(value: Value, visit: Value => void, visited: Set<Value> = new Set()) {
+  if (visited.has(value)) return;
+  visited.add(value);
+  visit(value);
+  if (value instanceof AbstractValue) {
+    for (let arg of value.args) visitValue(arg, visit, visited);
+  }
+}
+
+function dependsOn(value: Value, variable: AbstractValue): boolean {
+  let result = false;
+  visitValue(value, v => {
+    if (v === variable) result = true;
+  });
+  return result;
+}
+
+// Emits the assignments of the given updates. All new values are computed from the old values of the
+// variables, so the new values that other updates depend on are computed into temporaries first.
+function emitUpdates(realm: Realm, generator: Generator, updates: Array<Update>) {
+  let delayed = [];
+  for (let [variable, value] of updates) {
+    if (updates.some(([otherVariable, otherValue]) => otherVariable !== variable && dependsOn(otherValue, variable))) {
+      let temporary = createResidualVariable(realm, new TypesDomain(value.getType()));
+      generator.emitVariableDeclaration(temporary, value);
+      delayed.push([variable, temporary]);
+    } else {
+      generator.emitVariableAssignment(variable, value);
+    }
+  }
+  for (let [variable, temporary] of delayed) generator.emitVariableAssignment(variable, temporary);
+}
+
+// Returns whether an iteration leaves the loop, or undefined if none does.
+function getExitValue(realm: Realm, analysis: LoopAnalysis): void | Value {
+  let exitValue = analysis.bodyEffects[2].get(analysis.exits.exit);
+  return exitValue === realm.intrinsics.false ? undefined : exitValue;
+}
+
+function emitLoop(realm: Realm, analysis: LoopAnalysis, loop: ResidualLoop) {
+  let { bodyEffects, bodyFreshBindings, testEffects, testFreshBindings, widenedBindings, widenedProperties,
+    knownDerivedIds } = analysis;
+  let generator = new Generator(realm);
+  let loopBody = new Generator(realm);
+  let bodyUpdates = getUpdates(bodyEffects, bodyFreshBindings, widenedBindings, widenedProperties);
+  let testUpdates = testEffects === undefined ? [] : getUpdates(testEffects, testFreshBindings, widenedBindings, widenedProperties);
+  let preludeGenerator = realm.preludeGenerator;
+  invariant(preludeGenerator);
+
+  // An iteration that leaves the loop still makes its updates, but then breaks out of the loop before the next test.
+  let exitValue = getExitValue(realm, analysis);
+  let exitVariable;
+  if (exitValue !== undefined) {
+    exitVariable = createResidualVariable(realm, new TypesDomain(BooleanValue));
+    generator.emitVariableDeclaration(exitVariable, realm.intrinsics.false);
+    bodyUpdates.push([exitVariable, exitValue]);
+  }
+
+  // Objects that an iteration creates get created anew by every residual iteration, so they must not outlive it.
+  let checkCreatedObjects = (createdObjects: CreatedObjects) => (value: Value) => {
+    if (value instanceof ObjectValue && createdObjects.has(value)) {
+      throw realm.createErrorThrowCompletion(realm.intrinsics.__IntrospectionError,
+        "TODO: loop with abstract test whose iterations create objects that outlive them");
+    }
+  };
+  let loopValues = [];
+  if (loop.kind === "while") {
+    invariant(testEffects !== undefined && testEffects[0] instanceof Value);
+    loopValues.push(testEffects[0]);
+  }
+  for (let [effects, updates] of [[bodyEffects, bodyUpdates], [testEffects, testUpdates]]) {
+    if (effects === undefined) continue;
+    let iterationValues = updates.map(([, value]) => value);
+    for (let entry of effects[1].body) iterationValues = iterationValues.concat(entry.args);
+    for (let value of iterationValues) visitValue(value, checkCreatedObjects(effects[4]));
+    loopValues = loopValues.concat(iterationValues);
+  }
+
+  // The values that do not change from one iteration to the next get serialized ahead of the loop.
+  // Otherwise the loop would create objects anew in every iteration, and declare variables that
+  // code after the loop might refer to.
+  let variables = new Set();
+  widenedBindings.forEach(variable => variables.add(variable));
+  widenedProperties.forEach(variable => variables.add(variable));
+  if (loop.kind === "for-in") variables.add(loop.key);
+  let derivedIds = preludeGenerator.derivedIds;
+  let variant = new Map();
+  let isVariant = (value: Value): boolean => {
+    if (!(value instanceof AbstractValue)) return false;
+    let result = variant.get(value);
+    if (result === undefined) {
+      if (value.hasIdentifier()) {
+        result = variables.has(value) || (derivedIds.has(value.getIdentifier()) && !knownDerivedIds.has(value.getIdentifier()));
+      } else {
+        result = value.args.some(isVariant);
+      }
+      variant.set(value, result);
+    }
+    return result;
+  };
+  let dependencies = [];
+  let collectDependencies = (value: Value) => {
+    if (value instanceof AbstractValue ? value.hasIdentifier() : !(value instanceof ObjectValue) || value.isIntrinsic()) {
+      // These get serialized as references anyway.
+    } else if (!isVariant(value)) {
+      if (dependencies.indexOf(value) < 0) dependencies.push(value);
+    } else {
+      invariant(value instanceof AbstractValue);
+      value.args.forEach(collectDependencies);
+    }
+  };
+  loopValues.forEach(collectDependencies);
+  // Objects whose properties the loop modifies get serialized with their initial values.
+  widenedProperties.forEach((variable, propertyBinding) => {
+    let object = propertyBinding.object;
+    if (!object.isIntrinsic() && dependencies.indexOf(object) < 0) dependencies.push(object);
+  });
+
+  widenedBindings.forEach((variable, binding) => {
+    invariant(binding.value !== undefined);
+    generator.emitVariableDeclaration(variable, binding.value);
+  });
+  widenedProperties.forEach((variable, propertyBinding) => {
+    let desc = propertyBinding.descriptor;
+    invariant(desc !== undefined && desc.value instanceof Value);
+    generator.emitVariableDeclaration(variable, desc.value);
+  });
+
+  loopBody.body = loopBody.body.concat(bodyEffects[1].body);
+  emitUpdates(realm, loopBody, bodyUpdates);
+  if (exitVariable !== undefined) loopBody.emitConditionalBreak(exitVariable);
+  if (loop.kind === "for-in") {
+    generator.emitForInLoop(loop.key, loop.object, loopBody, dependencies);
+    finishLoop(realm, generator, widenedBindings, widenedProperties);
+    return;
+  }
+
+  invariant(testEffects !== undefined);
+  let testValue = testEffects[0];
+  invariant(testValue instanceof Value);
+  let loopTest;
+  if (testEffects[1].empty() && testUpdates.length === 0) {
+    // The test has no effects, so it can be evaluated ahead of every iteration, including the first one.
+    loopTest = testValue;
+  } else {
+    // The test of the first residual iteration already got evaluated.
+    loopTest = createResidualVariable(realm, new TypesDomain(testValue.getType()));
+    generator.emitVariableDeclaration(loopTest, loop.entryTest);
+    loopBody.body = loopBody.body.concat(testEffects[1].body);
+    emitUpdates(realm, loopBody, testUpdates.concat([[loopTest, testValue]]));
+  }
+  generator.emitWhileLoop(loopTest, loopBody, dependencies);
+  finishLoop(realm, generator, widenedBindings, widenedProperties);
+}
+
+function finishLoop(realm: Realm, generator: Generator,
+    widenedBindings: Map<Binding, AbstractValue>, widenedProperties: Map<PropertyBinding, AbstractValue>) {
+  // Properties of intrinsic objects get updated by the residual iterations themselves,
+  // but the others get updated only now.
+  widenedProperties.forEach((variable, propertyBinding) => {
+    let object = propertyBinding.object;
+    if (!object.isIntrinsic()) generator.emitPropertyAssignment(object, propertyBinding.key, variable);
+  });
+
+  realm.apply_effects(getWidenedEffects(realm, generator, widenedBindings, widenedProperties));
+}
+
+// Returns the completion of a residual loop. If an iteration might have returned from the enclosing function,
+// the code after the loop only runs if none did.
+function completeLoop(realm: Realm, analysis: LoopAnalysis, V: Value): NormalCompletion | Value {
+  let returned = analysis.widenedBindings.get(analysis.exits.returned);
+  if (returned === undefined) return V;
+  let returnValue = analysis.exits.returnValue.value;
+  invariant(returnValue !== undefined);
+  let joinedEffects = joinEffects(realm, returned,
+    [new ReturnCompletion(returnValue), new Generator(realm), new Map(), new Map(), new Set()],
+    [V, new Generator(realm), new Map(), new Map(), new Set()]);
+  let completion = joinedEffects[0];
+  invariant(completion instanceof PossiblyNormalCompletion);
+  // Like after a branch that returns, the effects that follow get tracked separately until the flows join up.
+  realm.capture_effects();
+  realm.apply_effects(joinedEffects);
+  return completion;
+}
@@ -0,0 +1,69 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+/* @flow */
+
+import type { Compatibility, ModuleResolver, RealmOptions, SourceType } from "./types.js";
+import type { ErrorStackPolicy, SerializerOptions } from "./serializer/types.js";
+
+// All the options of the realm and the serializer, plus the ones about the input and output.
+export type PrepackOptions = {
+  compatibility?: Compatibility,
+  errorStackPolicy?: ErrorStackPolicy,
+  // the name of the input in stack traces and source maps
+  filename?: string,
+  handleRejectedPromises?: boolean,
+  havocGlobalObject?: boolean,
+  hotFunctions?: Array<string>,
+  initializeMoreModules?: boolean,
+  // the source map of the input, as a JSON string
+  inputSourceMap?: string,
+  internalDebug?: boolean,
+  lazyFunctionBodySize?: number,
+  locale?: string,
+  mathRandomSeed?: string,
+  moduleResolver?: ModuleResolver,
+  quiet?: boolean,
+  runZeroDelayTimers?: boolean,
+  sourceMaps?: boolean,
+  sourceType?: SourceType,
+  strictlyMonotonicDateNow?: boolean,
+  timeout?: number,
+  timeZone?: string,
+  trace?: boolean,
+};
+
+export function getRealmOptions({
+  compatibility,
+  havocGlobalObject,
+  locale,
+  mathRandomSeed,
+  moduleResolver,
+  strictlyMonotonicDateNow,
+  timeout,
+  timeZone,
+}: PrepackOptions): RealmOptions {
+  // the serializer only works on partial realms
+  return { partial: true, compatibility, havocGlobalObject, locale, mathRandomSeed, moduleResolver, strictlyMonotonicDateNow, timeout, timeZone };
+}
+
+export function getSerializerOptions({
+  errorStackPolicy,
+  handleRejectedPromises,
+  hotFunctions,
+  initializeMoreModules,
+  internalDebug,
+  lazyFunctionBodySize,
+  quiet,
+  runZeroDelayTimers,
+  sourceType,
+  trace,
+}: PrepackOptions): SerializerOptions {
+  return { errorStackPolicy, handleRejectedPromises, hotFunctions, initializeMoreModules, internalDebug, lazyFunctionBodySize, quiet, runZeroDelayTimers, sourceType, trace };
+}
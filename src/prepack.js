@@ -9,45 +9,132 @@
 
 /* @flow */
 import Serializer from "./serializer/index.js";
+import FileSystemModuleResolver from "./utils/module-resolver.js";
+import { getRealmOptions, getSerializerOptions } from "./options.js";
+import { DiagnosticCodes } from "./serializer/logger.js";
 import invariant from "./invariant.js";
+import type { PrepackOptions } from "./options.js";
+import type { SourceFile, SourceMap } from "./types.js";
+import type { Diagnostic, SerializerStatistics } from "./serializer/types.js";
 let fs        = require("fs");
 
-function run_internal(name: string, raw: string, map: string = "", compatibility?: "browser" | "jsc" = "browser", mathRandomSeed: void | string, outputFilename?: string, outputMap?: string, speculate: boolean = false, trace: boolean = false) {
-  let serialized = new Serializer({ partial: true, compatibility, mathRandomSeed }, { initializeMoreModules: speculate, internalDebug: true, trace }).init(name, raw, map, outputMap !== undefined);
+export { DiagnosticCodes };
+export type { Diagnostic } from "./serializer/types.js";
+
+export type PrepackResult = {
+  code: string,
+  // the source map of the generated code, if options.sourceMaps is set
+  map: void | SourceMap,
+  diagnostics: Array<Diagnostic>,
+  statistics: void | SerializerStatistics,
+};
+
+// Prepacks the given code. If that fails, this throws an Error with a diagnostics property that says why.
+// Like all prepack* functions, this only prints the diagnostics if options.quiet is false.
+export function prepackString(code: string, options: PrepackOptions = {}): PrepackResult {
+  let filename = options.filename || "unknown";
+  return prepackSources([{ filePath: filename, fileContents: code, sourceMapContents: options.inputSourceMap }], options);
+}
+
+// Prepacks the given sources, which get evaluated in order in the same realm, as if they were concatenated.
+// The source map of the result maps every residual statement back to its own input.
+export function prepackSources(sources: Array<SourceFile>, options: PrepackOptions = {}): PrepackResult {
+  let realmOptions = getRealmOptions(options);
+  if (realmOptions.moduleResolver === undefined) realmOptions.moduleResolver = new FileSystemModuleResolver();
+  let serializer = new Serializer(realmOptions, getSerializerOptions({ quiet: true, ...options }));
+  let serialized;
+  try {
+    serialized = serializer.initFromSources(sources, !!options.sourceMaps);
+  } catch (err) {
+    if (!serializer.realm.hasTimedOut()) throw err;
+    serializer.logger.logError(DiagnosticCodes.Timeout, `prepacking took longer than ${String(options.timeout)}ms`);
+  }
+  let diagnostics = serializer.logger.diagnostics;
   if (!serialized) {
+    let names = sources.map(source => source.filePath).join(", ");
+    let messages = diagnostics.filter(diagnostic => diagnostic.severity === "error").map(diagnostic => diagnostic.message);
+    let error: any = new Error(`Could not prepack ${names}:\n${messages.join("\n")}`);
+    error.diagnostics = diagnostics;
+    throw error;
+  }
+  return { code: serialized.code, map: serialized.map, diagnostics, statistics: serializer.statistics };
+}
+
+// Prepacks the given file. Unless options.inputSourceMap says otherwise, the source map of the file is
+// the one next to it, if there is one.
+export function prepackFile(filename: string, options: PrepackOptions = {}): PrepackResult {
+  let code = fs.readFileSync(filename, "utf8");
+  let inputSourceMap = options.inputSourceMap;
+  if (inputSourceMap === undefined) inputSourceMap = readSourceMap(filename);
+  return prepackString(code, { ...options, filename, inputSourceMap });
+}
+
+// Prepacks the given files in order, each with the source map next to it, if there is one.
+export function prepackFiles(filenames: Array<string>, options: PrepackOptions = {}): PrepackResult {
+  let sources = filenames.map(filename => ({
+    filePath: filename,
+    fileContents: fs.readFileSync(filename, "utf8"),
+    sourceMapContents: readSourceMap(filename),
+  }));
+  return prepackSources(sources, options);
+}
+
+function readSourceMap(filename: string): void | string {
+  return fs.existsSync(filename + ".map") ? fs.readFileSync(filename + ".map", "utf8") : undefined;
+}
+
+// Several inputs get evaluated in order, each with the source map next to it. An explicit inputMap is only
+// allowed with a single input. A source map of the output gets produced if and only if outMap is given.
+export function run(inFns: Array<string>, options: PrepackOptions, outFn?: string, inputMap?: string, outMap?: string, diagnosticsJson?: string) {
+  invariant(inFns.length > 0);
+  invariant(inputMap === undefined || inFns.length === 1);
+  let sources = inFns.map(inFn => {
+    let sourceMapContents;
+    let mapFile = inputMap ? inputMap : inFn + ".map";
+    try {
+      sourceMapContents = fs.readFileSync(mapFile, "utf8");
+    } catch (_e) {
+      console.log(`No sourcemap found at ${mapFile}.`);
+      sourceMapContents = "";
+    }
+    return { filePath: inFn, fileContents: fs.readFileSync(inFn, "utf8"), sourceMapContents };
+  });
+
+  let result;
+  try {
+    result = prepackSources(sources, { quiet: false, ...options, sourceMaps: outMap !== undefined });
+  } catch (err) {
+    // the diagnostics got printed already
+    if (err.diagnostics === undefined) console.error(err.stack);
+    else if (diagnosticsJson) fs.writeFileSync(diagnosticsJson, JSON.stringify(err.diagnostics, null, 2));
     process.exit(1);
-    invariant(false);
+    return;
+  }
+
+  if (diagnosticsJson) fs.writeFileSync(diagnosticsJson, JSON.stringify(result.diagnostics, null, 2));
+
+  let statistics = result.statistics;
+  if (statistics !== undefined && statistics.requireCallsReplaced > 0) {
+    console.log(`=== ${statistics.initializedModules} of ${statistics.requiredModules} modules initialized, ${statistics.requireCallsReplaced} of ${statistics.requireCalls} require calls inlined.`);
   }
-  let code = serialized.code;
 
-  if (code.length >= 1000 || outputFilename) {
-    let filename = outputFilename || (name + "-processed.js");
+  let code = result.code;
+  if (code.length >= 1000 || outFn) {
+    let filename = outFn || (inFns[inFns.length - 1] + "-processed.js");
     console.log(`Prepacked source code written to ${filename}.`);
-    if (compatibility === "jsc") {
+    if (options.compatibility === "jsc") {
       code = "var global = this;\n" + code;
     }
     fs.writeFileSync(filename, code);
   }
 
-  if (code.length <= 1000 && !outputFilename) {
+  if (code.length <= 1000 && !outFn) {
     console.log("+++++++++++++++++ Prepacked source code");
     console.log(code);
     console.log("=================");
   }
 
-  if (outputMap) {
-    fs.writeFileSync(outputMap, map);
-  }
-}
-
-export function run(inFn: string, compat?: "browser" | "jsc" = "browser", mathRandSeed: void | string, outFn?: string, inputMap?: string, outMap?: string, speculateOpt?: boolean, trace?: boolean) {
-  let input = fs.readFileSync(inFn, "utf8");
-  let map = "";
-  let mapFile = inputMap ? inputMap : inFn + ".map";
-  try {
-    map = fs.readFileSync(mapFile, "utf8");
-  } catch (_e) {
-    console.log(`No sourcemap found at ${mapFile}.`);
+  if (outMap) {
+    fs.writeFileSync(outMap, JSON.stringify(result.map));
   }
-  run_internal(inFn, input, map, compat, mathRandSeed, outFn, outMap, speculateOpt, trace);
 }
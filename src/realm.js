@@ -9,14 +9,14 @@
 
 /* @flow */
 
-import type { RealmOptions, Intrinsics, Compatibility, PropertyBinding, Descriptor } from "./types.js";
+import type { RealmOptions, Intrinsics, Compatibility, PropertyBinding, Descriptor, PendingJob, Timer, ModuleResolver, SourceTextModuleRecord } from "./types.js";
 import type { NativeFunctionValue, FunctionValue } from "./values/index.js";
-import { Value, ObjectValue, AbstractValue, AbstractObjectValue, StringValue } from "./values/index.js";
+import { Value, ObjectValue, AbstractValue, AbstractObjectValue, StringValue, SymbolValue } from "./values/index.js";
 import { TypesDomain, ValuesDomain } from "./domains/index.js";
 import { initialize as initializeIntrinsics } from "./intrinsics/index.js";
 import { LexicalEnvironment, Reference, GlobalEnvironmentRecord } from "./environment.js";
 import type { Binding } from "./environment.js";
-import { cloneDescriptor, GetValue, NewGlobalEnvironment, Construct, ThrowIfMightHaveBeenDeleted } from "./methods/index.js";
+import { cloneDescriptor, Call, GetValue, NewGlobalEnvironment, Construct, ThrowIfMightHaveBeenDeleted, ParseTimeZone, CanonicalizeLanguageTag } from "./methods/index.js";
 import type { NormalCompletion } from "./completions.js";
 import { Completion, IntrospectionThrowCompletion, ThrowCompletion, AbruptCompletion } from "./completions.js";
 import invariant from "./invariant.js";
@@ -52,6 +52,9 @@ export class ExecutionContext {
   lexicalEnvironment: LexicalEnvironment;
   isReadOnly: boolean;
   savedEffects: void | Effects;
+  isSuspended: boolean;
+  generator: void | ObjectValue;
+  codeEvaluationState: void | (resumptionValue: Value | AbruptCompletion) => Value;
 
   setCaller(context: ExecutionContext): void {
     this.caller = context;
@@ -84,11 +87,18 @@ export class ExecutionContext {
   }
 
   suspend(): void {
-    // TODO: suspend
+    this.isSuspended = true;
   }
 
-  resume(): void {
-    // TODO: resume
+  // A context that got suspended in the middle of evaluating code, such as a generator at a yield,
+  // continues that evaluation with resumptionValue as the result of the operation that suspended it.
+  resume(resumptionValue?: Value | AbruptCompletion): void | Value {
+    this.isSuspended = false;
+    let codeEvaluationState = this.codeEvaluationState;
+    if (codeEvaluationState === undefined) return undefined;
+    invariant(resumptionValue !== undefined);
+    this.codeEvaluationState = undefined;
+    return codeEvaluationState(resumptionValue);
   }
 }
 
@@ -104,6 +114,15 @@ export class Realm {
       this.mathRandomGenerator = seedrandom(opts.mathRandomSeed);
     }
     this.strictlyMonotonicDateNow = !!opts.strictlyMonotonicDateNow;
+    this.havocGlobalObject = !!opts.havocGlobalObject;
+    this.locale = opts.locale === undefined ? undefined : CanonicalizeLanguageTag(opts.locale);
+    if (opts.locale !== undefined && this.locale === undefined) {
+      throw new Error(`Unsupported locale: ${opts.locale}`);
+    }
+    this.timeZone = opts.timeZone;
+    if (this.timeZone !== undefined && ParseTimeZone(this.timeZone) === undefined) {
+      throw new Error(`Unsupported time zone: ${this.timeZone}`);
+    }
 
     this.timeout = opts.timeout;
     if (this.timeout) {
@@ -121,6 +140,7 @@ export class Realm {
     this.$GlobalObject = initializeGlobal(this);
     this.$GlobalEnv    = NewGlobalEnvironment(this, this.$GlobalObject, this.$GlobalObject);
     this.$TemplateMap  = [];
+    this.globalSymbolRegistry = [];
 
     if (this.isPartial) {
       this.preludeGenerator = new PreludeGenerator();
@@ -133,6 +153,16 @@ export class Realm {
 
     this.annotations = new Map();
     this.tracers = [];
+
+    this.jobQueues = new Map();
+    this.unhandledRejections = new Set();
+    this.pendingAwaits = new Map();
+    this.timers = new Map();
+    this.timerClock = 0;
+    this.partialEvaluationDepth = 0;
+
+    this.moduleResolver = opts.moduleResolver;
+    this.moduleRegistry = new Map();
   }
 
   start: number;
@@ -141,6 +171,12 @@ export class Realm {
   timeout: void | number;
   mathRandomGenerator: void | () => number;
   strictlyMonotonicDateNow: boolean;
+  // Whether calls to abstract or residual functions also havoc what is reachable from the global object.
+  havocGlobalObject: boolean;
+  // The locale and time zone that locale-sensitive operations use, instead of those of the runtime. Without a time
+  // zone, local dates and times are in the time zone of the host.
+  locale: void | string;
+  timeZone: void | string;
 
   modifiedBindings: void | Bindings;
   modifiedProperties: void | PropertyBindings;
@@ -157,6 +193,8 @@ export class Realm {
   compatibility: Compatibility;
 
   $TemplateMap: Array<{$Strings: Array<string>, $Array: ObjectValue}>;
+  // ECMA262 19.4.2.1, kept per realm as a realm is all a run of Prepack ever creates
+  globalSymbolRegistry: Array<{ $Key: string, $Symbol: SymbolValue }>;
 
   generator: void | Generator;
   preludeGenerator: void | PreludeGenerator;
@@ -167,6 +205,20 @@ export class Realm {
   annotations: Map<FunctionValue, string>;
   tracers: Array<Tracer>;
 
+  jobQueues: Map<string, Array<PendingJob>>;
+  unhandledRejections: Set<ObjectValue>;
+  // execution contexts of async functions that are suspended at an await, with the location of the await expression
+  pendingAwaits: Map<ExecutionContext, ?BabelNodeSourceLocation>;
+  // pending timers, in the order in which they were set, keyed by the handles that setTimeout and setInterval return
+  timers: Map<ObjectValue, Timer>;
+  // the simulated time in milliseconds since the realm got created, which advances as timers fire
+  timerClock: number;
+  partialEvaluationDepth: number;
+
+  moduleResolver: void | ModuleResolver;
+  // parsed modules, keyed by the canonical names the module resolver gives them
+  moduleRegistry: Map<string, SourceTextModuleRecord>;
+
   // Checks if there is a let binding at global scope with the given name
   // returning it if so
   getGlobalLetBinding(key: string): void | Value {
@@ -195,16 +247,19 @@ export class Realm {
   }
 
   testTimeout() {
-    let timeout = this.timeout;
-    if (timeout && !--this.timeoutCounter) {
+    if (this.timeout && !--this.timeoutCounter) {
       this.timeoutCounter = this.timeoutCounterThreshold;
-      let total = Date.now() - this.start;
-      if (total > timeout) {
+      if (this.hasTimedOut()) {
         throw new Error("Timed out");
       }
     }
   }
 
+  hasTimedOut(): boolean {
+    let timeout = this.timeout;
+    return !!timeout && Date.now() - this.start > timeout;
+  }
+
   getRunningContext(): ExecutionContext {
     let context = this.contextStack[this.contextStack.length - 1];
     invariant(context, "There's no running execution context");
@@ -220,6 +275,80 @@ export class Realm {
     invariant(c === context);
   }
 
+  getJobQueue(queueName: string): Array<PendingJob> {
+    let queue = this.jobQueues.get(queueName);
+    if (queue === undefined) this.jobQueues.set(queueName, queue = []);
+    return queue;
+  }
+
+  // Takes the next job off the first job queue that is not empty.
+  _dequeueJob(): void | PendingJob {
+    for (let queue of this.jobQueues.values()) {
+      if (queue.length > 0) return queue.shift();
+    }
+    return undefined;
+  }
+
+  // Runs pending jobs, including jobs that get enqueued while doing so, until all job queues are empty.
+  // Abrupt completions of jobs are passed to onError, which takes the place of HostReportErrors.
+  // Returns true if any job was run.
+  runJobs(onError: (AbruptCompletion) => void): boolean {
+    let anyJobs = false;
+    let pending = this._dequeueJob();
+    while (pending !== undefined) {
+      anyJobs = true;
+      let { $Job: job, $Arguments: args, $Realm: realm } = pending;
+      this._runTask(realm, pending.$ScriptOrModule, () => job(realm, ...args), onError);
+      pending = this._dequeueJob();
+    }
+    return anyJobs;
+  }
+
+  // Fires the timer that is due next, if that one was set with setTimeout, a function and a zero delay.
+  // Returns false if there is no such timer.
+  fireZeroDelayTimer(onError: (AbruptCompletion) => void): boolean {
+    let next;
+    // Of the timers that are due at the same time, the one that was set first fires first.
+    for (let entry of this.timers) {
+      if (next === undefined || entry[1].due < next[1].due) next = entry;
+    }
+    if (next === undefined) return false;
+    let [handle, timer] = next;
+    // The code of a string handler would have to be evaluated as a script of its own, so it is left to the residual program.
+    if (timer.repeat || timer.delay > 0 || timer.callback instanceof StringValue) return false;
+    this.timers.delete(handle);
+    this.timerClock = timer.due;
+    this._runTask(this, undefined, () => Call(this, timer.callback, this.$GlobalObject, timer.args), onError);
+    return true;
+  }
+
+  // Runs a task of the host, such as a job or a timer callback, in a new execution context.
+  _runTask(realm: Realm, scriptOrModule: any, task: () => mixed, onError: (AbruptCompletion) => void) {
+    let context = this.createExecutionContext();
+    context.setFunction(null);
+    context.setRealm(realm);
+    context.ScriptOrModule = scriptOrModule;
+    context.lexicalEnvironment = realm.$GlobalEnv;
+    context.variableEnvironment = realm.$GlobalEnv;
+    this.pushContext(context);
+    try {
+      try {
+        task();
+      } catch (e) {
+        if (e instanceof AbruptCompletion) onError(e);
+        else throw e;
+      }
+    } finally {
+      this.popContext(context);
+    }
+  }
+
+  // Returns true if the effects of the code that is currently being evaluated
+  // might still get discarded or joined with the effects of some other code.
+  isEvaluatingSpeculatively(): boolean {
+    return this.partialEvaluationDepth > 0 || this.contextStack.some(context => context.savedEffects !== undefined);
+  }
+
   // Evaluate the given ast in a sandbox and return the evaluation results
   // in the form a completion, a code generator, a map of changed variable
   // bindings and a map of changed property bindings.
@@ -239,6 +368,7 @@ export class Realm {
 
     let c;
     let result;
+    this.partialEvaluationDepth++;
     try {
       c = f();
       if (c instanceof Reference) c = GetValue(this, c);
@@ -256,6 +386,8 @@ export class Realm {
       result = [c, astGenerator, astBindings, astProperties, astCreatedObjects];
       return result;
     } finally {
+      this.partialEvaluationDepth--;
+
       // Roll back the state changes
       this.restoreBindings(this.modifiedBindings);
       this.restoreProperties(this.modifiedProperties);
@@ -10,17 +10,20 @@
 /* @flow */
 
 import { run } from "./prepack.js";
+import { ParseTimeZone } from "./methods/date.js";
+import { CanonicalizeLanguageTag } from "./methods/intl.js";
+import type { PrepackOptions } from "./options.js";
+let glob = require("glob");
+let fs = require("fs");
 
 let args = Array.from(process.argv);
 args.splice(0, 2);
-let inputFilename;
+let inputFilenames = [];
 let outputFilename;
-let compatibility;
-let mathRandomSeed;
 let inputMap;
 let ouputMap;
-let speculate = false;
-let trace = false;
+let diagnosticsJson;
+let options: PrepackOptions = { internalDebug: true };
 while (args.length) {
   let arg = args[0]; args.shift();
   if (arg === "--out") {
@@ -32,30 +35,82 @@ while (args.length) {
       console.error(`Unsupported compatibility: ${arg}`);
       process.exit(1);
     } else {
-      compatibility = arg;
+      options.compatibility = arg;
     }
   } else if (arg === "--mathRandomSeed") {
-    mathRandomSeed = args[0]; args.shift();
+    options.mathRandomSeed = args[0]; args.shift();
   } else if (arg === "--srcmapIn") {
     inputMap = args[0]; args.shift();
   } else if (arg === "--srcmapOut") {
     ouputMap = args[0]; args.shift();
+  } else if (arg === "--diagnosticsJson") {
+    diagnosticsJson = args[0]; args.shift();
+  } else if (arg === "--lazyFunctionBodySize") {
+    arg = args[0]; args.shift();
+    let lazyFunctionBodySize = parseInt(arg, 10);
+    if (!(lazyFunctionBodySize >= 0)) {
+      console.error(`Unsupported lazy function body size: ${arg}`);
+      process.exit(1);
+    }
+    options.lazyFunctionBodySize = lazyFunctionBodySize;
+  } else if (arg === "--hotFunctions") {
+    // a profile that lists the hot functions by the location of their bodies, as "file:line", one per line
+    arg = args[0]; args.shift();
+    options.hotFunctions = fs.readFileSync(arg, "utf8").split("\n").map(line => line.trim()).filter(line => line.length > 0);
+  } else if (arg === "--locale") {
+    arg = args[0]; args.shift();
+    // a language tag that the residual code passes to Intl, instead of the default locale of the runtime
+    let locale = CanonicalizeLanguageTag(arg);
+    if (locale === undefined) {
+      console.error(`Unsupported locale: ${arg}`);
+      process.exit(1);
+    }
+    options.locale = locale;
+  } else if (arg === "--timeZone") {
+    arg = args[0]; args.shift();
+    // a fixed offset such as +05:30, or an IANA time zone name whose offsets the Intl implementation of this build of Node can tell
+    if (ParseTimeZone(arg) === undefined) {
+      console.error(`Unsupported time zone: ${arg}`);
+      process.exit(1);
+    }
+    options.timeZone = arg;
   } else if (arg === "--speculate") {
-    speculate = true;
+    options.initializeMoreModules = true;
   } else if (arg === "--trace") {
-    trace = true;
+    options.trace = true;
+  } else if (arg === "--sourceType") {
+    arg = args[0]; args.shift();
+    if (arg !== "module" && arg !== "script") {
+      console.error(`Unsupported source type: ${arg}`);
+      process.exit(1);
+    } else {
+      options.sourceType = arg;
+    }
   } else if (arg === "--help") {
-    console.log("Usage: prepack.js [ --out output.js ] [ --compatibility jsc ] [ --mathRandomSeed seedvalue ] [ --srcmapIn inputMap ] [ --srcmapOut outputMap ] [ --speculate ] [ --trace ] [ -- | input.js ]");
+    console.log("Usage: prepack.js [ --out output.js ] [ --compatibility jsc ] [ --mathRandomSeed seedvalue ] [ --srcmapIn inputMap ] [ --srcmapOut outputMap ] [ --diagnosticsJson diagnostics.json ] [ --lazyFunctionBodySize size ] [ --hotFunctions profile.txt ] [ --locale en-US ] [ --timeZone UTC ] [ --speculate ] [ --trace ] [ --sourceType module ] [ -- | input.js ... ]");
   } else if (!arg.startsWith("--")) {
-    inputFilename = arg;
+    // inputs are evaluated in the given order; the files a glob matches are sorted by name
+    if (glob.hasMagic(arg)) {
+      let matches = glob.sync(arg, { nodir: true });
+      if (matches.length === 0) {
+        console.error(`No files match ${arg}.`);
+        process.exit(1);
+      }
+      inputFilenames.push(...matches);
+    } else {
+      inputFilenames.push(arg);
+    }
   } else {
     console.error(`Unknown option: ${arg}`);
     process.exit(1);
   }
 }
-if (!inputFilename) {
+if (inputFilenames.length === 0) {
   console.error("Missing input file.");
   process.exit(1);
+} else if (inputMap !== undefined && inputFilenames.length > 1) {
+  console.error("--srcmapIn needs a single input file; with several, each one's source map must be next to it.");
+  process.exit(1);
 } else {
-  run(inputFilename, compatibility, mathRandomSeed, outputFilename, inputMap, ouputMap, speculate, trace);
+  run(inputFilenames, options, outputFilename, inputMap, ouputMap, diagnosticsJson);
 }
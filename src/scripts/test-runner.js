@@ -11,11 +11,17 @@
 
 import Serializer from "../serializer/index.js";
 import { IsIntrospectionError } from  "../methods/index.js";
+import FileSystemModuleResolver from "../utils/module-resolver.js";
+import invariant from "../invariant.js";
+import { parse } from "babylon";
+import * as t from "babel-types";
 
 let chalk = require("chalk");
 let path  = require("path");
 let fs    = require("fs");
 let vm    = require("vm");
+let os    = require("os");
+let babel = require("babel-core");
 
 function search(dir, relative) {
   let tests = [];
@@ -25,9 +31,12 @@ function search(dir, relative) {
     let stat = fs.statSync(loc);
 
     if (stat.isFile()) {
+      // A module test is a directory of modules, whose entry point is main.mjs.
+      if (name.endsWith(".mjs") && name !== "main.mjs") continue;
       tests.push({
         file: fs.readFileSync(loc, "utf8"),
-        name: path.join(relative, name)
+        name: path.join(relative, name),
+        path: loc
       });
     } else if (stat.isDirectory()) {
       tests = tests.concat(search(loc, path.join(relative, name)));
@@ -39,17 +48,27 @@ function search(dir, relative) {
 
 let tests = search(`${__dirname}/../../test/serializer`, "test/serializer");
 
-function exec(code: string): string {
+// The context shares the job queue of the host, which is empty by the time the host gets to its next macrotask.
+// Only timers with no delay can run before that.
+function drainJobQueue(): Promise<void> {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+function exec(code: string): Promise<string> {
   let script = new vm.Script(`var global = this; var self = this; ${code}; // keep newline here as code may end with comment
-report(inspect());`, { cachedDataProduced: false });
+`, { cachedDataProduced: false });
 
-  let result = "";
+  let result;
+  let reported = false;
   let logOutput = "";
-  script.runInNewContext({
+  let context = vm.createContext({
     setTimeout: setTimeout,
     setInterval: setInterval,
+    clearTimeout: clearTimeout,
+    clearInterval: clearInterval,
     report: function(s) {
       result = s;
+      reported = true;
     },
     console: {
       log(...s) {
@@ -57,17 +76,140 @@ report(inspect());`, { cachedDataProduced: false });
       }
     }
   });
-  return result + logOutput;
+  script.runInContext(context);
+  // Prepack runs the promise jobs enqueued by the script before serializing, so they have to run before inspect gets called.
+  return drainJobQueue().then(() => {
+    new vm.Script("report(inspect());", { cachedDataProduced: false }).runInContext(context);
+    // If inspect returns a promise, what gets reported is its result.
+    if (result !== null && (typeof result === "object" || typeof result === "function") && typeof result.then === "function") {
+      let promise = result;
+      reported = false;
+      promise.then(r => {
+        result = r;
+        reported = true;
+      }, e => {
+        result = e;
+        reported = true;
+      });
+      return drainJobQueue();
+    }
+  }).then(() => {
+    // Rather than comparing empty outputs, a test whose result never arrives fails.
+    if (!reported) throw new Error("The promise returned by inspect() did not settle");
+    return result + logOutput;
+  });
+}
+
+// Reports the names and types of the exports of the namespace ns, followed by the result of its inspect export if it has one.
+const moduleHarness = `(function (ns, report) {
+  var keys = Object.keys(ns).sort().map(function (k) { return k + ":" + typeof ns[k]; }).join();
+  Promise.resolve(typeof ns.inspect === "function" ? ns.inspect() : "").then(function (r) { report(keys + "\\n" + r); }, function (e) { report(keys + "\\n" + e); });
+})`;
+
+// Loads the main module of a table of modules that are compiled to CommonJS. A module that imports another one gets
+// its namespace, which the loader builds around its exports object: the compiled code only has the latter.
+const moduleLoader = `(function (modules, main) {
+  var namespaces = {};
+  function load(id) {
+    if (Object.prototype.hasOwnProperty.call(namespaces, id)) return namespaces[id];
+    var module = modules[id];
+    var exports = {};
+    var isExport = function (key) { return typeof key === "string" && module.names.indexOf(key) >= 0; };
+    var target = Object.create(null);
+    module.names.forEach(function (name) { Object.defineProperty(target, name, { value: undefined, writable: true, enumerable: true }); });
+    Object.defineProperty(target, Symbol.toStringTag, { value: "Module" });
+    Object.preventExtensions(target);
+    namespaces[id] = new Proxy(target, {
+      get: function (t, key) {
+        if (isExport(key)) return exports[key];
+        // the compiled importers only take an object with this flag for a namespace
+        if (key === "__esModule") return true;
+        return t[key];
+      },
+      getOwnPropertyDescriptor: function (t, key) {
+        var desc = Reflect.getOwnPropertyDescriptor(t, key);
+        if (desc !== undefined && isExport(key)) desc.value = exports[key];
+        return desc;
+      },
+      set: function () { return false; },
+      defineProperty: function (t, key, desc) {
+        if (!isExport(key)) return typeof key === "symbol" && Reflect.defineProperty(t, key, desc);
+        return desc.configurable !== true && desc.enumerable !== false && desc.writable !== false && !("get" in desc) &&
+          !("set" in desc) && (!("value" in desc) || Object.is(desc.value, exports[key]));
+      },
+      deleteProperty: function (t, key) { return typeof key === "symbol" ? Reflect.deleteProperty(t, key) : !isExport(key); },
+    });
+    module.factory.call(undefined, exports, function (source) { return load(module.dependencies[source]); });
+    return namespaces[id];
+  }
+  return load(main);
+})`;
+
+// Compiles the graph of modules with the given main module to CommonJS, and runs it with the loader. The original
+// modules and the residual module run the same way, so the test does not depend on the host supporting ES modules.
+function execModule(filename: string): Promise<string> {
+  let compiled = new Map();
+  let compile = file => {
+    if (compiled.has(file)) return;
+    let code = fs.readFileSync(file, "utf8");
+    // The exports that babel reports for a module also list the parameters of exported functions.
+    let exports: Array<{ name?: string, starFrom?: string }> = [];
+    let dependencies = {};
+    for (let node of (parse(code, { sourceType: "module" }).program.body: Array<any>)) {
+      if (node.type === "ExportDefaultDeclaration") exports.push({ name: "default" });
+      if (node.type === "ExportAllDeclaration") exports.push({ starFrom: node.source.value });
+      if (node.type === "ExportNamedDeclaration") {
+        if (node.declaration) for (let name in t.getBindingIdentifiers(node.declaration, false, true)) exports.push({ name });
+        for (let specifier of node.specifiers) exports.push({ name: specifier.exported.name });
+      }
+      if (node.source) dependencies[node.source.value] = path.relative(path.dirname(filename), path.resolve(path.dirname(file), node.source.value));
+    }
+    let result = babel.transform(code, { babelrc: false, plugins: ["transform-es2015-modules-commonjs"] });
+    compiled.set(file, { code: result.code, exports, dependencies });
+    for (let source in dependencies) compile(path.resolve(path.dirname(file), source));
+  };
+  compile(filename);
+
+  // ECMA262 15.2.1.16.2
+  let exportNames = (file, seen) => {
+    let names = [];
+    if (seen.has(file)) return names;
+    seen.add(file);
+    let compiledModule = compiled.get(file);
+    invariant(compiledModule !== undefined);
+    for (let { name, starFrom } of compiledModule.exports) {
+      if (name !== undefined) names.push(name);
+      else if (starFrom !== undefined) {
+        let starNames = exportNames(path.resolve(path.dirname(file), starFrom), seen);
+        names.push(...starNames.filter(starName => starName !== "default"));
+      }
+    }
+    return names;
+  };
+
+  let table = Array.from(compiled, ([file, compiledModule]) => {
+    let names = Array.from(new Set(exportNames(file, new Set()))).sort();
+    return `${JSON.stringify(path.relative(path.dirname(filename), file))}: { names: ${JSON.stringify(names)}, ` +
+      `dependencies: ${JSON.stringify(compiledModule.dependencies)}, factory: function (exports, require) {${compiledModule.code} // keep newline here as code may end with comment
+} }`;
+  });
+  return exec(`var ns = ${moduleLoader}({ ${table.join(", ")} }, ${JSON.stringify(path.basename(filename))});
+function inspect() { return new Promise(function (resolve) { ${moduleHarness}(ns, resolve); }); }`);
 }
 
 class Success {}
 
-function runTest(name: string, code: string): boolean {
+function runTest(name: string, code: string, filename: string): boolean | Promise<boolean> {
   console.log(chalk.inverse(name));
   let compatibility = code.includes("// jsc") ? "jsc" : undefined;
-  let realmOptions = { partial: true, compatibility };
+  let isModule = name.endsWith(".mjs");
+  let havocGlobalObject = code.includes("// havoc global object");
+  let realmOptions = { partial: true, compatibility, moduleResolver: isModule ? new FileSystemModuleResolver() : undefined, havocGlobalObject };
   let initializeMoreModules = code.includes("// initialize more modules");
-  let serializerOptions = { initializeMoreModules, internalDebug: true };
+  let runZeroDelayTimers = code.includes("// run zero delay timers");
+  let sourceType = isModule ? "module" : "script";
+  let lazyFunctionBodySize = code.includes("// lazy function bodies") ? 0 : undefined;
+  let serializerOptions = { initializeMoreModules, runZeroDelayTimers, sourceType, lazyFunctionBodySize, internalDebug: true };
   if (code.includes("// throws introspection error")) {
     let onError = (realm, e) => {
       if (IsIntrospectionError(realm, e))
@@ -116,75 +258,109 @@ function runTest(name: string, code: string): boolean {
       to_find = code.substring(start_pos + marker.length, code.indexOf("\n", start_pos));
       find_pos = start_pos + marker.length + to_find.length;
     }
-    try {
-      expected = exec(`(function () {${code} // keep newline here as code may end with comment
-}).call(this);`);
-
-      let i = 0;
-      let max = 4;
-      let oldCode = code;
-      for (; i < max; i++) {
-        let serialized = new Serializer(realmOptions, serializerOptions).init(name, oldCode);
-        if (!serialized) {
-          console.log(chalk.red("Error during serialization!"));
-          break;
-        }
-        let newCode = serialized.code;
-        codeIterations.push(newCode);
-        if (find_pos !== -1 && newCode.indexOf(to_find, find_pos) !== -1) {
-          console.log(chalk.red("Output contains forbidden string: " + to_find));
-          break;
-        }
-        actual = exec(newCode);
+    // The residual code of a module test is a module itself, which gets prepacked again from a file.
+    let residualDir = isModule ? fs.mkdtempSync(path.join(os.tmpdir(), "prepack-")) : undefined;
+    let residualFilename = residualDir !== undefined ? path.join(residualDir, "main.mjs") : "";
+    let max = 4;
+    let iterate = (i: number, oldCode: string, oldFilename: string): boolean | Promise<boolean> => {
+      if (i === max) {
+        console.log(chalk.red(`Code generation did not reach fixed point after ${max} iterations!`));
+        return false;
+      }
+      let serialized = new Serializer(realmOptions, serializerOptions).init(oldFilename, oldCode);
+      if (!serialized) {
+        console.log(chalk.red("Error during serialization!"));
+        return false;
+      }
+      let newCode = serialized.code;
+      codeIterations.push(newCode);
+      if (find_pos !== -1 && newCode.indexOf(to_find, find_pos) !== -1) {
+        console.log(chalk.red("Output contains forbidden string: " + to_find));
+        return false;
+      }
+      let newFilename = oldFilename;
+      let output;
+      if (residualDir !== undefined) {
+        fs.writeFileSync(residualFilename, newCode);
+        newFilename = residualFilename;
+        output = execModule(residualFilename);
+      } else {
+        output = exec(newCode);
+      }
+      return Promise.resolve(output).then(o => {
+        actual = o;
         if (expected !== actual) {
           console.log(chalk.red("Output mismatch!"));
-          break;
+          return false;
         }
         if (oldCode === newCode) {
           // The generated code reached a fixed point!
           return true;
         }
-        oldCode = newCode;
+        return iterate(i + 1, newCode, newFilename);
+      });
+    };
+    return Promise.resolve().then(() =>
+      isModule ? execModule(filename) : exec(`(function () {${code} // keep newline here as code may end with comment
+}).call(this);`)
+    ).then(o => {
+      expected = o;
+      return iterate(0, code, isModule ? filename : name);
+    }).catch(err => {
+      console.log(err);
+      return false;
+    }).then(passed => {
+      if (residualDir !== undefined) {
+        if (fs.existsSync(residualFilename)) fs.unlinkSync(residualFilename);
+        fs.rmdirSync(residualDir);
       }
-      if (i === max) {
-        console.log(chalk.red(`Code generation did not reach fixed point after ${max} iterations!`));
+      if (passed) return true;
+      console.log(chalk.underline("original code"));
+      console.log(code);
+      console.log(chalk.underline("output of inspect() on original code"));
+      console.log(expected);
+      for (let i = 0; i < codeIterations.length; i++) {
+        console.log(chalk.underline(`generated code in iteration ${i}`));
+        console.log(codeIterations[i]);
       }
-    } catch (err) {
-      console.log(err);
-    }
-    console.log(chalk.underline("original code"));
-    console.log(code);
-    console.log(chalk.underline("output of inspect() on original code"));
-    console.log(expected);
-    for (let i = 0; i < codeIterations.length; i++) {
-      console.log(chalk.underline(`generated code in iteration ${i}`));
-      console.log(codeIterations[i]);
-    }
-    console.log(chalk.underline("output of inspect() on last generated code iteration"));
-    console.log(actual);
-    return false;
+      console.log(chalk.underline("output of inspect() on last generated code iteration"));
+      console.log(actual);
+      return false;
+    });
   }
 }
-function run() {
+
+function run(): Promise<boolean> {
   let failed = 0;
   let passed = 0;
   let total  = 0;
 
-  for (let test of tests) {
+  // Tests run one after the other, as each one waits for the promise jobs of its code.
+  let next = (index: number): Promise<boolean> => {
+    if (index === tests.length) {
+      console.log("Passed:", `${passed}/${total}`, (Math.round((passed / total) * 100) || 0) + "%");
+      return Promise.resolve(failed === 0);
+    }
+    let test = tests[index];
     // filter hidden files
-    if (path.basename(test.name)[0] === ".") continue;
-    if (test.name.endsWith("~")) continue;
+    if (path.basename(test.name)[0] === "." || test.name.endsWith("~")) return next(index + 1);
 
     total++;
-    if (runTest(test.name, test.file))
-      passed++;
-    else
-      failed++;
-  }
-
-  console.log("Passed:", `${passed}/${total}`, (Math.round((passed / total) * 100) || 0) + "%");
-  return failed === 0;
+    return Promise.resolve(runTest(test.name, test.file, test.path)).then(ok => {
+      if (ok)
+        passed++;
+      else
+        failed++;
+      return next(index + 1);
+    });
+  };
+  return next(0);
 }
 
-if (!run())
+run().then(ok => {
+  if (!ok)
+    process.exit(1);
+}, err => {
+  console.log(err);
   process.exit(1);
+});
@@ -0,0 +1,360 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+/* @flow */
+
+import * as t from "babel-types";
+import type { BabelNode, BabelNodeExpression, BabelNodeIdentifier, BabelNodeLVal, BabelNodeObjectExpression, BabelNodeStatement } from "babel-types";
+import generate from "babel-generator";
+import invariant from "../invariant.js";
+const zlib = require("zlib");
+
+// Where an expression sits in the residual program, so that it can be replaced.
+type Location = {
+  node: BabelNode,
+  parent: any,
+  key: string,
+  index: void | number,
+  // the object and array literals that enclose the expression, outermost first
+  ancestors: Array<BabelNode>,
+};
+
+// One way of compressing a cluster of objects with the same shape.
+type Candidate = {
+  declarations: Array<BabelNodeStatement>,
+  // the ids of the declared functions, which only get their names when the candidate is chosen
+  ids: Array<BabelNodeIdentifier>,
+  replacements: Array<[Location, BabelNodeExpression]>,
+  byteSavings: number,
+  gzipSavings: number,
+};
+
+// The name of a plain data property of an object literal, or undefined if the property is anything else.
+function getPropertyName(prop: any): void | string {
+  if (prop.type !== "ObjectProperty" || prop.computed) return undefined;
+  let key = prop.key;
+  let name;
+  if (key.type === "Identifier") name = key.name;
+  else if (key.type === "StringLiteral") name = key.value;
+  else if (key.type === "NumericLiteral") name = String(key.value);
+  else return undefined;
+  // a __proto__ property sets the prototype rather than defining a property
+  return name === "__proto__" ? undefined : name;
+}
+
+// Anonymous functions take their name from the property they get assigned to, so they must stay in place.
+function isAnonymousFunction(node: any): boolean {
+  if (node.type === "ArrowFunctionExpression") return true;
+  return (node.type === "FunctionExpression" || node.type === "ClassExpression") && !node.id;
+}
+
+function isSameLiteral(left: BabelNode, right: BabelNode): boolean {
+  if (left.type !== right.type) return false;
+  if (left.type === "NullLiteral") return true;
+  if (left.type === "BooleanLiteral" || left.type === "StringLiteral" || left.type === "NumericLiteral") {
+    return (left: any).value === (right: any).value;
+  }
+  return false;
+}
+
+function getParameterName(i: number): string {
+  return i < 26 ? String.fromCharCode(97 + i) : "_" + i;
+}
+
+function replace(location: Location, expression: BabelNodeExpression) {
+  let { parent, key, index } = location;
+  if (index === undefined) parent[key] = expression;
+  else parent[key][index] = expression;
+}
+
+function measure(nodes: Array<BabelNode>): { bytes: number, gzip: number } {
+  let code = nodes.map(node => generate(node, { compact: true }).code).join("\n");
+  return { bytes: code.length, gzip: zlib.gzipSync(code).length };
+}
+
+// Compresses the object literals of the residual program by their shapes, that is, by the names of their
+// properties, in order, and by the shapes of the object literals nested in them. Each cluster of objects with the
+// same shape gets built by a factory function, or, where the objects are all the elements of an array literal,
+// from a table of tuples. A cluster only gets compressed in the way that saves the most gzipped bytes, and only if
+// that saves plain bytes too.
+// Only object literals with nothing but plain data properties get compressed, and the factories define exactly the
+// same properties in the same order, so that property order and attributes are preserved. Function bodies are
+// left alone.
+export function factorifyObjects(body: Array<BabelNodeStatement>, generateUid: () => string) {
+  new ShapeCompressor(body, generateUid).compress();
+}
+
+class ShapeCompressor {
+  constructor(body: Array<BabelNodeStatement>, generateUid: () => string) {
+    this.body = body;
+    this.generateUid = generateUid;
+    this.factoryNames = new Set();
+  }
+
+  body: Array<BabelNodeStatement>;
+  generateUid: () => string;
+  // the functions declared so far, whose calls have no side effects beyond evaluating their arguments
+  factoryNames: Set<string>;
+  signatures: Map<BabelNodeObjectExpression, void | string>;
+  arrays: Map<BabelNode, Location>;
+
+  compress() {
+    // Replacing an object changes the shapes of the objects that enclose it, so this goes in rounds,
+    // each of which compresses clusters that do not overlap.
+    while (true) {
+      this.signatures = new Map();
+      this.arrays = new Map();
+      let clusters: Map<string, Array<Location>> = new Map();
+      for (let i = 0; i < this.body.length; i++) this.collect(this.body[i], this, "body", i, [], clusters);
+
+      let candidates = [];
+      for (let instances of clusters.values()) {
+        if (instances.length < 2) continue;
+        let candidate = this.getBestCandidate(instances);
+        if (candidate !== undefined) candidates.push(candidate);
+      }
+      if (candidates.length === 0) return;
+      let order = new Map(candidates.map((candidate, i) => [candidate, i]));
+      candidates.sort((x, y) => (y.gzipSavings - x.gzipSavings) || (y.byteSavings - x.byteSavings) ||
+        ((order.get(x) || 0) - (order.get(y) || 0)));
+
+      let touched = new Set();
+      let rebuilt = new Set();
+      let declarations = [];
+      for (let candidate of candidates) {
+        if (candidate.replacements.some(([location]) =>
+          touched.has(location.node) || location.ancestors.some(ancestor => rebuilt.has(ancestor)))) continue;
+        for (let [location, expression] of candidate.replacements) {
+          for (let ancestor of location.ancestors) touched.add(ancestor);
+          this.markRebuilt(location.node, touched, rebuilt);
+          replace(location, expression);
+        }
+        for (let id of candidate.ids) {
+          id.name = this.generateUid();
+          this.factoryNames.add(id.name);
+        }
+        declarations = declarations.concat(candidate.declarations);
+      }
+      invariant(declarations.length > 0);
+      this.body.unshift(...declarations);
+    }
+  }
+
+  collect(node: any, parent: any, key: string, index: void | number, ancestors: Array<BabelNode>,
+      clusters: Map<string, Array<Location>>) {
+    if (node === null || typeof node !== "object" || typeof node.type !== "string") return;
+    if (t.isFunction(node) || t.isClass(node)) return;
+    let location = { node, parent, key, index, ancestors };
+    let childAncestors = ancestors;
+    if (node.type === "ObjectExpression") {
+      let signature = this.getSignature(node);
+      if (signature !== undefined) {
+        let instances = clusters.get(signature);
+        if (instances === undefined) clusters.set(signature, instances = []);
+        instances.push(location);
+      }
+      childAncestors = ancestors.concat([node]);
+    } else if (node.type === "ArrayExpression") {
+      this.arrays.set(node, location);
+      childAncestors = ancestors.concat([node]);
+    }
+
+    let visitorKeys: any = t.VISITOR_KEYS[node.type];
+    if (!visitorKeys) return;
+    for (let visitorKey of visitorKeys) {
+      let child = node[visitorKey];
+      if (Array.isArray(child)) {
+        for (let i = 0; i < child.length; i++) this.collect(child[i], node, visitorKey, i, childAncestors, clusters);
+      } else {
+        this.collect(child, node, visitorKey, undefined, childAncestors, clusters);
+      }
+    }
+  }
+
+  // The shape of an object literal, or undefined if it has anything but plain data properties.
+  getSignature(obj: BabelNodeObjectExpression): void | string {
+    if (this.signatures.has(obj)) return this.signatures.get(obj);
+    let signature;
+    if (obj.properties.length > 0) {
+      let parts = [];
+      for (let prop of obj.properties) {
+        let name = getPropertyName(prop);
+        if (name === undefined || isAnonymousFunction((prop: any).value)) {
+          parts = undefined;
+          break;
+        }
+        let nested = this.getNestedObject(prop);
+        parts.push(JSON.stringify(name) + (nested === undefined ? "" : "{" + (this.getSignature(nested) || "") + "}"));
+      }
+      if (parts !== undefined) signature = parts.join(",");
+    }
+    this.signatures.set(obj, signature);
+    return signature;
+  }
+
+  // The value of the property, if it is an object literal that is part of the shape of the enclosing one.
+  getNestedObject(prop: any): void | BabelNodeObjectExpression {
+    let value = prop.value;
+    if (value.type !== "ObjectExpression" || this.getSignature(value) === undefined) return undefined;
+    return value;
+  }
+
+  // The values of the object literal that are not part of its shape, in evaluation order.
+  getLeaves(obj: BabelNodeObjectExpression, leaves: Array<BabelNodeExpression> = []): Array<BabelNodeExpression> {
+    for (let prop of obj.properties) {
+      let nested = this.getNestedObject(prop);
+      if (nested !== undefined) this.getLeaves(nested, leaves);
+      else leaves.push((prop: any).value);
+    }
+    return leaves;
+  }
+
+  // A literal with the same shape as obj, whose leaves come from getLeaf.
+  buildTemplate(obj: BabelNodeObjectExpression, getLeaf: number => BabelNodeExpression,
+      counter: { index: number } = { index: 0 }): BabelNodeObjectExpression {
+    let props = [];
+    for (let prop of obj.properties) {
+      let key = (prop: any).key;
+      let keyNode = key.type === "Identifier" ? t.identifier(key.name) :
+        key.type === "StringLiteral" ? t.stringLiteral(key.value) : t.numericLiteral(key.value);
+      let nested = this.getNestedObject(prop);
+      let value = nested !== undefined ? this.buildTemplate(nested, getLeaf, counter) : getLeaf(counter.index++);
+      props.push(t.objectProperty(keyNode, value));
+    }
+    return t.objectExpression(props);
+  }
+
+  markRebuilt(node: any, touched: Set<BabelNode>, rebuilt: Set<BabelNode>) {
+    touched.add(node);
+    rebuilt.add(node);
+    if (node.type === "ArrayExpression") {
+      for (let element of node.elements) if (element) this.markRebuilt(element, touched, rebuilt);
+    } else if (node.type === "ObjectExpression") {
+      for (let prop of node.properties) {
+        let nested = this.getNestedObject(prop);
+        if (nested !== undefined) this.markRebuilt(nested, touched, rebuilt);
+      }
+    }
+  }
+
+  // Whether evaluating the expression has no side effects, so that it can be evaluated before the objects that
+  // precede it in an array literal get created.
+  isPure(node: any): boolean {
+    switch (node.type) {
+      case "NullLiteral":
+      case "BooleanLiteral":
+      case "StringLiteral":
+      case "NumericLiteral":
+      case "RegExpLiteral":
+      case "Identifier":
+      case "FunctionExpression":
+      case "ArrowFunctionExpression":
+        return true;
+      case "UnaryExpression":
+        if (node.operator === "void" || node.operator === "!" || node.operator === "typeof") return this.isPure(node.argument);
+        return (node.operator === "-" || node.operator === "+" || node.operator === "~") && node.argument.type === "NumericLiteral";
+      case "ArrayExpression":
+        return node.elements.every(element => !element || (element.type !== "SpreadElement" && this.isPure(element)));
+      case "ObjectExpression":
+        return node.properties.every(prop => prop.type === "ObjectProperty" && !prop.computed && this.isPure(prop.value));
+      case "CallExpression":
+        return node.callee.type === "Identifier" && this.factoryNames.has(node.callee.name) &&
+          node.arguments.every(arg => arg.type !== "SpreadElement" && this.isPure(arg));
+      default:
+        return false;
+    }
+  }
+
+  getBestCandidate(instances: Array<Location>): void | Candidate {
+    let objects: Array<BabelNodeObjectExpression> = instances.map(instance => (instance.node: any));
+    let leaves = objects.map(obj => this.getLeaves(obj));
+    // leaves that are the same literal in all objects become part of the factory
+    let slots = [];
+    for (let i = 0; i < leaves[0].length; i++) {
+      if (!leaves.every(objectLeaves => isSameLiteral(objectLeaves[i], leaves[0][i]))) slots.push(i);
+    }
+    let slotIndices = new Map(slots.map((slot, i) => [slot, i]));
+    let getLeaf = (getSlot: number => BabelNodeExpression) => i => {
+      let slotIndex = slotIndices.get(i);
+      return slotIndex === undefined ? leaves[0][i] : getSlot(slotIndex);
+    };
+
+    let factoryId = t.identifier("_$");
+    let params: Array<BabelNodeLVal> = slots.map((slot, i) => t.identifier(getParameterName(i)));
+    let factory = t.functionDeclaration(factoryId, params, t.blockStatement([
+      t.returnStatement(this.buildTemplate(objects[0], getLeaf(i => t.identifier(getParameterName(i)))))
+    ]));
+    let call = objectIndex => t.callExpression(factoryId, slots.map(slot => leaves[objectIndex][slot]));
+
+    let candidates = [];
+    candidates.push(this.evaluate([factory], [factoryId], instances.map((instance, i) => [instance, call(i)]), instances));
+
+    // arrays all of whose elements are in the cluster can be built from tables of tuples instead
+    let objectIndices = new Map(objects.map((obj, i) => [obj, i]));
+    let tables = [];
+    let inTable = new Set();
+    for (let [array, location] of this.arrays) {
+      let elements = (array: any).elements;
+      if (elements.length < 2) continue;
+      if (!elements.every(element => element && objectIndices.has(element) &&
+        slots.every(slot => this.isPure(leaves[objectIndices.get(element) || 0][slot])))) continue;
+      tables.push(location);
+      for (let element of elements) inTable.add(element);
+    }
+    if (tables.length > 0) {
+      let decoderId = t.identifier("_$");
+      let table = t.identifier("t"), i = t.identifier("i"), row = t.identifier("r");
+      let decoder = t.functionDeclaration(decoderId, [table], t.blockStatement([
+        t.forStatement(
+          t.variableDeclaration("var", [t.variableDeclarator(i, t.numericLiteral(0))]),
+          t.binaryExpression("<", i, t.memberExpression(table, t.identifier("length"))),
+          t.updateExpression("++", i),
+          t.blockStatement([
+            t.variableDeclaration("var", [t.variableDeclarator(row, t.memberExpression(table, i, true))]),
+            t.expressionStatement(t.assignmentExpression("=", t.memberExpression(table, i, true),
+              this.buildTemplate(objects[0], getLeaf(slotIndex => t.memberExpression(row, t.numericLiteral(slotIndex), true))))),
+          ])),
+        t.returnStatement(table),
+      ]));
+      let declarations = [decoder];
+      let ids = [decoderId];
+      let replacements = tables.map(location => [location, t.callExpression(decoderId, [t.arrayExpression(
+        (location.node: any).elements.map(element => t.arrayExpression(
+          slots.map(slot => leaves[objectIndices.get(element) || 0][slot]))))])]);
+      let rest = instances.filter(instance => !inTable.has(instance.node));
+      if (rest.length > 0) {
+        declarations.push(factory);
+        ids.push(factoryId);
+        replacements = replacements.concat(rest.map(instance => [instance, call(instances.indexOf(instance))]));
+      }
+      candidates.push(this.evaluate(declarations, ids, replacements, tables.concat(rest)));
+    }
+
+    let best;
+    for (let candidate of candidates) {
+      if (candidate.byteSavings <= 0 || candidate.gzipSavings <= 0) continue;
+      if (best === undefined || candidate.gzipSavings > best.gzipSavings ||
+        (candidate.gzipSavings === best.gzipSavings && candidate.byteSavings > best.byteSavings)) best = candidate;
+    }
+    return best;
+  }
+
+  evaluate(declarations: Array<BabelNodeStatement>, ids: Array<BabelNodeIdentifier>,
+      replacements: Array<[Location, BabelNodeExpression]>, replaced: Array<Location>): Candidate {
+    let before = measure(replaced.map(location => location.node));
+    let after = measure(declarations.concat(replacements.map(([location, expression]) => expression)));
+    return {
+      declarations,
+      ids,
+      replacements,
+      byteSavings: before.bytes - after.bytes,
+      gzipSavings: before.gzip - after.gzip,
+    };
+  }
+}
@@ -11,20 +11,45 @@
 
 import { Realm, ExecutionContext } from "../realm.js";
 import { ToStringPartial, Get, InstanceofOperator } from "../methods/index.js";
-import { Completion, ThrowCompletion } from "../completions.js";
-import { ObjectValue, StringValue } from "../values/index.js";
+import { Completion, IntrospectionThrowCompletion, ThrowCompletion } from "../completions.js";
+import { ObjectValue, StringValue, Value } from "../values/index.js";
+import type { Diagnostic, DiagnosticLocation, DiagnosticSeverity } from "./types.js";
+import type { BabelNodeSourceLocation } from "babel-types";
 import invariant from "../invariant.js";
 
+// The codes of all diagnostics. Tools match on these, so never change or reuse them.
+export const DiagnosticCodes = {
+  // the program threw a value that nothing caught
+  UncaughtThrow: "PP0001",
+  // the program did something that Prepack cannot reason about
+  IntrospectionError: "PP0002",
+  UnhandledPromiseRejection: "PP0003",
+  SuspendedAsyncFunction: "PP0004",
+  // a residual function refers to bindings that the residual program won't have
+  ResidualFunctionFreeIdentifiers: "PP0005",
+  // speculative initialization of a module stopped at something that Prepack cannot reason about
+  ModuleInitializationFailure: "PP0006",
+  ModulesInitialized: "PP0007",
+  // the residual program cannot resume a generator object that is suspended
+  SuspendedGenerator: "PP0008",
+  // prepacking took longer than the timeout option allows
+  Timeout: "PP0009",
+};
+
 export class Logger {
-  constructor(realm: Realm, internalDebug: boolean) {
+  constructor(realm: Realm, internalDebug: boolean, quiet?: boolean = false) {
     this.realm = realm;
     this._hasErrors = false;
     this.internalDebug = internalDebug;
+    this.quiet = quiet;
+    this.diagnostics = [];
   }
 
   realm: Realm;
   _hasErrors: boolean;
   internalDebug: boolean;
+  quiet: boolean;
+  diagnostics: Array<Diagnostic>;
 
   // Wraps a query that might potentially execute user code.
   tryQuery<T>(f: () => T, onCompletion: T | (Completion => T), logCompletion: boolean): T {
@@ -58,23 +83,27 @@ export class Logger {
     }
   }
 
-  logCompletion(res: Completion) {
+  logCompletion(res: Completion, reasons?: Array<string> = []) {
     let realm = this.realm;
     let value = res.value;
-    if (this.internalDebug) console.error(`=== ${res.constructor.name} ===`);
+    let code = res instanceof IntrospectionThrowCompletion ? DiagnosticCodes.IntrospectionError : DiagnosticCodes.UncaughtThrow;
+    let loc = res instanceof ThrowCompletion ? res.location : undefined;
+    if (this.internalDebug) this._print(`=== ${res.constructor.name} ===`);
     if (this.tryQuery(() => value instanceof ObjectValue && InstanceofOperator(realm, value, realm.intrinsics.Error), false, false)) {
       let object = ((value: any): ObjectValue);
+      loc = getErrorLocation(object) || loc;
       try {
         let err = new Error(this.tryQuery(() => ToStringPartial(realm, Get(realm, object, "message")), "(unknown message)", false));
         err.stack = this.tryQuery(() => ToStringPartial(realm, Get(realm, object, "stack")), "(unknown stack)", false);
-        console.error(err.message);
-        console.error(err.stack);
-        if (this.internalDebug && res instanceof ThrowCompletion) console.error(res.nativeStack);
+        this.logError(code, err.message, loc, reasons);
+        this._print(err.stack);
+        if (this.internalDebug && res instanceof ThrowCompletion) this._print(res.nativeStack);
       } catch (err) {
         let message = object.properties.get("message");
-        console.error((message && message.descriptor && message.descriptor.value instanceof StringValue) ? message.descriptor.value.value : "(no message available)");
-        console.error(err.stack);
-        console.error(object.$ContextStack);
+        message = (message && message.descriptor && message.descriptor.value instanceof StringValue) ? message.descriptor.value.value : "(no message available)";
+        this.logError(code, message, loc, reasons);
+        this._print(err.stack);
+        this._print(object.$ContextStack);
       }
     } else {
       try {
@@ -82,18 +111,56 @@ export class Logger {
       } catch (err) {
         value = err.message;
       }
-      console.error(value);
-      if (this.internalDebug && res instanceof ThrowCompletion) console.error(res.nativeStack);
+      this.logError(code, value, loc, reasons);
+      if (this.internalDebug && res instanceof ThrowCompletion) this._print(res.nativeStack);
     }
-    this._hasErrors = true;
   }
 
-  logError(message: string) {
-    console.error(message);
+  logError(code: string, message: string, loc?: ?BabelNodeSourceLocation, reasons?: Array<string> = []) {
     this._hasErrors = true;
+    this._log("error", code, message, loc, reasons);
+  }
+
+  logWarning(code: string, message: string, loc?: ?BabelNodeSourceLocation, reasons?: Array<string> = []) {
+    this._log("warning", code, message, loc, reasons);
+  }
+
+  logInformation(code: string, message: string) {
+    this._log("information", code, message, undefined, []);
+  }
+
+  _log(severity: DiagnosticSeverity, code: string, message: string, loc: ?BabelNodeSourceLocation, reasons: Array<string>) {
+    let location = getDiagnosticLocation(loc);
+    this.diagnostics.push({ code, severity, message, location, reasons });
+    let prefix = severity === "information" ? "" : `${severity} ${code}: `;
+    let suffix = location === undefined ? "" : ` (${location.source || "unknown"}:${location.line}:${location.column})`;
+    this._print(`${prefix}${message}${suffix}`);
+    for (let reason of reasons) this._print(`  ${reason}`);
+  }
+
+  _print(message: mixed) {
+    if (!this.quiet) console.error(message);
   }
 
   hasErrors() {
     return this._hasErrors;
   }
 }
+
+// The location of the innermost call that was going on when the given error object got created.
+export function getErrorLocation(value: Value): void | BabelNodeSourceLocation {
+  if (!(value instanceof ObjectValue)) return undefined;
+  let stack = value.$ContextStack;
+  if (!stack) return undefined;
+  for (let i = stack.length - 1; i >= 0; i--) {
+    let loc = stack[i].loc;
+    if (loc) return loc;
+  }
+  return undefined;
+}
+
+// Locations in the AST have already been mapped through the input source map, if there is one.
+function getDiagnosticLocation(loc: ?BabelNodeSourceLocation): void | DiagnosticLocation {
+  if (!loc) return undefined;
+  return { source: loc.source || undefined, line: loc.start.line, column: loc.start.column + 1 };
+}
@@ -17,7 +17,7 @@ import { Value, FunctionValue, ObjectValue, UndefinedValue } from "../values/ind
 import * as t from "babel-types";
 import type { BabelNodeExpression, BabelNodeIdentifier, BabelNodeLVal, BabelNodeCallExpression } from "babel-types";
 import invariant from "../invariant.js";
-import { Logger } from "./logger.js";
+import { Logger, DiagnosticCodes, getErrorLocation } from "./logger.js";
 import type { SerializationContext } from "../utils/generator.js";
 
 export class Modules {
@@ -109,7 +109,6 @@ export class Modules {
     realm.pushContext(context);
     try {
       let count = 0;
-      let introspectionErrors = Object.create(null);
       for (let moduleId of this.requiredModules) {
         if (this.requireReturns.has(moduleId)) continue; // already known to be initialized
         let node = t.callExpression(t.identifier("require"), [t.valueToNode(moduleId)]);
@@ -125,18 +124,14 @@ export class Modules {
             invariant(value instanceof ObjectValue);
             let message: string = this.logger.tryQuery(() => ToStringPartial(realm, Get(realm, ((value: any): ObjectValue), "message")), "(cannot get message)", false);
             if (compl.reason !== undefined) message = `[${compl.reason}] ${message}`;
-            let stack: string = this.logger.tryQuery(() => ToStringPartial(realm, Get(realm, ((value: any): ObjectValue), "stack")), "", false);
-            let i = stack.indexOf("\n");
-            if (i >= 0) stack = stack.slice(i);
+            this.logger.logWarning(DiagnosticCodes.ModuleInitializationFailure,
+              `speculative initialization of module ${moduleId} failed: ${message}`, getErrorLocation(value) || compl.location);
             realm.restoreBindings(bindings);
             realm.restoreProperties(properties);
-            let stacks = introspectionErrors[message] = introspectionErrors[message] || [];
-            stacks.push(stack);
             continue;
           }
 
-          console.log(`=== UNEXPECTED ERROR during speculative initialization of module ${moduleId} ===`);
-          this.logger.logCompletion(compl);
+          this.logger.logCompletion(compl, [`speculative initialization of module ${moduleId}`]);
           realm.restoreBindings(bindings);
           realm.restoreProperties(properties);
           break;
@@ -161,7 +156,7 @@ export class Modules {
             first = false;
             buildNode = (nodes, f) => {
               let n = originalBuildNode(nodes, f);
-              n.leadingComments = [({ type: "BlockComment", value: `Speculative initialization of module ${moduleId}` }: any)];
+              if (n) n.leadingComments = [({ type: "BlockComment", value: `Speculative initialization of module ${moduleId}` }: any)];
               return n;
             };
           }
@@ -172,14 +167,7 @@ export class Modules {
         createdObjects;
         count++;
       }
-      if (count > 0) console.log(`=== speculatively initialized ${count} additional modules`);
-      let a = [];
-      for (let key in introspectionErrors) a.push([introspectionErrors[key], key]);
-      a.sort((x, y) => y[0].length - x[0].length);
-      if (a.length) {
-        console.log(`=== speculative module initialization failures ordered by frequency`);
-        for (let [stacks, n] of a) console.log(`${stacks.length}x ${n} ${stacks.join("\nas well as")}]`);
-      }
+      if (count > 0) this.logger.logInformation(DiagnosticCodes.ModulesInitialized, `speculatively initialized ${count} additional modules`);
     } finally {
       realm.popContext(context);
     }
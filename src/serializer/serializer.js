@@ -9,15 +9,18 @@
 
 /* @flow */
 
-import { GlobalEnvironmentRecord, DeclarativeEnvironmentRecord } from "../environment.js";
+import { GlobalEnvironmentRecord, DeclarativeEnvironmentRecord, ModuleEnvironmentRecord } from "../environment.js";
 import { Realm, ExecutionContext } from "../realm.js";
-import type { RealmOptions, Descriptor, PropertyBinding } from "../types.js";
-import { IsUnresolvableReference, ResolveBinding, ToLength, IsArray, HasProperty, Get } from "../methods/index.js";
+import type { RealmOptions, Descriptor, PropertyBinding, SourceFile, SourceMap, SourceType, SourceTextModuleRecord } from "../types.js";
+import { IsUnresolvableReference, IsHavocedBinding, ResolveBinding, ToLength, IsArray, IsCallable, IsConstructor, IsDataDescriptor, OrdinaryGetOwnProperty, Get, GetValueFromBuffer, ToStringPartial } from "../methods/index.js";
+import { ArrayElementSize, ArrayElementType } from "../methods/typedarray.js";
+import { buildIntlObject } from "../methods/intl.js";
+import { ResolveExport, ResolveExportedBindings } from "../methods/module.js";
 import { Completion } from "../completions.js";
-import { BoundFunctionValue, ProxyValue, SymbolValue, AbstractValue, EmptyValue, NumberValue, FunctionValue, Value, ObjectValue, PrimitiveValue, NativeFunctionValue, UndefinedValue } from "../values/index.js";
+import { BoundFunctionValue, ProxyValue, SymbolValue, AbstractValue, EmptyValue, NullValue, NumberValue, StringValue, FunctionValue, Value, ObjectValue, PrimitiveValue, NativeFunctionValue, UndefinedValue, ModuleNamespaceExotic } from "../values/index.js";
 import { describeLocation } from "../intrinsics/ecma262/Error.js";
 import * as t from "babel-types";
-import type { BabelNode, BabelNodeExpression, BabelNodeStatement, BabelNodeIdentifier, BabelNodeBlockStatement, BabelNodeObjectExpression, BabelNodeStringLiteral, BabelNodeLVal, BabelNodeSpreadElement, BabelVariableKind, BabelNodeFunctionDeclaration } from "babel-types";
+import type { BabelNode, BabelNodeExpression, BabelNodeStatement, BabelNodeIdentifier, BabelNodeObjectExpression, BabelNodeBlockStatement, BabelNodeStringLiteral, BabelNodeLVal, BabelNodeSpreadElement, BabelVariableKind, BabelNodeFunctionDeclaration, BabelNodeObjectMethod, BabelNodeExportSpecifier, BabelNodeSourceLocation } from "babel-types";
 import { Generator, PreludeGenerator } from "../utils/generator.js";
 import type { SerializationContext } from "../utils/generator.js";
 import generate from "babel-generator";
@@ -25,40 +28,38 @@ import generate from "babel-generator";
 import traverse from "babel-traverse";
 import invariant from "../invariant.js";
 import * as base62 from "base62";
-import type { SerializedBinding, SerializedBindings, FunctionInfo, FunctionInstance, SerializerOptions } from "./types.js";
+const sourceMap = require("source-map");
+import type { SerializedBinding, SerializedBindings, FunctionInfo, FunctionInstance, Names, SerializerOptions, SerializerStatistics, ErrorStackPolicy } from "./types.js";
 import { BodyReference, AreSameSerializedBindings } from "./types.js";
 import { ClosureRefVisitor, ClosureRefReplacer } from "./visitors.js";
-import { Logger } from "./logger.js";
+import { Logger, DiagnosticCodes, getErrorLocation } from "./logger.js";
 import { Modules } from "./modules.js";
+import { factorifyObjects } from "./factorify.js";
 import { LoggingTracer } from "./LoggingTracer.js";
-
-function isSameNode(left, right) {
-  let type = left.type;
-
-  if (type !== right.type) {
-    return false;
-  }
-
-  if (type === "Identifier") {
-    return left.name === right.name;
-  }
-
-  if (type === "NullLiteral") {
-    return true;
-  }
-
-  if (type === "BooleanLiteral" || type === "StringLiteral" || type === "NumericLiteral") {
-    return left.value === right.value;
-  }
-
-  return false;
-}
+import buildExpressionTemplate from "../utils/builder.js";
+
+// A module namespace object has a data property for every export, whose value is that of the live binding.
+// The target of the proxy gives the properties their attributes, and the traps give them their values.
+let buildModuleNamespace = buildExpressionTemplate(`(function (bindings) {
+  return new PROXY(TARGET, {
+    get: function (target, key) {
+      return typeof key === "string" && key in target ? bindings[key]() : target[key];
+    },
+    getOwnPropertyDescriptor: function (target, key) {
+      var desc = GET_OWN_PROPERTY_DESCRIPTOR(target, key);
+      if (desc !== undefined && typeof key === "string") desc.value = bindings[key]();
+      return desc;
+    },
+    set: function () { return false; },
+    defineProperty: function () { return false; }
+  });
+})(BINDINGS)`);
 
 export class Serializer {
   constructor(realmOptions: RealmOptions = {}, serializerOptions: SerializerOptions = {}) {
     this.realm = new Realm(realmOptions);
     invariant(this.realm.isPartial);
-    this.logger = new Logger(this.realm, !!serializerOptions.internalDebug);
+    this.logger = new Logger(this.realm, !!serializerOptions.internalDebug, !!serializerOptions.quiet);
     this.modules = new Modules(this.realm, this.logger);
     if (serializerOptions.trace) this.realm.tracers.push(new LoggingTracer(this.realm));
 
@@ -70,6 +71,19 @@ export class Serializer {
     this.preludeGenerator = realmPreludeGenerator;
 
     this.initializeMoreModules = !!serializerOptions.initializeMoreModules;
+    this.errorStackPolicy = serializerOptions.errorStackPolicy || "preserve";
+    this.runZeroDelayTimers = !!serializerOptions.runZeroDelayTimers;
+    this.handleRejectedPromises = !!serializerOptions.handleRejectedPromises;
+    if (serializerOptions.lazyFunctionBodySize !== undefined || serializerOptions.hotFunctions !== undefined) {
+      this.lazyFunctionBodies = {
+        minimumSize: serializerOptions.lazyFunctionBodySize || 0,
+        hotFunctions: new Set(serializerOptions.hotFunctions || []),
+      };
+    }
+    this.sourceType = serializerOptions.sourceType || "script";
+    this.derivedPromises = new Map();
+    this.residualPromiseResolvers = new Set();
+    this.residualProxyRevokers = new Set();
     this._resetSerializeStates();
   }
 
@@ -77,10 +91,15 @@ export class Serializer {
     this.declarativeEnvironmentRecordsBindings = new Map();
     this.serializationStack = [];
     this.delayedSerializations = [];
+    this.delayedSerializationsRunning = false;
     this.delayedKeyedSerializations = new Map();
     this.globalReasons = {};
     this.prelude = [];
     this.body = [];
+    this.scopeBodies = [this.body];
+    this.scopeStack = [0];
+    this.valToScope = new Map();
+    this.delayedOwner = undefined;
 
     this.unstrictFunctionBodies = [];
     this.strictFunctionBodies = [];
@@ -92,6 +111,10 @@ export class Serializer {
     this.descriptors = new Map();
     this.needsEmptyVar = false;
     this.uidCounter = 0;
+    this.promiseResolvers = new Map();
+    this.promiseReactionCursors = new Map();
+    this.proxyRevocations = new Map();
+    this.moduleBindingIds = [];
   }
 
   globalReasons: {
@@ -101,15 +124,31 @@ export class Serializer {
   declarativeEnvironmentRecordsBindings: Map<DeclarativeEnvironmentRecord, SerializedBindings>;
   serializationStack: Array<Value>;
   delayedSerializations: Array<() => void>;
+  delayedSerializationsRunning: boolean;
   delayedKeyedSerializations: Map<BabelNodeIdentifier, Array<{values: Array<Value>, func: () => void}>>;
-  unstrictFunctionBodies: Array<BabelNodeFunctionDeclaration>;
-  strictFunctionBodies: Array<BabelNodeFunctionDeclaration>;
+  unstrictFunctionBodies: Array<BabelNodeFunctionDeclaration | BabelNodeObjectMethod>;
+  strictFunctionBodies: Array<BabelNodeFunctionDeclaration | BabelNodeObjectMethod>;
   functions: Map<BabelNodeBlockStatement, FunctionInfo>;
   functionInstances: Array<FunctionInstance>;
   //value to intermediate references generated like $0, $1, $2,...
   refs: Map<Value, BabelNodeIdentifier>;
   collectValToRefCountOnly: boolean;
   valToRefCount: Map<Value, number>;
+  // Scopes are the bodies of the residual program: 0 is the main body, the others are the bodies of nested generators,
+  // numbered in the order in which they get started, which is the same in every pass.
+  // The pass that collects reference counts also records the parent of every scope, which of them use which values,
+  // and where derived identifiers get declared.
+  // Note that a use by another value happens wherever that other value gets defined.
+  scopeParents: Array<number>;
+  valToUsers: Map<Value, Array<Value | number>>;
+  valToRequiredScopes: Map<Value, Array<number>>;
+  derivedIdScopes: Map<BabelNodeIdentifier, number>;
+  // The bodies of the scopes of the current pass, the scopes that are being serialized, and where each value is defined.
+  scopeBodies: Array<Array<BabelNodeStatement>>;
+  scopeStack: Array<number>;
+  valToScope: Map<Value, number>;
+  // the value or scope on whose behalf the current delayed serialization runs
+  delayedOwner: void | Value | number;
   prelude: Array<BabelNodeStatement>;
   body: Array<BabelNodeStatement>;
   realm: Realm;
@@ -119,18 +158,50 @@ export class Serializer {
   descriptors: Map<string, BabelNodeIdentifier>;
   needsEmptyVar: boolean;
   initializeMoreModules: boolean;
+  errorStackPolicy: ErrorStackPolicy;
+  runZeroDelayTimers: boolean;
+  handleRejectedPromises: boolean;
   uidCounter: number;
+  // pending promises that were created by calling then on another pending promise, mapped to that promise
+  derivedPromises: Map<ObjectValue, ObjectValue>;
+  // pending promises whose resolving functions are referenced
+  residualPromiseResolvers: Set<ObjectValue>;
+  promiseResolvers: Map<ObjectValue, { resolve: BabelNodeIdentifier, reject: BabelNodeIdentifier }>;
+  // for each pending promise, the number of reactions that have been registered on the residual promise so far
+  promiseReactionCursors: Map<ObjectValue, number>;
+  // proxies whose revoke functions are referenced
+  residualProxyRevokers: Set<ProxyValue>;
+  // the variables that hold the results of Proxy.revocable for those proxies
+  proxyRevocations: Map<ProxyValue, BabelNodeIdentifier>;
   logger: Logger;
   modules: Modules;
+  sourceType: SourceType;
+  // the module that was executed when the source type is "module"
+  entryModule: void | SourceTextModuleRecord;
+  // top-level variables of the residual module that hold module bindings, so that exports and namespace objects share them
+  moduleBindingIds: Array<BabelNodeIdentifier>;
+  // which function bodies to emit as text that only gets compiled when the function is first called
+  lazyFunctionBodies: void | { minimumSize: number, hotFunctions: Set<string> };
+  // gathered while splicing in the function bodies, so the numbers of the last pass are the ones for the generated code
+  statistics: void | SerializerStatistics;
 
   _getBodyReference() {
     return new BodyReference(this.body, this.body.length);
   }
 
-  execute(filename: string, code: string, map: string,
-      onError: void | ((Realm, Value) => void)) {
+  execute(sources: Array<SourceFile>, onError: void | ((Realm, Value) => void)) {
     let realm = this.realm;
-    let res = realm.$GlobalEnv.execute(code, filename, map);
+    let res;
+    for (let { filePath, fileContents, sourceMapContents } of sources) {
+      if (this.sourceType === "module") {
+        // the last module is the entry module, whose exports the residual module exports
+        res = realm.$GlobalEnv.executeModule(fileContents, filePath, sourceMapContents || "");
+        if (!(res instanceof Completion)) this.entryModule = res;
+      } else {
+        res = realm.$GlobalEnv.execute(fileContents, filePath, sourceMapContents || "");
+      }
+      if (res instanceof Completion) break;
+    }
 
     if (res instanceof Completion) {
       let context = new ExecutionContext();
@@ -145,9 +216,41 @@ export class Serializer {
       }
     }
 
+    // Like the host would do after the global code, run the jobs it enqueued, e.g. promise reactions.
+    this._runJobs();
+    if (this.runZeroDelayTimers) {
+      // One-shot timers with a zero delay fire before anything else could happen, so run them now, each followed by the jobs it enqueued.
+      while (realm.fireZeroDelayTimer(completion => this.logger.logCompletion(completion))) this._runJobs();
+    }
+
+    // The residual program cannot continue async functions that are still waiting for an awaited value.
+    for (let [asyncContext, awaitLocation] of realm.pendingAwaits) {
+      let location = describeLocation(realm, asyncContext.function, asyncContext.lexicalEnvironment, awaitLocation) || "(unknown)";
+      this.logger.logError(DiagnosticCodes.SuspendedAsyncFunction, `async function is still suspended in await expression ${location}`, awaitLocation);
+    }
+
     return res;
   }
 
+  // Runs all pending jobs and reports promises that are still rejected without a handler afterwards.
+  // Returns true if any job was run.
+  _runJobs(): boolean {
+    let realm = this.realm;
+    let anyJobs = realm.runJobs(completion => this.logger.logCompletion(completion));
+    for (let promise of realm.unhandledRejections) {
+      let reason = promise.$PromiseResult || realm.intrinsics.undefined;
+      let message = this.logger.tryQuery(() => ToStringPartial(realm, reason), "(cannot get reason)", false);
+      // If so configured, the residual promise gets a handler, so that the rejection stays unreported there too.
+      if (this.handleRejectedPromises) {
+        this.logger.logWarning(DiagnosticCodes.UnhandledPromiseRejection, `unhandled promise rejection: ${message}`, getErrorLocation(reason));
+      } else {
+        this.logger.logError(DiagnosticCodes.UnhandledPromiseRejection, `unhandled promise rejection: ${message}`, getErrorLocation(reason));
+      }
+    }
+    realm.unhandledRejections.clear();
+    return anyJobs;
+  }
+
   shouldInline(val: Value): boolean {
     if (val instanceof SymbolValue) {
       return false;
@@ -210,6 +313,26 @@ export class Serializer {
       return true;
     }
 
+    // class syntax already defines the `prototype` property of class constructors and the `constructor` property of their prototypes
+    if (val instanceof FunctionValue && val.$FunctionKind === "classConstructor" && t.isIdentifier(key, { name: "prototype" })) {
+      if (!desc.writable && !desc.enumerable && !desc.configurable && desc.value instanceof ObjectValue && desc.value.$ClassConstructor === val) {
+        return true;
+      }
+    }
+    if (val instanceof ObjectValue && val.$ClassConstructor !== undefined && t.isIdentifier(key, { name: "constructor" })) {
+      if (desc.writable && !desc.enumerable && desc.configurable && desc.value === val.$ClassConstructor) {
+        return true;
+      }
+    }
+
+    // generator functions come with a fresh prototype object that inherits from %GeneratorPrototype%
+    if (val instanceof FunctionValue && val.$FunctionKind === "generator" && t.isIdentifier(key, { name: "prototype" })) {
+      if (desc.writable && !desc.enumerable && !desc.configurable && desc.value instanceof ObjectValue &&
+          desc.value.$Prototype === this.realm.intrinsics.GeneratorPrototype && desc.value.properties.size === 0) {
+        return true;
+      }
+    }
+
     // ignore the `prototype` property when it consists of a plain javascript object
     if (val instanceof FunctionValue && t.isIdentifier(key, { name: "prototype" })) {
       // ensure that it's a plain object
@@ -249,19 +372,24 @@ export class Serializer {
       ]);
     }
 
-    /*
-    for (let symbol of val.symbols.keys()) {
-      // TODO: serialize symbols
+    // Symbol-keyed properties are never embedded in object literals.
+    let symbolDescriptors = [];
+    for (let [symbol, propertyBinding] of val.symbols) {
+      let desc = propertyBinding.descriptor;
+      if (desc === undefined) continue; //deleted
+      symbolDescriptors.push([symbol, desc]);
     }
-    */
 
     let proto = val.$GetPrototypeOf();
     if (proto.isIntrinsic()) {
       // TODO: serialize modified prototypes that are intrinsic objects
       proto = null;
+    } else if (proto === this._getImplicitPrototype(val)) {
+      proto = null;
     }
 
-    if (!descriptors.length && !proto) return;
+    let extensible = val.getExtensible();
+    if (!descriptors.length && !symbolDescriptors.length && !proto && extensible) return;
 
     // inject properties
     for (let [key, desc] of descriptors) {
@@ -272,6 +400,11 @@ export class Serializer {
         return this._emitProperty(name, val, key, desc, ignoreEmbedded, reasons);
       });
     }
+    for (let [symbol, desc] of symbolDescriptors) {
+      this._eagerOrDelay(this._getDescriptorValues(desc).concat(symbol, val), () => {
+        return this._emitProperty(name, val, symbol, desc, false, reasons);
+      });
+    }
 
     // prototype
     if (proto) {
@@ -293,9 +426,30 @@ export class Serializer {
         }
       });
     }
+
+    // extensibility, which can only be taken away once all properties and the prototype are in place
+    if (!extensible) {
+      let values = [val];
+      for (let [, desc] of descriptors) values = values.concat(this._getDescriptorValues(desc));
+      for (let [symbol, desc] of symbolDescriptors) values = values.concat(this._getDescriptorValues(desc), symbol);
+      if (proto) values.push(proto);
+      this._eagerOrDelay(values, () => {
+        let uid = this._getValIdForReference(val);
+        this.body.push(t.expressionStatement(t.callExpression(
+          this.preludeGenerator.memoizeReference("Object.preventExtensions"),
+          [uid]
+        )));
+      });
+    }
   }
 
-  _emitProperty(name: string, val: Value, key: BabelNodeIdentifier | BabelNodeStringLiteral, desc: Descriptor, ignoreEmbedded: boolean, reasons: Array<string>): void {
+  _emitProperty(name: string, val: Value, key: BabelNodeIdentifier | BabelNodeStringLiteral | SymbolValue, desc: Descriptor, ignoreEmbedded: boolean, reasons: Array<string>): void {
+    let keyDescription = key instanceof SymbolValue ? `Symbol(${key.$Description || ""})` :
+      ((key: any): BabelNodeIdentifier).name || ((key: any): BabelNodeStringLiteral).value;
+    let keyNode = key instanceof SymbolValue ?
+      this.serializeValue(key, reasons.concat(`Referred to in the object ${name} as a property key`)) :
+      key;
+    let computed = key instanceof SymbolValue || !t.isIdentifier(key);
     if (this._canEmbedProperty(desc, true)) {
       let descValue = desc.value;
       invariant(descValue instanceof Value);
@@ -304,10 +458,10 @@ export class Serializer {
       let uid = this._getValIdForReference(val);
       this.body.push(t.expressionStatement(t.assignmentExpression(
         "=",
-        t.memberExpression(uid, key, !t.isIdentifier(key)),
+        t.memberExpression(uid, keyNode, computed),
           this.serializeValue(
             descValue,
-            reasons.concat(`Referred to in the object ${name} for the value ${((key: any): BabelNodeIdentifier).name || ((key: any): BabelNodeStringLiteral).value}`)
+            reasons.concat(`Referred to in the object ${name} for the value ${keyDescription}`)
           )
       )));
     } else {
@@ -356,14 +510,14 @@ export class Serializer {
             t.memberExpression(descriptorId, t.identifier(descKey)),
             this.serializeValue(
               descValue,
-              reasons.concat(`Referred to in the object ${name} for the key ${((key: any): BabelNodeIdentifier).name || ((key: any): BabelNodeStringLiteral).value} in the descriptor property ${descKey}`)
+              reasons.concat(`Referred to in the object ${name} for the key ${keyDescription} in the descriptor property ${descKey}`)
             )
           )));
         }
       }
 
-      let keyRaw = key;
-      if (t.isIdentifier(keyRaw)) keyRaw = t.stringLiteral(((keyRaw: any): BabelNodeIdentifier).name);
+      let keyRaw = keyNode;
+      if (!computed) keyRaw = t.stringLiteral(((keyRaw: any): BabelNodeIdentifier).name);
 
       let uid = this._getValIdForReference(val);
       this.body.push(t.expressionStatement(t.callExpression(
@@ -383,17 +537,77 @@ export class Serializer {
     if (!serializedBinding) {
       let realm = this.realm;
       let binding = r.bindings[n];
+      if (IsHavocedBinding(binding)) {
+        // The residual variable of a havoced binding is the binding itself.
+        let variable = binding.value;
+        invariant(variable !== undefined);
+        serializedBinding = { serializedValue: this.serializeValue(variable, reasons), value: variable, modified: true, referentialized: true };
+        serializedBindings[n] = serializedBinding;
+        return serializedBinding;
+      }
       // TODO: handle binding.deletable, binding.mutable
       let value = (binding.initialized && binding.value) || realm.intrinsics.undefined;
       let serializedValue = this.serializeValue(
         value,
         reasons.concat(`access in ${functionName} to ${n}`));
+      // The function body may refer to the binding any number of times and may run more than once,
+      // so the value must not get inlined there; bump the ref count to keep it in a variable.
+      this._incrementValToRefCount(value);
       serializedBinding = { serializedValue, value };
       serializedBindings[n] = serializedBinding;
     }
     return serializedBinding;
   }
 
+  // Import bindings are indirections to the bindings of the modules that export them.
+  _getTargetBinding(r: DeclarativeEnvironmentRecord, n: string): { record: DeclarativeEnvironmentRecord, name: string } {
+    let binding = r.bindings[n];
+    while (binding !== undefined && binding.indirection !== undefined) {
+      let { module, bindingName } = binding.indirection;
+      let env = module.$Environment;
+      invariant(env !== undefined);
+      let envRec = env.environmentRecord;
+      invariant(envRec instanceof ModuleEnvironmentRecord);
+      r = envRec;
+      n = bindingName;
+      binding = r.bindings[n];
+    }
+    return { record: r, name: n };
+  }
+
+  // Module bindings that are exported or reachable through a namespace object live in top-level variables of the residual module.
+  _serializeModuleBinding(module: SourceTextModuleRecord, n: string, reasons: Array<string>): SerializedBinding {
+    let env = module.$Environment;
+    invariant(env !== undefined);
+    let envRec = env.environmentRecord;
+    invariant(envRec instanceof ModuleEnvironmentRecord);
+    let { record, name } = this._getTargetBinding(envRec, n);
+    let binding = record.bindings[name];
+    let value = binding.value;
+    if (!binding.initialized || value === undefined) throw new Error(`TODO: serialize module binding ${name} that is not initialized`);
+    if (this._shouldDelayValue(value)) throw new Error(`TODO: serialize module binding ${name} whose value is not yet available`);
+    let serializedBinding = this._serializeDeclarativeEnvironmentRecordBinding(record, name, module.$HostDefined, reasons);
+    if (!serializedBinding.referentialized) {
+      let id = t.identifier(this.generateUid());
+      this.moduleBindingIds.push(id);
+      this.body.push(t.expressionStatement(t.assignmentExpression("=", id, serializedBinding.serializedValue)));
+      serializedBinding.serializedValue = id;
+      serializedBinding.referentialized = true;
+    }
+    return serializedBinding;
+  }
+
+  _serializeEntryModuleExports(module: SourceTextModuleRecord): Array<BabelNodeExportSpecifier> {
+    let specifiers = [];
+    for (let [exportName, { $Module, $BindingName }] of ResolveExportedBindings(this.realm, module)) {
+      let serializedBinding = this._serializeModuleBinding($Module, $BindingName, [`Export ${exportName} of ${module.$HostDefined}`]);
+      let id = serializedBinding.serializedValue;
+      invariant(id.type === "Identifier");
+      specifiers.push(t.exportSpecifier(((id: any): BabelNodeIdentifier), t.identifier(exportName)));
+    }
+    return specifiers;
+  }
+
   _getValIdForReference(val: Value): BabelNodeIdentifier {
     let id = this._getValIdForReferenceOptional(val);
     invariant(id, "Value Id cannot be null or undefined");
@@ -424,11 +638,13 @@ export class Serializer {
 
     let ref = this._getValIdForReferenceOptional(val);
     if (ref) {
+      this._recordUse(val);
       return ref;
     }
 
     reasons = reasons || [];
     if (!referenceOnly && this.shouldInline(val)) {
+      if (val instanceof AbstractValue && val.hasIdentifier()) this._recordDerivedIdUse(val.getIdentifier());
       let res = this._serializeValue("", val, reasons);
       invariant(res !== undefined);
       return res;
@@ -437,6 +653,12 @@ export class Serializer {
     let name = this.generateUid(val);
     let id = t.identifier(name);
     this.refs.set(val, id);
+    // The value gets defined in the scope that all its uses share, even if it is first used in a nested scope.
+    let scope = this._getDefinitionScope(val);
+    this.valToScope.set(val, scope);
+    this._recordUse(val);
+    let useBody = this.body;
+    this.body = this.scopeBodies[scope];
     this.serializationStack.push(val);
     let init = this._serializeValue(name, val, reasons);
     let result = id;
@@ -464,12 +686,19 @@ export class Serializer {
        }
      }
 
+    this.body = useBody;
     this.serializationStack.pop();
-    if (this.serializationStack.length === 0) {
-      while (this.delayedSerializations.length) {
-        invariant(this.serializationStack.length === 0);
-        let serializer = this.delayedSerializations.shift();
-        serializer();
+    // Delayed serializations run in order; one that serializes further values must not trigger the ones queued after it.
+    if (this.serializationStack.length === 0 && !this.delayedSerializationsRunning) {
+      this.delayedSerializationsRunning = true;
+      try {
+        while (this.delayedSerializations.length) {
+          invariant(this.serializationStack.length === 0);
+          let serializer = this.delayedSerializations.shift();
+          serializer();
+        }
+      } finally {
+        this.delayedSerializationsRunning = false;
       }
     }
 
@@ -478,13 +707,32 @@ export class Serializer {
 
   _serializeValueIntrinsic(val: Value): BabelNodeExpression {
     invariant(val.intrinsicName);
+    // %AsyncFunction% and %AsyncFunctionPrototype% are not reachable from the global object
+    let intrinsics = this.realm.intrinsics;
+    if (val === intrinsics.AsyncFunctionPrototype || val === intrinsics.AsyncFunction) {
+      let proto = t.callExpression(this.preludeGenerator.convertStringToMember("Object.getPrototypeOf"),
+        [t.functionExpression(null, [], t.blockStatement([]), false, true)]);
+      return val === intrinsics.AsyncFunction ? t.memberExpression(proto, t.identifier("constructor")) : proto;
+    }
     return this.preludeGenerator.convertStringToMember(val.intrinsicName);
   }
 
   _delay(reason: boolean | BabelNodeIdentifier, values: Array<Value>, func: () => void) {
     invariant(reason);
     if (reason === true) {
-      this.delayedSerializations.push(func);
+      // Whatever the delayed serialization emits belongs to the value or scope that delayed it.
+      let owner = this._getCurrentOwner();
+      this.delayedSerializations.push(() => {
+        let body = this.body;
+        this.body = this.scopeBodies[this._getOwnerScope(owner)];
+        this.delayedOwner = owner;
+        try {
+          func();
+        } finally {
+          this.delayedOwner = undefined;
+          this.body = body;
+        }
+      });
     } else {
       let a = this.delayedKeyedSerializations.get(reason);
       if (a === undefined) this.delayedKeyedSerializations.set(reason, a = []);
@@ -530,6 +778,9 @@ export class Serializer {
       if (delayReason) return delayReason;
       delayReason = this._shouldDelayValue(val.$ProxyHandler);
       if (delayReason) return delayReason;
+    } else if (val instanceof ObjectValue && this._isPendingTimerHandle(val)) {
+      let id = val.$Timer && val.$Timer.residualId;
+      if (id !== undefined && !this.declaredDerivedIds.has(id)) return id;
     }
 
     return this.serializationStack.indexOf(val) >= 0;
@@ -553,14 +804,18 @@ export class Serializer {
       remainingProperties.set(k, v);
     }
 
-    // An array's length property cannot be redefined, so this won't run user code
-    let len = ToLength(realm, Get(realm, val, "length"));
+    // An array's length property cannot be redefined, so this won't run user code.
+    // Only the own properties get looked at, which for a havoced array reflect the state to serialize.
+    let lenDesc = OrdinaryGetOwnProperty(realm, val, "length");
+    invariant(lenDesc !== undefined && lenDesc.value !== undefined);
+    let len = ToLength(realm, lenDesc.value);
     for (let i = 0; i < len; i++) {
       let key = i + "";
-      remainingProperties.delete(key);
       let elem;
-      if (HasProperty(realm, val, key)) {
-        let elemVal: void | Value = this.logger.tryQuery(() => Get(realm, val, key), undefined, true);
+      let elemDesc = OrdinaryGetOwnProperty(realm, val, key);
+      if (elemDesc !== undefined && IsDataDescriptor(realm, elemDesc)) {
+        remainingProperties.delete(key);
+        let elemVal = elemDesc.value;
         if (elemVal === undefined) {
           elem = null;
         } else {
@@ -597,6 +852,543 @@ export class Serializer {
     return t.arrayExpression(elems);
   }
 
+  _getRemainingProperties(val: ObjectValue, ignoredKeys: Array<string>): Map<string, PropertyBinding> {
+    let remainingProperties = new Map();
+    for (let [k, v] of val.properties) {
+      if (ignoredKeys.indexOf(k) < 0) remainingProperties.set(k, v);
+    }
+    return remainingProperties;
+  }
+
+  _serializeValueDate(name: string, val: ObjectValue, reasons: Array<string>): BabelNodeExpression {
+    let dateValue = val.$DateValue;
+    invariant(dateValue !== undefined);
+
+    let init;
+    let delayReason = this._shouldDelayValue(dateValue);
+    if (delayReason) {
+      // the time value is not available yet, e.g. because it was derived from Date.now()
+      init = t.newExpression(t.identifier("Date"), [t.identifier("NaN")]);
+      this._delay(delayReason, [dateValue], () => {
+        invariant(dateValue !== undefined);
+        let id = this._getValIdForReference(val);
+        this.body.push(t.expressionStatement(t.callExpression(
+          t.memberExpression(id, t.identifier("setTime")),
+          [this.serializeValue(dateValue, reasons.concat(`Time value of Date ${name}`))]
+        )));
+      });
+    } else {
+      init = t.newExpression(t.identifier("Date"), [this.serializeValue(dateValue, reasons.concat(`Time value of Date ${name}`))]);
+    }
+
+    this.addProperties(name, val, false, reasons);
+    return init;
+  }
+
+  _serializeValueIntl(name: string, val: ObjectValue, reasons: Array<string>): BabelNodeExpression {
+    let init;
+    if (val.$InitializedCollator !== undefined) {
+      init = buildIntlObject("Collator", val.$InitializedCollator);
+    } else if (val.$InitializedNumberFormat !== undefined) {
+      init = buildIntlObject("NumberFormat", val.$InitializedNumberFormat);
+    } else {
+      invariant(val.$InitializedDateTimeFormat !== undefined);
+      init = buildIntlObject("DateTimeFormat", val.$InitializedDateTimeFormat);
+    }
+
+    this.addProperties(name, val, false, reasons);
+    return init;
+  }
+
+  _serializeValueBoxedPrimitive(name: string, val: ObjectValue, reasons: Array<string>): BabelNodeExpression {
+    let remainingProperties = val.properties;
+    let booleanData = val.$BooleanData, numberData = val.$NumberData, stringData = val.$StringData, symbolData = val.$SymbolData;
+    let init;
+    if (booleanData !== undefined) {
+      init = t.newExpression(t.identifier("Boolean"), [this.serializeValue(booleanData, reasons.concat(`Boxed value of ${name}`))]);
+    } else if (numberData !== undefined) {
+      init = t.newExpression(t.identifier("Number"), [this.serializeValue(numberData, reasons.concat(`Boxed value of ${name}`))]);
+    } else if (stringData !== undefined) {
+      // the length property is implied by the string data
+      remainingProperties = this._getRemainingProperties(val, ["length"]);
+      init = t.newExpression(t.identifier("String"), [this.serializeValue(stringData, reasons.concat(`Boxed value of ${name}`))]);
+    } else {
+      invariant(symbolData !== undefined);
+      init = t.callExpression(t.identifier("Object"), [this.serializeValue(symbolData, reasons.concat(`Boxed value of ${name}`))]);
+    }
+
+    this.addProperties(name, val, false, reasons, remainingProperties);
+    return init;
+  }
+
+  _serializeValueError(name: string, val: ObjectValue, reasons: Array<string>): BabelNodeExpression {
+    let realm = this.realm;
+    let proto = val.$Prototype;
+
+    // A non-intrinsic prototype gets set up by addProperties.
+    let errorName = "Error";
+    for (let candidate of ["Error", "EvalError", "RangeError", "ReferenceError", "SyntaxError", "TypeError", "URIError"]) {
+      if (proto === realm.intrinsics[candidate + "Prototype"]) {
+        errorName = candidate;
+        break;
+      }
+    }
+
+    let ignoredKeys = [];
+    let args = [];
+    let messageBinding = val.properties.get("message");
+    let messageDesc = messageBinding && messageBinding.descriptor;
+    if (messageDesc !== undefined && messageDesc.value instanceof StringValue &&
+        messageDesc.writable && !messageDesc.enumerable && messageDesc.configurable) {
+      // this is exactly the message property the error constructor is going to create
+      args.push(this.serializeValue(messageDesc.value, reasons.concat(`Message of error ${name}`)));
+      ignoredKeys.push("message");
+    }
+    if (this.errorStackPolicy === "discard") {
+      // let the residual error object get a fresh stack trace
+      ignoredKeys.push("stack");
+    }
+
+    this.addProperties(name, val, false, reasons, this._getRemainingProperties(val, ignoredKeys));
+    return t.newExpression(t.identifier(errorName), args);
+  }
+
+  // Reports a value that cannot be serialized. The callers go on with a stand-in for the value, so that serialization
+  // only fails at the end and any other problems get reported as well.
+  _logUnserializableValue(code: string, message: string, loc: ?BabelNodeSourceLocation, reasons: Array<string>) {
+    this.logger.logError(code, message, loc, reasons);
+  }
+
+  _serializeValuePromise(name: string, val: ObjectValue, reasons: Array<string>): BabelNodeExpression {
+    let state = val.$PromiseState;
+    let init;
+    if (state === "pending") {
+      let reactions = val.$PromiseFulfillReactions;
+      invariant(reactions !== undefined);
+      let parent = this.derivedPromises.get(val);
+      if (parent !== undefined) {
+        init = this._serializeDerivedPromise(name, val, parent, reasons);
+      } else {
+        init = this._serializePromiseConstruction(val, this.residualPromiseResolvers.has(val));
+      }
+
+      // Promises created by the reactions get recreated by registering the reactions again.
+      for (let reaction of reactions) {
+        let derived = reaction.capabilities.promise;
+        if (derived instanceof ObjectValue) this.derivedPromises.set(derived, val);
+      }
+      if (reactions.length > 0) {
+        let count = reactions.length;
+        this._eagerOrDelay([val], () => this._emitPromiseReactions(val, count, reasons));
+      }
+    } else {
+      let result = val.$PromiseResult;
+      invariant(result !== undefined);
+      if (state === "fulfilled" && result instanceof ObjectValue) {
+        let realm = this.realm;
+        let resultObject = result;
+        let then = this.logger.tryQuery(() => Get(realm, resultObject, "then"), realm.intrinsics.undefined, false);
+        if (IsCallable(realm, then)) {
+          // Residual code can only resolve promises with thenables, which does not fulfill them.
+          // The stand-in is a promise that gets resolved with the thenable.
+          this._logUnserializableValue(DiagnosticCodes.IntrospectionError, "TODO: serialize promises that are fulfilled with a thenable",
+            undefined, reasons);
+        }
+      }
+
+      let method = state === "fulfilled" ? "resolve" : "reject";
+      let delayReason = this._shouldDelayValue(result);
+      if (delayReason) {
+        init = this._serializePromiseConstruction(val, true);
+        this._delay(delayReason, [result], () => {
+          invariant(result !== undefined);
+          let resolvers = this.promiseResolvers.get(val);
+          invariant(resolvers !== undefined);
+          this.body.push(t.expressionStatement(t.callExpression(resolvers[method],
+            [this.serializeValue(result, reasons.concat(`Result of promise ${name}`))])));
+        });
+      } else {
+        init = t.callExpression(t.memberExpression(t.identifier("Promise"), t.identifier(method)),
+          [this.serializeValue(result, reasons.concat(`Result of promise ${name}`))]);
+      }
+
+      if (state === "rejected" && (val.$PromiseIsHandled || this.handleRejectedPromises)) {
+        // keep the residual promise from reporting a rejection that got handled while prepacking, or that is to stay unreported
+        this._eagerOrDelay([val], () => {
+          this.body.push(t.expressionStatement(t.callExpression(
+            t.memberExpression(this._getValIdForReference(val), t.identifier("catch")),
+            [t.functionExpression(null, [], t.blockStatement([]))]
+          )));
+        });
+      }
+    }
+
+    this.addProperties(name, val, false, reasons);
+    return init;
+  }
+
+  // Creates a new pending promise. If requested, its resolving functions get stored in fresh variables.
+  _serializePromiseConstruction(val: ObjectValue, captureResolvers: boolean): BabelNodeExpression {
+    if (!captureResolvers) {
+      return t.newExpression(t.identifier("Promise"), [t.functionExpression(null, [], t.blockStatement([]))]);
+    }
+
+    let resolvers = this._getPromiseResolvers(val);
+    this.body.push(t.variableDeclaration("var", [
+      t.variableDeclarator(resolvers.resolve),
+      t.variableDeclarator(resolvers.reject)
+    ]));
+    let resolve = t.identifier("resolve");
+    let reject = t.identifier("reject");
+    return t.newExpression(t.identifier("Promise"), [t.functionExpression(null, [resolve, reject], t.blockStatement([
+      t.expressionStatement(t.assignmentExpression("=", resolvers.resolve, resolve)),
+      t.expressionStatement(t.assignmentExpression("=", resolvers.reject, reject))
+    ]))]);
+  }
+
+  _getPromiseResolvers(val: ObjectValue): { resolve: BabelNodeIdentifier, reject: BabelNodeIdentifier } {
+    let resolvers = this.promiseResolvers.get(val);
+    if (resolvers === undefined) {
+      resolvers = { resolve: t.identifier(this.generateUid()), reject: t.identifier(this.generateUid()) };
+      this.promiseResolvers.set(val, resolvers);
+    }
+    return resolvers;
+  }
+
+  // A pending promise that was created by calling then on another pending promise gets created the same way,
+  // after recreating all the reactions that were registered on the other promise before.
+  _serializeDerivedPromise(name: string, val: ObjectValue, parent: ObjectValue, reasons: Array<string>): BabelNodeExpression {
+    let parentId = this.serializeValue(parent, reasons.concat(`Reaction of promise ${name}`));
+    let reactions = parent.$PromiseFulfillReactions;
+    invariant(reactions !== undefined);
+    let index = reactions.findIndex(reaction => reaction.capabilities.promise === val);
+    invariant(index >= 0);
+    this._emitPromiseReactions(parent, index, reasons);
+    let cursor = this.promiseReactionCursors.get(parent) || 0;
+    if (cursor > index) {
+      // The reaction was already emitted before it was known that the derived promise is referenced.
+      // This can only happen while counting references, so just make sure the promise will get a variable.
+      invariant(this.collectValToRefCountOnly);
+      this._incrementValToRefCount(val);
+    } else {
+      this.promiseReactionCursors.set(parent, index + 1);
+    }
+    return this._serializePromiseReaction(parentId, parent, index, reasons);
+  }
+
+  // Registers the reactions of the given pending promise that have not been emitted yet, up to the given index.
+  _emitPromiseReactions(val: ObjectValue, end: number, reasons: Array<string>) {
+    let reactions = val.$PromiseFulfillReactions;
+    invariant(reactions !== undefined);
+    for (let i = this.promiseReactionCursors.get(val) || 0; i < end; i = this.promiseReactionCursors.get(val) || 0) {
+      let derived = reactions[i].capabilities.promise;
+      if (derived instanceof ObjectValue && derived.$PromiseState === "pending" && !this.refs.has(derived) &&
+          (this.valToRefCount.has(derived) || (derived.$PromiseFulfillReactions || []).length > 0)) {
+        // the derived promise is referenced elsewhere or has reactions of its own,
+        // so give it a variable; this emits the reaction
+        this._incrementValToRefCount(derived);
+        this.serializeValue(derived, reasons.concat("Derived promise"));
+      } else {
+        this.promiseReactionCursors.set(val, i + 1);
+        this.body.push(t.expressionStatement(this._serializePromiseReaction(this._getValIdForReference(val), val, i, reasons)));
+      }
+    }
+  }
+
+  _serializePromiseReaction(id: BabelNodeExpression, val: ObjectValue, index: number, reasons: Array<string>): BabelNodeExpression {
+    let fulfillReactions = val.$PromiseFulfillReactions;
+    let rejectReactions = val.$PromiseRejectReactions;
+    invariant(fulfillReactions !== undefined && rejectReactions !== undefined);
+    // PerformPromiseThen registers both reactions at the same time, with "Identity" and "Thrower" standing in for missing handlers
+    let args = [fulfillReactions[index].handler, rejectReactions[index].handler].map(handler =>
+      handler instanceof StringValue ? t.identifier("undefined") : this.serializeValue(handler, reasons.concat(`Promise reaction`)));
+    if (args[1].type === "Identifier" && args[1].name === "undefined") args.pop();
+    return t.callExpression(t.memberExpression(id, t.identifier("then")), args);
+  }
+
+  _serializeValueGenerator(name: string, val: ObjectValue, reasons: Array<string>): BabelNodeExpression {
+    let state = val.$GeneratorState;
+    invariant(state !== undefined);
+    if (state !== "completed") {
+      // The code evaluation state of a suspended generator lives on in the interpreter only.
+      // The stand-in is a generator that has completed.
+      let genContext = val.$GeneratorContext;
+      invariant(genContext !== undefined);
+      let func = genContext.function;
+      let loc = func instanceof FunctionValue ? func.$ECMAScriptCode.loc : undefined;
+      let location = describeLocation(this.realm, func, genContext.lexicalEnvironment, loc) || "(unknown)";
+      this._logUnserializableValue(DiagnosticCodes.SuspendedGenerator, `generator object is ${state} ${location} and cannot be serialized`, loc, reasons);
+    }
+
+    // A completed generator behaves like any other generator that ran to completion.
+    let id = this._getValIdForReference(val);
+    this._eagerOrDelay([val], () => {
+      this.body.push(t.expressionStatement(t.callExpression(t.memberExpression(id, t.identifier("return")), [])));
+    });
+    this.addProperties(name, val, false, reasons);
+    return t.callExpression(t.functionExpression(null, [], t.blockStatement([]), true), []);
+  }
+
+  _serializeValueGeneratorFunctionPrototype(name: string, val: ObjectValue, reasons: Array<string>): BabelNodeExpression {
+    // the prototype of a fresh generator function already inherits from %GeneratorPrototype%
+    this.addProperties(name, val, false, reasons);
+    return t.memberExpression(t.functionExpression(null, [], t.blockStatement([]), true), t.identifier("prototype"));
+  }
+
+  _serializeValuePromiseResolvingFunction(name: string, val: NativeFunctionValue, reasons: Array<string>): BabelNodeExpression {
+    let promise = val.$Promise;
+    let alreadyResolved = val.$AlreadyResolved;
+    invariant(promise instanceof ObjectValue && alreadyResolved !== undefined);
+    if (alreadyResolved.value || promise.$PromiseState !== "pending") {
+      // calling the function has no effect anymore
+      return t.functionExpression(null, [t.identifier("resolution")], t.blockStatement([]));
+    }
+
+    if (this.derivedPromises.has(promise)) {
+      // The residual reaction creates the promise along with resolving functions that nothing else can get hold of.
+      // The stand-in is a function that does nothing.
+      this._logUnserializableValue(DiagnosticCodes.IntrospectionError, "TODO: serialize resolving functions of promises created by then",
+        undefined, reasons);
+      return t.functionExpression(null, [t.identifier("resolution")], t.blockStatement([]));
+    }
+    this.residualPromiseResolvers.add(promise);
+    // make sure the promise gets a variable, as it is not going to be referenced by the returned expression
+    this._incrementValToRefCount(promise);
+    this.serializeValue(promise, reasons.concat(`Resolved by ${name}`));
+    let resolvers = this._getPromiseResolvers(promise);
+    return val.$PromiseRejectFunction ? resolvers.reject : resolvers.resolve;
+  }
+
+  _serializeValueResidualNativeBinding(name: string, val: NativeFunctionValue, reasons: Array<string>): BabelNodeExpression {
+    let getResidualBinding = val.getResidualBinding;
+    invariant(getResidualBinding !== undefined);
+    let binding = getResidualBinding();
+    let serializedArgs = binding.args.map((arg, i) => this.serializeValue(arg, reasons.concat(`Argument ${i} of ${name}`)));
+    this.addProperties(name, val, false, reasons);
+    return binding.buildNode(serializedArgs);
+  }
+
+  // Returns the value that the class syntax emitted for a class constructor extends, if any.
+  _getClassHeritage(val: FunctionValue): void | Value {
+    if (val.$ConstructorKind !== "derived") return undefined;
+    let parent = val.$Prototype;
+    // `extends null` leaves the class constructor with the ordinary function prototype
+    if (parent === this.realm.intrinsics.FunctionPrototype) return this.realm.intrinsics.null;
+    if (!IsConstructor(this.realm, parent)) throw new Error("TODO: serialize classes whose prototype got changed to a non-constructor");
+    return parent;
+  }
+
+  // Returns the prototype that the class syntax already gives class constructors and their prototype objects, if any.
+  _getImplicitPrototype(val: ObjectValue): void | Value {
+    if (val instanceof FunctionValue && val.$FunctionKind === "classConstructor") {
+      return this._getClassHeritage(val) || this.realm.intrinsics.FunctionPrototype;
+    }
+    let constructor = val.$ClassConstructor;
+    if (constructor === undefined) return undefined;
+    let heritage = this._getClassHeritage(constructor);
+    if (heritage === undefined) return this.realm.intrinsics.ObjectPrototype;
+    if (!(heritage instanceof ObjectValue)) return heritage;
+    let binding = heritage.properties.get("prototype");
+    return binding && binding.descriptor && binding.descriptor.value;
+  }
+
+  // Prototype objects of classes come with the class itself.
+  _serializeValueClassPrototype(name: string, val: ObjectValue, reasons: Array<string>): BabelNodeExpression {
+    let constructor = val.$ClassConstructor;
+    invariant(constructor !== undefined);
+    let serializedConstructor = this.serializeValue(constructor, reasons.concat(`Class of ${name}`));
+    this.addProperties(name, val, false, reasons);
+    return t.memberExpression(serializedConstructor, t.identifier("prototype"));
+  }
+
+  // Handles of timers that already fired or got cleared get serialized as ordinary objects.
+  _isPendingTimerHandle(val: ObjectValue): boolean {
+    return val.$Timer !== undefined && this.realm.timers.get(val) === val.$Timer;
+  }
+
+  _serializeValueTimerHandle(name: string, val: ObjectValue, reasons: Array<string>): BabelNodeExpression {
+    let timer = val.$Timer;
+    invariant(timer !== undefined);
+    let id = timer.residualId;
+    invariant(id !== undefined, "timer handles only get serialized in partial mode, where their timers get emitted");
+    this.addProperties(name, val, false, reasons);
+    return id;
+  }
+
+  _serializeValueArrayBuffer(name: string, val: ObjectValue, reasons: Array<string>): BabelNodeExpression {
+    let data = val.$ArrayBufferData;
+    if (!(data instanceof Uint8Array)) {
+      // Only the host can detach buffers, e.g. by transferring them to a worker. The stand-in is an empty buffer.
+      this._logUnserializableValue(DiagnosticCodes.IntrospectionError, "TODO: serialize detached array buffers", undefined, reasons);
+      this.addProperties(name, val, false, reasons);
+      return t.newExpression(t.identifier("ArrayBuffer"), [t.numericLiteral(0)]);
+    }
+
+    let init;
+    if (data.every(b => b === 0)) {
+      init = t.newExpression(t.identifier("ArrayBuffer"), [t.numericLiteral(data.length)]);
+    } else {
+      let bytes = Array.from(data, b => t.numericLiteral(b));
+      init = t.memberExpression(
+        t.newExpression(t.identifier("Uint8Array"), [t.arrayExpression(bytes)]),
+        t.identifier("buffer"));
+    }
+
+    this.addProperties(name, val, false, reasons);
+    return init;
+  }
+
+  _canSerializeTypedArrayElements(val: ObjectValue, buffer: ObjectValue): boolean {
+    // Only possible when the typed array is the only thing that refers to its buffer,
+    // and covers all of it; otherwise the buffer needs an identity of its own.
+    if (this.collectValToRefCountOnly || this.valToRefCount.get(buffer) !== 1) return false;
+    if (val.$ByteOffset !== 0 || val.$ByteLength !== buffer.$ArrayBufferByteLength) return false;
+    if (buffer.properties.size > 0 || buffer.$Prototype !== this.realm.intrinsics.ArrayBufferPrototype) return false;
+    return true;
+  }
+
+  _serializeValueTypedArray(name: string, val: ObjectValue, reasons: Array<string>): BabelNodeExpression {
+    let typedArrayName = val.$TypedArrayName;
+    let buffer = val.$ViewedArrayBuffer;
+    let byteOffset = val.$ByteOffset;
+    let arrayLength = val.$ArrayLength;
+    invariant(typeof typedArrayName === "string" && buffer instanceof ObjectValue);
+    invariant(typeof byteOffset === "number" && typeof arrayLength === "number");
+    let data = buffer.$ArrayBufferData;
+
+    let args;
+    if (!(data instanceof Uint8Array)) {
+      // The buffer got detached, which its serialization reports.
+      args = [this.serializeValue(buffer, reasons.concat(`Buffer of ${typedArrayName} ${name}`))];
+    } else if (this._canSerializeTypedArrayElements(val, buffer)) {
+      let type = ArrayElementType[typedArrayName];
+      let elementSize = ArrayElementSize[typedArrayName];
+      let elements = [];
+      for (let i = 0; i < arrayLength; i++) {
+        elements.push(GetValueFromBuffer(this.realm, buffer, byteOffset + i * elementSize, type));
+      }
+      if (elements.every(element => Object.is(element.value, 0))) {
+        args = [t.numericLiteral(arrayLength)];
+      } else if (!elements.some(element => isNaN(element.value))) {
+        args = [t.arrayExpression(elements.map(element => this.serializeValue(element)))];
+      }
+      // NaNs may carry a payload that only survives when copying the bytes
+    }
+
+    if (args === undefined) {
+      args = [this.serializeValue(buffer, reasons.concat(`Buffer of ${typedArrayName} ${name}`))];
+      let elementSize = ArrayElementSize[typedArrayName];
+      let coversRemainder = byteOffset + arrayLength * elementSize === buffer.$ArrayBufferByteLength;
+      if (byteOffset !== 0 || !coversRemainder) args.push(t.numericLiteral(byteOffset));
+      if (!coversRemainder) args.push(t.numericLiteral(arrayLength));
+    }
+
+    this.addProperties(name, val, false, reasons);
+    return t.newExpression(t.identifier(typedArrayName), args);
+  }
+
+  _serializeValueDataView(name: string, val: ObjectValue, reasons: Array<string>): BabelNodeExpression {
+    let buffer = val.$ViewedArrayBuffer;
+    let byteOffset = val.$ByteOffset;
+    let byteLength = val.$ByteLength;
+    invariant(buffer instanceof ObjectValue);
+    invariant(typeof byteOffset === "number" && typeof byteLength === "number");
+
+    let args = [this.serializeValue(buffer, reasons.concat(`Buffer of DataView ${name}`))];
+    let coversRemainder = byteOffset + byteLength === buffer.$ArrayBufferByteLength;
+    if (byteOffset !== 0 || !coversRemainder) args.push(t.numericLiteral(byteOffset));
+    if (!coversRemainder) args.push(t.numericLiteral(byteLength));
+
+    this.addProperties(name, val, false, reasons);
+    return t.newExpression(t.identifier("DataView"), args);
+  }
+
+  _serializeValueMap(name: string, val: ObjectValue, reasons: Array<string>): BabelNodeExpression {
+    let kind = val.$MapData !== undefined ? "Map" : "WeakMap";
+    let entries = kind === "Map" ? val.$MapData : val.$WeakMapData;
+    invariant(entries !== undefined);
+    let liveEntries = entries.filter(entry => entry.$Key !== undefined);
+
+    // Entries go into the constructor argument until the first one that refers to a value
+    // that cannot be serialized yet; that one and all following entries get added later
+    // via `set` so that the iteration order is preserved.
+    let elems = [];
+    let i = 0;
+    for (; i < liveEntries.length; i++) {
+      let { $Key: key, $Value: value } = liveEntries[i];
+      invariant(key !== undefined && value !== undefined);
+      if (this._shouldDelayValues([key, value])) break;
+      elems.push(t.arrayExpression([
+        this.serializeValue(key, reasons.concat(`Key of an entry in ${kind} ${name}`)),
+        this.serializeValue(value, reasons.concat(`Value of an entry in ${kind} ${name}`))
+      ]));
+    }
+
+    if (i < liveEntries.length) {
+      let delayedEntries = liveEntries.slice(i);
+      let delayedValues = [];
+      for (let { $Key: key, $Value: value } of delayedEntries) {
+        invariant(key !== undefined && value !== undefined);
+        delayedValues.push(key, value);
+      }
+      let delayReason = this._shouldDelayValues(delayedValues);
+      invariant(delayReason);
+      // handle self recursion
+      this._delay(delayReason, delayedValues, () => {
+        let id = this._getValIdForReference(val);
+        for (let { $Key: key, $Value: value } of delayedEntries) {
+          invariant(key !== undefined && value !== undefined);
+          this.body.push(t.expressionStatement(t.callExpression(
+            t.memberExpression(id, t.identifier("set")),
+            [
+              this.serializeValue(key, reasons.concat(`Key of an entry in ${kind} ${name}`)),
+              this.serializeValue(value, reasons.concat(`Value of an entry in ${kind} ${name}`))
+            ]
+          )));
+        }
+      });
+    }
+
+    this.addProperties(name, val, false, reasons);
+    return t.newExpression(t.identifier(kind), elems.length ? [t.arrayExpression(elems)] : []);
+  }
+
+  _serializeValueSet(name: string, val: ObjectValue, reasons: Array<string>): BabelNodeExpression {
+    let kind = val.$SetData !== undefined ? "Set" : "WeakSet";
+    let entries = kind === "Set" ? val.$SetData : val.$WeakSetData;
+    invariant(entries !== undefined);
+    let liveEntries = [];
+    for (let entry of entries) if (entry !== undefined) liveEntries.push(entry);
+
+    // See _serializeValueMap for why entries after the first delayed one are all delayed.
+    let elems = [];
+    let i = 0;
+    for (; i < liveEntries.length; i++) {
+      let entry = liveEntries[i];
+      if (this._shouldDelayValue(entry)) break;
+      elems.push(this.serializeValue(entry, reasons.concat(`Entry in ${kind} ${name}`)));
+    }
+
+    if (i < liveEntries.length) {
+      let delayedEntries = liveEntries.slice(i);
+      let delayReason = this._shouldDelayValues(delayedEntries);
+      invariant(delayReason);
+      // handle self recursion
+      this._delay(delayReason, delayedEntries, () => {
+        let id = this._getValIdForReference(val);
+        for (let entry of delayedEntries) {
+          this.body.push(t.expressionStatement(t.callExpression(
+            t.memberExpression(id, t.identifier("add")),
+            [this.serializeValue(entry, reasons.concat(`Entry in ${kind} ${name}`))]
+          )));
+        }
+      });
+    }
+
+    this.addProperties(name, val, false, reasons);
+    return t.newExpression(t.identifier(kind), elems.length ? [t.arrayExpression(elems)] : []);
+  }
+
   _serializeValueFunction(name: string, val: FunctionValue, reasons: Array<string>): void | BabelNodeExpression {
     if (val instanceof BoundFunctionValue) {
       return t.callExpression(
@@ -612,6 +1404,9 @@ export class Serializer {
     }
 
     if (val instanceof NativeFunctionValue) {
+      if (val.$Promise !== undefined) return this._serializeValuePromiseResolvingFunction(name, val, reasons);
+      if (val.$RevocableProxy !== undefined) return this._serializeValueProxyRevoker(name, val, reasons);
+      if (val.getResidualBinding !== undefined) return this._serializeValueResidualNativeBinding(name, val, reasons);
       throw new Error("TODO: do not know how to serialize non-intrinsic native function value");
     }
 
@@ -628,6 +1423,8 @@ export class Serializer {
         instances: [],
         usesArguments: false,
         usesThis: false,
+        usesSuper: false,
+        usesNewTarget: false,
       };
       this.functions.set(val.$ECMAScriptCode, functionInfo);
 
@@ -652,7 +1449,9 @@ export class Serializer {
       );
 
       if (val.isResidual && Object.keys(functionInfo.names).length) {
-        this.logger.logError(`residual function ${describeLocation(this.realm, val, undefined, val.$ECMAScriptCode.loc) || "(unknown)"} refers to the following identifiers defined outside of the local scope: ${Object.keys(functionInfo.names).join(", ")}`);
+        this.logger.logError(DiagnosticCodes.ResidualFunctionFreeIdentifiers,
+          `residual function ${describeLocation(this.realm, val, undefined, val.$ECMAScriptCode.loc) || "(unknown)"} refers to the following identifiers defined outside of the local scope: ${Object.keys(functionInfo.names).join(", ")}`,
+          val.$ECMAScriptCode.loc, reasons);
       }
     }
 
@@ -663,6 +1462,23 @@ export class Serializer {
       serializedBindings,
       functionValue: val,
     };
+
+    // Class syntax is not hoisted, so the class has to be defined right here, after its heritage.
+    let isClassConstructor = val.$FunctionKind === "classConstructor";
+    if (isClassConstructor) {
+      let heritage = this._getClassHeritage(val);
+      if (heritage !== undefined) {
+        if (this._shouldDelayValue(heritage)) throw new Error("TODO: serialize classes whose heritage is not yet available");
+        instance.classHeritage = this.serializeValue(heritage, reasons.concat(`Heritage of class ${name}`));
+      }
+    } else if (functionInfo.usesSuper) {
+      let home = val.$HomeObject;
+      if (home === undefined) throw new Error("TODO: serialize functions that refer to super without a home object");
+      let superBase = home.$Prototype;
+      if (this._shouldDelayValue(superBase)) throw new Error("TODO: serialize methods whose super base is not yet available");
+      instance.superBase = this.serializeValue(superBase, reasons.concat(`Super base of ${name}`));
+    }
+
     let delayed = 0;
     for (let innerName in functionInfo.names) {
       let referencedValues = [];
@@ -683,11 +1499,9 @@ export class Serializer {
         if (reference.base instanceof GlobalEnvironmentRecord) {
           serializeBindingFunc = () => this._serializeGlobalBinding(referencedName);
         } else if (referencedBase instanceof DeclarativeEnvironmentRecord) {
-          serializeBindingFunc = () => {
-            invariant(referencedBase instanceof DeclarativeEnvironmentRecord);
-            return this._serializeDeclarativeEnvironmentRecordBinding(referencedBase, referencedName, name, reasons);
-          };
-          let binding = referencedBase.bindings[referencedName];
+          let { record, name: targetName } = this._getTargetBinding(referencedBase, referencedName);
+          serializeBindingFunc = () => this._serializeDeclarativeEnvironmentRecordBinding(record, targetName, name, reasons);
+          let binding = record.bindings[targetName];
           if (binding.initialized && binding.value) referencedValues.push(binding.value);
         } else {
           invariant(false);
@@ -695,14 +1509,19 @@ export class Serializer {
       }
       let delayReason = this._shouldDelayValues(referencedValues);
       if (delayReason) {
-        delayed++;
+        if (!isClassConstructor) {
+          delayed++;
+        } else if (functionInfo.modified[innerName]) {
+          // The class gets defined before the value of the binding, while the variable for the modified binding would have to be initialized with it.
+          throw new Error("TODO: serialize class constructors that modify bindings whose values are not yet available");
+        }
         this._delay(delayReason, referencedValues, () => {
           let serializedBinding = serializeBindingFunc();
           invariant(serializedBinding);
           serializedBindings[innerName] = serializedBinding;
           invariant(functionInfo);
           if (functionInfo.modified[innerName]) serializedBinding.modified = true;
-          if (--delayed === 0) {
+          if (!isClassConstructor && --delayed === 0) {
             instance.bodyReference = this._getBodyReference();
             this.functionInstances.push(instance);
           }
@@ -723,6 +1542,15 @@ export class Serializer {
     functionInfo.instances.push(instance);
 
     this.addProperties(name, val, false, reasons);
+
+    if (isClassConstructor) {
+      // The prototype object comes with the class, but its properties still need to be serialized.
+      let prototypeBinding = val.properties.get("prototype");
+      let prototype = prototypeBinding && prototypeBinding.descriptor && prototypeBinding.descriptor.value;
+      if (prototype instanceof ObjectValue && prototype.$ClassConstructor === val) {
+        this.serializeValue(prototype, reasons.concat(`Prototype of class ${name}`));
+      }
+    }
   }
 
   _canEmbedProperty(prop: Descriptor, configurable: boolean = true): boolean {
@@ -778,17 +1606,94 @@ export class Serializer {
     }
   }
 
+  _serializeValueModuleNamespace(name: string, val: ModuleNamespaceExotic, reasons: Array<string>): BabelNodeExpression {
+    // The exports are writable, enumerable and non-configurable, and come before @@toStringTag, which is none of those.
+    let descriptors = [];
+    let bindings = [];
+    for (let exportName of val.$Exports) {
+      let resolution = ResolveExport(this.realm, val.$Module, exportName, [], []);
+      invariant(resolution !== null && resolution !== "ambiguous");
+      let serializedBinding = this._serializeModuleBinding(resolution.$Module, resolution.$BindingName, reasons.concat(`Export ${exportName} of ${name}`));
+      let isComputed = exportName === "__proto__" || !t.isValidIdentifier(exportName);
+      let key = isComputed ? t.stringLiteral(exportName) : t.identifier(exportName);
+      descriptors.push(t.objectProperty(key, t.objectExpression([
+        t.objectProperty(t.identifier("writable"), t.booleanLiteral(true)),
+        t.objectProperty(t.identifier("enumerable"), t.booleanLiteral(true))
+      ]), isComputed));
+      bindings.push(t.objectProperty(key, t.functionExpression(null, [], t.blockStatement([
+        t.returnStatement(serializedBinding.serializedValue)
+      ])), isComputed));
+    }
+    descriptors.push(t.objectProperty(this.preludeGenerator.memoizeReference("Symbol.toStringTag"),
+      t.objectExpression([t.objectProperty(t.identifier("value"), t.stringLiteral("Module"))]), true));
+    let target = t.callExpression(this.preludeGenerator.memoizeReference("Object.preventExtensions"), [
+      t.callExpression(this.preludeGenerator.memoizeReference("Object.create"), [t.nullLiteral(), t.objectExpression(descriptors)])
+    ]);
+    return buildModuleNamespace({
+      PROXY: this.preludeGenerator.memoizeReference("Proxy"),
+      GET_OWN_PROPERTY_DESCRIPTOR: this.preludeGenerator.memoizeReference("Reflect.getOwnPropertyDescriptor"),
+      TARGET: target,
+      BINDINGS: t.objectExpression(bindings),
+    });
+  }
+
   _serializeValueSymbol(val: SymbolValue): BabelNodeExpression {
+    for (let e of this.realm.globalSymbolRegistry) {
+      if (e.$Symbol === val) {
+        return t.callExpression(t.memberExpression(t.identifier("Symbol"), t.identifier("for")), [t.stringLiteral(e.$Key)]);
+      }
+    }
     let args = [];
     if (val.$Description) args.push(t.stringLiteral(val.$Description));
     return t.callExpression(t.identifier("Symbol"), args);
   }
 
   _serializeValueProxy(name: string, val: ProxyValue, reasons: Array<string>): BabelNodeExpression {
-    return t.newExpression(t.identifier("Proxy"), [
+    let revocable = t.memberExpression(t.identifier("Proxy"), t.identifier("revocable"));
+    if (val.$ProxyTarget instanceof NullValue) {
+      // All that is left of a revoked proxy is whether it can be called and constructed.
+      let target = val.$Construct ? t.functionExpression(null, [], t.blockStatement([])) :
+        val.$Call ? t.arrowFunctionExpression([], t.blockStatement([])) : t.objectExpression([]);
+      let revocation = t.identifier("revocation");
+      return t.callExpression(t.functionExpression(null, [revocation], t.blockStatement([
+        t.expressionStatement(t.callExpression(t.memberExpression(revocation, t.identifier("revoke")), [])),
+        t.returnStatement(t.memberExpression(revocation, t.identifier("proxy")))
+      ])), [t.callExpression(revocable, [target, t.objectExpression([])])]);
+    }
+
+    let args = [
       this.serializeValue(val.$ProxyTarget, reasons.concat(`Proxy target of ${name}`)),
       this.serializeValue(val.$ProxyHandler, reasons.concat(`Proxy handler of ${name}`))
-    ]);
+    ];
+    if (!this.residualProxyRevokers.has(val)) return t.newExpression(t.identifier("Proxy"), args);
+
+    // The function that revokes the proxy gets referenced as well, so the proxy has to be revocable.
+    let revocation = this._getProxyRevocation(val);
+    this.body.push(t.variableDeclaration("var", [t.variableDeclarator(revocation, t.callExpression(revocable, args))]));
+    return t.memberExpression(revocation, t.identifier("proxy"));
+  }
+
+  _getProxyRevocation(val: ProxyValue): BabelNodeIdentifier {
+    let revocation = this.proxyRevocations.get(val);
+    if (revocation === undefined) {
+      revocation = t.identifier(this.generateUid());
+      this.proxyRevocations.set(val, revocation);
+    }
+    return revocation;
+  }
+
+  _serializeValueProxyRevoker(name: string, val: NativeFunctionValue, reasons: Array<string>): BabelNodeExpression {
+    let proxy = val.$RevocableProxy;
+    if (!(proxy instanceof ProxyValue)) {
+      // calling the function has no effect anymore
+      return t.functionExpression(null, [], t.blockStatement([]));
+    }
+
+    this.residualProxyRevokers.add(proxy);
+    // make sure the proxy gets a variable, as it is not going to be referenced by the returned expression
+    this._incrementValToRefCount(proxy);
+    this.serializeValue(proxy, reasons.concat(`Revoked by ${name}`));
+    return t.memberExpression(this._getProxyRevocation(proxy), t.identifier("revoke"));
   }
 
   _serializeAbstractValue(name: string, val: AbstractValue, reasons: Array<string>): BabelNodeExpression {
@@ -811,17 +1716,52 @@ export class Serializer {
       this.needsEmptyVar = true;
       return t.identifier("__empty");
     } else if (this.shouldInline(val)) {
+      // t.valueToNode loses the sign of negative zero
+      if (val instanceof NumberValue && Object.is(val.value, -0)) return t.unaryExpression("-", t.numericLiteral(0));
       return t.valueToNode(val.serialize());
+    } else if (val instanceof ProxyValue) {
+      return this._serializeValueProxy(name, val, reasons);
     } else if (IsArray(this.realm, val)) {
       invariant(val instanceof ObjectValue);
       return this._serializeValueArray(name, val, reasons);
-    } else if (val instanceof ProxyValue) {
-      return this._serializeValueProxy(name, val, reasons);
     } else if (val instanceof FunctionValue) {
       return this._serializeValueFunction(name, val, reasons);
     } else if (val instanceof SymbolValue) {
       return this._serializeValueSymbol(val);
+    } else if (val instanceof ModuleNamespaceExotic) {
+      return this._serializeValueModuleNamespace(name, val, reasons);
     } else if (val instanceof ObjectValue) {
+      if (this._isPendingTimerHandle(val)) {
+        return this._serializeValueTimerHandle(name, val, reasons);
+      } else if (val.$ClassConstructor !== undefined) {
+        return this._serializeValueClassPrototype(name, val, reasons);
+      } else if (val.$MapData !== undefined || val.$WeakMapData !== undefined) {
+        return this._serializeValueMap(name, val, reasons);
+      } else if (val.$SetData !== undefined || val.$WeakSetData !== undefined) {
+        return this._serializeValueSet(name, val, reasons);
+      } else if (val.$ArrayBufferData !== undefined) {
+        return this._serializeValueArrayBuffer(name, val, reasons);
+      } else if (val.$TypedArrayName !== undefined) {
+        return this._serializeValueTypedArray(name, val, reasons);
+      } else if (val.$DataView !== undefined) {
+        return this._serializeValueDataView(name, val, reasons);
+      } else if (val.$DateValue !== undefined) {
+        return this._serializeValueDate(name, val, reasons);
+      } else if (val.$InitializedCollator !== undefined || val.$InitializedNumberFormat !== undefined ||
+          val.$InitializedDateTimeFormat !== undefined) {
+        return this._serializeValueIntl(name, val, reasons);
+      } else if (val.$BooleanData !== undefined || val.$NumberData !== undefined ||
+          val.$StringData !== undefined || val.$SymbolData !== undefined) {
+        return this._serializeValueBoxedPrimitive(name, val, reasons);
+      } else if ("$ErrorData" in val) {
+        return this._serializeValueError(name, val, reasons);
+      } else if (val.$PromiseState !== undefined) {
+        return this._serializeValuePromise(name, val, reasons);
+      } else if (val.$GeneratorState !== undefined) {
+        return this._serializeValueGenerator(name, val, reasons);
+      } else if (val.$Prototype === this.realm.intrinsics.GeneratorPrototype) {
+        return this._serializeValueGeneratorFunctionPrototype(name, val, reasons);
+      }
       return this._serializeValueObject(name, val, reasons);
     } else {
       invariant(false);
@@ -830,6 +1770,14 @@ export class Serializer {
 
   _serializeGlobalBinding(key: string): void | SerializedBinding {
     if (t.isValidIdentifier(key)) {
+      let globalRecord = this.realm.$GlobalEnv.environmentRecord;
+      invariant(globalRecord instanceof GlobalEnvironmentRecord);
+      let declarativeRecord = globalRecord.$DeclarativeRecord;
+      invariant(declarativeRecord instanceof DeclarativeEnvironmentRecord);
+      let binding = declarativeRecord.bindings[key];
+      if (binding !== undefined && IsHavocedBinding(binding)) {
+        return this._serializeDeclarativeEnvironmentRecordBinding(declarativeRecord, key, key, ["global let binding"]);
+      }
       let value = this.realm.getGlobalLetBinding(key);
       // Check for let binding vs global property
       if (value) {
@@ -849,6 +1797,70 @@ export class Serializer {
     }
   }
 
+  _isLazyFunctionBody(funcBody: BabelNodeBlockStatement): boolean {
+    let lazyFunctionBodies = this.lazyFunctionBodies;
+    if (lazyFunctionBodies === undefined) return false;
+    if (funcBody.start != null && funcBody.end != null && funcBody.end - funcBody.start < lazyFunctionBodies.minimumSize) return false;
+    // Bodies that are lazy already, say from an earlier run of Prepack, stay as they are.
+    if (this._isLazyStub(funcBody)) return false;
+    let loc = funcBody.loc;
+    return !loc || !lazyFunctionBodies.hotFunctions.has(`${loc.source || "unknown"}:${loc.start.line}`);
+  }
+
+  // Whether the body is one that _makeLazy produced, i.e. "return (c || (c = function (...) {...})).apply(this, arguments);".
+  _isLazyStub(funcBody: BabelNodeBlockStatement): boolean {
+    if (funcBody.body.length !== 1 || funcBody.directives && funcBody.directives.length > 0) return false;
+    let statement = funcBody.body[0];
+    if (statement.type !== "ReturnStatement" || !statement.argument || statement.argument.type !== "CallExpression") return false;
+    let callee = statement.argument.callee;
+    if (callee.type !== "MemberExpression" || callee.computed || callee.property.name !== "apply") return false;
+    let cache = callee.object;
+    return cache.type === "LogicalExpression" && cache.operator === "||" && cache.right.type === "AssignmentExpression" &&
+      cache.right.right.type === "FunctionExpression";
+  }
+
+  // Moves the body of the given function into a function expression that the function only creates on its first call,
+  // so that engines which compile functions lazily do not compile the body before then.
+  // The function expression is nested in the given function, so it sees exactly the same bindings as the original body did.
+  // The returned declaration of the variable that caches the created function must go into the scope of the given function.
+  _makeLazy(funcNode: BabelNodeFunctionDeclaration): BabelNodeStatement {
+    let cacheId = t.identifier(this.generateUid());
+    let lazyFunction = t.functionExpression(null, funcNode.params.map(param => ((t.cloneDeep(param): any): BabelNodeLVal)), funcNode.body);
+    funcNode.body = t.blockStatement([
+      t.returnStatement(t.callExpression(
+        t.memberExpression(t.logicalExpression("||", cacheId, t.assignmentExpression("=", cacheId, lazyFunction)), t.identifier("apply")),
+        [t.thisExpression(), t.identifier("arguments")]
+      ))
+    ]);
+    return t.variableDeclaration("var", [t.variableDeclarator(cacheId)]);
+  }
+
+  // The name that a function got when it was defined, which is not the name of the variable that holds it in the residual program.
+  _getFunctionName(val: FunctionValue): void | string {
+    let binding = val.properties.get("name");
+    let desc = binding === undefined ? undefined : binding.descriptor;
+    if (desc === undefined || !(desc.value instanceof StringValue)) return undefined;
+    return desc.value.value;
+  }
+
+  // An anonymous function or class that is the value of a property definition gets named after the key.
+  _getNamedExpression(name: string, node: BabelNodeExpression): BabelNodeExpression {
+    let isComputed = name === "__proto__" || !t.isValidIdentifier(name);
+    let keyNode = isComputed ? t.stringLiteral(name) : t.identifier(name);
+    return t.memberExpression(t.objectExpression([t.objectProperty(keyNode, node, isComputed)]), keyNode, isComputed);
+  }
+
+  // Instances of a function can share a factory unless it is small enough to be inlined into each of them,
+  // or needs syntax that a factory cannot pass on, like that of methods.
+  _canShareFactory(funcBody: BabelNodeBlockStatement, functionInfo: FunctionInfo): boolean {
+    let { instances, usesArguments, usesSuper } = functionInfo;
+    let kind = instances[0].functionValue.$FunctionKind;
+    if (instances.length === 1 || usesArguments || usesSuper || instances[0].functionValue.$HomeObject !== undefined) return false;
+    if (kind === "classConstructor" || kind === "generator" || kind === "async") return false;
+    if (!funcBody) return false;
+    return !(funcBody.start && funcBody.end && funcBody.end - funcBody.start <= 30);
+  }
+
   _spliceFunctions() {
     let functionBodies = new Map();
     function getFunctionBody(instance: FunctionInstance): Array<BabelNodeStatement> {
@@ -859,57 +1871,131 @@ export class Serializer {
 
     let requireStatistics = { replaced: 0, count: 0 };
 
-    // Ensure that all bindings that actually get modified get proper variables
+    // Ensure that all bindings that actually get modified get proper variables.
+    // Instances that share a factory cannot refer to variables of the scopes they get defined in,
+    // so the bindings they modify become properties of scope objects instead, which get passed to the factory.
+    // Bindings that are captured by the same instances share a scope object.
     let functionEntries: Array<[BabelNodeBlockStatement, FunctionInfo]> = Array.from(this.functions.entries());
+    let capturers: Map<SerializedBinding, Array<FunctionInstance>> = new Map();
+    let boxedBindings: Set<SerializedBinding> = new Set();
+    for (let [funcBody, functionInfo] of functionEntries) {
+      let canShareFactory = this._canShareFactory(funcBody, functionInfo);
+      for (let instance of functionInfo.instances) {
+        for (let name in functionInfo.names) {
+          let serializedBinding: SerializedBinding = instance.serializedBindings[name];
+          if (!serializedBinding.modified || serializedBinding.referentialized) continue;
+          let bindingCapturers = capturers.get(serializedBinding);
+          if (bindingCapturers === undefined) capturers.set(serializedBinding, bindingCapturers = []);
+          bindingCapturers.push(instance);
+          if (canShareFactory) boxedBindings.add(serializedBinding);
+        }
+      }
+    }
+
+    let instanceIndices: Map<FunctionInstance, number> = new Map();
+    this.functionInstances.forEach((instance, i) => instanceIndices.set(instance, i));
+    let scopeObjects: Map<string, { id: BabelNodeIdentifier, object: BabelNodeObjectExpression }> = new Map();
+    let bindingScopeIds: Map<SerializedBinding, BabelNodeIdentifier> = new Map();
     for (let [, { instances, names }] of functionEntries) {
       for (let instance of instances) {
         let serializedBindings = instance.serializedBindings;
         for (let name in names) {
           let serializedBinding: SerializedBinding = serializedBindings[name];
-          if (serializedBinding.modified && !serializedBinding.referentialized) {
+          if (!serializedBinding.modified || serializedBinding.referentialized) continue;
+          if (boxedBindings.has(serializedBinding)) {
+            let bindingCapturers = capturers.get(serializedBinding);
+            invariant(bindingCapturers !== undefined);
+            let key = bindingCapturers.map(capturer => instanceIndices.get(capturer)).join();
+            let scopeObject = scopeObjects.get(key);
+            if (scopeObject === undefined) {
+              // This is the first of the capturers, which is where the variable of a single binding would go as well.
+              scopeObject = { id: t.identifier(this.generateUid()), object: t.objectExpression([]) };
+              scopeObjects.set(key, scopeObject);
+              getFunctionBody(instance).push(t.variableDeclaration("var", [
+                t.variableDeclarator(scopeObject.id, scopeObject.object)]));
+            }
+            scopeObject.object.properties.push(t.objectProperty(t.identifier(name), serializedBinding.serializedValue));
+            serializedBinding.serializedValue = t.memberExpression(scopeObject.id, t.identifier(name));
+            bindingScopeIds.set(serializedBinding, scopeObject.id);
+          } else {
             let serializedBindingId = t.identifier(this.generateUid());
             let declar = t.variableDeclaration("var", [
               t.variableDeclarator(serializedBindingId, serializedBinding.serializedValue)]);
             getFunctionBody(instance).push(declar);
             serializedBinding.serializedValue = serializedBindingId;
-            serializedBinding.referentialized = true;
           }
+          serializedBinding.referentialized = true;
         }
       }
     }
 
-    for (let [funcBody, { usesArguments, usesThis, instances, names, modified }] of functionEntries) {
-      let params = instances[0].functionValue.$FormalParameters;
-
-      let shouldInline = !funcBody;
-      if (!shouldInline && funcBody.start && funcBody.end) {
-        let bodySize = funcBody.end - funcBody.start;
-        shouldInline = bodySize <= 30;
+    // The scope objects that hold the modified bindings of an instance, in the order of the names of its function.
+    let getScopeIds = (instance: FunctionInstance, names: Names): Array<BabelNodeIdentifier> => {
+      let scopeIds = [];
+      for (let name in names) {
+        let scopeId = bindingScopeIds.get(instance.serializedBindings[name]);
+        if (scopeId !== undefined && scopeIds.indexOf(scopeId) < 0) scopeIds.push(scopeId);
       }
+      return scopeIds;
+    };
 
-      // TODO: instead of completely giving up creating factories if there are modified bindings,
-      // figure out which instances share all they modified bindings, and then create factories for
-      // those batches.
-      let anySerializedBindingModified = false;
-      for (let instance of instances) {
-        let serializedBindings = instance.serializedBindings;
-        for (let name in names) {
-          let serializedBinding: SerializedBinding = serializedBindings[name];
-          if (serializedBinding.modified) {
-            anySerializedBindingModified = true;
-          }
-        }
-      }
+    for (let [funcBody, functionInfo] of functionEntries) {
+      let { usesArguments, usesThis, usesNewTarget, instances, names, modified } = functionInfo;
+      let params = instances[0].functionValue.$FormalParameters;
+      let isClassConstructor = instances[0].functionValue.$FunctionKind === "classConstructor";
+      let isGenerator = instances[0].functionValue.$FunctionKind === "generator";
+      let isAsync = instances[0].functionValue.$FunctionKind === "async";
 
-      if (shouldInline || instances.length === 1 || usesArguments || anySerializedBindingModified) {
+      // Lazy bodies see the arguments and new.target of their wrapper, and the wrapper needs simple parameters to get the same length.
+      let isLazy = !usesArguments && !usesNewTarget && !isGenerator && !isAsync && this._isLazyFunctionBody(funcBody) &&
+        params.every(param => param.type === "Identifier");
+
+      if (!this._canShareFactory(funcBody, functionInfo)) {
         for (let instance of instances) {
-          let { functionValue, serializedBindings } = instance;
+          let { functionValue, serializedBindings, classHeritage, superBase } = instance;
           let id = this._getValIdForReference(functionValue);
           let funcParams = params.slice();
-          let funcNode = t.functionDeclaration(id, funcParams, ((t.cloneDeep(funcBody): any): BabelNodeBlockStatement));
+          let funcBodyClone = ((t.cloneDeep(funcBody): any): BabelNodeBlockStatement);
+          let funcNode, node, lazyNode;
+          let name = this._getFunctionName(functionValue);
+          if (isClassConstructor) {
+            // class constructors can only be created with class syntax
+            let classNode = t.classExpression(null, classHeritage || null, t.classBody([
+              t.classMethod("constructor", t.identifier("constructor"), funcParams, funcBodyClone)
+            ]), []);
+            // A class without a name must not get named after the variable either.
+            let classExpression = name === undefined ? t.sequenceExpression([t.numericLiteral(0), classNode]) : this._getNamedExpression(name, classNode);
+            node = t.variableDeclaration("var", [t.variableDeclarator(id, classExpression)]);
+          } else if (functionValue.$HomeObject !== undefined) {
+            // Methods are neither constructors nor do they have a prototype, and their key determines their name.
+            // Those that come from class bodies are strict mode code, which they are in a class body again.
+            let key = name === undefined ? "m" : name;
+            let isComputed = key === "constructor" || key === "__proto__" || !t.isValidIdentifier(key);
+            let keyNode = isComputed ? t.stringLiteral(key) : t.identifier(key);
+            let home;
+            if (functionValue.$Strict) {
+              funcNode = t.classMethod("method", keyNode, funcParams, funcBodyClone, isComputed);
+              home = t.memberExpression(t.classExpression(null, null, t.classBody([funcNode]), []), t.identifier("prototype"));
+            } else {
+              funcNode = t.objectMethod("method", keyNode, funcParams, funcBodyClone, isComputed);
+              home = t.objectExpression([funcNode]);
+            }
+            // super references need a home object with the right prototype
+            if (superBase !== undefined) {
+              home = t.callExpression(this.preludeGenerator.memoizeReference("Object.setPrototypeOf"), [home, superBase]);
+            }
+            node = t.variableDeclaration("var", [t.variableDeclarator(id, t.memberExpression(home, keyNode, isComputed))]);
+          } else {
+            funcNode = node = t.functionDeclaration(id, funcParams, funcBodyClone);
+            if (isLazy) lazyNode = node;
+          }
+          if (funcNode !== undefined) {
+            funcNode.generator = isGenerator;
+            funcNode.async = isAsync;
+          }
 
           traverse(
-            t.file(t.program([funcNode])),
+            t.file(t.program([node])),
             ClosureRefReplacer,
             null,
             { serializedBindings,
@@ -919,96 +2005,142 @@ export class Serializer {
               isRequire: this.modules.getIsRequire(funcParams, [functionValue]) }
           );
 
-          if (functionValue.$Strict) {
-            this.strictFunctionBodies.push(funcNode);
-          } else {
-            this.unstrictFunctionBodies.push(funcNode);
+          if (lazyNode !== undefined) getFunctionBody(instance).push(this._makeLazy(lazyNode));
+
+          // class bodies are always strict mode code
+          if (funcNode !== undefined && funcNode.type !== "ClassMethod") {
+            if (functionValue.$Strict) {
+              this.strictFunctionBodies.push(funcNode);
+            } else {
+              this.unstrictFunctionBodies.push(funcNode);
+            }
           }
 
-          getFunctionBody(instance).push(funcNode);
+          getFunctionBody(instance).push(node);
         }
       } else {
-        let factoryId = t.identifier(this.generateUid());
-
-        // filter included variables to only include those that are different
-        let factoryNames: Array<string> = [];
-        let sameSerializedBindings = Object.create(null);
-        for (let name in names) {
-          let isDifferent = false;
-          let lastBinding;
-
-          for (let { serializedBindings } of instances) {
-            let serializedBinding = serializedBindings[name];
-            invariant(!serializedBinding.modified);
-            if (!lastBinding) {
-              lastBinding = serializedBinding;
-            } else if (!AreSameSerializedBindings(serializedBinding, lastBinding)) {
-              isDifferent = true;
-              break;
+        // Instances whose modified bindings are laid out the same way in their scope objects share a factory,
+        // which takes the scope objects ahead of the bindings whose values differ between the instances.
+        let groups: Map<string, Array<FunctionInstance>> = new Map();
+        for (let instance of instances) {
+          let scopeIds = getScopeIds(instance, names);
+          let layout = [];
+          for (let name in names) {
+            let serializedBinding = instance.serializedBindings[name];
+            let scopeId = bindingScopeIds.get(serializedBinding);
+            if (scopeId !== undefined) {
+              layout.push(`${name}:${scopeIds.indexOf(scopeId)}`);
+            } else if (serializedBinding.modified && serializedBinding.serializedValue.type === "Identifier") {
+              // Instances can only share a factory if they refer to the same variable, like the one of a havoced binding.
+              layout.push(`${name}:${((serializedBinding.serializedValue: any): BabelNodeIdentifier).name}`);
             }
           }
-
-          if (isDifferent) {
-            factoryNames.push(name);
-          } else {
-            invariant(lastBinding);
-            sameSerializedBindings[name] = { serializedValue: lastBinding.serializedValue };
-          }
+          let key = layout.join();
+          let group = groups.get(key);
+          if (group === undefined) groups.set(key, group = []);
+          group.push(instance);
         }
-        //
 
-        let factoryParams: Array<BabelNodeLVal> = [];
-        for (let key of factoryNames) {
-          factoryParams.push(t.identifier(key));
-        }
-        factoryParams = factoryParams.concat(params).slice();
-        // The Replacer below mutates the AST, so let's clone the original AST to avoid modifying it
-        let factoryNode = t.functionDeclaration(factoryId, factoryParams, ((t.cloneDeep(funcBody): any): BabelNodeBlockStatement));
-        this.prelude.push(factoryNode);
-
-        traverse(
-          t.file(t.program([factoryNode])),
-          ClosureRefReplacer,
-          null,
-          { serializedBindings: sameSerializedBindings,
-            modified,
-            requireReturns: this.modules.requireReturns,
-            requireStatistics,
-            isRequire: this.modules.getIsRequire(factoryParams, instances.map(instance => instance.functionValue)) }
-        );
-
-        //
+        for (let group of groups.values()) {
+          let factoryId = t.identifier(this.generateUid());
+          let scopeParams = getScopeIds(group[0], names).map(() => t.identifier(this.generateUid()));
+
+          // filter included variables to only include those that are different
+          let factoryNames: Array<string> = [];
+          let sameSerializedBindings = Object.create(null);
+          for (let name in names) {
+            let firstBinding = group[0].serializedBindings[name];
+            let scopeId = bindingScopeIds.get(firstBinding);
+            if (scopeId !== undefined) {
+              let scopeParam = scopeParams[getScopeIds(group[0], names).indexOf(scopeId)];
+              sameSerializedBindings[name] = { serializedValue: t.memberExpression(scopeParam, t.identifier(name)) };
+              continue;
+            }
+            if (firstBinding.modified) {
+              // Modified global and module bindings live in variables that the factory can refer to as well.
+              sameSerializedBindings[name] = { serializedValue: firstBinding.serializedValue };
+              continue;
+            }
 
-        for (let instance of instances) {
-          let { functionValue, serializedBindings } = instance;
-          let id = this._getValIdForReference(functionValue);
-          let flatArgs: Array<BabelNodeExpression> = factoryNames.map((name) => serializedBindings[name].serializedValue);
-          let node;
-          if (usesThis) {
-            let callArgs: Array<BabelNodeExpression | BabelNodeSpreadElement> = [t.thisExpression()];
-            for (let flatArg of flatArgs) callArgs.push(flatArg);
-            for (let param of params) {
-              if (param.type !== "Identifier") {
-                throw new Error("TODO: do not know how to deal with non-Identifier parameters");
+            let isDifferent = false;
+            let lastBinding;
+
+            for (let { serializedBindings } of group) {
+              let serializedBinding = serializedBindings[name];
+              invariant(!serializedBinding.modified);
+              if (!lastBinding) {
+                lastBinding = serializedBinding;
+              } else if (!AreSameSerializedBindings(serializedBinding, lastBinding)) {
+                isDifferent = true;
+                break;
               }
-              callArgs.push(((param: any): BabelNodeIdentifier));
             }
-            let callee = t.memberExpression(factoryId, t.identifier("call"));
 
-            let childBody = t.blockStatement([
-              t.returnStatement(t.callExpression(callee, callArgs))
-            ]);
+            if (isDifferent) {
+              factoryNames.push(name);
+            } else {
+              invariant(lastBinding);
+              sameSerializedBindings[name] = { serializedValue: lastBinding.serializedValue };
+            }
+          }
+          //
 
-            node = t.functionDeclaration(id, params, childBody);
-          } else {
-            node = t.variableDeclaration("var", [
-              t.variableDeclarator(id, t.callExpression(
-                t.memberExpression(factoryId, t.identifier("bind")),
-                [t.nullLiteral()].concat(flatArgs)
-              ))
-            ]);
+          let factoryParams: Array<BabelNodeLVal> = [...scopeParams];
+          for (let key of factoryNames) {
+            factoryParams.push(t.identifier(key));
+          }
+          factoryParams = factoryParams.concat(params).slice();
+          // The Replacer below mutates the AST, so let's clone the original AST to avoid modifying it
+          let factoryNode = t.functionDeclaration(factoryId, factoryParams, ((t.cloneDeep(funcBody): any): BabelNodeBlockStatement));
+          this.prelude.push(factoryNode);
+
+          traverse(
+            t.file(t.program([factoryNode])),
+            ClosureRefReplacer,
+            null,
+            { serializedBindings: sameSerializedBindings,
+              modified,
+              requireReturns: this.modules.requireReturns,
+              requireStatistics,
+              isRequire: this.modules.getIsRequire(factoryParams, group.map(instance => instance.functionValue)) }
+          );
+          // The factory only ever gets called through the instances, which pass on their this, and it has simple parameters.
+          if (isLazy) this.prelude.push(this._makeLazy(factoryNode));
+
+          //
+
+          for (let instance of group) {
+            let { functionValue, serializedBindings } = instance;
+            let id = this._getValIdForReference(functionValue);
+            let flatArgs: Array<BabelNodeExpression> = [...getScopeIds(instance, names)];
+            for (let name of factoryNames) flatArgs.push(serializedBindings[name].serializedValue);
+            let node;
+            if (usesThis) {
+              let callArgs: Array<BabelNodeExpression | BabelNodeSpreadElement> = [t.thisExpression()];
+              for (let flatArg of flatArgs) callArgs.push(flatArg);
+              for (let param of params) {
+                if (param.type !== "Identifier") {
+                  throw new Error("TODO: do not know how to deal with non-Identifier parameters");
+                }
+                callArgs.push(((param: any): BabelNodeIdentifier));
+              }
+              let callee = t.memberExpression(factoryId, t.identifier("call"));
+
+              let childBody = t.blockStatement([
+                t.returnStatement(t.callExpression(callee, callArgs))
+              ]);
+
+              node = t.functionDeclaration(id, params, childBody);
+            } else {
+              node = t.variableDeclaration("var", [
+                t.variableDeclarator(id, t.callExpression(
+                  t.memberExpression(factoryId, t.identifier("bind")),
+                  [t.nullLiteral()].concat(flatArgs)
+                ))
+              ]);
+            }
+            getFunctionBody(instance).push(node);
           }
-          getFunctionBody(instance).push(node);
         }
       }
     }
@@ -1022,24 +2154,121 @@ export class Serializer {
       Array.prototype.splice.apply(bodyReference.body, ([bodyReference.index, 0]: Array<any>).concat((functionBody: Array<any>)));
     }
 
-    if (requireStatistics.replaced > 0 && !this.collectValToRefCountOnly) {
-      console.log(`=== ${this.modules.requireReturns.size} of ${this.modules.requiredModules.size} modules initialized, ${requireStatistics.replaced} of ${requireStatistics.count} require calls inlined.`);
+    this.statistics = {
+      functions: functionEntries.length,
+      functionInstances: this.functionInstances.length,
+      requireCalls: requireStatistics.count,
+      requireCallsReplaced: requireStatistics.replaced,
+      requiredModules: this.modules.requiredModules.size,
+      initializedModules: this.modules.requireReturns.size,
+    };
+  }
+
+  _getCurrentScope(): number {
+    return this.scopeStack[this.scopeStack.length - 1];
+  }
+
+  // Uses are attributed to the value that is being serialized, if any, as they end up wherever that value gets defined.
+  _getCurrentOwner(): Value | number {
+    let stack = this.serializationStack;
+    if (stack.length > 0) return stack[stack.length - 1];
+    if (this.delayedOwner !== undefined) return this.delayedOwner;
+    return this._getCurrentScope();
+  }
+
+  _getOwnerScope(owner: Value | number): number {
+    if (typeof owner === "number") return owner;
+    let scope = this.valToScope.get(owner);
+    invariant(scope !== undefined);
+    return scope;
+  }
+
+  _recordUse(val: Value) {
+    let owner = this._getCurrentOwner();
+    if (this.collectValToRefCountOnly) {
+      let users = this.valToUsers.get(val);
+      if (users === undefined) this.valToUsers.set(val, users = []);
+      users.push(owner);
+    } else {
+      let scope = this.valToScope.get(val);
+      invariant(scope !== undefined);
+      invariant(this._isAncestorScope(scope, this._getOwnerScope(owner)), "a value must not be used where its definition might not have run");
+    }
+  }
+
+  // A value that refers to a derived identifier cannot be defined before the identifier gets declared.
+  _recordDerivedIdUse(id: BabelNodeIdentifier) {
+    if (!this.collectValToRefCountOnly) return;
+    let owner = this._getCurrentOwner();
+    let scope = this.derivedIdScopes.get(id);
+    if (typeof owner === "number" || scope === undefined) return;
+    let requiredScopes = this.valToRequiredScopes.get(owner);
+    if (requiredScopes === undefined) this.valToRequiredScopes.set(owner, requiredScopes = []);
+    requiredScopes.push(scope);
+  }
+
+  // The scope in which the given value is to be defined: the nearest common ancestor of the scopes of all its uses
+  // in the previous pass, unless the value needs a derived identifier that only gets declared in a nested scope.
+  _getDefinitionScope(val: Value): number {
+    if (this.collectValToRefCountOnly) return this._getCurrentScope();
+    let scope = this._computeDefinitionScope(val, new Map(), new Set());
+    return scope === undefined ? this._getOwnerScope(this._getCurrentOwner()) : scope;
+  }
+
+  _computeDefinitionScope(val: Value, scopes: Map<Value, void | number>, visiting: Set<Value>): void | number {
+    if (scopes.has(val)) return scopes.get(val);
+    let definedScope = this.valToScope.get(val);
+    if (definedScope !== undefined) return definedScope;
+    // a value that (indirectly) uses itself does not constrain itself
+    if (visiting.has(val)) return undefined;
+    visiting.add(val);
+    let scope;
+    for (let user of this.valToUsers.get(val) || []) {
+      let userScope = typeof user === "number" ? user : this._computeDefinitionScope(user, scopes, visiting);
+      if (userScope !== undefined) scope = scope === undefined ? userScope : this._getNearestCommonAncestorScope(scope, userScope);
+    }
+    if (scope !== undefined) {
+      for (let requiredScope of this.valToRequiredScopes.get(val) || []) {
+        if (!this._isAncestorScope(requiredScope, scope)) scope = requiredScope;
+      }
+    }
+    visiting.delete(val);
+    scopes.set(val, scope);
+    return scope;
+  }
+
+  _isAncestorScope(ancestor: number, scope: number): boolean {
+    while (scope > ancestor) scope = this.scopeParents[scope];
+    return scope === ancestor;
+  }
+
+  _getNearestCommonAncestorScope(scope1: number, scope2: number): number {
+    // parents have smaller numbers than their children
+    while (scope1 !== scope2) {
+      if (scope1 > scope2) scope1 = this.scopeParents[scope1];
+      else scope2 = this.scopeParents[scope2];
     }
+    return scope1;
   }
 
   _getContext(reasons: Array<string>): SerializationContext {
-    // TODO: Values serialized by nested generators would currently only get defined
-    // along the code of the nested generator; their definitions need to get hoisted
-    // or repeated so that they are accessible and defined from all using scopes
+    // Values serialized by nested generators get defined in the scope that all their uses share, see serializeValue.
     let bodies;
     return {
       reasons,
       serializeValue: this.serializeValue.bind(this),
       startBody: () => {
+        let parent = this._getCurrentScope();
+        invariant(this.body === this.scopeBodies[parent], "nested generators are only serialized in the body of their scope");
         if (bodies === undefined) bodies = [];
         bodies.push(this.body);
         let body = [];
         this.body = body;
+        let scope = this.scopeBodies.length;
+        this.scopeBodies.push(body);
+        if (this.collectValToRefCountOnly) this.scopeParents[scope] = parent;
+        else invariant(this.scopeParents[scope] === parent, "scopes get started in the same order in every pass");
+        this.scopeStack.push(scope);
         return body;
       },
       endBody: (body: Array<BabelNodeStatement>) => {
@@ -1047,8 +2276,10 @@ export class Serializer {
         invariant(bodies !== undefined);
         invariant(bodies.length > 0);
         this.body = bodies.pop();
+        this.scopeStack.pop();
       },
       announceDeclaredDerivedId: (id: BabelNodeIdentifier) => {
+        if (this.collectValToRefCountOnly) this.derivedIdScopes.set(id, this._getCurrentScope());
         this.declaredDerivedIds.add(id);
         let a = this.delayedKeyedSerializations.get(id);
         if (a !== undefined) {
@@ -1069,25 +2300,25 @@ export class Serializer {
     invariant(this.delayedKeyedSerializations.size === 0);
   }
 
-  serialize(filename: string, code: string, sourceMaps: boolean): { anyHeapChanges?: boolean, generated?: { code: string, map?: string } } {
+  serialize(sources: Array<SourceFile>, sourceMaps: boolean): { anyHeapChanges?: boolean, generated?: { code: string, map?: SourceMap } } {
     let realm = this.realm;
 
+    let exportSpecifiers = this.entryModule !== undefined ? this._serializeEntryModuleExports(this.entryModule) : undefined;
     this._emitGenerator(this.generator);
     invariant(this.declaredDerivedIds.size <= this.preludeGenerator.derivedIds.size);
 
     Array.prototype.push.apply(this.prelude, this.preludeGenerator.prelude);
 
-    // TODO serialize symbols
-    // for (let symbol of globalObj.symbols.keys());
-
-    // TODO add timers
-
     // TODO add event listeners
 
     this.modules.resolveRequireReturns(this._getContext(["Require returns"]));
     if (this.initializeMoreModules) {
       // Note: This may mutate heap state, and render
-      if (this.modules.initializeMoreModules()) return { anyHeapChanges: true };
+      if (this.modules.initializeMoreModules()) {
+        // Module factories may have settled promises
+        this._runJobs();
+        return { anyHeapChanges: true };
+      }
     }
     this._spliceFunctions();
 
@@ -1125,7 +2356,7 @@ export class Serializer {
       ]))];
     }
     body = body.concat(this.prelude, this.body);
-    this.factorifyObjects(body);
+    factorifyObjects(body, () => this.generateUid());
 
     let ast_body = [];
     if (body.length) {
@@ -1146,6 +2377,14 @@ export class Serializer {
         );
       }
 
+      if (this.moduleBindingIds.length) {
+        ast_body.push(t.variableDeclaration("var", this.moduleBindingIds.map(id => t.variableDeclarator(id))));
+      }
+
+      // At the top level of a module, this is undefined.
+      let globalThis = this.sourceType === "module" ?
+        t.callExpression(t.callExpression(t.identifier("Function"), [t.stringLiteral("return this")]), []) :
+        t.thisExpression();
       ast_body.push(
         t.expressionStatement(
           t.callExpression(
@@ -1153,11 +2392,14 @@ export class Serializer {
               t.functionExpression(null, [], t.blockStatement(body, globalDirectives)),
               t.identifier("call")
             ),
-            [t.thisExpression()]
+            [globalThis]
           )
         )
       );
     }
+    if (exportSpecifiers !== undefined && exportSpecifiers.length) {
+      ast_body.push(t.exportNamedDeclaration(null, exportSpecifiers));
+    }
 
     let ast = {
       type: "File",
@@ -1167,192 +2409,58 @@ export class Serializer {
       }
     };
 
+    // Every node knows the file it came from, so this can map each residual statement back to its own input.
     return {
       generated: generate(
         ast,
-        { sourceMaps: sourceMaps, sourceFileName: filename },
-        code)
+        { sourceMaps: sourceMaps, sourceFileName: sources.length === 1 ? sources[0].filePath : undefined },
+        sourceMaps ? getSourcesContent(sources) : undefined)
     };
   }
 
-  getObjectKeys(obj: BabelNodeObjectExpression): string | false {
-    let keys = [];
-
-    for (let prop of obj.properties) {
-      if (prop.type !== "ObjectProperty") return false;
-
-      let key = prop.key;
-      if (key.type === "StringLiteral") {
-        keys.push(key.value);
-      } else if (key.type === "Identifier") {
-        if (prop.computed) return false;
-        keys.push(key.name);
-      } else {
-        return false;
-      }
-    }
-
-    for (let key of keys) {
-      if (key.indexOf("|") >= 0) return false;
-    }
-
-    return keys.join("|");
-  }
-
-  factorifyObjects(body: Array<BabelNodeStatement>) {
-    // TODO clean this up...
-    let signatures = Object.create(null);
-
-    for (let node of body) {
-      if (node.type !== "VariableDeclaration") continue;
-
-      for (let declar of node.declarations) {
-        let { init } = declar;
-        invariant(init);
-        if (init.type !== "ObjectExpression") continue;
-
-        let keys = this.getObjectKeys(init);
-        if (!keys) continue;
-
-        let declars = signatures[keys] = signatures[keys] || [];
-        declars.push(declar);
-      }
-    }
-
-    for (let signatureKey in signatures) {
-      let declars = signatures[signatureKey];
-      if (declars.length < 5) continue;
-
-      let keys = signatureKey.split("|");
-
-      //
-      let rootFactoryParams: Array<BabelNodeLVal> = [];
-      for (let key of keys) rootFactoryParams.push(t.identifier(key));
-
-      let rootFactoryProps = [];
-      for (let key of keys) {
-        let keyNode = t.isValidIdentifier(key) ? t.identifier(key) : t.stringLiteral(key);
-        rootFactoryProps.push(t.objectProperty(keyNode, t.identifier(key)));
-      }
-
-      let rootFactoryId = t.identifier(this.generateUid());
-      let rootFactoryBody = t.blockStatement([
-        t.returnStatement(t.objectExpression(rootFactoryProps))
-      ]);
-      let rootFactory = t.functionDeclaration(rootFactoryId, rootFactoryParams, rootFactoryBody);
-      body.unshift(rootFactory);
-
-      //
-      for (let declar of declars) {
-        let args = [];
-        for (let prop of declar.init.properties) {
-          args.push(prop.value);
-        }
-
-        declar.init = t.callExpression(rootFactoryId, args);
-      }
-
-      //
-      let seen = new Set();
-      for (let declar of declars) {
-        if (seen.has(declar)) continue;
-
-        // build up a map containing the arguments that are shared
-        let common = new Map();
-        let mostSharedArgsLength = 0;
-        for (let declar2 of declars) {
-          if (seen.has(declar2)) continue;
-          if (declar === declar2) continue;
-
-          let sharedArgs = [];
-          for (let i = 0; i < keys.length; i++) {
-            if (isSameNode(declar.init.arguments[i], declar2.init.arguments[i])) {
-              sharedArgs.push(i);
-            }
-          }
-          if (!sharedArgs.length) continue;
-
-          mostSharedArgsLength = Math.max(mostSharedArgsLength, sharedArgs.length);
-          common.set(declar2, sharedArgs);
-        }
-
-        // build up a mapping of the argument positions that are shared so we can pick the top one
-        let sharedPairs = Object.create(null);
-        for (let [declar2, args] of common.entries()) {
-          if (args.length === mostSharedArgsLength) {
-            args = args.join(",");
-            let pair = sharedPairs[args] = sharedPairs[args] || [];
-            pair.push(declar2);
-          }
-        }
-
-        // get the highest pair
-        let highestPairArgs;
-        let highestPairCount;
-        for (let pairArgs in sharedPairs) {
-          let pair = sharedPairs[pairArgs];
-          if (!highestPairArgs || pair.length > highestPairCount) {
-            highestPairCount = pair.length;
-            highestPairArgs = pairArgs;
-          }
-        }
-        if (!highestPairArgs) continue;
-
-        //
-        let declarsSub = sharedPairs[highestPairArgs].concat(declar);
-        let removeArgs = highestPairArgs.split(",");
-
-        let subFactoryArgs = [];
-        let subFactoryParams = [];
-        let sharedArgs = declarsSub[0].init.arguments;
-        for (let i = 0; i < sharedArgs.length; i++) {
-          let arg = sharedArgs[i];
-          if (removeArgs.indexOf(i + "") >= 0) {
-            subFactoryArgs.push(arg);
-          } else {
-            let id = t.identifier("__" + i);
-            subFactoryArgs.push(id);
-            subFactoryParams.push(id);
-          }
-        }
-
-        let subFactoryId = t.identifier(this.generateUid());
-        let subFactoryBody = t.blockStatement([
-          t.returnStatement(t.callExpression(rootFactoryId, subFactoryArgs))
-        ]);
-        let subFactory = t.functionDeclaration(subFactoryId, subFactoryParams, subFactoryBody);
-        body.unshift(subFactory);
-
-        for (let declarSub of declarsSub) {
-          seen.add(declarSub);
-
-          let call = declarSub.init;
-          call.callee = subFactoryId;
-          call.arguments = call.arguments.filter(function (val, i) {
-            return removeArgs.indexOf(i + "") < 0;
-          });
-        }
-      }
-    }
-  }
-
   init(filename: string, code: string, map?: string = "",
       sourceMaps?: boolean = false, onError?: (Realm, Value) => void) {
-    this.execute(filename, code, map, onError);
+    return this.initFromSources([{ filePath: filename, fileContents: code, sourceMapContents: map }], sourceMaps, onError);
+  }
+
+  initFromSources(sources: Array<SourceFile>, sourceMaps?: boolean = false, onError?: (Realm, Value) => void) {
+    this.execute(sources, onError);
     if (this.logger.hasErrors()) return undefined;
     let anyHeapChanges = true;
     this.collectValToRefCountOnly = true;
     while (anyHeapChanges) {
       this.valToRefCount = new Map();
-      anyHeapChanges = !!this.serialize(filename, code, sourceMaps).anyHeapChanges;
+      this.scopeParents = [-1];
+      this.valToUsers = new Map();
+      this.valToRequiredScopes = new Map();
+      this.derivedIdScopes = new Map();
+      anyHeapChanges = !!this.serialize(sources, sourceMaps).anyHeapChanges;
       if (this.logger.hasErrors()) return undefined;
       this._resetSerializeStates();
       this.initializeMoreModules = false; // no need to do it again
     }
     this.collectValToRefCountOnly = false;
-    let serialized = this.serialize(filename, code, sourceMaps);
+    let serialized = this.serialize(sources, sourceMaps);
     invariant(!serialized.anyHeapChanges);
     invariant(!this.logger.hasErrors());
     return serialized.generated;
   }
 }
+
+// The original text of all the files that the generated code can map back to: the inputs themselves, or, for
+// inputs that come with a source map, the sources that their maps embed.
+function getSourcesContent(sources: Array<SourceFile>): { [filename: string]: string } {
+  let sourcesContent = {};
+  for (let { filePath, fileContents, sourceMapContents } of sources) {
+    if (!sourceMapContents) {
+      sourcesContent[filePath] = fileContents;
+      continue;
+    }
+    let consumer = new sourceMap.SourceMapConsumer(sourceMapContents);
+    for (let source of consumer.sources) {
+      let content = consumer.sourceContentFor(source, true);
+      if (content != null) sourcesContent[source] = content;
+    }
+  }
+  return sourcesContent;
+}
@@ -11,6 +11,7 @@
 
 import { FunctionValue, Value } from "../values/index.js";
 import type { BabelNodeExpression, BabelNodeStatement } from "babel-types";
+import type { SourceType } from "../types.js";
 import { Completion } from "../completions.js";
 
 export type TryQuery<T> = (f: () => T, onCompletion: T | (Completion => T), logCompletion: boolean) => T;
@@ -19,6 +20,10 @@ export type FunctionInstance = {
   serializedBindings: SerializedBindings;
   functionValue: FunctionValue;
   bodyReference?: BodyReference;
+  // the superclass of a class constructor, null for `extends null`
+  classHeritage?: BabelNodeExpression;
+  // the prototype of the home object of a method that refers to super
+  superBase?: BabelNodeExpression;
 };
 
 export type Names = { [key: string]: true };
@@ -28,6 +33,8 @@ export type FunctionInfo = {
   instances: Array<FunctionInstance>;
   usesArguments: boolean;
   usesThis: boolean;
+  usesSuper: boolean;
+  usesNewTarget: boolean;
 }
 
 export type SerializedBindings = { [key: string]: SerializedBinding };
@@ -53,8 +60,55 @@ export class BodyReference {
   index: number;
 }
 
+// "preserve" keeps the stack trace that was captured while prepacking,
+// "discard" lets residual error objects capture a stack trace of their own.
+export type ErrorStackPolicy = "preserve" | "discard";
+
 export type SerializerOptions = {
+  errorStackPolicy?: ErrorStackPolicy;
+  // attach a no-op handler to rejected promises that have none, so that the residual program does not report
+  // their rejection, and report them as warnings rather than errors
+  handleRejectedPromises?: boolean;
+  // the locations ("file:line") of function bodies that run during startup; if given, the bodies of all
+  // other functions are lazy, i.e. they only get compiled when their function is first called
+  hotFunctions?: Array<string>;
   initializeMoreModules?: boolean;
   internalDebug?: boolean;
+  // if given, the bodies of functions whose source is at least this many characters long are lazy
+  lazyFunctionBodySize?: number;
+  // only collect diagnostics instead of also printing them to the console
+  quiet?: boolean;
+  runZeroDelayTimers?: boolean;
+  sourceType?: SourceType;
   trace?: boolean;
 }
+
+export type DiagnosticSeverity = "error" | "warning" | "information";
+
+// A position in the original source, i.e. after mapping through the input source map.
+// Lines and columns start at 1.
+export type DiagnosticLocation = {
+  source: void | string;
+  line: number;
+  column: number;
+};
+
+export type Diagnostic = {
+  // one of the codes in DiagnosticCodes; these are stable, so tools may match on them
+  code: string;
+  severity: DiagnosticSeverity;
+  message: string;
+  location: void | DiagnosticLocation;
+  // how the serializer got to the value the diagnostic is about; the last reason is the most direct one
+  reasons: Array<string>;
+};
+
+export type SerializerStatistics = {
+  // the number of distinct function bodies and the number of function values that share them
+  functions: number;
+  functionInstances: number;
+  requireCalls: number;
+  requireCallsReplaced: number;
+  requiredModules: number;
+  initializedModules: number;
+};
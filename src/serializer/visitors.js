@@ -45,6 +45,13 @@ function shouldVisit(node, data) {
   return (node: any)._renamedOnce !== data;
 }
 
+// The program that wraps a function while its references get replaced only binds the name given to the function itself,
+// which may coincide with the name of a binding that the function captures.
+function isBoundInFunction(path: BabelTraversePath, name: string): boolean {
+  let binding = path.scope.getBinding(name);
+  return binding !== undefined && binding.scope !== path.scope.getProgramParent();
+}
+
 // replaceWith causes the node to be re-analysed, so to prevent double replacement
 // we add this property on the node to mark it such that it does not get replaced
 // again on this pass
@@ -59,7 +66,7 @@ export let ClosureRefReplacer = {
 
     let serializedBindings = state.serializedBindings;
     let innerName = path.node.name;
-    if (path.scope.hasBinding(innerName, /*noGlobals*/true)) return;
+    if (isBoundInFunction(path, innerName)) return;
 
     let serializedBinding = serializedBindings[innerName];
     if (serializedBinding && shouldVisit(path.node, serializedBindings)) {
@@ -91,7 +98,7 @@ export let ClosureRefReplacer = {
 
     for (let innerName in ids) {
       let nestedPath = ids[innerName];
-      if (path.scope.hasBinding(innerName, /*noGlobals*/true)) return;
+      if (isBoundInFunction(path, innerName)) return;
 
       let serializedBinding = serializedBindings[innerName];
       if (serializedBinding && shouldVisit(nestedPath.node, serializedBindings)) {
@@ -136,6 +143,17 @@ export let ClosureRefVisitor = {
     state.functionInfo.usesThis = true;
   },
 
+  MetaProperty(path: BabelTraversePath, state: ClosureRefVisitorState) {
+    if (path.node.meta.name === "new") state.functionInfo.usesNewTarget = true;
+  },
+
+  Super(path: BabelTraversePath, state: ClosureRefVisitorState) {
+    // Only super references that are resolved via the home object of this function matter, including those in nested arrow functions.
+    let functionParent = path.getFunctionParent();
+    while (functionParent.isArrowFunctionExpression()) functionParent = functionParent.parentPath.getFunctionParent();
+    if (functionParent.parentPath.isExpressionStatement()) state.functionInfo.usesSuper = true;
+  },
+
   CallExpression(path: BabelTraversePath, state: ClosureRefVisitorState) {
     /*
     This optimization replaces requires to initialized modules with their return
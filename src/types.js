@@ -9,7 +9,10 @@
 
 /* @flow */
 
-import type { NumberValue, BooleanValue, NativeFunctionValue, FunctionValue, StringValue, SymbolValue, UndefinedValue, NullValue, EmptyValue, Value } from "./values/index.js";
+import type { NumberValue, BooleanValue, NativeFunctionValue, FunctionValue, StringValue, SymbolValue, UndefinedValue, NullValue, EmptyValue, AbstractValue, Value } from "./values/index.js";
+import type { Realm } from "./realm.js";
+import type { LexicalEnvironment } from "./environment.js";
+import type { BabelNodeIdentifier, BabelNodeProgram } from "babel-types";
 import { ObjectValue, AbstractObjectValue } from "./values/index.js";
 import { ToInt8, ToInt16, ToInt32, ToUint8, ToUint16, ToUint32, ToUint8Clamp } from "./methods/to.js";
 
@@ -17,6 +20,39 @@ export type IterationKind = "key+value" | "value" | "key";
 
 export type SourceType = "module" | "script";
 
+// A source map as an object, rather than as JSON text.
+export type SourceMap = { [key: string]: mixed };
+
+// One input of the serializer. Inputs are evaluated in order, in the same realm.
+export type SourceFile = {
+  filePath: string,
+  fileContents: string,
+  // the source map of fileContents, as JSON text
+  sourceMapContents?: string,
+};
+
+export type IntlObjectKind = "Collator" | "NumberFormat" | "DateTimeFormat";
+
+// The locales and options of an Intl object or of a locale-sensitive method, as they get passed to the Intl
+// implementation of the host.
+export type IntlArguments = {
+  locales: Array<string>,
+  options: { [key: string]: string | number | boolean },
+  // whether residual code must compute the results, since they depend on the locale data of the runtime
+  dependsOnRuntime: boolean,
+};
+
+// The internal slot of Intl.Collator, Intl.NumberFormat and Intl.DateTimeFormat objects.
+export type IntlObjectRecord = {
+  locales: Array<string>,
+  options: { [key: string]: string | number | boolean },
+  dependsOnRuntime: boolean,
+  // the object of the host that computes the results, unless they depend on the runtime
+  hostObject: any,
+  // the function that the compare or format getter returns
+  boundFunction: void | NativeFunctionValue,
+};
+
 export type Compatibility = "browser" | "jsc" | "node";
 
 export type RealmOptions = {
@@ -25,6 +61,22 @@ export type RealmOptions = {
   compatibility?: Compatibility,
   mathRandomSeed?: string,
   strictlyMonotonicDateNow?: boolean,
+  moduleResolver?: ModuleResolver,
+  havocGlobalObject?: boolean,
+  // a BCP 47 language tag, such as "en-US", which locale-sensitive operations use unless they are given a locale
+  locale?: string,
+  // an IANA time zone name, such as "Europe/Berlin", or a fixed offset from UTC, such as "+05:30", in which dates and
+  // times get computed, parsed and formatted
+  timeZone?: string,
+};
+
+// How the host finds the modules that import declarations refer to.
+export type ModuleResolver = {
+  // The canonical name of the module that specifier refers to, or undefined if there is no such module.
+  // Without a referrer, specifier is resolved as the name of an entry module.
+  resolve(specifier: string, referrer?: string): void | string;
+  // The source text of the module with the given canonical name.
+  load(name: string): string;
 };
 
 export type AbstractTime = "early" | "late";
@@ -77,8 +129,8 @@ export type Descriptor = {
   // corresponding property has been deleted.
   value?: Value,
 
-  get?: UndefinedValue | CallableObjectValue,
-  set?: UndefinedValue | CallableObjectValue,
+  get?: UndefinedValue | CallableObjectValue | AbstractValue,
+  set?: UndefinedValue | CallableObjectValue | AbstractValue,
 };
 
 export type PropertyBinding = {
@@ -156,6 +208,7 @@ export type Intrinsics = {
   Array: NativeFunctionValue,
   RegExp: NativeFunctionValue,
   Date: NativeFunctionValue,
+  Date_now: NativeFunctionValue,
   String: NativeFunctionValue,
   Math: ObjectValue,
   isNaN: NativeFunctionValue,
@@ -214,10 +267,45 @@ export type Intrinsics = {
   GeneratorPrototype: ObjectValue,
   GeneratorFunction: NativeFunctionValue,
 
+  AsyncFunction: NativeFunctionValue,
+  AsyncFunctionPrototype: ObjectValue,
+
+  Intl: ObjectValue,
+  IntlCollator: NativeFunctionValue,
+  IntlCollatorPrototype: ObjectValue,
+  IntlNumberFormat: NativeFunctionValue,
+  IntlNumberFormatPrototype: ObjectValue,
+  IntlDateTimeFormat: NativeFunctionValue,
+  IntlDateTimeFormatPrototype: ObjectValue,
+
   __IntrospectionError: NativeFunctionValue,
   __IntrospectionErrorPrototype: ObjectValue,
 };
 
+export type PendingJob = {
+  $Job: Function;
+  $Arguments: Array<any>;
+  $Realm: Realm;
+  $ScriptOrModule: any;
+}
+
+export type Timer = {
+  // a function, or a string of code
+  callback: Value;
+  args: Array<Value>;
+  delay: number;
+  // the simulated time at which the timer fires next, see Realm.timerClock
+  due: number;
+  repeat: boolean;
+  // the variable that holds the id of the residual timer
+  residualId?: BabelNodeIdentifier;
+}
+
+export type IteratorRecord = {
+  $Iterator: ObjectValue;
+  $Done: boolean;
+}
+
 export type PromiseCapability = {
   promise: ObjectValue | UndefinedValue;
   resolve: Value;
@@ -229,6 +317,42 @@ export type PromiseReaction = {
   handler: Value;
 }
 
+export type ImportEntryRecord = {
+  $ModuleRequest: string;
+  // "*" for a namespace import
+  $ImportName: string;
+  $LocalName: string;
+}
+
+export type ExportEntryRecord = {
+  $ExportName: null | string;
+  $ModuleRequest: null | string;
+  // "*" for an export * declaration
+  $ImportName: null | string;
+  $LocalName: null | string;
+}
+
+// ECMA262 15.2.1.16
+export type SourceTextModuleRecord = {
+  $Realm: Realm;
+  $Environment: void | LexicalEnvironment;
+  $Namespace: void | ObjectValue;
+  $Evaluated: boolean;
+  // the canonical name of the module
+  $HostDefined: string;
+  $ECMAScriptCode: BabelNodeProgram;
+  $RequestedModules: Array<string>;
+  $ImportEntries: Array<ImportEntryRecord>;
+  $LocalExportEntries: Array<ExportEntryRecord>;
+  $IndirectExportEntries: Array<ExportEntryRecord>;
+  $StarExportEntries: Array<ExportEntryRecord>;
+}
+
+export type ResolvedBindingRecord = {
+  $Module: SourceTextModuleRecord;
+  $BindingName: string;
+}
+
 export type ResolvingFunctions = {
   resolve: Value;
   reject: Value;
@@ -12,7 +12,7 @@
 import type { Realm } from "../realm.js";
 import { AbstractValue, Value, FunctionValue, UndefinedValue, NullValue, StringValue, BooleanValue, NumberValue, SymbolValue, ObjectValue } from "../values/index.js";
 import type { AbstractValueBuildNodeFunction } from "../values/AbstractValue.js";
-import type { Descriptor } from "../types.js";
+import type { Descriptor, Timer } from "../types.js";
 import { TypesDomain, ValuesDomain } from "../domains/index.js";
 import * as base62 from "base62";
 import * as t from "babel-types";
@@ -27,7 +27,7 @@ export type SerializationContext = {
   announceDeclaredDerivedId: BabelNodeIdentifier => void;
 }
 
-export type GeneratorBuildNodeFunction = (Array<BabelNodeExpression>, SerializationContext) => BabelNodeStatement;
+export type GeneratorBuildNodeFunction = (Array<BabelNodeExpression>, SerializationContext) => void | BabelNodeStatement;
 
 export type BodyEntry = {
   declaresDerivedId?: BabelNodeIdentifier;
@@ -35,6 +35,20 @@ export type BodyEntry = {
   buildNode: GeneratorBuildNodeFunction;
 }
 
+// Symbol keys are values that get serialized like any other argument of a body entry.
+function propertyKeyArgs(key: string | SymbolValue): Array<Value> {
+  return key instanceof SymbolValue ? [key] : [];
+}
+
+// Accesses a property with dot notation where the key allows it, and with a computed key otherwise.
+export function propertyKeyMemberExpression(objectNode: BabelNodeExpression, key: string | SymbolValue,
+    keyNode: void | BabelNodeExpression): BabelNodeMemberExpression {
+  if (keyNode !== undefined) return t.memberExpression(objectNode, keyNode, true);
+  invariant(typeof key === "string");
+  if (t.isValidIdentifier(key)) return t.memberExpression(objectNode, t.identifier(key));
+  return t.memberExpression(objectNode, t.stringLiteral(key), true);
+}
+
 export class Generator {
   constructor(realm: Realm) {
     invariant(realm.isPartial);
@@ -81,17 +95,17 @@ export class Generator {
     });
   }
 
-  emitPropertyAssignment(object: Value, key: string, value: Value) {
+  emitPropertyAssignment(object: Value, key: string | SymbolValue, value: Value) {
     this.body.push({
-      args: [object, value],
-      buildNode: ([objectNode, valueNode]) => t.expressionStatement(t.assignmentExpression(
+      args: [object, value].concat(propertyKeyArgs(key)),
+      buildNode: ([objectNode, valueNode, keyNode]) => t.expressionStatement(t.assignmentExpression(
         "=",
-        t.memberExpression(objectNode, t.identifier(key)),
+        propertyKeyMemberExpression(objectNode, key, keyNode),
         valueNode))
     });
   }
 
-  emitDefineProperty(object: Value, key: string, desc: Descriptor) {
+  emitDefineProperty(object: Value, key: string | SymbolValue, desc: Descriptor) {
     if (desc.enumerable && desc.configurable && desc.writable && desc.value) {
       let descValue = desc.value;
       invariant(descValue instanceof Value);
@@ -99,8 +113,8 @@ export class Generator {
     } else {
       desc = Object.assign({}, desc);
       this.body.push({
-        args: [object, desc.value || object.$Realm.intrinsics.undefined, desc.get || object.$Realm.intrinsics.undefined, desc.set || object.$Realm.intrinsics.undefined],
-        buildNode: ([objectNode, valueNode, getNode, setNode]) => {
+        args: [object, desc.value || object.$Realm.intrinsics.undefined, desc.get || object.$Realm.intrinsics.undefined, desc.set || object.$Realm.intrinsics.undefined].concat(propertyKeyArgs(key)),
+        buildNode: ([objectNode, valueNode, getNode, setNode, keyNode]) => {
           let descProps = [];
           descProps.push(t.objectProperty(t.identifier("enumerable"), t.booleanLiteral(!!desc.enumerable)));
           descProps.push(t.objectProperty(t.identifier("configurable"), t.booleanLiteral(!!desc.configurable)));
@@ -113,19 +127,19 @@ export class Generator {
           }
           return t.expressionStatement(t.callExpression(
             this.preludeGenerator.memoizeReference("Object.defineProperty"),
-            [objectNode, t.stringLiteral(key), t.objectExpression(descProps)]
+            [objectNode, keyNode || t.stringLiteral((key: any)), t.objectExpression(descProps)]
           ));
         }
       });
     }
   }
 
-  emitPropertyDelete(object: Value, key: string) {
+  emitPropertyDelete(object: Value, key: string | SymbolValue) {
     this.body.push({
-      args: [object],
-      buildNode: ([objectNode]) => t.expressionStatement(t.unaryExpression(
+      args: [object].concat(propertyKeyArgs(key)),
+      buildNode: ([objectNode, keyNode]) => t.expressionStatement(t.unaryExpression(
         "delete",
-        t.memberExpression(objectNode, t.identifier(key))))
+        propertyKeyMemberExpression(objectNode, key, keyNode)))
     });
   }
 
@@ -161,6 +175,91 @@ export class Generator {
       } });
   }
 
+  // Emits the setTimeout or setInterval call of a timer, unless the timer got cleared or fired before serialization.
+  // The handle of the timer serializes to the derived id that holds the id of the residual timer.
+  emitTimer(handle: ObjectValue, timer: Timer) {
+    let id = t.identifier(this.preludeGenerator.generateUid());
+    this.preludeGenerator.derivedIds.add(id);
+    timer.residualId = id;
+    this.body.push({
+      declaresDerivedId: id,
+      args: [],
+      buildNode: (nodes, context) => {
+        // Timers that already fired or got cleared leave nothing behind, and their handles get serialized as ordinary objects.
+        if (this.realm.timers.get(handle) !== timer) return;
+        // A timeout only has the time left that did not pass while earlier timers fired.
+        // An interval keeps its period, even if that makes its first residual iteration come late.
+        let delay = timer.repeat ? timer.delay : Math.min(timer.delay, timer.due - this.realm.timerClock);
+        let args = [timer.callback, new NumberValue(this.realm, delay)].concat(timer.args);
+        let init = t.callExpression(t.identifier(timer.repeat ? "setInterval" : "setTimeout"), args.map(arg => context.serializeValue(arg)));
+        return t.variableDeclaration("var", [t.variableDeclarator(id, init)]);
+      }
+    });
+  }
+
+  // Declares the residual variable that the given abstract value stands for.
+  emitVariableDeclaration(variable: AbstractValue, init: Value) {
+    let id = variable.getIdentifier();
+    this.preludeGenerator.derivedIds.add(id);
+    this.body.push({
+      declaresDerivedId: id,
+      args: [init],
+      buildNode: ([initNode]) => t.variableDeclaration("var", [t.variableDeclarator(id, initNode)])
+    });
+  }
+
+  emitVariableAssignment(variable: AbstractValue, value: Value) {
+    this.body.push({
+      args: [value],
+      buildNode: ([valueNode]) => t.expressionStatement(t.assignmentExpression("=", variable.getIdentifier(), valueNode))
+    });
+  }
+
+  // Pushes "while (test) { body }". The dependencies get serialized ahead of the loop,
+  // so that the loop refers to them instead of creating them anew in every iteration.
+  emitWhileLoop(test: Value, body: Generator, dependencies: Array<Value>) {
+    this.body.push({
+      args: dependencies,
+      buildNode: (nodes, context) => {
+        let statements = context.startBody();
+        // The test gets serialized inside of the loop, since it has to be computed again for every iteration.
+        let testNode = context.serializeValue(test);
+        let testStatements = statements.splice(0, statements.length);
+        body.serialize(statements, context);
+        context.endBody(statements);
+        if (testStatements.length === 0) return t.whileStatement(testNode, t.blockStatement(statements));
+        return t.whileStatement(t.booleanLiteral(true), t.blockStatement(testStatements.concat(
+          [t.ifStatement(t.unaryExpression("!", testNode), t.breakStatement())], statements)));
+      }
+    });
+  }
+
+  // Pushes "for (var key in object) { body }", with dependencies like those of emitWhileLoop.
+  emitForInLoop(key: AbstractValue, object: Value, body: Generator, dependencies: Array<Value>) {
+    let id = key.getIdentifier();
+    this.preludeGenerator.derivedIds.add(id);
+    this.body.push({
+      declaresDerivedId: id,
+      args: [object].concat(dependencies),
+      buildNode: ([objectNode], context) => {
+        // The key is in scope for the body, so it gets announced before the body is serialized.
+        context.announceDeclaredDerivedId(id);
+        let statements = context.startBody();
+        body.serialize(statements, context);
+        context.endBody(statements);
+        return t.forInStatement(t.variableDeclaration("var", [t.variableDeclarator(id)]), objectNode, t.blockStatement(statements));
+      }
+    });
+  }
+
+  // Pushes "if (condition) break;", which leaves the innermost residual loop.
+  emitConditionalBreak(condition: Value) {
+    this.body.push({
+      args: [condition],
+      buildNode: ([conditionNode]) => t.ifStatement(conditionNode, t.breakStatement())
+    });
+  }
+
   derive(types: TypesDomain, values: ValuesDomain, args: Array<Value>, buildNode_: AbstractValueBuildNodeFunction | BabelNodeExpression, kind?: string): AbstractValue {
     invariant(buildNode_ instanceof Function || args.length === 0);
     let id = t.identifier(this.preludeGenerator.generateUid());
@@ -209,7 +308,8 @@ export class Generator {
   serialize(body: Array<BabelNodeStatement>, context: SerializationContext) {
     for (let bodyEntry of this.body) {
       let nodes = bodyEntry.args.map((boundArg, i) => context.serializeValue(boundArg, context.reasons));
-      body.push(bodyEntry.buildNode(nodes, context));
+      let node = bodyEntry.buildNode(nodes, context);
+      if (node) body.push(node);
       let id = bodyEntry.declaresDerivedId;
       if (id !== undefined) context.announceDeclaredDerivedId(id);
     }
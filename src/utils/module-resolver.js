@@ -0,0 +1,34 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+/* @flow */
+
+let fs   = require("fs");
+let path = require("path");
+
+// Resolves relative and absolute module specifiers to files in the local file system.
+// The canonical name of a module is the absolute path of its file.
+export default class FileSystemModuleResolver {
+  resolve(specifier: string, referrer?: string): void | string {
+    if (!specifier.startsWith("./") && !specifier.startsWith("../") && !path.isAbsolute(specifier)) {
+      // Bare specifiers name packages, which this resolver does not know how to find.
+      return undefined;
+    }
+    let base = referrer === undefined ? process.cwd() : path.dirname(referrer);
+    let name = path.resolve(base, specifier);
+    for (let candidate of [name, name + ".js"]) {
+      if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) return candidate;
+    }
+    return undefined;
+  }
+
+  load(name: string): string {
+    return fs.readFileSync(name, "utf8");
+  }
+}
@@ -23,6 +23,8 @@ export default function (realm: Realm, code: string, filename: string, sourceTyp
     let ast = parse(code, { filename, sourceType });
     traverse.cheap(ast, (node) => {
       node.loc.source = filename;
+      // babel-generator attributes the node to this file in source maps
+      node.loc.filename = filename;
     });
     return ast;
   } catch (e) {
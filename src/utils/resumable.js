@@ -0,0 +1,986 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+/* @flow */
+
+/*
+  Evaluation of code that may suspend in the middle of evaluating a statement or expression, such as generator and async function bodies.
+  The regular evaluators keep their state on the JavaScript stack, so they cannot be suspended. Instead, the nodes that
+  contain a suspension point get evaluated here in continuation-passing style: when an evaluation suspends, it returns a
+  Suspension, whose continuation picks up the evaluation again where it left off. Nodes that cannot suspend are handed
+  to the regular evaluators.
+*/
+
+import type { Realm } from "../realm.js";
+import type { LexicalEnvironment } from "../environment.js";
+import type { LhsKind } from "../evaluators/ForOfStatement.js";
+import { Reference, EnvironmentRecord } from "../environment.js";
+import { AbruptCompletion, ThrowCompletion, ReturnCompletion, BreakCompletion, IntrospectionThrowCompletion } from "../completions.js";
+import { AbstractValue, Value, EmptyValue, ObjectValue, StringValue, NumberValue } from "../values/index.js";
+import {
+  ArrayCreate,
+  BlockDeclarationInstantiation,
+  BoundNames,
+  BindingInitialization,
+  Call,
+  Construct,
+  CreateDataProperty,
+  CreateDataPropertyOrThrow,
+  EvalPropertyName,
+  GetBase,
+  GetIterator,
+  GetThisValue,
+  GetValue,
+  InitializeReferencedBinding,
+  IsCallable,
+  IsConstructor,
+  IsDestructuring,
+  IsPropertyReference,
+  IteratorStep,
+  IteratorValue,
+  IteratorClose,
+  NewDeclarativeEnvironment,
+  ObjectCreate,
+  PutValue,
+  RequireObjectCoercible,
+  ResolveBinding,
+  Set,
+  ToBooleanPartial,
+  ToPropertyKey,
+  ToStringPartial,
+  UpdateEmpty
+} from "../methods/index.js";
+import { computeBinary } from "../evaluators/BinaryExpression.js";
+import { computeUnary } from "../evaluators/UnaryExpression.js";
+import { computeUpdate } from "../evaluators/UpdateExpression.js";
+import { DestructuringAssignmentEvaluation } from "../evaluators/AssignmentExpression.js";
+import { CreatePerIterationEnvironment } from "../evaluators/ForStatement.js";
+import { LoopContinues, InternalGetResultValue, ForInOfHeadEvaluation, ForInOfBindingInitialization } from "../evaluators/ForOfStatement.js";
+import { PropertyDefinitionEvaluation } from "../evaluators/ObjectExpression.js";
+import { EvaluateYieldExpression } from "../evaluators/YieldExpression.js";
+import { EvaluateAwaitExpression } from "../evaluators/AwaitExpression.js";
+import invariant from "../invariant.js";
+import * as t from "babel-types";
+import type {
+  BabelNode,
+  BabelNodeExpression,
+  BabelNodeStatement,
+  BabelNodeVariableDeclaration,
+  BabelNodeBlockStatement,
+  BabelNodeCatchClause,
+  BabelNodeForStatement,
+  BabelNodeForOfStatement,
+  BabelNodeForInStatement,
+  BabelNodeSwitchStatement,
+  BabelNodeSwitchCase,
+  BabelNodeTryStatement,
+  BabelNodeLabeledStatement,
+  BabelNodeAssignmentExpression,
+  BabelNodeCallExpression,
+  BabelNodeNewExpression,
+  BabelNodeMemberExpression,
+  BabelNodeObjectExpression,
+  BabelNodeTemplateLiteral,
+  BabelNodeSpreadElement,
+  BabelBinaryOperator
+} from "babel-types";
+
+// The result of an evaluation that got suspended. The value is handed to the code that resumed the execution
+// context, and the continuation carries on with the evaluation once the context gets resumed again.
+export class Suspension {
+  constructor(value: Value, continuation: (resumptionValue: Value | AbruptCompletion) => any) {
+    this.value = value;
+    this.continuation = continuation;
+  }
+
+  value: Value;
+  // Produces the Resumable result of the suspended evaluation.
+  continuation: (resumptionValue: Value | AbruptCompletion) => any;
+}
+
+export type Resumable<T> = T | Suspension;
+
+// Continues with f once the evaluation completes normally, which may only happen after it got resumed.
+export function andThen<T, U>(result: Resumable<T>, f: (T) => Resumable<U>): Resumable<U> {
+  if (result instanceof Suspension) {
+    let { value, continuation } = result;
+    return new Suspension(value, resumptionValue => andThen(continuation(resumptionValue), f));
+  }
+  return f(((result: any): T));
+}
+
+// Handles abrupt completions of the evaluation, including the ones that happen after it got resumed.
+function catchAbrupt<T, U>(evaluate: () => Resumable<T>, handler: (AbruptCompletion) => Resumable<U>): Resumable<T | U> {
+  let result;
+  try {
+    result = evaluate();
+  } catch (e) {
+    if (e instanceof AbruptCompletion) return handler(e);
+    throw e;
+  }
+  if (result instanceof Suspension) {
+    let { value, continuation } = result;
+    return new Suspension(value, resumptionValue => catchAbrupt(() => continuation(resumptionValue), handler));
+  }
+  return result;
+}
+
+// Runs cleanup once the evaluation completes, but not while it is suspended.
+function withCleanup<T>(evaluate: () => Resumable<T>, cleanup: () => void): Resumable<T> {
+  let result;
+  try {
+    result = evaluate();
+  } catch (e) {
+    cleanup();
+    throw e;
+  }
+  if (result instanceof Suspension) {
+    let { value, continuation } = result;
+    return new Suspension(value, resumptionValue => withCleanup(() => continuation(resumptionValue), cleanup));
+  }
+  cleanup();
+  return result;
+}
+
+// Runs iterations until one of them produces a result. Iterations produce undefined to keep going.
+function repeat<T>(iteration: () => Resumable<void | T>): Resumable<T> {
+  while (true) {
+    let result = iteration();
+    if (result instanceof Suspension) {
+      return andThen(result, r => (r === undefined ? repeat(iteration) : r));
+    }
+    if (result !== undefined) return result;
+  }
+  invariant(false);
+}
+
+// Code that cannot be suspended yet gets reported as an introspection error. Like any other abrupt completion,
+// it unwinds the execution context of the generator or async function.
+function NotYetSuspendable(realm: Realm, what: string): AbruptCompletion {
+  return realm.createErrorThrowCompletion(realm.intrinsics.__IntrospectionError, `TODO: ${what}`);
+}
+
+const maySuspendCache: WeakMap<BabelNode, boolean> = new WeakMap();
+
+// Whether the evaluation of the node might get suspended, i.e. whether it contains a yield or await expression that is not inside of a nested function.
+export function MaySuspend(ast: BabelNode): boolean {
+  let cached = maySuspendCache.get(ast);
+  if (cached !== undefined) return cached;
+
+  let result = false;
+  if (ast.type === "YieldExpression" || ast.type === "AwaitExpression") {
+    result = true;
+  } else if (t.isFunction(ast)) {
+    // Only the computed keys of methods get evaluated along with the enclosing code.
+    let key = (ast: any).key;
+    result = !!(ast: any).computed && MaySuspend(key);
+  } else {
+    for (let name of t.VISITOR_KEYS[ast.type] || []) {
+      let child = (ast: any)[name];
+      let children = Array.isArray(child) ? child : [child];
+      if (children.some(c => c && typeof c.type === "string" && MaySuspend(c))) {
+        result = true;
+        break;
+      }
+    }
+  }
+
+  maySuspendCache.set(ast, result);
+  return result;
+}
+
+export function EvaluateResumable(ast: BabelNode, strictCode: boolean, env: LexicalEnvironment, realm: Realm, labelSet?: Array<string>): Resumable<Value | Reference> {
+  if (!MaySuspend(ast)) return env.evaluate(ast, strictCode, labelSet);
+
+  realm.currentLocation = ast.loc;
+  switch (ast.type) {
+    case "BlockStatement":
+      return EvaluateBlockStatement(((ast: any): BabelNodeBlockStatement), strictCode, env, realm);
+    case "ExpressionStatement":
+      return EvaluateResumableValue((ast: any).expression, strictCode, env, realm);
+    case "VariableDeclaration":
+      return EvaluateVariableDeclaration(((ast: any): BabelNodeVariableDeclaration), 0, strictCode, env, realm);
+    case "ReturnStatement":
+      return andThen(EvaluateResumableValue((ast: any).argument, strictCode, env, realm), value => {
+        throw new ReturnCompletion(value);
+      });
+    case "ThrowStatement":
+      return andThen(EvaluateResumableValue((ast: any).argument, strictCode, env, realm), value => {
+        throw new ThrowCompletion(value);
+      });
+    case "IfStatement": {
+      let { test, consequent, alternate } = (ast: any);
+      return andThen(EvaluateResumableValue(test, strictCode, env, realm), testValue => {
+        let stmt = ToBooleanPartial(realm, testValue) ? consequent : alternate;
+        if (!stmt) return realm.intrinsics.empty;
+        return andThen(EvaluateResumable(stmt, strictCode, env, realm), () => realm.intrinsics.empty);
+      });
+    }
+    case "WhileStatement": {
+      let { test, body } = (ast: any);
+      return ForBodyEvaluation(realm, test, null, body, [], labelSet, strictCode, true);
+    }
+    case "DoWhileStatement": {
+      let { test, body } = (ast: any);
+      return ForBodyEvaluation(realm, test, null, body, [], labelSet, strictCode, false);
+    }
+    case "ForStatement":
+      return EvaluateForStatement(((ast: any): BabelNodeForStatement), strictCode, env, realm, labelSet);
+    case "ForOfStatement":
+    case "ForInStatement":
+      return EvaluateForInOfStatement(((ast: any): BabelNodeForOfStatement | BabelNodeForInStatement), strictCode, env, realm, labelSet);
+    case "TryStatement":
+      return EvaluateTryStatement(((ast: any): BabelNodeTryStatement), strictCode, env, realm);
+    case "LabeledStatement":
+      return LabelledEvaluation([], ast, strictCode, env, realm);
+    case "YieldExpression":
+      return EvaluateYieldExpression((ast: any), strictCode, env, realm);
+    case "AwaitExpression":
+      return EvaluateAwaitExpression((ast: any), strictCode, env, realm);
+    case "AssignmentExpression":
+      return EvaluateAssignmentExpression(((ast: any): BabelNodeAssignmentExpression), strictCode, env, realm);
+    case "MemberExpression":
+      return EvaluateMemberExpression(((ast: any): BabelNodeMemberExpression), strictCode, env, realm);
+    case "CallExpression":
+      return EvaluateCallExpression(((ast: any): BabelNodeCallExpression), strictCode, env, realm);
+    case "NewExpression":
+      return EvaluateNewExpression(((ast: any): BabelNodeNewExpression), strictCode, env, realm);
+    case "SwitchStatement":
+      return EvaluateSwitchStatement(((ast: any): BabelNodeSwitchStatement), strictCode, env, realm);
+    case "UnaryExpression": {
+      let { operator, argument } = (ast: any);
+      return andThen(EvaluateResumable(argument, strictCode, env, realm), expr => computeUnary(realm, operator, expr));
+    }
+    case "UpdateExpression": {
+      let { operator, prefix, argument } = (ast: any);
+      return andThen(EvaluateResumable(argument, strictCode, env, realm), expr => computeUpdate(realm, operator, prefix, expr));
+    }
+    case "BinaryExpression": {
+      let { operator, left, right } = (ast: any);
+      return andThen(EvaluateResumableValue(left, strictCode, env, realm), lval =>
+        andThen(EvaluateResumableValue(right, strictCode, env, realm), rval =>
+          computeBinary(realm, (operator: BabelBinaryOperator), lval.throwIfNotConcrete(), rval.throwIfNotConcrete())));
+    }
+    case "LogicalExpression": {
+      let { operator, left, right } = (ast: any);
+      return andThen(EvaluateResumableValue(left, strictCode, env, realm), lval => {
+        let lbool = ToBooleanPartial(realm, lval);
+        if (operator === "&&" ? !lbool : lbool) return lval;
+        return EvaluateResumableValue(right, strictCode, env, realm);
+      });
+    }
+    case "ConditionalExpression": {
+      let { test, consequent, alternate } = (ast: any);
+      return andThen(EvaluateResumableValue(test, strictCode, env, realm), testValue =>
+        EvaluateResumableValue(ToBooleanPartial(realm, testValue) ? consequent : alternate, strictCode, env, realm));
+    }
+    case "SequenceExpression": {
+      let expressions = (ast: any).expressions;
+      let evaluateFrom = (i: number) => andThen(EvaluateResumableValue(expressions[i], strictCode, env, realm),
+        value => (i + 1 < expressions.length ? evaluateFrom(i + 1) : value));
+      return evaluateFrom(0);
+    }
+    case "ArrayExpression":
+      return andThen(ElementListEvaluation(realm, (ast: any).elements, strictCode, env), values => {
+        let array = ArrayCreate(realm, 0);
+        for (let i = 0; i < values.length; i++) {
+          let value = values[i];
+          if (value !== undefined) CreateDataProperty(realm, array, new StringValue(realm, i + ""), value);
+        }
+        Set(realm, array, "length", new NumberValue(realm, values.length), false);
+        return array;
+      });
+    case "ObjectExpression":
+      return EvaluateObjectExpression(((ast: any): BabelNodeObjectExpression), strictCode, env, realm);
+    case "TemplateLiteral":
+      return EvaluateTemplateLiteral(((ast: any): BabelNodeTemplateLiteral), strictCode, env, realm);
+    default:
+      throw NotYetSuspendable(realm, `${ast.type} containing a yield or await expression`);
+  }
+}
+
+export function EvaluateResumableValue(ast: BabelNode, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Resumable<Value> {
+  return andThen(EvaluateResumable(ast, strictCode, env, realm), ref => GetValue(realm, ref));
+}
+
+// Evaluates a statement to its completion.
+function EvaluateResumableCompletion(ast: BabelNode, strictCode: boolean, env: LexicalEnvironment, realm: Realm, labelSet?: Array<string>): Resumable<Value | AbruptCompletion> {
+  return catchAbrupt(() => andThen(EvaluateResumable(ast, strictCode, env, realm, labelSet), value => {
+    invariant(value instanceof Value);
+    return value;
+  }), completion => completion);
+}
+
+// ECMA262 13.2.13
+function EvaluateBlockStatement(ast: BabelNodeBlockStatement, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Resumable<Value> {
+  // 1. Let oldEnv be the running execution context's LexicalEnvironment.
+  let oldEnv = realm.getRunningContext().lexicalEnvironment;
+
+  // 2. Let blockEnv be NewDeclarativeEnvironment(oldEnv).
+  let blockEnv = NewDeclarativeEnvironment(realm, oldEnv);
+
+  // 3. Perform BlockDeclarationInstantiation(StatementList, blockEnv).
+  BlockDeclarationInstantiation(realm, strictCode, ast.body, blockEnv);
+
+  // 4. Set the running execution context's LexicalEnvironment to blockEnv.
+  realm.getRunningContext().lexicalEnvironment = blockEnv;
+
+  // 5. Let blockValue be the result of evaluating StatementList.
+  // 6. Set the running execution context's LexicalEnvironment to oldEnv.
+  // 7. Return blockValue.
+  return withCleanup(
+    () => EvaluateStatementList(ast.body, 0, realm.intrinsics.empty, strictCode, blockEnv, realm),
+    () => {
+      realm.getRunningContext().lexicalEnvironment = oldEnv;
+    });
+}
+
+// ECMA262 13.2.13, StatementList : StatementList StatementListItem
+function EvaluateStatementList(statements: Array<BabelNodeStatement>, start: number, blockValue: Value, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Resumable<Value> {
+  for (let i = start; i < statements.length; i++) {
+    let node = statements[i];
+    if (node.type === "FunctionDeclaration") continue;
+
+    let res = EvaluateResumable(node, strictCode, env, realm);
+    if (res instanceof Suspension) {
+      let previousValue = blockValue;
+      return andThen(res, s => {
+        invariant(s instanceof Value);
+        return EvaluateStatementList(statements, i + 1, s instanceof EmptyValue ? previousValue : s, strictCode, env, realm);
+      });
+    }
+    invariant(res instanceof Value);
+    if (!(res instanceof EmptyValue)) blockValue = res;
+  }
+  return blockValue;
+}
+
+// ECMA262 13.3.1.4, 13.3.2.4
+function EvaluateVariableDeclaration(ast: BabelNodeVariableDeclaration, start: number, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Resumable<Value> {
+  for (let i = start; i < ast.declarations.length; i++) {
+    let declar = ast.declarations[i];
+    let Initializer = declar.init;
+    if (!Initializer || !MaySuspend(Initializer)) {
+      env.evaluate((({ type: "VariableDeclaration", kind: ast.kind, declarations: [declar] }: any): BabelNode), strictCode);
+      continue;
+    }
+
+    let id = declar.id;
+    // Identifiers get resolved before the initializer gets evaluated.
+    let lhs = id.type === "Identifier" ? ResolveBinding(realm, id.name, strictCode) : undefined;
+    let initialized = andThen(EvaluateResumableValue(Initializer, strictCode, env, realm), value => {
+      if (lhs === undefined) {
+        BindingInitialization(realm, id, value, strictCode, ast.kind === "var" ? undefined : env);
+      } else if (ast.kind === "var") {
+        PutValue(realm, lhs, value);
+      } else {
+        InitializeReferencedBinding(realm, lhs, value);
+      }
+      return realm.intrinsics.empty;
+    });
+    if (initialized instanceof Suspension) {
+      return andThen(initialized, () => EvaluateVariableDeclaration(ast, i + 1, strictCode, env, realm));
+    }
+  }
+  return realm.intrinsics.empty;
+}
+
+// ECMA262 13.7.4.8, which also serves while loops, and do-while loops, whose test does not come first.
+function ForBodyEvaluation(realm: Realm, test: ?BabelNodeExpression, increment: ?BabelNodeExpression, stmt: BabelNodeStatement, perIterationBindings: Array<string>, labelSet: ?Array<string>, strictCode: boolean, testFirst: boolean): Resumable<Value> {
+  // 1. Let V be undefined.
+  let V: Value = realm.intrinsics.undefined;
+
+  // 2. Perform ? CreatePerIterationEnvironment(perIterationBindings).
+  CreatePerIterationEnvironment(realm, perIterationBindings);
+
+  // 3. Repeat
+  let skipTest = !testFirst;
+  return repeat(() => {
+    let env = realm.getRunningContext().lexicalEnvironment;
+
+    // a. If test is not [empty], then
+    let testValue = realm.intrinsics.true;
+    if (test && !skipTest) {
+      // i. Let testRef be the result of evaluating test.
+      // ii. Let testValue be ? GetValue(testRef).
+      testValue = EvaluateResumableValue(test, strictCode, env, realm);
+    }
+    skipTest = false;
+
+    return andThen(testValue, tv => {
+      // iii. If ToBoolean(testValue) is false, return NormalCompletion(V).
+      if (!ToBooleanPartial(realm, tv)) return V;
+
+      // b. Let result be the result of evaluating stmt.
+      return andThen(EvaluateResumableCompletion(stmt, strictCode, env, realm), result => {
+        // c. If LoopContinues(result, labelSet) is false, return Completion(UpdateEmpty(result, V)).
+        if (!LoopContinues(realm, result, labelSet)) {
+          invariant(result instanceof AbruptCompletion);
+          throw UpdateEmpty(realm, result, V);
+        }
+
+        // d. If result.[[Value]] is not empty, let V be result.[[Value]].
+        let resultValue = InternalGetResultValue(realm, result);
+        if (!(resultValue instanceof EmptyValue)) V = resultValue;
+
+        // e. Perform ? CreatePerIterationEnvironment(perIterationBindings).
+        CreatePerIterationEnvironment(realm, perIterationBindings);
+
+        // f. If increment is not [empty], then
+        if (!increment) return undefined;
+
+        // i. Let incRef be the result of evaluating increment.
+        // ii. Perform ? GetValue(incRef).
+        return andThen(EvaluateResumableValue(increment, strictCode, realm.getRunningContext().lexicalEnvironment, realm), () => undefined);
+      });
+    });
+  });
+}
+
+// ECMA262 13.7.4.7
+function EvaluateForStatement(ast: BabelNodeForStatement, strictCode: boolean, env: LexicalEnvironment, realm: Realm, labelSet: ?Array<string>): Resumable<Value> {
+  let { init, test, update, body } = ast;
+
+  if (init && init.type === "VariableDeclaration" && init.kind !== "var") {
+    // 1. Let oldEnv be the running execution context's LexicalEnvironment.
+    let oldEnv = env;
+
+    // 2. Let loopEnv be NewDeclarativeEnvironment(oldEnv).
+    let loopEnv = NewDeclarativeEnvironment(realm, oldEnv);
+
+    // 3. Let loopEnvRec be loopEnv's EnvironmentRecord.
+    let loopEnvRec = loopEnv.environmentRecord;
+
+    // 4. Let isConst be the result of performing IsConstantDeclaration of LexicalDeclaration.
+    let isConst = init.kind === "const";
+
+    // 5. Let boundNames be the BoundNames of LexicalDeclaration.
+    let boundNames = BoundNames(realm, init);
+
+    // 6. For each element dn of boundNames do
+    for (let dn of boundNames) {
+      if (isConst) {
+        // a. If isConst is true, then perform ! loopEnvRec.CreateImmutableBinding(dn, true).
+        loopEnvRec.CreateImmutableBinding(dn, true);
+      } else {
+        // b. Else, perform ! loopEnvRec.CreateMutableBinding(dn, false).
+        loopEnvRec.CreateMutableBinding(dn, false);
+      }
+    }
+
+    // 7. Set the running execution context's LexicalEnvironment to loopEnv.
+    realm.getRunningContext().lexicalEnvironment = loopEnv;
+    let LexicalDeclaration = init;
+
+    // 12. Set the running execution context's LexicalEnvironment to oldEnv.
+    return withCleanup(() =>
+      // 8. Let forDcl be the result of evaluating LexicalDeclaration.
+      // 9. If forDcl is an abrupt completion, return Completion(forDcl).
+      andThen(EvaluateResumable(LexicalDeclaration, strictCode, loopEnv, realm), () =>
+        // 10. If isConst is false, let perIterationLets be boundNames; otherwise let perIterationLets be « ».
+        // 11. Let bodyResult be ForBodyEvaluation(the first Expression, the second Expression, Statement, perIterationLets, labelSet).
+        ForBodyEvaluation(realm, test, update, body, isConst ? [] : boundNames, labelSet, strictCode, true)),
+      () => {
+        realm.getRunningContext().lexicalEnvironment = oldEnv;
+      });
+  }
+
+  // for (var VariableDeclarationList; Expression; Expression) Statement
+  // for (Expression; Expression; Expression) Statement
+  let initialized = init ? EvaluateResumableValue(init, strictCode, env, realm) : realm.intrinsics.undefined;
+  return andThen(initialized, () => ForBodyEvaluation(realm, test, update, body, [], labelSet, strictCode, true));
+}
+
+// ECMA262 13.7.5.11, 13.7.5.13
+function EvaluateForInOfStatement(ast: BabelNodeForOfStatement | BabelNodeForInStatement, strictCode: boolean, env: LexicalEnvironment, realm: Realm, labelSet: ?Array<string>): Resumable<Value> {
+  let { left, right, body } = ast;
+  if (MaySuspend(left) || MaySuspend(right)) throw NotYetSuspendable(realm, "yield or await expressions in the head of for-in/of statements");
+
+  let iterationKind = ast.type === "ForOfStatement" ? "iterate" : "enumerate";
+  let lhs, lhsKind: LhsKind, TDZnames = [];
+  if (left.type === "VariableDeclaration") {
+    if (left.kind === "var") {
+      lhs = left.declarations[0].id;
+      lhsKind = "varBinding";
+    } else {
+      lhs = left;
+      lhsKind = "lexicalBinding";
+      TDZnames = BoundNames(realm, left);
+    }
+  } else {
+    lhs = left;
+    lhsKind = "assignment";
+  }
+
+  // Let keyResult be the result of performing ? ForIn/OfHeadEvaluation(TDZnames, AssignmentExpression, iterationKind).
+  let keyResult = ForInOfHeadEvaluation(realm, env, TDZnames, right, iterationKind, strictCode);
+  if (keyResult instanceof AbstractValue) throw NotYetSuspendable(realm, "for-in loops over abstract values with yield or await expressions");
+  let iterator: ObjectValue = keyResult;
+
+  // ForIn/OfBodyEvaluation(lhs, stmt, iterator, lhsKind, labelSet)
+  // 1. Let oldEnv be the running execution context's LexicalEnvironment.
+  let oldEnv = realm.getRunningContext().lexicalEnvironment;
+
+  // 2. Let V be undefined.
+  let V: Value = realm.intrinsics.undefined;
+
+  // 3. Let destructuring be IsDestructuring of lhs.
+  let destructuring = IsDestructuring(lhs);
+
+  // 5. Repeat
+  return repeat(() => {
+    // a. Let nextResult be ? IteratorStep(iterator).
+    let nextResult = IteratorStep(realm, iterator);
+
+    // b. If nextResult is false, return NormalCompletion(V).
+    if (!nextResult) return V;
+
+    // c. Let nextValue be ? IteratorValue(nextResult).
+    let nextValue = IteratorValue(realm, nextResult);
+
+    // d. - h.
+    let iterationEnv = ForInOfBindingInitialization(realm, oldEnv, lhs, destructuring, iterator, lhsKind, nextValue, strictCode);
+
+    // i. Let result be the result of evaluating stmt.
+    return andThen(EvaluateResumableCompletion(body, strictCode, iterationEnv, realm), result => {
+      // j. Set the running execution context's LexicalEnvironment to oldEnv.
+      realm.getRunningContext().lexicalEnvironment = oldEnv;
+
+      // k. If LoopContinues(result, labelSet) is false, return ? IteratorClose(iterator, UpdateEmpty(result, V)).
+      if (!LoopContinues(realm, result, labelSet)) {
+        invariant(result instanceof AbruptCompletion);
+        let completion = UpdateEmpty(realm, result, V);
+        invariant(completion instanceof AbruptCompletion);
+        throw IteratorClose(realm, iterator, completion);
+      }
+
+      // l. If result.[[Value]] is not empty, let V be result.[[Value]].
+      let resultValue = InternalGetResultValue(realm, result);
+      if (!(resultValue instanceof EmptyValue)) V = resultValue;
+      return undefined;
+    });
+  });
+}
+
+// ECMA262 13.15.7
+function EvaluateCatchClause(ast: BabelNodeCatchClause, thrownValue: ThrowCompletion, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Resumable<Value> {
+  // 1. Let oldEnv be the running execution context's LexicalEnvironment.
+  let oldEnv = realm.getRunningContext().lexicalEnvironment;
+
+  // 2. Let catchEnv be NewDeclarativeEnvironment(oldEnv).
+  let catchEnv = NewDeclarativeEnvironment(realm, oldEnv);
+
+  // 3. Let catchEnvRec be catchEnv's EnvironmentRecord.
+  let catchEnvRec = catchEnv.environmentRecord;
+
+  // 4. For each element argName of the BoundNames of CatchParameter, do
+  for (let argName of BoundNames(realm, ast.param)) {
+    // a. Perform ! catchEnvRec.CreateMutableBinding(argName, false).
+    catchEnvRec.CreateMutableBinding(argName, false);
+  }
+
+  // 5. Set the running execution context's LexicalEnvironment to catchEnv.
+  realm.getRunningContext().lexicalEnvironment = catchEnv;
+
+  // 9. Set the running execution context's LexicalEnvironment to oldEnv.
+  return withCleanup(() => {
+    // 6. Let status be the result of performing BindingInitialization for CatchParameter passing thrownValue and catchEnv as arguments.
+    BindingInitialization(realm, ast.param, thrownValue.value, strictCode, catchEnv);
+
+    // 8. Let B be the result of evaluating Block.
+    // 10. Return Completion(B).
+    return andThen(EvaluateResumable(ast.body, strictCode, catchEnv, realm), B => {
+      invariant(B instanceof Value);
+      return B;
+    });
+  }, () => {
+    realm.getRunningContext().lexicalEnvironment = oldEnv;
+  });
+}
+
+// ECMA262 13.15.8
+function EvaluateTryStatement(ast: BabelNodeTryStatement, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Resumable<Value> {
+  let handler = ast.handler;
+  let finalizer = ast.finalizer;
+
+  // Let B be the result of evaluating Block.
+  let blockResult = EvaluateResumableCompletion(ast.block, strictCode, env, realm);
+  return andThen(blockResult, (B: Value | AbruptCompletion) => {
+    // can't catch or run finally clauses on introspection errors
+    if (B instanceof IntrospectionThrowCompletion) throw B;
+
+    // If B.[[Type]] is throw, let C be CatchClauseEvaluation of Catch with parameter B.[[Value]]. Else, let C be B.
+    let C: Resumable<Value | AbruptCompletion> = B;
+    if (B instanceof ThrowCompletion && handler) {
+      let Catch = handler, thrownValue = B;
+      C = catchAbrupt(() => EvaluateCatchClause(Catch, thrownValue, strictCode, env, realm), completion => completion);
+    }
+    return andThen(C, (c: Value | AbruptCompletion) => {
+      let F = finalizer ? EvaluateResumableCompletion(finalizer, strictCode, env, realm) : realm.intrinsics.empty;
+      return andThen(F, f => {
+        // If F.[[Type]] is normal, let F be C.
+        if (f instanceof AbruptCompletion) throw f;
+
+        // Return Completion(UpdateEmpty(F, undefined)).
+        let completion = UpdateEmpty(realm, c, realm.intrinsics.undefined);
+        if (completion instanceof AbruptCompletion) throw completion;
+        invariant(completion instanceof Value);
+        return completion;
+      });
+    });
+  });
+}
+
+// ECMA262 13.12.9
+function CaseBlockEvaluation(cases: Array<BabelNodeSwitchCase>, input: Value, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Resumable<Value> {
+  // Evaluates the clauses from the given one on, since evaluation falls through to the clauses
+  // that follow it in source text order, including the default clause.
+  let EvaluateCaseClausesFrom = (index: number, V: Value): Resumable<Value> => {
+    if (index === cases.length) return V;
+
+    // a. Let R be the result of evaluating C.
+    let R = catchAbrupt(() => EvaluateStatementList(cases[index].consequent, 0, realm.intrinsics.empty, strictCode, env, realm), completion => {
+      // c. If R is an abrupt completion, return Completion(UpdateEmpty(R, V)).
+      throw UpdateEmpty(realm, completion, V);
+    });
+
+    // b. If R.[[Value]] is not empty, let V be R.[[Value]].
+    return andThen(R, value => EvaluateCaseClausesFrom(index + 1, value instanceof EmptyValue ? V : value));
+  };
+
+  // Looks for the matching clause from the given index on. The CaseClauses before and after the DefaultClause
+  // get tested in source text order, and the DefaultClause matches if none of them do.
+  let SelectCaseClause = (index: number): Resumable<Value> => {
+    let i = index;
+    while (i < cases.length && !cases[i].test) i++;
+    if (i === cases.length) {
+      let defaultIndex = cases.findIndex(clause => !clause.test);
+      if (defaultIndex === -1) return realm.intrinsics.undefined;
+      return EvaluateCaseClausesFrom(defaultIndex, realm.intrinsics.undefined);
+    }
+
+    // a. Let clauseSelector be the result of CaseSelectorEvaluation of C.
+    let test = cases[i].test;
+    invariant(test);
+    return andThen(EvaluateResumableValue(test, strictCode, env, realm), clauseSelector => {
+      // c. Let found be the result of performing Strict Equality Comparison input === clauseSelector.[[Value]].
+      let found = computeBinary(realm, "===", input, clauseSelector);
+
+      // d. If found is true, evaluate the clauses from C on.
+      if (ToBooleanPartial(realm, found)) return EvaluateCaseClausesFrom(i, realm.intrinsics.undefined);
+      return SelectCaseClause(i + 1);
+    });
+  };
+
+  return SelectCaseClause(0);
+}
+
+// ECMA262 13.12.11
+function EvaluateSwitchStatement(ast: BabelNodeSwitchStatement, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Resumable<Value> {
+  let cases = ast.cases;
+
+  // 1. Let exprRef be the result of evaluating Expression.
+  // 2. Let switchValue be ? GetValue(exprRef).
+  return andThen(EvaluateResumableValue(ast.discriminant, strictCode, env, realm), switchValue => {
+    // 3. Let oldEnv be the running execution context's LexicalEnvironment.
+    let oldEnv = realm.getRunningContext().lexicalEnvironment;
+
+    // 4. Let blockEnv be NewDeclarativeEnvironment(oldEnv).
+    let blockEnv = NewDeclarativeEnvironment(realm, oldEnv);
+
+    // 5. Perform BlockDeclarationInstantiation(CaseBlock, blockEnv).
+    let CaseBlock = cases.map(c => c.consequent).reduce((stmts, consequent) => stmts.concat(consequent), []);
+    BlockDeclarationInstantiation(realm, strictCode, CaseBlock, blockEnv);
+
+    // 6. Set the running execution context's LexicalEnvironment to blockEnv.
+    realm.getRunningContext().lexicalEnvironment = blockEnv;
+
+    // 7. Let R be the result of performing CaseBlockEvaluation of CaseBlock with argument switchValue.
+    // 8. Set the running execution context's LexicalEnvironment to oldEnv.
+    // 9. Return R.
+    return withCleanup(
+      () => catchAbrupt(() => CaseBlockEvaluation(cases, switchValue, strictCode, blockEnv, realm), R => {
+        // ECMA262 13.1.7: unlabelled breaks complete the switch statement normally.
+        if (R instanceof BreakCompletion && !R.target) return R.value instanceof EmptyValue ? realm.intrinsics.undefined : R.value;
+        throw R;
+      }),
+      () => {
+        realm.getRunningContext().lexicalEnvironment = oldEnv;
+      });
+  });
+}
+
+// ECMA262 13.13.14
+function LabelledEvaluation(labelSet: Array<string>, ast: BabelNode, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Resumable<Value | Reference> {
+  if (ast.type !== "LabeledStatement") return EvaluateResumable(ast, strictCode, env, realm, labelSet);
+  let labeledAst = ((ast: any): BabelNodeLabeledStatement);
+
+  // 1. Let label be the StringValue of LabelIdentifier.
+  let label = labeledAst.label.name;
+
+  // 2. Append label as an element of labelSet.
+  labelSet.push(label);
+
+  // 3. Let stmtResult be LabelledEvaluation of LabelledItem with argument labelSet.
+  return catchAbrupt(() => LabelledEvaluation(labelSet, labeledAst.body, strictCode, env, realm), stmtResult => {
+    // 4. If stmtResult.[[Type]] is break and SameValue(stmtResult.[[Target]], label) is true, then
+    if (stmtResult instanceof BreakCompletion && stmtResult.target === label) {
+      // a. Let stmtResult be NormalCompletion(stmtResult.[[Value]]).
+      return stmtResult.value;
+    }
+
+    // 5. Return Completion(stmtResult).
+    throw stmtResult;
+  });
+}
+
+// ECMA262 12.15.4
+function EvaluateAssignmentExpression(ast: BabelNodeAssignmentExpression, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Resumable<Value> {
+  let LeftHandSideExpression = ast.left;
+  let AssignmentExpression = ast.right;
+  let AssignmentOperator = ast.operator;
+
+  if (LeftHandSideExpression.type === "ObjectPattern" || LeftHandSideExpression.type === "ArrayPattern") {
+    if (MaySuspend(LeftHandSideExpression)) throw NotYetSuspendable(realm, "yield or await expressions in assignment patterns");
+    invariant(AssignmentOperator === "=");
+
+    // 3. Let rref be the result of evaluating AssignmentExpression.
+    // 4. Let rval be ? GetValue(rref).
+    return andThen(EvaluateResumableValue(AssignmentExpression, strictCode, env, realm), rval => {
+      // 5. Let status be the result of performing DestructuringAssignmentEvaluation of assignmentPattern using rval as the argument.
+      DestructuringAssignmentEvaluation(realm, (LeftHandSideExpression: any), rval, strictCode, env);
+
+      // 7. Return rval.
+      return rval;
+    });
+  }
+
+  // 1. Let lref be the result of evaluating LeftHandSideExpression.
+  return andThen(EvaluateResumable(LeftHandSideExpression, strictCode, env, realm), lref => {
+    if (AssignmentOperator === "=") {
+      // c. Let rref be the result of evaluating AssignmentExpression.
+      // d. Let rval be ? GetValue(rref).
+      return andThen(EvaluateResumableValue(AssignmentExpression, strictCode, env, realm), rval => {
+        // f. Perform ? PutValue(lref, rval).
+        PutValue(realm, lref, rval);
+
+        // g. Return rval.
+        return rval;
+      });
+    }
+
+    // 2. Let lval be ? GetValue(lref).
+    let lval = GetValue(realm, lref);
+
+    // 3. Let rref be the result of evaluating AssignmentExpression.
+    // 4. Let rval be ? GetValue(rref).
+    return andThen(EvaluateResumableValue(AssignmentExpression, strictCode, env, realm), rval => {
+      // 5. Let op be the @ where AssignmentOperator is @=.
+      let op = ((AssignmentOperator.slice(0, -1): any): BabelBinaryOperator);
+
+      // 6. Let r be the result of applying op to lval and rval as if evaluating the expression lval op rval.
+      let r = GetValue(realm, computeBinary(realm, op, lval, rval));
+
+      // 7. Perform ? PutValue(lref, r).
+      PutValue(realm, lref, r);
+
+      // 8. Return r.
+      return r;
+    });
+  });
+}
+
+// ECMA262 12.3.2.1
+function EvaluateMemberExpression(ast: BabelNodeMemberExpression, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Resumable<Reference> {
+  if (ast.object.type === "Super") throw NotYetSuspendable(realm, "yield or await expressions in super property references");
+
+  // 1. Let baseReference be the result of evaluating MemberExpression.
+  // 2. Let baseValue be ? GetValue(baseReference).
+  return andThen(EvaluateResumableValue(ast.object, strictCode, env, realm), baseValue => {
+    // 3. Let propertyNameReference be the result of evaluating Expression.
+    // 4. Let propertyNameValue be ? GetValue(propertyNameReference).
+    let propertyNameValue = ast.computed ?
+      EvaluateResumableValue(ast.property, strictCode, env, realm) : new StringValue(realm, (ast.property: any).name);
+    return andThen(propertyNameValue, pv => {
+      // 5. Let bv be ? RequireObjectCoercible(baseValue).
+      let bv = RequireObjectCoercible(realm, baseValue);
+
+      // 6. Let propertyKey be ? ToPropertyKey(propertyNameValue).
+      let propertyKey = ToPropertyKey(realm, pv.throwIfNotConcrete());
+
+      // 8. Return a value of type Reference whose base value is bv, whose referenced name is propertyKey, and whose strict reference flag is strict.
+      return new Reference(bv, propertyKey, strictCode);
+    });
+  });
+}
+
+// ECMA262 12.2.5.2, 12.3.6.1
+// Evaluates array elements and arguments, spreading iterables. Elisions result in undefined entries.
+function ElementListEvaluation(realm: Realm, elements: Array<?(BabelNodeExpression | BabelNodeSpreadElement)>, strictCode: boolean, env: LexicalEnvironment): Resumable<Array<void | Value>> {
+  let list = [];
+  let evaluateFrom = (start: number) => {
+    for (let i = start; i < elements.length; i++) {
+      let elem = elements[i];
+      if (!elem) {
+        list.push(undefined);
+        continue;
+      }
+
+      let isSpread = elem.type === "SpreadElement";
+      let value = EvaluateResumableValue(isSpread ? (elem: any).argument : elem, strictCode, env, realm);
+      let appended = andThen(value, v => {
+        if (!isSpread) {
+          list.push(v);
+          return list;
+        }
+
+        // Let iterator be ? GetIterator(spreadObj).
+        let iterator = GetIterator(realm, v);
+        while (true) {
+          // Let next be ? IteratorStep(iterator).
+          let next = IteratorStep(realm, iterator);
+          if (!next) return list;
+
+          // Let nextArg be ? IteratorValue(next).
+          list.push(IteratorValue(realm, next));
+        }
+        invariant(false);
+      });
+      if (appended instanceof Suspension) {
+        let next = i + 1;
+        return andThen(appended, () => evaluateFrom(next));
+      }
+    }
+    return list;
+  };
+  return evaluateFrom(0);
+}
+
+function ArgumentListEvaluation(realm: Realm, args: Array<BabelNodeExpression | BabelNodeSpreadElement>, strictCode: boolean, env: LexicalEnvironment): Resumable<Array<Value>> {
+  return andThen(ElementListEvaluation(realm, args, strictCode, env), list => list.map(value => {
+    invariant(value !== undefined);
+    return value;
+  }));
+}
+
+// ECMA262 12.3.4.1
+function EvaluateCallExpression(ast: BabelNodeCallExpression, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Resumable<Value> {
+  let callee = ast.callee;
+  if (callee.type === "Super") throw NotYetSuspendable(realm, "yield or await expressions in super calls");
+  if (callee.type === "Identifier" && callee.name === "eval") throw NotYetSuspendable(realm, "yield or await expressions in eval calls");
+
+  // 1. Let ref be the result of evaluating MemberExpression.
+  return andThen(EvaluateResumable(callee, strictCode, env, realm), ref => {
+    // 2. Let func be ? GetValue(ref).
+    let func = GetValue(realm, ref).throwIfNotConcrete();
+
+    let thisValue;
+    // 4. If Type(ref) is Reference, then
+    if (ref instanceof Reference) {
+      // a. If IsPropertyReference(ref) is true, then
+      if (IsPropertyReference(realm, ref)) {
+        // i. Let thisValue be GetThisValue(ref).
+        thisValue = GetThisValue(realm, ref);
+      } else { // b. Else, the base of ref is an Environment Record
+        // i. Let refEnv be GetBase(ref).
+        let refEnv = GetBase(realm, ref);
+        invariant(refEnv instanceof EnvironmentRecord);
+
+        // ii. Let thisValue be refEnv.WithBaseObject().
+        thisValue = refEnv.WithBaseObject();
+      }
+    } else { // 5. Else Type(ref) is not Reference,
+      // a. Let thisValue be undefined.
+      thisValue = realm.intrinsics.undefined;
+    }
+
+    // EvaluateDirectCall(func, thisValue, Arguments, tailCall)
+    // 1. Let argList be ? ArgumentListEvaluation(arguments).
+    return andThen(ArgumentListEvaluation(realm, (ast.arguments: any), strictCode, env), argList => {
+      // 2. If Type(func) is not Object, throw a TypeError exception.
+      // 3. If IsCallable(func) is false, throw a TypeError exception.
+      if (!IsCallable(realm, func)) {
+        throw realm.createErrorThrowCompletion(realm.intrinsics.TypeError, "not callable");
+      }
+
+      // 5. Let result be Call(func, thisValue, argList).
+      return Call(realm, func, thisValue, argList);
+    });
+  });
+}
+
+// ECMA262 12.3.3.1.1
+function EvaluateNewExpression(ast: BabelNodeNewExpression, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Resumable<Value> {
+  // 3. Let ref be the result of evaluating constructProduction.
+  // 4. Let constructor be ? GetValue(ref).
+  return andThen(EvaluateResumableValue(ast.callee, strictCode, env, realm), constructor =>
+    // 6. Let argList be ArgumentListEvaluation of arguments.
+    andThen(ArgumentListEvaluation(realm, (ast.arguments: any), strictCode, env), argsList => {
+      // 7. If IsConstructor(constructor) is false, throw a TypeError exception.
+      if (IsConstructor(realm, constructor) === false) {
+        throw realm.createErrorThrowCompletion(realm.intrinsics.TypeError);
+      }
+      invariant(constructor instanceof ObjectValue);
+
+      // 8. Return ? Construct(constructor, argList).
+      return Construct(realm, constructor, argsList);
+    }));
+}
+
+// ECMA262 12.2.6.8
+function EvaluateObjectExpression(ast: BabelNodeObjectExpression, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Resumable<Value> {
+  // 1. Let obj be ObjectCreate(%ObjectPrototype%).
+  let obj = ObjectCreate(realm, realm.intrinsics.ObjectPrototype);
+
+  // 2. Let status be the result of performing PropertyDefinitionEvaluation of PropertyDefinitionList with arguments obj and true.
+  let evaluateFrom = (start: number) => {
+    for (let i = start; i < ast.properties.length; i++) {
+      let prop = ast.properties[i];
+      if (prop.type !== "ObjectProperty" && prop.type !== "ObjectMethod") throw new Error("unknown property node");
+      if (!MaySuspend(prop)) {
+        PropertyDefinitionEvaluation(realm, prop, obj, env, strictCode, true);
+        continue;
+      }
+      if (prop.type !== "ObjectProperty" || MaySuspend(prop.key)) throw NotYetSuspendable(realm, "yield or await expressions in property names");
+
+      // 1. Let propKey be the result of evaluating PropertyName.
+      let propKey = EvalPropertyName(realm, prop, env, strictCode);
+
+      // 3. Let exprValueRef be the result of evaluating AssignmentExpression.
+      // 4. Let propValue be ? GetValue(exprValueRef).
+      let defined = andThen(EvaluateResumableValue(prop.value, strictCode, env, realm), propValue => {
+        // 7. Return CreateDataPropertyOrThrow(object, propKey, propValue).
+        return CreateDataPropertyOrThrow(realm, obj, propKey, propValue);
+      });
+      if (defined instanceof Suspension) {
+        let next = i + 1;
+        return andThen(defined, () => evaluateFrom(next));
+      }
+    }
+
+    // 4. Return obj.
+    return obj;
+  };
+  return evaluateFrom(0);
+}
+
+// ECMA262 12.2.9
+function EvaluateTemplateLiteral(ast: BabelNodeTemplateLiteral, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Resumable<Value> {
+  let evaluateFrom = (i: number, str: string) => {
+    // add quasi
+    str += ast.quasis[i].value.cooked;
+
+    // add expression
+    let expr = ast.expressions[i];
+    if (!expr) return new StringValue(realm, str);
+    return andThen(EvaluateResumableValue(expr, strictCode, env, realm),
+      value => evaluateFrom(i + 1, str + ToStringPartial(realm, value)));
+  };
+  return evaluateFrom(0, "");
+}
@@ -16,6 +16,7 @@ import { ArraySetLength } from "../methods/properties.js";
 import { OrdinaryGetOwnProperty, OrdinaryDefineOwnProperty, ThrowIfMightHaveBeenDeleted } from "../methods/properties.js";
 import { IsAccessorDescriptor, IsPropertyKey, IsArrayIndex } from "../methods/is.js";
 import { ToUint32 } from "../methods/to.js";
+import { DefineOwnHavocedProperty } from "../methods/havoc.js";
 import invariant from "../invariant.js";
 
 export default class ArrayValue extends ObjectValue {
@@ -25,6 +26,8 @@ export default class ArrayValue extends ObjectValue {
 
   // ECMA262 9.4.2.1
   $DefineOwnProperty(P: PropertyKeyValue, Desc: Descriptor): boolean {
+    if (this.isHavoced()) return DefineOwnHavocedProperty(this.$Realm, this, P, Desc);
+
     let A = this;
 
     // 1. Assert: IsPropertyKey(P) is true.
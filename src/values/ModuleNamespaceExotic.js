@@ -0,0 +1,197 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+/* @flow */
+
+import type { Realm } from "../realm.js";
+import type { PropertyKeyValue, Descriptor, SourceTextModuleRecord } from "../types.js";
+import { ObjectValue, NullValue, SymbolValue, StringValue, Value } from "../values/index.js";
+import { OrdinaryGetOwnProperty, OrdinaryDelete } from "../methods/properties.js";
+import { OrdinaryGet } from "../methods/get.js";
+import { OrdinaryHasProperty } from "../methods/has.js";
+import { OrdinaryOwnPropertyKeys } from "../methods/own.js";
+import { ResolveExport } from "../methods/module.js";
+import invariant from "../invariant";
+
+export default class ModuleNamespaceExotic extends ObjectValue {
+  constructor(realm: Realm, module: SourceTextModuleRecord, exports: Array<string>) {
+    super(realm, realm.intrinsics.null);
+    this.$Module = module;
+    this.$Exports = exports;
+  }
+
+  $Module: SourceTextModuleRecord;
+  $Exports: Array<string>;
+
+  // ECMA262 9.4.6.1
+  $GetPrototypeOf(): NullValue {
+    // 1. Return null.
+    return this.$Realm.intrinsics.null;
+  }
+
+  // ECMA262 9.4.6.2
+  $SetPrototypeOf(V: ObjectValue | NullValue): boolean {
+    // 1. Assert: Either Type(V) is Object or Type(V) is Null.
+
+    // 2. Return false.
+    return false;
+  }
+
+  // ECMA262 9.4.6.3
+  $IsExtensible(): boolean {
+    // 1. Return false.
+    return false;
+  }
+
+  // ECMA262 9.4.6.4
+  $PreventExtensions(): boolean {
+    // 1. Return true.
+    return true;
+  }
+
+  // ECMA262 9.4.6.5
+  $GetOwnProperty(P: PropertyKeyValue): Descriptor | void {
+    let O = this;
+
+    // 1. If Type(P) is Symbol, return OrdinaryGetOwnProperty(O, P).
+    if (P instanceof SymbolValue) return OrdinaryGetOwnProperty(this.$Realm, O, P);
+
+    // 2. Let exports be O.[[Exports]].
+    let exports = O.$Exports;
+
+    // 3. If P is not an element of exports, return undefined.
+    if (exports.indexOf(ToName(P)) < 0) return undefined;
+
+    // 4. Let value be ? O.[[Get]](P, O).
+    let value = O.$Get(P, O);
+
+    // 5. Return PropertyDescriptor{[[Value]]: value, [[Writable]]: true, [[Enumerable]]: true, [[Configurable]]: false }.
+    return {
+      value: value,
+      writable: true,
+      enumerable: true,
+      configurable: false
+    };
+  }
+
+  // ECMA262 9.4.6.6
+  $DefineOwnProperty(P: PropertyKeyValue, Desc: Descriptor): boolean {
+    // 1. Return false.
+    return false;
+  }
+
+  // ECMA262 9.4.6.7
+  $HasProperty(P: PropertyKeyValue): boolean {
+    let O = this;
+
+    // 1. If Type(P) is Symbol, return OrdinaryHasProperty(O, P).
+    if (P instanceof SymbolValue) return OrdinaryHasProperty(this.$Realm, O, P);
+
+    // 2. Let exports be O.[[Exports]].
+    let exports = O.$Exports;
+
+    // 3. If P is an element of exports, return true.
+    // 4. Return false.
+    return exports.indexOf(ToName(P)) >= 0;
+  }
+
+  // ECMA262 9.4.6.8
+  $Get(P: PropertyKeyValue, Receiver: Value): Value {
+    let O = this;
+    let realm = this.$Realm;
+
+    // 1. Assert: IsPropertyKey(P) is true.
+
+    // 2. If Type(P) is Symbol, then
+    if (P instanceof SymbolValue) {
+      // a. Return ? OrdinaryGet(O, P, Receiver).
+      return OrdinaryGet(realm, O, P, Receiver);
+    }
+    let name = ToName(P);
+
+    // 3. Let exports be O.[[Exports]].
+    let exports = O.$Exports;
+
+    // 4. If P is not an element of exports, return undefined.
+    if (exports.indexOf(name) < 0) return realm.intrinsics.undefined;
+
+    // 5. Let m be O.[[Module]].
+    let m = O.$Module;
+
+    // 6. Let binding be ! m.ResolveExport(P, « », « »).
+    let binding = ResolveExport(realm, m, name, [], []);
+
+    // 7. Assert: binding is neither null nor "ambiguous".
+    invariant(binding !== null && binding !== "ambiguous");
+
+    // 8. Let targetModule be binding.[[Module]].
+    let targetModule = binding.$Module;
+
+    // 9. Assert: targetModule is not undefined.
+
+    // 10. Let targetEnv be targetModule.[[Environment]].
+    let targetEnv = targetModule.$Environment;
+
+    // 11. If targetEnv is undefined, throw a ReferenceError exception.
+    if (targetEnv === undefined) {
+      throw realm.createErrorThrowCompletion(realm.intrinsics.ReferenceError, `${name} is exported by a module that has not been instantiated`);
+    }
+
+    // 12. Let targetEnvRec be targetEnv's EnvironmentRecord.
+    let targetEnvRec = targetEnv.environmentRecord;
+
+    // 13. Return ? targetEnvRec.GetBindingValue(binding.[[BindingName]], true).
+    return targetEnvRec.GetBindingValue(binding.$BindingName, true);
+  }
+
+  // ECMA262 9.4.6.9
+  $Set(P: PropertyKeyValue, V: Value, Receiver: Value): boolean {
+    // 1. Return false.
+    return false;
+  }
+
+  // ECMA262 9.4.6.10
+  $Delete(P: PropertyKeyValue): boolean {
+    let O = this;
+
+    // 1. Assert: IsPropertyKey(P) is true.
+
+    // 2. If Type(P) is Symbol, then
+    if (P instanceof SymbolValue) {
+      // a. Return ? OrdinaryDelete(O, P).
+      return OrdinaryDelete(this.$Realm, O, P);
+    }
+
+    // 3. Let exports be O.[[Exports]].
+    let exports = O.$Exports;
+
+    // 4. If P is an element of exports, return false.
+    // 5. Return true.
+    return exports.indexOf(ToName(P)) < 0;
+  }
+
+  // ECMA262 9.4.6.11
+  $OwnPropertyKeys(): Array<PropertyKeyValue> {
+    // 1. Let exports be a copy of O.[[Exports]].
+    let exports: Array<PropertyKeyValue> = this.$Exports.map(name => new StringValue(this.$Realm, name));
+
+    // 2. Let symbolKeys be ! OrdinaryOwnPropertyKeys(O).
+    let symbolKeys = OrdinaryOwnPropertyKeys(this.$Realm, this);
+
+    // 3. Append all the entries of symbolKeys to the end of exports.
+    exports = exports.concat(symbolKeys);
+
+    // 4. Return exports.
+    return exports;
+  }
+}
+
+function ToName(P: string | StringValue): string {
+  return typeof P === "string" ? P : P.value;
+}
@@ -15,9 +15,18 @@ import { SymbolValue } from "./index.js";
 import { NumberValue, StringValue, FunctionValue, ObjectValue, NullValue, ProxyValue, UndefinedValue, AbstractObjectValue } from "./index.js";
 import { ReturnCompletion } from "../completions.js";
 import { $Call, $Construct } from "../methods/function.js";
+import type { BabelNodeExpression } from "babel-types";
 
 export type NativeFunctionCallback = (context: UndefinedValue | NullValue | ObjectValue | AbstractObjectValue, args: Array<Value>, argLength: number, newTarget?: void | ObjectValue) => Value;
 
+// Describes how residual code can recreate a native function that is not an intrinsic.
+// The values in args, which may well be intrinsics, get serialized and passed to buildNode,
+// which returns an expression that evaluates to a function that behaves the same way.
+export type ResidualNativeBinding = {
+  args: Array<Value>,
+  buildNode: (Array<BabelNodeExpression>) => BabelNodeExpression,
+};
+
 export default class NativeFunctionValue extends FunctionValue {
   constructor(realm: Realm, intrinsicName: void | string, name: void | string | SymbolValue, length: number, callback: NativeFunctionCallback, constructor?: boolean = true) {
     super(realm, intrinsicName);
@@ -65,6 +74,13 @@ export default class NativeFunctionValue extends FunctionValue {
   name: string;
   callback: NativeFunctionCallback;
   length: number;
+  // Set for native functions that get created at runtime, including the ones that embedders create, so that they
+  // can be serialized. It gets called when the function is serialized, so the binding reflects its state at that time.
+  getResidualBinding: void | () => ResidualNativeBinding;
+
+  getArity(): number {
+    return this.length;
+  }
 
   callCallback(context: UndefinedValue | NullValue | ObjectValue | AbstractObjectValue, argsList: Array<Value>, newTarget?: void | ObjectValue): ReturnCompletion {
     let originalLength = argsList.length;
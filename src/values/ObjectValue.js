@@ -10,10 +10,11 @@
 /* @flow */
 
 import type { Realm, ExecutionContext } from "../realm.js";
-import type { IterationKind, PromiseCapability, PromiseReaction, DataBlock, PropertyKeyValue, PropertyBinding, Descriptor } from "../types.js";
+import type { IntlObjectRecord, IterationKind, PromiseCapability, PromiseReaction, Timer, DataBlock, PropertyKeyValue, PropertyBinding, Descriptor } from "../types.js";
 import { Value, AbstractValue, ConcreteValue, BooleanValue, StringValue, SymbolValue, NumberValue, UndefinedValue, NullValue, NativeFunctionValue } from "./index.js";
-import type { NativeFunctionCallback } from "./index.js";
-import { OrdinarySetPrototypeOf, OrdinaryDefineOwnProperty, OrdinaryDelete, OrdinaryOwnPropertyKeys, OrdinaryGetOwnProperty, OrdinaryGet, OrdinaryHasProperty, OrdinarySet, OrdinaryIsExtensible, OrdinaryPreventExtensions, ThrowIfMightHaveBeenDeleted } from "../methods/index.js";
+import type { NativeFunctionCallback, FunctionValue } from "./index.js";
+import { OrdinarySetPrototypeOf, OrdinaryDefineOwnProperty, OrdinaryDelete, OrdinaryOwnPropertyKeys, OrdinaryGetOwnProperty, OrdinaryGet, OrdinaryHasProperty, OrdinarySet, OrdinaryIsExtensible, OrdinaryPreventExtensions, ThrowIfMightHaveBeenDeleted,
+  GetHavocedProperty, GetOwnHavocedProperty, HasHavocedProperty, SetHavocedProperty, DefineOwnHavocedProperty, DeleteHavocedProperty } from "../methods/index.js";
 
 import invariant from "../invariant.js";
 
@@ -26,13 +27,14 @@ export default class ObjectValue extends ConcreteValue {
     this.$Extensible = realm.intrinsics.true;
     this._isPartial = realm.intrinsics.false;
     this._isSimple = realm.intrinsics.false;
+    this._isHavoced = realm.intrinsics.false;
     this.properties = new Map();
     this.symbols = new Map();
   }
 
   static trackedProperties = ["$Prototype", "$Extensible", "$SetNextIndex", "$IteratedSet",
    "$MapNextIndex", "$MapData", "$Map", "$DateValue", "$ArrayIteratorNextIndex", "$IteratedObject",
-   "$StringIteratorNextIndex", "$IteratedString", "_isPartial", "_isSimple"];
+   "$StringIteratorNextIndex", "$IteratedString", "_isPartial", "_isSimple", "_isHavoced"];
 
   setupBindings() {
     for (let propName of ObjectValue.trackedProperties) {
@@ -76,9 +78,13 @@ export default class ObjectValue extends ConcreteValue {
   $Call: ?(thisArgument: Value, argumentsList: Array<Value>) => Value;
   $Construct: ?(argumentsList: Array<Value>, newTarget: ObjectValue) => ObjectValue;
 
+  // class prototype object (not in the spec), refers to the class constructor it was created for
+  $ClassConstructor: void | FunctionValue;
+
   // promise
   $Promise: ?ObjectValue;
   $AlreadyResolved: void | { value: boolean };
+  $PromiseRejectFunction: void | true;
   $PromiseState: void | "pending" | "fulfilled" | "rejected";
   $PromiseResult: void | Value;
   $PromiseFulfillReactions: void | Array<PromiseReaction>;
@@ -91,6 +97,9 @@ export default class ObjectValue extends ConcreteValue {
   $Capabilities: void | PromiseCapability;
   $RemainingElements: void | { value: number };
 
+  // timer handle
+  $Timer: void | Timer;
+
   // set
   $SetIterationKind: void | IterationKind;
   $SetNextIndex: void | number;
@@ -112,6 +121,11 @@ export default class ObjectValue extends ConcreteValue {
   // date
   $DateValue: void | Value; // of type number
 
+  // intl
+  $InitializedCollator: void | IntlObjectRecord;
+  $InitializedNumberFormat: void | IntlObjectRecord;
+  $InitializedDateTimeFormat: void | IntlObjectRecord;
+
   // array
   $ArrayIterationKind: void | IterationKind;
   $ArrayIteratorNextIndex: void | NumberValue;
@@ -137,9 +151,12 @@ export default class ObjectValue extends ConcreteValue {
   $ArrayBufferByteLength: void | number;
 
   // generator
-  $GeneratorState: void | "suspendedStart" | "executing";
+  $GeneratorState: void | "suspendedStart" | "suspendedYield" | "executing" | "completed";
   $GeneratorContext: void | ExecutionContext;
 
+  // async function awaited functions
+  $AsyncContext: void | ExecutionContext;
+
   // typed array
   $TypedArrayName: void | string;
   $ViewedArrayBuffer: void | ObjectValue;
@@ -152,6 +169,10 @@ export default class ObjectValue extends ConcreteValue {
   // to return AbstractValue for unknown properties.
   _isSimple: BooleanValue;
 
+  // If true, the object got passed to code that is not known and may have changed it in any way.
+  // Its properties only reflect its state from before that.
+  _isHavoced: BooleanValue;
+
   properties: Map<string, PropertyBinding>;
   symbols: Map<SymbolValue, PropertyBinding>;
 
@@ -183,6 +204,14 @@ export default class ObjectValue extends ConcreteValue {
     return this._isSimple.value;
   }
 
+  havoc(): void {
+    this._isHavoced = this.$Realm.intrinsics.true;
+  }
+
+  isHavoced(): boolean {
+    return this._isHavoced.value;
+  }
+
   getExtensible(): boolean {
     return this.$Extensible.value;
   }
@@ -259,7 +288,7 @@ export default class ObjectValue extends ConcreteValue {
   }
 
   getOwnPropertyKeysArray(): Array<string> {
-    if (this.isPartial()) {
+    if (this.isPartial() || this.isHavoced()) {
       AbstractValue.throwIntrospectionError(this);
     }
 
@@ -310,6 +339,8 @@ export default class ObjectValue extends ConcreteValue {
 
   // ECMA262 9.1.2
   $SetPrototypeOf(V: ObjectValue | NullValue): boolean {
+    if (this.isHavoced()) AbstractValue.throwIntrospectionError(this);
+
     // 1. Return ! OrdinarySetPrototypeOf(O, V).
     return OrdinarySetPrototypeOf(this.$Realm, this, V);
   }
@@ -322,47 +353,61 @@ export default class ObjectValue extends ConcreteValue {
 
   // ECMA262 9.1.4
   $PreventExtensions(): boolean {
+    if (this.isHavoced()) AbstractValue.throwIntrospectionError(this);
+
     // 1. Return ! OrdinaryPreventExtensions(O).
     return OrdinaryPreventExtensions(this.$Realm, this);
   }
 
   // ECMA262 9.1.5
   $GetOwnProperty(P: PropertyKeyValue): Descriptor | void {
+    if (this.isHavoced()) return GetOwnHavocedProperty(this.$Realm, this, P);
+
     // 1. Return ! OrdinaryGetOwnProperty(O, P).
     return OrdinaryGetOwnProperty(this.$Realm, this, P);
   }
 
   // ECMA262 9.1.6
   $DefineOwnProperty(P: PropertyKeyValue, Desc: Descriptor): boolean {
+    if (this.isHavoced()) return DefineOwnHavocedProperty(this.$Realm, this, P, Desc);
+
     // 1. Return ? OrdinaryDefineOwnProperty(O, P, Desc).
     return OrdinaryDefineOwnProperty(this.$Realm, this, P, Desc);
   }
 
   // ECMA262 9.1.7
   $HasProperty(P: PropertyKeyValue): boolean {
+    if (this.isHavoced()) return HasHavocedProperty(this.$Realm, this, P);
     return OrdinaryHasProperty(this.$Realm, this, P);
   }
 
   // ECMA262 9.1.8
   $Get(P: PropertyKeyValue, Receiver: Value): Value {
+    if (this.isHavoced()) return GetHavocedProperty(this.$Realm, this, P, Receiver);
+
     // 1. Return ? OrdinaryGet(O, P, Receiver).
     return OrdinaryGet(this.$Realm, this, P, Receiver);
   }
 
   // ECMA262 9.1.9
   $Set(P: PropertyKeyValue, V: Value, Receiver: Value): boolean {
+    if (this.isHavoced()) return SetHavocedProperty(this.$Realm, this, P, V, Receiver);
+
     // 1. Return ? OrdinarySet(O, P, V, Receiver).
     return OrdinarySet(this.$Realm, this, P, V, Receiver);
   }
 
   // ECMA262 9.1.10
   $Delete(P: PropertyKeyValue): boolean {
+    if (this.isHavoced()) return DeleteHavocedProperty(this.$Realm, this, P);
+
     // 1. Return ? OrdinaryDelete(O, P).
     return OrdinaryDelete(this.$Realm, this, P);
   }
 
   // ECMA262 9.1.11
   $OwnPropertyKeys(): Array<PropertyKeyValue> {
+    if (this.isHavoced()) AbstractValue.throwIntrospectionError(this);
     return OrdinaryOwnPropertyKeys(this.$Realm, this);
   }
 }
@@ -30,6 +30,7 @@ export { default as ProxyValue } from "./ProxyValue.js";
 export { default as StringExotic } from "./StringExotic.js";
 export { default as ArgumentsExotic } from "./ArgumentsExotic.js";
 export { default as IntegerIndexedExotic } from "./IntegerIndexedExotic.js";
+export { default as ModuleNamespaceExotic } from "./ModuleNamespaceExotic.js";
 
 export { default as BooleanValue } from "./BooleanValue.js";
 export { default as StringValue } from "./StringValue.js";
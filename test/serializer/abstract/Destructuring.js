@@ -0,0 +1,8 @@
+let obj = global.__abstract ? __abstract({}, "({x: 1, y: 2, w: 3})") : {x: 1, y: 2, w: 3};
+if (global.__makeSimple) __makeSimple(obj);
+let { x, w: renamed } = obj;
+var sum = x + 1;
+var copy = {};
+({ y: copy.y } = obj);
+
+inspect = function() { return sum + " " + renamed + " " + copy.y; }
@@ -0,0 +1,8 @@
+let ob = global.__abstract ? __abstract({}, "({ a: 1, b: 2, c: 3 })") : { a: 1, b: 2, c: 3 };
+let keys = "";
+for (let p in ob) {
+  if (p === "c") break;
+  keys += p;
+}
+
+inspect = function() { return keys; }
@@ -0,0 +1,5 @@
+let n = global.__abstract ? __abstract("number", "3") : 3;
+let it = { i: 0, next() { return { done: this.i >= n, value: this.i++ }; }, [Symbol.iterator]() { return this; } };
+let sum = 0;
+for (let x of it) sum += x * 2;
+inspect = function() { return sum + " " + it.i; }
@@ -0,0 +1,12 @@
+let n = global.__abstract ? __abstract("number", "5") : 5;
+let s = 0;
+let o = { count: 0 };
+var g = 1;
+for (let i = 0; i < n; i++) {
+  s += i;
+  o.count++;
+  g = g * 2;
+}
+let a = 0, b = 1, k = 0;
+while (k < n) { let t = a; a = b; b = t + b; k++; }
+inspect = function() { return s + " " + o.count + " " + g + " " + a + " " + b; }
@@ -0,0 +1,5 @@
+// throws introspection error
+
+let n = __abstract("number", "5");
+let a = [];
+for (let i = 0; i < n; i++) { a = {p: a}; }
@@ -0,0 +1,10 @@
+let f = global.__abstract ? __abstract("function", "(function(o) { o.x++; o.inner.y = 'changed'; })") : function(o) { o.x++; o.inner.y = 'changed'; };
+let inner = { y: "orig" };
+let obj = { x: 1, inner: inner };
+let unrelated = { z: 1 };
+f(obj);
+let a = obj.x;
+obj.x = 10;
+unrelated.z = 2;
+let b = inner.y;
+inspect = function() { return a + " " + b + " " + obj.x + " " + unrelated.z + " " + inner.y; }
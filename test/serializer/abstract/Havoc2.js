@@ -0,0 +1,6 @@
+// havoc global object
+let f = global.__abstract ? __abstract("function", "(function() { g.n = 2; })") : function() { g.n = 2; };
+var g = { n: 1 };
+f();
+var n = g.n;
+inspect = function() { return n + " " + g.n; }
@@ -0,0 +1,5 @@
+// throws introspection error
+let f = __abstract("function", "(function(o) { o.x = 1; })");
+let obj = {};
+f(obj);
+Object.keys(obj);
@@ -0,0 +1,8 @@
+let f = global.__abstract ? __abstract("function", "(function(a) { a.push(3); })") : function(a) { a.push(3); };
+let arr = [1, 2];
+let counter = { n: 0 };
+let cb = function() { counter.n++; };
+f(arr, cb);
+arr[0] = 5;
+let x = arr[1];
+inspect = function() { return arr.join() + " " + x + " " + counter.n; }
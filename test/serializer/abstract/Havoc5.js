@@ -0,0 +1,20 @@
+const F = global.__abstract ? __abstract("function", "(function(f) { global.callback = f; f(); })") : function(f) { global.callback = f; f(); };
+const F2 = global.__abstract ? __abstract("function", "(function() { global.callback(); })") : function() { global.callback(); };
+let c = 0;
+let unchanged = 1;
+F(function() { c++; return unchanged; });
+let before = c;
+F2();
+let after = c;
+c = c + 10;
+
+let makeCounter = () => {
+  let n = 0;
+  return function() { n = n + 1; return "counted " + n + " times"; };
+};
+let counter1 = makeCounter(), counter2 = makeCounter();
+F(counter1);
+F2();
+F(counter2);
+
+inspect = function() { return [before, after, c, unchanged, counter1(), counter2()].join(); }
@@ -0,0 +1,19 @@
+(function() {
+  let c = global.__abstract ? __abstract("boolean", "(false)") : false;
+  let d = global.__abstract ? __abstract("boolean", "(true)") : true;
+  let shared = { a: 1 };
+  let inBothBranches = { b: 2 };
+  let inNestedBranches = { c: 3 };
+  let f = function() { return shared.a; };
+  if (c) {
+    x = shared;
+    y = inBothBranches;
+    if (d) z = inNestedBranches; else w = inNestedBranches;
+  } else {
+    y = inBothBranches;
+    g = f;
+    if (d) z = inNestedBranches;
+  }
+  last = shared;
+})();
+inspect = function() { return JSON.stringify([global.x, global.y, global.z, global.w, global.last, global.g()]); }
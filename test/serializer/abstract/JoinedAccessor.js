@@ -0,0 +1,11 @@
+let c = global.__abstract ? __abstract("boolean", "(false)") : false;
+let log = [];
+let obj = {};
+if (c) {
+  Object.defineProperty(obj, "x", { get: function() { return 1; }, set: function(v) { log.push("a" + v); }, configurable: true, enumerable: true });
+} else {
+  Object.defineProperty(obj, "x", { get: function() { return 2; }, set: function(v) { log.push("b" + v); }, configurable: true, enumerable: true });
+}
+let r = obj.x;
+obj.x = 5;
+inspect = function() { return r + " " + obj.x + " " + log.join(); }
@@ -0,0 +1,8 @@
+let c = global.__abstract ? __abstract("boolean", "true") : true;
+let log = [];
+let obj = { n: 1 };
+function a(x) { log.push("a"); return this.n + x; }
+function b(x) { log.push("b"); this.n = 10; return this.n * x; }
+if (c) obj.handler = a; else obj.handler = b;
+let r = obj.handler(3);
+inspect = function() { return r + " " + obj.n + " " + log.join() + " " + obj.handler(1); }
@@ -0,0 +1,5 @@
+// throws introspection error
+let c = global.__abstract ? __abstract("boolean", "true") : true;
+let f = c ? function() { return 1; } : undefined;
+let r = f();
+inspect = function() { return r; }
@@ -0,0 +1,11 @@
+// throws introspection error
+let n = __abstract("number", "5");
+function search(limit) {
+  for (let i = 0; i < limit; i++) {
+    for (let j = 0; j < limit; j++) {
+      if (i * j > 6) return i + j;
+    }
+  }
+  return -1;
+}
+let found = search(n);
@@ -0,0 +1,13 @@
+let x = global.__abstract ? __abstract("number", "2") : 2;
+var r = "", s = 0;
+switch (x) {
+  case 1: r += "a";
+  case 2: r += "b"; s = 1; break;
+  default: r += "d";
+  case 3: r += "c"; s = 3;
+}
+function f(y) {
+  switch (y) { case "a": return 1; case "b": return 2; default: return 3; }
+}
+var z = f(global.__abstract ? __abstract("string", "('b')") : "b");
+inspect = function() { return r + " " + s + " " + z; }
@@ -0,0 +1,11 @@
+function f(x) {
+  let y = 0;
+  switch (x) { case 1: return "one"; case 2: y = 5; break; default: y = 7; }
+  return "y" + y;
+}
+var a = f(global.__abstract ? __abstract("number", "2") : 2);
+var b = f(global.__abstract ? __abstract("number", "1") : 1);
+let o = { k: 0 };
+let w = global.__abstract ? __abstract("string", "('q')") : "q";
+switch (w) { case "p": o.k = 1; break; case "q": o.k = 2; o.m = 1; }
+inspect = function() { return a + " " + b + " " + o.k + " " + o.m; }
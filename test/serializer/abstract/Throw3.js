@@ -1,9 +1,9 @@
-// throws introspection error
-
-let x = __abstract("boolean", "true");
+let x = global.__abstract ? __abstract("boolean", "true") : true;
 
 try {
-  if (x) z = "is true"; else throw "is false";  
+  if (x) z = "is true"; else throw "is false";
 } catch (e) {
   z = e;
 }
+
+inspect = function() { return "" + z; }
@@ -0,0 +1,28 @@
+let x = global.__abstract ? __abstract("boolean", "true") : true;
+let y = global.__abstract ? __abstract("boolean", "false") : false;
+var z, w, log = "";
+try {
+  if (x) throw "is true";
+  z = "is false";
+} catch (e) {
+  z = e;
+} finally {
+  log += "f";
+}
+try {
+  if (y) z2 = "is true"; else throw "is false";
+} catch (e) {
+  z2 = e;
+}
+function f(c) {
+  try {
+    if (c) throw 1;
+    if (!c) return 2;
+  } catch (e) {
+    return e + 10;
+  } finally {
+    log += "g";
+  }
+}
+w = f(x);
+inspect = function() { return z + " " + z2 + " " + w + " " + log; }
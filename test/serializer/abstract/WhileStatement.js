@@ -0,0 +1,10 @@
+let n = global.__abstract ? __abstract("number", "4") : 4;
+let i = 0, s = "";
+while (i++ < n) { s += i; }
+let j = 10;
+do { j--; } while (j > n);
+let log = [];
+let k = 0;
+var obj = { total: 0, label: "x" };
+for (var m = 0; m < n; m += 1) { if (m > 1) obj.total += m; else obj.label += m; continue; }
+inspect = function() { return [i, s, j, m, obj.total, obj.label].join(); }
@@ -0,0 +1,15 @@
+let n = global.__abstract ? __abstract("number", "5") : 5;
+let i = 0;
+while (i < n) { if (i > 2) break; i++; }
+let j = 0, odd = 0;
+outer: for (; j < n; j++) { if (j % 2 === 0) continue outer; odd += j; }
+function find(limit) {
+  for (let k = 0; k < limit; k++) {
+    if (k * k > 10) return k;
+  }
+  return -1;
+}
+let found = find(n);
+let m = 0, log = "";
+do { m += 2; if (m === 4) break; log += m; } while (m < n);
+inspect = function() { return [i, j, odd, found, m, log].join(); }
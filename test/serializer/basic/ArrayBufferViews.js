@@ -0,0 +1,15 @@
+var buffer = new ArrayBuffer(16);
+var bytes = new Uint8Array(buffer);
+var words = new Uint16Array(buffer, 4, 2);
+var view = new DataView(buffer, 8);
+bytes[0] = 255;
+words[1] = 0x1234;
+view.setFloat32(0, 1.5);
+var empty = new ArrayBuffer(3);
+empty.tag = "empty";
+
+inspect = function() {
+  bytes[5] = 7;
+  return Array.prototype.join.call(bytes, ",") + " " + words[0] + " " + words[1] + " " + view.getFloat32(0) + " " +
+    (bytes.buffer === words.buffer) + " " + (view.buffer === buffer) + " " + empty.byteLength + empty.tag;
+}
@@ -0,0 +1,23 @@
+var log = [];
+async function add(a, b) { log.push("add start"); var x = await a; log.push("got a"); var y = await Promise.resolve(b); return x + y; }
+var sum;
+add(1, 2).then(v => { sum = v; });
+log.push("after call");
+async function fails() { await null; throw new Error("nope"); }
+var failure;
+fails().catch(e => { failure = e.message; });
+var arrow = async (x) => (await x) * 2;
+var doubled;
+arrow(Promise.resolve(21)).then(v => { doubled = v; });
+var obj = { async m() { try { await Promise.reject("r"); } catch (e) { return "caught " + e; } } };
+var fromMethod;
+obj.m().then(v => { fromMethod = v; });
+class C { async run(n) { let total = 0; for (let i = 0; i < n; i++) total += await i; return total; } }
+var loopTotal;
+new C().run(4).then(v => { loopTotal = v; });
+var AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+var dyn = new AsyncFunction("a", "return await a;");
+var fromDynamic;
+dyn(5).then(v => { fromDynamic = v; });
+var settled = add(3, 4);
+inspect = function() { return JSON.stringify([log, sum, failure, doubled, fromMethod, loopTotal, fromDynamic, typeof add, Object.prototype.toString.call(add), add.prototype]) + typeof settled.then + (AsyncFunction === Object.getPrototypeOf(add).constructor); }
@@ -0,0 +1,10 @@
+var b = new Boolean(false);
+var n = new Number(-0);
+var s = new String("abc");
+s.extra = 1;
+var sym = Object(Symbol("tag"));
+
+inspect = function() {
+  return typeof b + b.valueOf() + " " + typeof n + (1 / n.valueOf()) + " " + typeof s + s.valueOf() + s.length + s[1] + s.extra + " " +
+    typeof sym + sym.toString();
+}
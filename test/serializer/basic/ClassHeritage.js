@@ -0,0 +1,16 @@
+class Counter {
+  constructor() { Counter.count++; this.id = Counter.count; }
+  static make() { return new Counter(); }
+}
+Counter.count = 0;
+var a = Counter.make(), b = new Counter();
+class MyError extends Error {
+  constructor(msg) { super(msg); this.name = "MyError"; }
+  describe() { return this.name + ": " + this.message; }
+}
+var e = new MyError("boom");
+class Nothing extends null {}
+var proto = Object.getPrototypeOf(Nothing.prototype);
+let Anon = class {};
+const obj = { greet() { return "hi " + super.toString.call(1); } };
+inspect = function() { return [a.id, b.id, Counter.count, new Counter().id, e.describe(), e instanceof MyError, e instanceof Error, proto, Object.getPrototypeOf(Nothing) === Function.prototype, typeof new Anon(), obj.greet()].join(); }
@@ -0,0 +1,19 @@
+class A {
+  constructor(x) { this.x = x; }
+  get double() { return this.x * 2; }
+  m() { return "A.m" + this.x; }
+  static s() { return "A.s"; }
+}
+class B extends A {
+  constructor(x, y) { super(x); this.y = y; }
+  m() { return "B>" + super.m(); }
+  static s() { return "B>" + super.s(); }
+}
+class C extends B {}
+var c = new C(1, 2);
+var r1 = c.m() + " " + C.s() + " " + c.double + " " + (c instanceof A) + " " + Object.keys(A.prototype).length;
+var threw = false;
+try { A(); } catch (e) { threw = e instanceof TypeError; }
+var E = class Named { who() { return Named.name; } };
+var r2 = new E().who() + threw;
+inspect = function() { return r1 + " " + r2 + " " + c.m() + " " + C.s() + " " + c.double + JSON.stringify(c) + (c instanceof C) + (new C(3, 4).m()); }
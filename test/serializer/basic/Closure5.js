@@ -0,0 +1,4 @@
+(function() {
+  var o = { a: 1 };
+  inspect = function() { o.a++; return o.a + " " + o.a; }
+})();
@@ -0,0 +1,13 @@
+var m = new Map();
+m.set("first", 1);
+m.set("self", m);
+m.set("last", 3);
+var s = new Set();
+s.add(s);
+s.add(m);
+m.set("set", s);
+
+inspect = function() {
+  return Array.from(m.keys()).join(",") + " " + (m.get("self") === m) + " " +
+    s.has(s) + " " + (m.get("set") === s) + " " + s.size;
+}
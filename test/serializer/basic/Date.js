@@ -0,0 +1,7 @@
+var d = new Date(2017, 3, 14, 12, 30);
+d.label = "release";
+var invalid = new Date(NaN);
+
+inspect = function() {
+  return d.getTime() + " " + (d instanceof Date) + " " + d.label + " " + isNaN(invalid.getTime());
+}
@@ -0,0 +1,16 @@
+var times = [946684799999, 1e12 + 45296000, 1.5e12 + 123, 1490500800000, 1509238800000, NaN];
+var strings = [];
+for (var i = 0; i < times.length; i++) {
+  var d = new Date(times[i]);
+  strings.push(d.toString(), d.toDateString(), d.toTimeString(), d.toUTCString(), d.getHours(), d.getDay(),
+    Date.parse(d.toString()), Date.parse(d.toUTCString()));
+}
+var parsed = ["2017", "2017-03", "2017-03-05", "2017-03-05T10:20", "2017-03-05T10:20:30.5Z", "2017-03-05T10:20:30.123+05:30",
+  "+002017-03-05T10:20:30Z", "-000000-01-01T00:00:00Z", "2017-13-01", "2017-03-05T24:00", "Tue, 1 Nov 2016 12:00:00 +0100",
+  "1 Nov 2016 12:00 EST", "November 1, 2016 10:00 PM", "1/31/2017 12:30 AM", "Thu Jan 01 1970 00:00:00 GMT+0100 (CET)",
+  "garbage"].map(function (s) { return Date.parse(s); });
+var constructed = new Date("2017-03-05T10:20").getTime();
+
+inspect = function() {
+  return JSON.stringify([strings, parsed, constructed, new Date(0).toGMTString()]);
+}
@@ -0,0 +1,18 @@
+var { a, b: { c = 3 } = {}, d: [e, , f = 7, ...g] } = { a: 1, d: [4, 5, undefined, 8, 9] };
+let [h = 0, [i, j] = [10, 11]] = [];
+const { ["k" + 1]: k1 = 12 } = {};
+
+var x, y, z, o = {};
+[x, y = 2, ...o.rest] = [1, undefined, 3, 4];
+({ q: o.q, z = 5 } = { q: 6 });
+
+var log = [];
+for (var [u, v] of [[1, 2], [3, 4]]) log.push(u + v);
+for (let { w } of [{ w: 5 }]) log.push(w);
+for ([x, y] of [[7, 8]]) log.push(x * y);
+try { throw { msg: "caught" }; } catch ({ msg }) { log.push(msg); }
+try { var { t } = null; } catch (err) { log.push(err instanceof TypeError); }
+
+inspect = function() {
+  return [a, c, e, f, g.join(), h, i, j, k1, x, y, o.rest.join(), z, o.q, t, log.join()].join(" ");
+}
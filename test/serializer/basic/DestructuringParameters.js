@@ -0,0 +1,15 @@
+function f(m, [n, p] = [13, 14], { r = 15 } = {}, ...s) {
+  return [m, n, p, r, s.join(), arguments.length].join();
+}
+function g(a = 1) { var a; return a; }
+function h(x, y = x * 2, z = () => x + y) { x = 10; return z(); }
+
+var result = [f(1, undefined, { r: 16 }, 17, 18), f(2, [3]), g(), h(1), f.length, g.length, h.length].join(" ");
+
+class Base { constructor(a, b) { this.sum = a + b; } }
+class Derived extends Base {}
+var instance = new Derived(1, 2);
+
+inspect = function() {
+  return result + " " + instance.sum + " " + Derived.length + " " + (function(...rest) { return rest.length; })(1, 2, 3);
+}
@@ -0,0 +1,9 @@
+var e1 = new Error("something went wrong");
+var e2 = new TypeError("bad type");
+e2.code = 42;
+var e3 = new RangeError();
+
+inspect = function() {
+  return e1.message + " " + (e1 instanceof Error) + " " + e2.name + " " + (e2 instanceof TypeError) + " " + e2.code + " " +
+    String(e2) + " " + (e3 instanceof RangeError) + " " + e3.hasOwnProperty("message") + " " + Object.keys(e2);
+}
@@ -0,0 +1,35 @@
+function* steps(kind) {
+  let log = [];
+  switch (kind) {
+    case yield "which":
+      log.push("first");
+    case "second":
+      log.push(yield "fall through");
+      break;
+    default:
+      log.push("default");
+      yield "default";
+  }
+  let n = 1;
+  n += -(yield typeof (yield "typeof"));
+  let flag = !(yield "not");
+  let o = { count: 0 };
+  o[yield "key"]++;
+  ++o.count;
+  return log.join() + " " + n + " " + flag + " " + o.count;
+}
+
+var results = [];
+var g = steps("first");
+var r = g.next();
+var inputs = ["first", "x", "s", 5, 0, "count"];
+for (var i = 0; !r.done; i++) {
+  results.push(r.value);
+  r = g.next(inputs[i]);
+}
+results.push(r.value);
+
+var h = steps("nothing");
+var hResults = [h.next().value, h.next("no match").value, h.next().value, h.next().value, h.next().value, h.next().value, h.next("count").value];
+
+inspect = function() { return results.join("|") + " / " + hResults.join("|"); }
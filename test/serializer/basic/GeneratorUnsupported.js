@@ -0,0 +1,8 @@
+// throws introspection error
+function* keys() {
+  let o = { [yield "key"]: 1 };
+  return o;
+}
+var g = keys();
+g.next();
+g.next("a");
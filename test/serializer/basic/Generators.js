@@ -0,0 +1,30 @@
+function* counter(n) {
+  for (let i = 0; i < n; i++) {
+    let received = yield i;
+    if (received) i += received;
+  }
+  return "done";
+}
+var g = counter(5);
+var steps = [g.next().value, g.next().value, g.next(2).value, g.next().value, g.next().done];
+
+function* inner() { try { yield 1; yield 2; } finally { steps.push("finally"); } }
+function* outer() { yield 0; let r = yield* inner(); yield 3; }
+var all = [...outer()];
+var o = outer(); o.next(); o.next();
+var returned = o.return(42).value;
+
+function* catcher() { while (true) { try { yield "waiting"; } catch (e) { yield "caught " + e; } } }
+var c = catcher(); c.next();
+var caught = c.throw("x").value;
+c.return();
+
+var forOf = [];
+for (let x of counter(3)) forOf.push(x);
+var obj = { *m(a) { yield a + 1; yield* [a + 2, a + 3]; } };
+var fromMethod = Array.from(obj.m(1));
+class K { *[Symbol.iterator]() { yield "k1"; yield "k2"; } }
+var fromClass = [...new K()];
+var labeled = [...(function* () { outerLoop: for (var i = 0; i < 3; i++) { for (var j = 0; j < 3; j++) { if (j == 1) continue outerLoop; yield i * 10 + j; } } })()];
+
+inspect = function() { return JSON.stringify([steps, all, returned, caught, forOf, fromMethod, fromClass, labeled, g.next(), c.next(), counter(2).next()]); }
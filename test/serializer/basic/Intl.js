@@ -0,0 +1,21 @@
+var collator = new Intl.Collator("de");
+var compare = collator.compare;
+var order2 = compare("ä", "z");
+var currency = new Intl.NumberFormat("en-US", { style: "currency", currency: "EUR" });
+var price = currency.format(1234.5);
+var grouped = (1234567.891).toLocaleString("de-DE");
+var order = "a".localeCompare("b", "en");
+var utc = new Intl.DateTimeFormat("en-US", { timeZone: "UTC" });
+var epoch = utc.format(new Date(0));
+var epochString = new Date(0).toLocaleString("en-US", { timeZone: "UTC" });
+var invalid = new Date(NaN).toLocaleDateString("en-US");
+var runtimeLocale = (5).toLocaleString();
+var locale = collator.resolvedOptions().locale;
+var format = currency.format;
+var rangeError;
+try { utc.format(Infinity); } catch (e) { rangeError = e instanceof RangeError; }
+
+inspect = function() {
+  return JSON.stringify([["ä", "z", "a"].sort(compare), order2, price, grouped, order, epoch, epochString, invalid, runtimeLocale === (5).toLocaleString(),
+    locale, format(4), format === currency.format, Object.prototype.toString.call(collator), rangeError]);
+}
@@ -0,0 +1,10 @@
+var tags = new Intl.Collator(["EN-us", "en-US", "de-latn-de-u-co-phonebk"]).resolvedOptions().locale;
+var grouped = new Intl.NumberFormat("en-us").format(1234567.5);
+var unsupported = new Intl.NumberFormat("qaa-Qaaa").format(1234567.5);
+var fallback = new Intl.DateTimeFormat(["qaa", "en-US"], { timeZone: "UTC" }).format(0);
+var rangeError;
+try { new Intl.NumberFormat("en-US-u"); } catch (e) { rangeError = e instanceof RangeError; }
+
+inspect = function() {
+  return JSON.stringify([tags, grouped, unsupported === (1234567.5).toLocaleString("qaa-Qaaa"), fallback, rangeError]);
+}
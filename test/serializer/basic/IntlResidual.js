@@ -0,0 +1,10 @@
+// does not contain:Sep
+var options = { month: "short", timeZone: "UTC" };
+var month = new Intl.DateTimeFormat("en-IN", options).format(Date.UTC(2017, 8, 1));
+var monthString = new Date(Date.UTC(2017, 8, 1)).toLocaleDateString("en-IN", options);
+var resolved = new Intl.DateTimeFormat("en-IN", options).resolvedOptions();
+var timeZone = resolved.timeZone;
+
+inspect = function() {
+  return JSON.stringify([month, monthString, typeof resolved, timeZone]);
+}
@@ -0,0 +1,23 @@
+// lazy function bodies
+var counter = 0;
+function inc(by) { counter += by; return counter; }
+function makeAdder(x) { return function add(y) { return x + y + counter; }; }
+var add1 = makeAdder(1), add2 = makeAdder(2);
+function makeGreeter(greeting) { return function greet(name) { var s = greeting + ", " + name; return s + "!"; }; }
+var hello = makeGreeter("Hello"), hi = makeGreeter("Hi");
+var box = (function() { var n = 0; return { next: function() { return ++n; }, peek: function() { return n; } }; })();
+box.next();
+function Point(x, y) { this.x = x; this.y = y; }
+Point.prototype.sum = function() { return this.x + this.y; };
+function usesArgs() { return arguments.length; }
+function Target() { this.ok = new.target === Target; }
+var strictThis = function() { "use strict"; return this; };
+var sloppyThis = function() { return this === global; };
+
+inspect = function() {
+  inc(3);
+  box.next();
+  var p = new Point(1, 2);
+  return [counter, add1(10), add2(10), box.peek(), p.sum(), p instanceof Point, Object.getPrototypeOf(p) === Point.prototype,
+    inc.length, add1.length, Point.length, usesArgs(1, 2), new Target().ok, strictThis(), sloppyThis(), hello("a"), hi("b"), hello.length].join();
+}
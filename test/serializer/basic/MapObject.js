@@ -0,0 +1,13 @@
+var m = new Map();
+m.set("b", 2);
+m.set("a", 1);
+m.set(42, { x: 3 });
+m.delete("b");
+m.set("b", 4);
+m.extra = "prop";
+
+inspect = function() {
+  let res = [];
+  m.forEach(function(v, k) { res.push(k + ":" + JSON.stringify(v)); });
+  return res.join(",") + " " + m.size + " " + m.extra + " " + (m instanceof Map);
+}
@@ -0,0 +1,19 @@
+class Box {
+  constructor(v) { this.v = v; }
+  get value() { return this.v; }
+  static of(v) { return new Box(v); }
+  *items() { yield this.v; }
+  ["constructor with spaces"]() {}
+  static describe() {
+    let constructs = f => { try { new f(); return "constructs"; } catch (e) { return e instanceof TypeError ? "not a constructor" : "other"; } };
+    return [
+      Box.name, Box.of.name, Object.getOwnPropertyDescriptor(Box.prototype, "value").get.name, Box.prototype.items.name,
+      Box.prototype["constructor with spaces"].name, Box.of.hasOwnProperty("prototype"), constructs(Box.of),
+      o.m.name, "prototype" in o.m, constructs(o.m), o["computed key"].name, o.constructor.name, o.__proto__.name,
+      Object.getOwnPropertyDescriptor(o, "g").get.name, o.sloppy(), Anonymous.name, Box.of(3).value,
+    ].join();
+  }
+}
+var o = { m() { return "m"; }, get g() { return "g"; }, ["computed key"]() {}, constructor() {}, ["__proto__"]() {}, sloppy() { return typeof this; } };
+var Anonymous = [class {}][0];
+inspect = Box.describe;
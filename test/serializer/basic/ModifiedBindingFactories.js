@@ -0,0 +1,20 @@
+var handlers = (function() {
+  var clicks = 0, last;
+  var result = [];
+  for (var i = 0; i < 3; i++) {
+    (function(j) {
+      result.push(function(event) { clicks++; last = j; return "handler " + j + " got " + event + ", clicks: " + clicks; });
+    })(i);
+  }
+  result.push(function() { return "last: " + last; });
+  return result;
+})();
+
+function makeCounter(step) {
+  var n = 0, calls = 0;
+  return function() { n += step; calls++; return "counter at " + n + " after " + calls + " calls"; };
+}
+var c1 = makeCounter(1), c2 = makeCounter(10);
+c1();
+
+inspect = function() { return handlers.map(function(h, k) { return h(k); }).join() + c1() + c2() + c2(); }
@@ -0,0 +1,9 @@
+var sealed = Object.seal({ x: 1 });
+var frozen = Object.freeze({ y: 2 });
+var cyclic = { next: null };
+cyclic.next = Object.preventExtensions({ prev: cyclic });
+
+inspect = function() {
+  return [Object.isSealed(sealed), Object.isFrozen(frozen), Object.isExtensible(cyclic), Object.isExtensible(cyclic.next),
+    cyclic.next.prev === cyclic].join(" ");
+}
@@ -0,0 +1,17 @@
+var points = [];
+for (var i = 0; i < 60; i++) points.push({ x: i, y: (i * 7) % 13, label: "point", meta: { visible: true, weight: i / 2 } });
+var people = {};
+var names = ["ann", "bob", "cid", "dee", "eve", "fay"];
+for (var j = 0; j < names.length; j++) people[names[j]] = { name: names[j], age: 20 + j, "home town": "Springfield", 1: j };
+var cycle = { next: null, value: 1 };
+cycle.next = { next: cycle, value: 2 };
+var fixed = { x: 1, y: 2, label: "fixed", meta: { visible: false, weight: 0 } };
+Object.defineProperty(fixed, "meta", { writable: false });
+var hidden = { x: 3, y: 4, label: "hidden", meta: { visible: true, weight: 1 } };
+Object.defineProperty(hidden, "label", { enumerable: false });
+var named = [{ f: function() { return 1; }, k: 1 }, { f: function() { return 2; }, k: 2 }];
+
+inspect = function() {
+  return JSON.stringify([points, people, Object.keys(people.bob), cycle.next.next === cycle, cycle.next.value,
+    Object.getOwnPropertyDescriptor(fixed, "meta").writable, fixed, Object.keys(hidden), hidden.label, named[0].f() + named[1].f(), named[1].k]);
+}
@@ -0,0 +1,13 @@
+var resolveLater, rejectLater;
+var log = [];
+var pending = new Promise(function(resolve, reject) { resolveLater = resolve; rejectLater = reject; });
+var derived = pending.then(function(v) { log.push("a" + v); return v * 2; });
+pending.then(function(v) { log.push("b" + v); });
+var derived2 = derived.then(function(v) { log.push("c" + v); return v + 1; });
+var neverSettled = new Promise(function() {}).then(function() { log.push("never"); });
+
+inspect = function() {
+  resolveLater(5);
+  rejectLater(new Error("too late"));
+  return derived2.then(function(v) { return log.join() + " " + v; });
+}
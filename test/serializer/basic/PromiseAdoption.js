@@ -0,0 +1,6 @@
+var r;
+var q = new Promise(function(x) { r = x; });
+var p = new Promise(function(res) { res(q); });
+var out = [];
+p.then(function(v) { out.push(v); });
+inspect = function() { r(7); return p.then(function(v) { return out.join() + " " + v; }); }
@@ -0,0 +1,14 @@
+let executor;
+function Thenable(ex) {
+  executor = ex;
+  ex(function() {}, function() {});
+}
+Promise.resolve.call(Thenable, 1);
+inspect = function() {
+  try {
+    executor(function() {}, function() {});
+    return "no error";
+  } catch (e) {
+    return e instanceof TypeError;
+  }
+}
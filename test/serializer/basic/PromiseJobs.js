@@ -0,0 +1,12 @@
+var log = [];
+(function() {
+  Promise.resolve(1).then(function(v) { log.push("a" + v); return v + 1; }).then(function(v) { log.push("b" + v); });
+  new Promise(function(resolve) {
+    resolve({ then: function(f) { log.push("thenable"); f(3); } });
+  }).then(function(v) { log.push("c" + v); });
+  Promise.reject(new Error("boom")).catch(function(e) { log.push(e.message); });
+  Promise.all([1, Promise.resolve(2)]).then(function(values) { log.push(values.join("+")); });
+  log.push("sync");
+})();
+
+inspect = function() { return log.join(); }
@@ -0,0 +1,15 @@
+let { proxy, revoke } = Proxy.revocable({ x: 1 }, { get: function(target, key) { return target[key] + 1; } });
+let revoked = Proxy.revocable(function() {}, {});
+revoked.revoke();
+let revokedProxy = revoked.proxy;
+let revokeAgain = revoked.revoke;
+inspect = function() {
+  let before = proxy.x;
+  revoke();
+  let after;
+  try { proxy.x; } catch (e) { after = e instanceof TypeError; }
+  let revokedType = typeof revokedProxy;
+  let revokedThrows;
+  try { revokedProxy(); } catch (e) { revokedThrows = e instanceof TypeError; }
+  return before + " " + after + " " + revokedType + " " + revokedThrows + " " + revokeAgain();
+}
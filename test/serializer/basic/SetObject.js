@@ -0,0 +1,11 @@
+var o = { name: "o" };
+var s = new Set(["x", o, 3]);
+s.delete("x");
+s.add("x");
+var empty = new Set();
+
+inspect = function() {
+  let res = [];
+  s.forEach(function(v) { res.push(typeof v === "object" ? v.name : v); });
+  return res.join(",") + " " + s.has(o) + " " + empty.size;
+}
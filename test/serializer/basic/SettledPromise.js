@@ -0,0 +1,13 @@
+var log = [];
+var fulfilled = Promise.resolve(42);
+var rejected = Promise.reject(new Error("no"));
+rejected.catch(function(e) { log.push(e.message); });
+var object = { name: "cyclic" };
+object.promise = Promise.resolve(object);
+var pendingResolved = new Promise(function(resolve) { resolve(fulfilled); });
+
+inspect = function() {
+  return Promise.all([fulfilled, rejected.catch(function(e) { return e.message; }), object.promise, pendingResolved]).then(function(values) {
+    return log.join() + " " + values[0] + " " + values[1] + " " + (values[2] === object) + " " + values[3];
+  });
+}
@@ -0,0 +1,6 @@
+var x = 0, y = 0, log = "";
+switch (1) { case 1: x = 1; break; case 2: x = 2; }
+switch (1) { case 1: log += "a"; default: log += "b"; case 1: log += "c"; }
+switch (3) { case 1: log += "d"; default: log += "e"; case 2: log += "f"; break; log += "g"; }
+y = 2;
+inspect = function() { return x + " " + y + " " + log; }
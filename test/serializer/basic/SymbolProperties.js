@@ -0,0 +1,40 @@
+var brand = Symbol("brand");
+var shared = Symbol.for("app.shared");
+
+var range = {
+  from: 1,
+  to: 4,
+  [Symbol.iterator]: function* () {
+    for (let i = this.from; i <= this.to; i++) yield i;
+  },
+  [brand]: true,
+};
+
+var money = { amount: 42 };
+money[Symbol.toPrimitive] = function (hint) { return hint === "string" ? this.amount + " USD" : this.amount; };
+Object.defineProperty(money, shared, { value: "hidden", enumerable: false });
+
+class Collection {
+  constructor(items) { this.items = items; }
+  *[Symbol.iterator]() { yield* this.items; }
+  get [Symbol.toStringTag]() { return "Collection"; }
+}
+var collection = new Collection(["a", "b"]);
+
+var other = { [brand]: "also branded" };
+global[shared] = "on the global object";
+delete money.amount;
+money.amount = 7;
+
+inspect = function() {
+  return [
+    [...range].join(),
+    range[brand], other[brand],
+    `${money}`, money * 2, money[Symbol.for("app.shared")],
+    [...collection].join(), Object.prototype.toString.call(collection),
+    Object.getOwnPropertySymbols(range).length,
+    Object.getOwnPropertyDescriptor(money, shared).enumerable,
+    global[Symbol.for("app.shared")],
+    Symbol.keyFor(shared), Symbol.keyFor(brand),
+  ].join(" ");
+}
@@ -0,0 +1,9 @@
+// run zero delay timers
+// does not contain:, 100)
+// The zero delay timer fires 1ms after the others got set, which leaves them 99ms.
+var a = setTimeout(function() {}, 100);
+var b;
+setTimeout(function() { b = setTimeout(function() {}, 99); }, 0);
+var c = setTimeout(function() {}, 100);
+
+inspect = function() { clearTimeout(a); clearTimeout(b); clearTimeout(c); return typeof a + typeof c; }
@@ -0,0 +1,9 @@
+var log = [];
+function tick(s, n) { log.push(s + n); }
+var t1 = setTimeout(tick, 1000, "timeout", 1);
+var t2 = setTimeout(tick, 0, "timeout", 2);
+clearTimeout(t2);
+var t3 = setInterval(tick, 500, "interval", 3);
+var o = { timer: t1 };
+
+inspect = function() { clearTimeout(o.timer); clearInterval(t3); return typeof t1 + " " + (o.timer === t1) + " " + log.join(); }
@@ -0,0 +1,13 @@
+var table = new Uint32Array(8);
+for (var i = 0; i < table.length; i++) table[i] = i * 0x01010101;
+var metrics = new Float32Array([0.5, -0, 1e10, -2.25]);
+var zeros = new Int16Array(5);
+var clamped = new Uint8ClampedArray([300, -5, 7]);
+var nan = new Float64Array([1, NaN]);
+var others = [new Int8Array([-1, 1]), new Int32Array([-7]), new Uint16Array([65535]), new Uint8Array([1, 2, 3])];
+
+inspect = function() {
+  return [table, metrics, zeros, clamped, nan].concat(others).map(function(a) {
+    return a.constructor.name + ":" + Array.prototype.map.call(a, function(x) { return 1 / x === -Infinity ? "-0" : x; }).join(",");
+  }).join(" ");
+}
@@ -0,0 +1,12 @@
+var key1 = {};
+var key2 = {};
+var wm = new WeakMap();
+wm.set(key1, "one");
+wm.set(key2, wm);
+var ws = new WeakSet();
+ws.add(key1);
+ws.add(ws);
+
+inspect = function() {
+  return wm.get(key1) + " " + (wm.get(key2) === wm) + " " + ws.has(key1) + " " + ws.has(key2) + " " + ws.has(ws);
+}
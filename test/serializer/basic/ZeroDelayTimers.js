@@ -0,0 +1,12 @@
+// run zero delay timers
+// no effect
+(function() {
+  var log = [];
+  setTimeout(function(s) { log.push(s); Promise.resolve().then(function() { log.push("job"); }); }, 0, "first");
+  setTimeout(function() { log.push("second"); });
+  var t = setTimeout(function() { log.push("cleared"); }, 0);
+  clearTimeout(t);
+  setTimeout(function() {
+    if (log.join() !== "first,job,second") throw new Error("unexpected order: " + log.join());
+  }, -1);
+})();
@@ -0,0 +1,3 @@
+import { isOdd } from "./cycle-b.mjs";
+export function isEven(n) { return n === 0 ? true : isOdd(n - 1); }
+export default function (w) { return w * w; }
@@ -0,0 +1,2 @@
+import { isEven } from "./cycle-a.mjs";
+export function isOdd(n) { return n === 0 ? false : isEven(n - 1); }
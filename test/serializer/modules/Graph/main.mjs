@@ -0,0 +1,24 @@
+import { count, inc } from "./counter.mjs";
+import * as shapes from "./shapes.mjs";
+import area, { isEven } from "./cycle-a.mjs";
+export { unit } from "./shapes.mjs";
+export * from "./util.mjs";
+
+inc();
+inc();
+export let seen = count;
+export { count, inc, shapes };
+export default class Box {
+  constructor(w) { this.w = w; }
+  area() { return area(this.w); }
+}
+export function inspect() {
+  inc();
+  let layout = [JSON.stringify(Object.getOwnPropertyDescriptor(shapes, "unit")), Object.getPrototypeOf(shapes) === null, Object.isExtensible(shapes), Reflect.defineProperty(shapes, "extra", { value: 1 })];
+  try {
+    shapes.unit = 2;
+  } catch (e) {
+    layout.push(e instanceof TypeError);
+  }
+  return [layout.join(), count, seen, shapes.unit, isEven(10), new Box(3).area(), Object.keys(shapes).join(), shapes.square(4), shapes[Symbol.toStringTag]].join(" ");
+}
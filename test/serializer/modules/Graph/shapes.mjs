@@ -0,0 +1,2 @@
+export const unit = 1;
+export var square = x => x * x;
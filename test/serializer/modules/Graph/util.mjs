@@ -0,0 +1,2 @@
+export function twice(f) { return x => f(f(x)); }
+export const version = "1.0";